@@ -6,6 +6,11 @@ import {
   Navigate,
 } from "react-router-dom";
 import { useAuth, AuthProvider } from "./contexts/AuthContext";
+import { ChatNotificationsProvider } from "./contexts/ChatNotificationsContext";
+import { SavedSearchesProvider } from "./contexts/SavedSearchesContext";
+import { WatchlistProvider } from "./contexts/WatchlistContext";
+import { CartProvider } from "./contexts/CartContext";
+import { ReportsProvider } from "./contexts/ReportsContext";
 import LoadingSpinner from "./components/common/LoadingSpinner";
 // Removed unused ErrorMessage import
 import ErrorBoundary from "./components/common/ErrorBoundary";
@@ -22,8 +27,11 @@ import Auth from "./components/auth/Auth";
 import CreatePost from "./components/CreatePost";
 import MyPostsPage from "./components/MyPostsPage";
 import EditPost from "./components/EditPost";
+import WatchlistPage from "./components/watchlist/WatchlistPage";
+import CartPage from "./components/cart/CartPage";
 
 import ProtectedRoute from "./components/auth/ProtectedRoute";
+import { PERMISSIONS } from "./utils/permissions";
 import "./App.css";
 
 // Add network request interceptor for debugging
@@ -183,6 +191,52 @@ function AppContent() {
               }
             />
 
+            <Route
+              path="/saved"
+              element={
+                <ProtectedRoute>
+                  <div className="landing-page">
+                    <div className="layout-container">
+                      <Header
+                        isDarkMode={isDarkMode}
+                        setIsDarkMode={setIsDarkMode}
+                        isAuthenticated={isAuthenticated}
+                        user={user}
+                        username={user?.email || ""}
+                        onLogout={handleLogout}
+                      />
+                      <main className="main-content">
+                        <WatchlistPage />
+                      </main>
+                    </div>
+                  </div>
+                </ProtectedRoute>
+              }
+            />
+
+            <Route
+              path="/cart"
+              element={
+                <ProtectedRoute>
+                  <div className="landing-page">
+                    <div className="layout-container">
+                      <Header
+                        isDarkMode={isDarkMode}
+                        setIsDarkMode={setIsDarkMode}
+                        isAuthenticated={isAuthenticated}
+                        user={user}
+                        username={user?.email || ""}
+                        onLogout={handleLogout}
+                      />
+                      <main className="main-content">
+                        <CartPage />
+                      </main>
+                    </div>
+                  </div>
+                </ProtectedRoute>
+              }
+            />
+
             <Route
               path="/edit-post/:id"
               element={
@@ -209,28 +263,30 @@ function AppContent() {
             <Route
               path="/chat"
               element={
-                <div className="landing-page">
-                  <div className="layout-container">
-                    <Header
-                      isDarkMode={isDarkMode}
-                      setIsDarkMode={setIsDarkMode}
-                      isAuthenticated={isAuthenticated}
-                      user={user}
-                      username={user?.email || ""}
-                      onLogout={handleLogout}
-                    />
-                    <main className="main-content chat-page-content">
-                      <ChatPage initialSession={null} />
-                    </main>
+                <ProtectedRoute>
+                  <div className="landing-page">
+                    <div className="layout-container">
+                      <Header
+                        isDarkMode={isDarkMode}
+                        setIsDarkMode={setIsDarkMode}
+                        isAuthenticated={isAuthenticated}
+                        user={user}
+                        username={user?.email || ""}
+                        onLogout={handleLogout}
+                      />
+                      <main className="main-content chat-page-content">
+                        <ChatPage initialSession={null} />
+                      </main>
+                    </div>
                   </div>
-                </div>
+                </ProtectedRoute>
               }
             />
 
             <Route
               path="/admin"
               element={
-                <ProtectedRoute requireAdmin={true}>
+                <ProtectedRoute permission={PERMISSIONS.ACCESS_ADMIN}>
                   <main className="main-content">
                     <AdminDashboard />
                   </main>
@@ -261,7 +317,17 @@ function AppContent() {
 function App() {
   return (
     <AuthProvider>
-      <AppContent />
+      <ChatNotificationsProvider>
+        <SavedSearchesProvider>
+          <WatchlistProvider>
+            <CartProvider>
+              <ReportsProvider>
+                <AppContent />
+              </ReportsProvider>
+            </CartProvider>
+          </WatchlistProvider>
+        </SavedSearchesProvider>
+      </ChatNotificationsProvider>
     </AuthProvider>
   );
 }
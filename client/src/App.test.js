@@ -9,6 +9,9 @@ test("renders posts showcase", () => {
     user: { email: "test@example.com" },
     loading: false,
     isAdmin: () => false,
+    hasPermission: () => false,
+    roles: [],
+    rolesLoading: false,
   });
 
   render(<App />);
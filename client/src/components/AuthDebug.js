@@ -2,7 +2,7 @@ import React from "react";
 import { useAuth } from "../contexts/AuthContext";
 
 const AuthDebug = () => {
-  const { user, isAuthenticated, loading, error } = useAuth();
+  const { user, isAuthenticated, loading, error, roles } = useAuth();
 
   return (
     <div
@@ -40,7 +40,7 @@ const AuthDebug = () => {
             <strong>Full Name:</strong> {user.full_name}
           </div>
           <div>
-            <strong>Role:</strong> {user.role}
+            <strong>Roles:</strong> {roles.join(", ")}
           </div>
         </div>
       )}
@@ -1,147 +1,450 @@
-import React, { useState, useEffect, useRef, useCallback } from "react";
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+} from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { useAuth } from "../contexts/AuthContext";
+import { useChatNotifications } from "../contexts/ChatNotificationsContext";
 import LoadingSpinner from "./common/LoadingSpinner";
-import { chatService } from "../services/chatService";
+import {
+  chatService,
+  getSessionTitle,
+  getMessagePreview,
+  OFFER_STATUS,
+} from "../services/chatService";
+import { itemsService } from "../services/itemsService";
+import { validateImageFile } from "../utils/imageValidation";
+import {
+  OUTBOX_STATUS,
+  addToOutbox,
+  createOutboxEntry,
+  getOutbox,
+  removeFromOutbox,
+  updateOutboxEntry,
+} from "../utils/chatOutbox";
 import ChatSessionsSidebar from "./chat/ChatSessionsSidebar";
 import ChatInterface from "./chat/ChatInterface";
 import "./ChatPage.css";
 
+// Typing broadcasts are throttled while typing and cleared after a pause
+const TYPING_THROTTLE = 2000;
+const TYPING_IDLE_TIMEOUT = 3000;
+// Drop a partner's typing state if their "stopped" broadcast never arrives
+const TYPING_EXPIRY = 5000;
+
+// Reconnect with capped exponential backoff: 1s, 2s, 4s ... up to 30s
+const RECONNECT_BASE_DELAY = 1000;
+const RECONNECT_MAX_DELAY = 30000;
+
+const getReconnectDelay = (attempt) =>
+  Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt) +
+  Math.round(Math.random() * 250);
+
+const byCreatedAt = (a, b) => new Date(a.created_at) - new Date(b.created_at);
+
+// Keep the most recently active conversation at the top of the sidebar
+const sortSessions = (sessions) =>
+  [...sessions].sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+
 /**
  * ChatPage Component
  * Provides a complete chat interface with sessions list and individual chat
  * Features real-time updates, error handling, and responsive design
  */
 const ChatPage = ({ initialSession }) => {
+  const { user } = useAuth();
+  const { unreadCounts, setActiveSessionId, markSessionRead } =
+    useChatNotifications();
+  const location = useLocation();
+  const navigate = useNavigate();
+  // State passed by a product card is only acted on once
+  const entryStateRef = useRef(location.state);
+
   // State management
-  const [user, setUser] = useState(null);
   const [sessions, setSessions] = useState([]);
   const [activeSession, setActiveSession] = useState(null);
   const [messages, setMessages] = useState([]);
+  const [hasMoreMessages, setHasMoreMessages] = useState(false);
+  const [isLoadingMessages, setIsLoadingMessages] = useState(false);
+  const [isLoadingOlder, setIsLoadingOlder] = useState(false);
   const [newMessage, setNewMessage] = useState("");
-  // Typing indicators (not implemented in demo)
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [searchTerm, setSearchTerm] = useState("");
-  const [isCreatingSession, setIsCreatingSession] = useState(false);
   const [isSendingMessage, setIsSendingMessage] = useState(false);
+  const [isRespondingToOffer, setIsRespondingToOffer] = useState(false);
   const [wsConnectionError, setWsConnectionError] = useState(false);
   const [wsConnectionStatus, setWsConnectionStatus] = useState("connecting");
-
-  // Get location state to check if we're coming from a product card
-  const location = window.location;
+  const [isPartnerTyping, setIsPartnerTyping] = useState(false);
+  const [isPartnerOnline, setIsPartnerOnline] = useState(false);
+  const [outbox, setOutbox] = useState([]);
 
   // Refs
-  const messagesEndRef = useRef(null);
-  // typingTimeoutRef not used in demo mode
+  const activeSessionRef = useRef(null);
+  const chatChannelRef = useRef(null);
   const wsRetryTimeoutRef = useRef(null);
+  const reconnectAttemptRef = useRef(0);
+  const subscriptionIdRef = useRef(0);
+  const messagesRef = useRef(messages);
+  const isFlushingRef = useRef(false);
+  const lastTypingSentRef = useRef(0);
+  const typingIdleTimeoutRef = useRef(null);
+  const partnerTypingTimeoutRef = useRef(null);
 
-  // Debug activeSession changes
   useEffect(() => {
-    console.log("activeSession changed:", activeSession);
-  }, [activeSession]);
+    activeSessionRef.current = activeSession;
+    setActiveSessionId(activeSession?.id ?? null);
+  }, [activeSession, setActiveSessionId]);
 
-  // Handle new message from subscription
-  const handleNewMessage = useCallback(
-    (payload) => {
-      if (payload.eventType === "INSERT") {
-        const newMessage = payload.new;
-        setMessages((prev) => [...prev, newMessage]);
-
-        // Update session last message
-        if (activeSession && activeSession.id === newMessage.chat_session_id) {
-          const updatedSessions = sessions.map((session) =>
-            session.id === activeSession.id
-              ? {
-                  ...session,
-                  last_message: newMessage.content,
-                  updated_at: newMessage.created_at,
-                }
-              : session,
-          );
-          setSessions(updatedSessions);
+  useEffect(() => () => setActiveSessionId(null), [setActiveSessionId]);
+
+  useEffect(() => {
+    messagesRef.current = messages;
+  }, [messages]);
+
+  // Mark the open conversation read whenever something new arrives in it,
+  // or when the tab becomes visible again
+  const lastIncomingId = [...messages]
+    .reverse()
+    .find((m) => m.sender_id !== user?.id)?.id;
+
+  useEffect(() => {
+    if (!activeSession) return;
+
+    const markReadIfVisible = () => {
+      if (document.visibilityState === "visible") {
+        markSessionRead(activeSession.id);
+      }
+    };
+
+    markReadIfVisible();
+    document.addEventListener("visibilitychange", markReadIfVisible);
+    return () =>
+      document.removeEventListener("visibilitychange", markReadIfVisible);
+  }, [activeSession, lastIncomingId, markSessionRead]);
+
+  // Fill in the sender profile for realtime rows, which arrive without joins
+  const withSender = useCallback((message, session) => {
+    if (message.sender || !session) return message;
+    const sender =
+      message.sender_id === session.buyer_id ? session.buyer : session.seller;
+    return { ...message, sender };
+  }, []);
+
+  // Add our own message to the list; the realtime echo is deduped by id
+  const appendSentMessage = useCallback((sent) => {
+    setMessages((prev) =>
+      prev.some((m) => m.id === sent.id) ? prev : [...prev, sent],
+    );
+  }, []);
+
+  // Outbox: messages are queued locally first and removed once stored
+  const syncOutbox = useCallback(() => {
+    setOutbox(user ? getOutbox(user.id) : []);
+  }, [user]);
+
+  useEffect(() => {
+    syncOutbox();
+  }, [syncOutbox]);
+
+  const deliverEntry = useCallback(
+    async (entry) => {
+      updateOutboxEntry(entry.id, { outbox_status: OUTBOX_STATUS.PENDING });
+      syncOutbox();
+
+      try {
+        const sent = await chatService.sendQueuedMessage(entry);
+        removeFromOutbox(entry.id);
+        if (activeSessionRef.current?.id === sent.chat_session_id) {
+          appendSentMessage(sent);
         }
+        return true;
+      } catch (err) {
+        console.error("Error sending message:", err);
+        updateOutboxEntry(entry.id, {
+          outbox_status: OUTBOX_STATUS.FAILED,
+          attempts: entry.attempts + 1,
+        });
+        return false;
+      } finally {
+        syncOutbox();
+      }
+    },
+    [syncOutbox, appendSentMessage],
+  );
+
+  // Send queued messages for a session in order, stopping at the first
+  // failure so later messages never overtake earlier ones
+  const flushOutbox = useCallback(
+    async (sessionId) => {
+      if (!user || isFlushingRef.current) return;
 
-        // Scroll to bottom
-        setTimeout(() => {
-          messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-        }, 100);
+      isFlushingRef.current = true;
+      try {
+        for (;;) {
+          const [next] = getOutbox(user.id, sessionId);
+          if (!next || !(await deliverEntry(next))) break;
+        }
+      } finally {
+        isFlushingRef.current = false;
       }
     },
-    [activeSession, sessions],
+    [user, deliverEntry],
   );
 
-  // Initialize component
-  useEffect(() => {
-    initializeChat();
+  // Fetch anything that arrived while the channel was down
+  const backfillMessages = useCallback(async (sessionId) => {
+    const latest = messagesRef.current[messagesRef.current.length - 1];
+    if (!latest) return;
 
-    // Set initial session if provided
-    if (initialSession) {
-      setActiveSession(initialSession);
-      setMessages([]);
+    try {
+      const missed = await chatService.getMessagesSince(
+        sessionId,
+        latest.created_at,
+      );
+      if (activeSessionRef.current?.id !== sessionId || !missed.length) {
+        return;
+      }
+
+      setMessages((prev) => {
+        const known = new Set(prev.map((m) => m.id));
+        const added = missed.filter((m) => !known.has(m.id));
+        return added.length ? [...prev, ...added].sort(byCreatedAt) : prev;
+      });
+    } catch (err) {
+      console.error("Error backfilling messages:", err);
     }
+  }, []);
 
-    // Cleanup on unmount
-    return () => {
-      cleanupSubscriptions();
-    };
-  }, [initialSession]);
+  // Load the latest page of history for a session
+  const loadMessages = useCallback(async (session) => {
+    try {
+      setIsLoadingMessages(true);
+      const { messages: history, hasMore } = await chatService.getChatMessages(
+        session.id,
+      );
+
+      // Ignore the result if the user switched conversations meanwhile
+      if (activeSessionRef.current?.id !== session.id) return;
+
+      setMessages(history);
+      setHasMoreMessages(hasMore);
+    } catch (err) {
+      console.error("Error loading messages:", err);
+      setError("Failed to load session messages.");
+    } finally {
+      setIsLoadingMessages(false);
+    }
+  }, []);
+
+  // Handle session selection
+  const handleSessionSelect = useCallback(
+    (session) => {
+      if (activeSessionRef.current?.id === session.id) return;
+
+      activeSessionRef.current = session;
+      setActiveSession(session);
+      setMessages([]);
+      setHasMoreMessages(false);
+      loadMessages(session);
+    },
+    [loadMessages],
+  );
+
+  // Load older messages when the user scrolls back through history
+  const handleLoadOlderMessages = async () => {
+    if (!activeSession || !hasMoreMessages || isLoadingOlder) return;
+
+    const sessionId = activeSession.id;
+    try {
+      setIsLoadingOlder(true);
+      const { messages: older, hasMore } = await chatService.getChatMessages(
+        sessionId,
+        { before: messages[0]?.created_at },
+      );
+      if (activeSessionRef.current?.id !== sessionId) return;
+
+      setMessages((prev) => [...older, ...prev]);
+      setHasMoreMessages(hasMore);
+    } catch (err) {
+      console.error("Error loading older messages:", err);
+    } finally {
+      setIsLoadingOlder(false);
+    }
+  };
 
   // Initialize chat functionality
-  const initializeChat = async () => {
+  const initializeChat = useCallback(async () => {
+    if (!user) return;
+
     try {
       setLoading(true);
       setError(null);
 
-      // Set demo user for now (no authentication system yet)
-      setUser({ id: "demo-user-id", name: "Demo User" });
+      const userSessions = await chatService.getUserChatSessions();
+      setSessions(userSessions || []);
 
-      // Check if we're coming from a product card
-      const state = location.state;
+      // Coming from a product card: reuse or open the thread for this post
+      const state = entryStateRef.current;
+      entryStateRef.current = null;
       if (state && state.productId) {
-        // Create a new demo chat session for this product
-        await handleCreateNewSession(
+        const session = await chatService.findOrCreateChatSession(
           state.productId,
           state.sellerId,
-          state.productTitle,
-          state.productPrice,
         );
-      } else {
-        // For now, show empty state since we don't have authentication
-        // TODO: Implement proper authentication system
-        setSessions([]);
-        setActiveSession(null);
-      }
+        setSessions((prev) =>
+          prev.some((s) => s.id === session.id)
+            ? prev
+            : sortSessions([session, ...prev]),
+        );
+        handleSessionSelect(session);
 
-      console.log("Chat initialized in demo mode (no authentication)");
+        // Don't create/select the session again on refresh
+        navigate(location.pathname, { replace: true, state: null });
+      } else if (initialSession) {
+        handleSessionSelect(initialSession);
+      }
     } catch (err) {
       console.error("Error initializing chat:", err);
-      setError("Failed to initialize chat. Please try again later.");
+      setError(
+        err.message || "Failed to initialize chat. Please try again later.",
+      );
     } finally {
       setLoading(false);
     }
-  };
+  }, [user, initialSession, handleSessionSelect, navigate, location.pathname]);
 
-  // Handle session selection
-  const handleSessionSelect = async (session) => {
-    try {
-      setActiveSession(session);
-      console.log("Setting activeSession to:", session);
-      setMessages([]);
+  useEffect(() => {
+    initializeChat();
+  }, [initializeChat]);
 
-      // For demo mode, show empty messages
-      // TODO: Implement real message loading when authentication is added
-      setMessages([]);
+  // Keep the sessions sidebar live for the current user
+  useEffect(() => {
+    if (!user) return;
 
-      // Scroll to bottom
-      setTimeout(() => {
-        messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-      }, 100);
+    const unsubscribe = chatService.subscribeToChatSessions(
+      user.id,
+      async (payload) => {
+        if (payload.eventType === "DELETE") {
+          setSessions((prev) => prev.filter((s) => s.id !== payload.old.id));
+          return;
+        }
 
-      console.log("Demo session selected:", session);
-    } catch (err) {
-      console.error("Error selecting session:", err);
-      setError("Failed to load session messages.");
+        if (payload.eventType === "INSERT") {
+          // Realtime rows have no joins; fetch the full session once
+          try {
+            const session = await chatService.getChatSession(payload.new.id);
+            setSessions((prev) =>
+              prev.some((s) => s.id === session.id)
+                ? prev
+                : sortSessions([session, ...prev]),
+            );
+          } catch (err) {
+            console.error("Error loading new chat session:", err);
+          }
+          return;
+        }
+
+        setSessions((prev) =>
+          sortSessions(
+            prev.map((s) =>
+              s.id === payload.new.id ? { ...s, ...payload.new } : s,
+            ),
+          ),
+        );
+      },
+    );
+
+    return unsubscribe;
+  }, [user]);
+
+  // Handle new message from subscription
+  const handleNewMessage = useCallback(
+    (payload) => {
+      // Receipts arrive as updates to messages we already have
+      if (payload.eventType === "UPDATE") {
+        setMessages((prev) =>
+          prev.map((m) =>
+            m.id === payload.new.id ? { ...m, ...payload.new } : m,
+          ),
+        );
+        return;
+      }
+
+      if (payload.eventType !== "INSERT") return;
+
+      const session = activeSessionRef.current;
+      const incoming = withSender(payload.new, session);
+
+      // A new message replaces the partner's typing indicator
+      if (incoming.sender_id !== user?.id) setIsPartnerTyping(false);
+
+      // Our own sends are already in the list from sendMessage
+      setMessages((prev) =>
+        prev.some((m) => m.id === incoming.id) ? prev : [...prev, incoming],
+      );
+
+      setSessions((prev) =>
+        sortSessions(
+          prev.map((s) =>
+            s.id === incoming.chat_session_id
+              ? {
+                  ...s,
+                  last_message: getMessagePreview(incoming),
+                  updated_at: incoming.created_at,
+                }
+              : s,
+          ),
+        ),
+      );
+    },
+    [withSender, user],
+  );
+
+  // Show the partner's typing indicator until they stop or it expires
+  const handleTyping = useCallback(
+    ({ userId, isTyping }) => {
+      if (userId === user?.id) return;
+
+      clearTimeout(partnerTypingTimeoutRef.current);
+      setIsPartnerTyping(isTyping);
+      if (isTyping) {
+        partnerTypingTimeoutRef.current = setTimeout(
+          () => setIsPartnerTyping(false),
+          TYPING_EXPIRY,
+        );
+      }
+    },
+    [user],
+  );
+
+  const handlePresence = useCallback(
+    (userIds) => {
+      setIsPartnerOnline(userIds.some((id) => id && id !== user?.id));
+    },
+    [user],
+  );
+
+  // Cleanup subscriptions
+  const cleanupSubscriptions = useCallback(() => {
+    // Status callbacks from the removed channel must not trigger reconnects
+    subscriptionIdRef.current += 1;
+    chatChannelRef.current?.unsubscribe();
+    chatChannelRef.current = null;
+
+    clearTimeout(typingIdleTimeoutRef.current);
+    clearTimeout(partnerTypingTimeoutRef.current);
+    lastTypingSentRef.current = 0;
+
+    // Clear retry timeout
+    if (wsRetryTimeoutRef.current) {
+      clearTimeout(wsRetryTimeoutRef.current);
+      wsRetryTimeoutRef.current = null;
     }
-  };
+  }, []);
 
   // Setup real-time subscription for session
   const setupSessionSubscription = useCallback(
@@ -151,15 +454,30 @@ const ChatPage = ({ initialSession }) => {
 
       setWsConnectionStatus("connecting");
       setWsConnectionError(false);
+      setIsPartnerTyping(false);
+      setIsPartnerOnline(false);
+
+      const subscriptionId = subscriptionIdRef.current;
+
+      const scheduleRetry = () => {
+        const delay = getReconnectDelay(reconnectAttemptRef.current);
+        reconnectAttemptRef.current += 1;
+
+        wsRetryTimeoutRef.current = setTimeout(() => {
+          wsRetryTimeoutRef.current = null;
+          if (activeSessionRef.current?.id === sessionId) {
+            setupSessionSubscription(sessionId);
+          }
+        }, delay);
+      };
 
       try {
-        // Subscribe to new messages
-        const messageCleanup = chatService.subscribeToChat(
+        chatChannelRef.current = chatService.subscribeToChat(
           sessionId,
-          (payload) => {
-            handleNewMessage(payload);
-          },
+          handleNewMessage,
           (status) => {
+            if (subscriptionId !== subscriptionIdRef.current) return;
+
             setWsConnectionStatus(status);
             if (
               status === "CLOSED" ||
@@ -168,268 +486,255 @@ const ChatPage = ({ initialSession }) => {
             ) {
               setWsConnectionError(true);
               // Auto-retry connection after error
-              setTimeout(() => {
-                if (activeSession) {
-                  setupSessionSubscription(activeSession.id);
-                }
-              }, 3000);
+              if (!wsRetryTimeoutRef.current) scheduleRetry();
             } else if (status === "OPEN") {
               setWsConnectionError(false);
+              reconnectAttemptRef.current = 0;
+              // Catch up on missed messages, then resend our queued ones
+              backfillMessages(sessionId).then(() => flushOutbox(sessionId));
             }
           },
+          {
+            userId: user?.id,
+            onTyping: handleTyping,
+            onPresence: handlePresence,
+          },
         );
-
-        // Store cleanup functions
-        window.chatCleanupFunctions = {
-          message: messageCleanup,
-        };
       } catch (err) {
         console.error("WebSocket connection error:", err);
         setWsConnectionError(true);
         setWsConnectionStatus("ERROR");
-        setError(
-          "Failed to establish real-time connection. Messages may not update in real-time.",
-        );
-        // Auto-retry connection after error
-        setTimeout(() => {
-          if (activeSession) {
-            setupSessionSubscription(activeSession.id);
-          }
-        }, 3000);
+        scheduleRetry();
       }
     },
-    [activeSession, handleNewMessage],
+    [
+      cleanupSubscriptions,
+      handleNewMessage,
+      handleTyping,
+      handlePresence,
+      backfillMessages,
+      flushOutbox,
+      user,
+    ],
   );
 
+  // Subscribe to the active session's messages
+  useEffect(() => {
+    if (!activeSession) return;
+
+    setupSessionSubscription(activeSession.id);
+    return cleanupSubscriptions;
+  }, [activeSession, setupSessionSubscription, cleanupSubscriptions]);
+
   // Retry WebSocket connection
   const retryWebSocketConnection = useCallback(() => {
-    if (wsRetryTimeoutRef.current) {
-      clearTimeout(wsRetryTimeoutRef.current);
+    if (activeSession) {
+      reconnectAttemptRef.current = 0;
+      setupSessionSubscription(activeSession.id);
     }
-
-    // Set connecting status
-    setWsConnectionStatus("connecting");
-    setWsConnectionError(null);
-
-    // Retry after 3 seconds
-    wsRetryTimeoutRef.current = setTimeout(() => {
-      if (activeSession) {
-        setupSessionSubscription(activeSession.id);
-      }
-    }, 3000);
   }, [activeSession, setupSessionSubscription]);
 
-  // Cleanup subscriptions
-  const cleanupSubscriptions = () => {
-    if (window.chatCleanupFunctions) {
-      window.chatCleanupFunctions.message?.();
-      window.chatCleanupFunctions = null;
+  // Don't wait out the backoff once the browser is back online
+  useEffect(() => {
+    if (!wsConnectionError) return;
+
+    window.addEventListener("online", retryWebSocketConnection);
+    return () => window.removeEventListener("online", retryWebSocketConnection);
+  }, [wsConnectionError, retryWebSocketConnection]);
+
+  // Let the other participant know we're typing
+  const stopTyping = () => {
+    clearTimeout(typingIdleTimeoutRef.current);
+    if (lastTypingSentRef.current) {
+      chatChannelRef.current?.sendTyping(false);
+      lastTypingSentRef.current = 0;
     }
+  };
 
-    // Clear retry timeout
-    if (wsRetryTimeoutRef.current) {
-      clearTimeout(wsRetryTimeoutRef.current);
-      wsRetryTimeoutRef.current = null;
+  const notifyTyping = () => {
+    const now = Date.now();
+    if (now - lastTypingSentRef.current > TYPING_THROTTLE) {
+      chatChannelRef.current?.sendTyping(true);
+      lastTypingSentRef.current = now;
     }
+
+    clearTimeout(typingIdleTimeoutRef.current);
+    typingIdleTimeoutRef.current = setTimeout(stopTyping, TYPING_IDLE_TIMEOUT);
   };
 
-  // (handled above via memoized handleNewMessage)
+  const replaceMessage = (updated) => {
+    setMessages((prev) =>
+      prev.map((m) => (m.id === updated.id ? { ...m, ...updated } : m)),
+    );
+  };
 
-  // Send message
-  const handleSendMessage = async () => {
-    if (!newMessage.trim() || !user || isSendingMessage) return;
+  // Queue a message locally, then try to deliver the session's outbox.
+  // Anything that fails stays queued until the channel reconnects.
+  const queueMessage = (message) => {
+    addToOutbox(
+      createOutboxEntry({
+        chat_session_id: activeSession.id,
+        sender_id: user.id,
+        ...message,
+      }),
+    );
+    syncOutbox();
+    flushOutbox(activeSession.id);
+  };
+
+  // Send a photo using the same validation as listing uploads. Files can't
+  // be kept in the outbox, so only the message is queued once uploaded.
+  const handleSendImage = async (file) => {
+    if (!activeSession || !user || isSendingMessage) return;
+
+    const validationError = validateImageFile(file);
+    if (validationError) {
+      alert(validationError);
+      return;
+    }
 
     try {
       setIsSendingMessage(true);
-      // Clear input and send
-      const messageContent = newMessage.trim();
-      setNewMessage("");
-
-      // For demo mode, create a mock message
-      const mockMessage = {
-        id: Date.now().toString(),
-        content: messageContent,
-        sender_id: user.id,
-        created_at: new Date().toISOString(),
-        sender: {
-          id: user.id,
-          username: user.name,
-          full_name: user.name,
-          avatar_url: null,
-        },
-      };
-
-      // Add message to local state immediately for better UX
-      setMessages((prev) => [...prev, mockMessage]);
-      messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-
-      console.log("Demo message sent:", messageContent);
-
-      // Check if message is "hello" (case-insensitive) and send auto-response
-      const lowerCaseMessage = messageContent.toLowerCase();
-      if (lowerCaseMessage === "hello") {
-        setTimeout(() => {
-          const sellerResponse = {
-            id: Date.now().toString(),
-            content: "Hello, are you interested in buying this?",
-            sender_id: "demo-seller",
-            created_at: new Date().toISOString(),
-            sender: {
-              id: "demo-seller",
-              username: "Demo Seller",
-              full_name: "Demo Seller",
-              avatar_url: null,
-            },
-          };
-          
-          setMessages((prev) => [...prev, sellerResponse]);
-          messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
-          
-          console.log("Auto-response sent: Hello, are you interested in buying this?");
-        }, 2000); // 2 second delay
-      }
+      queueMessage(await chatService.uploadChatImage(activeSession.id, file));
     } catch (err) {
-      console.error("Error sending message:", err);
-      setError("Failed to send message. Please try again.");
-      // Restore message content on error
-      setNewMessage(newMessage); // Use original newMessage instead of undefined messageContent
+      console.error("Error uploading image:", err);
+      alert("Failed to upload photo. Please try again.");
     } finally {
       setIsSendingMessage(false);
     }
   };
 
-  // Handle input change
-  const handleInputChange = (e) => {
-    const value = e.target.value;
-    setNewMessage(value);
+  const handleSendOffer = (amount) => {
+    if (!activeSession || !user) return;
+    queueMessage(chatService.buildOfferMessage(amount));
   };
 
-  // Handle key press (Enter to send, Shift+Enter for new line)
-  const handleKeyPress = (e) => {
-    if (e.key === "Enter" && !e.shiftKey) {
-      e.preventDefault();
-      handleSendMessage();
-    }
-  };
+  /**
+   * Respond to an offer message
+   * Accepting reserves the listing; marking sold closes it. Counters and
+   * re-offers supersede the original offer with a new one.
+   */
+  const handleOfferAction = async (message, action, amount) => {
+    if (!activeSession || isRespondingToOffer) return;
 
-  // Create new chat session (demo mode)
-  const handleCreateNewSession = async (
-    productId,
-    sellerId,
-    productTitle,
-    productPrice,
-  ) => {
-    if (!user) return;
+    const postId = activeSession.post_id;
 
-    setIsCreatingSession(true);
     try {
-      // Create a mock session for demo
-      const mockSession = {
-        id: Date.now().toString(),
-        product_id: productId || "demo-product",
-        buyer_id: user.id,
-        seller_id: sellerId || "demo-seller",
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        product: {
-          id: productId || "demo-product",
-          name: productTitle || "Demo Product",
-          image_url: null,
-          price: productPrice || 99.99,
-        },
-        buyer: {
-          id: user.id,
-          username: user.name,
-          full_name: user.name,
-          avatar_url: null,
-        },
-        seller: {
-          id: sellerId || "demo-seller",
-          username: "Demo Seller",
-          full_name: "Demo Seller",
-          avatar_url: null,
-        },
-      };
-
-      setSessions((prev) => [mockSession, ...prev]);
-      console.log("Calling handleSessionSelect with:", mockSession);
-      handleSessionSelect(mockSession);
-
-      console.log("Demo session created:", mockSession);
-      console.log("Current activeSession state:", activeSession);
+      setIsRespondingToOffer(true);
+
+      switch (action) {
+        case "accept": {
+          // Sellers update their own listing; the status endpoint is for
+          // moderators
+          const response = await itemsService.updateItem(postId, {
+            status: "reserved",
+          });
+          if (!response.success) {
+            alert("Failed to reserve listing: " + response.error);
+            return;
+          }
+          replaceMessage(
+            await chatService.updateOfferStatus(message, OFFER_STATUS.ACCEPTED),
+          );
+          break;
+        }
+        case "sold": {
+          const response = await itemsService.updateItem(postId, {
+            status: "sold",
+          });
+          if (!response.success) {
+            alert("Failed to mark listing as sold: " + response.error);
+            return;
+          }
+          replaceMessage(
+            await chatService.updateOfferStatus(message, OFFER_STATUS.SOLD),
+          );
+          break;
+        }
+        case "decline":
+          replaceMessage(
+            await chatService.updateOfferStatus(message, OFFER_STATUS.DECLINED),
+          );
+          break;
+        case "counter":
+        case "reoffer":
+          replaceMessage(
+            await chatService.updateOfferStatus(
+              message,
+              OFFER_STATUS.COUNTERED,
+            ),
+          );
+          queueMessage(chatService.buildOfferMessage(amount, message.id));
+          break;
+        default:
+          break;
+      }
     } catch (err) {
-      console.error("Error creating session:", err);
-      setError("Failed to create new chat session.");
+      console.error("Error responding to offer:", err);
+      alert("Failed to update offer. Please try again.");
     } finally {
-      setIsCreatingSession(false);
+      setIsRespondingToOffer(false);
     }
   };
 
-  // Create new chat session without parameters (for demo button)
-  const handleCreateNewSessionNoParams = async () => {
-    if (!user) return;
+  const handleSendMessage = () => {
+    if (!newMessage.trim() || !user || !activeSession) {
+      return;
+    }
 
-    setIsCreatingSession(true);
-    try {
-      // Create a mock session for demo
-      const mockSession = {
-        id: Date.now().toString(),
-        product_id: "demo-product",
-        buyer_id: user.id,
-        seller_id: "demo-seller",
-        created_at: new Date().toISOString(),
-        updated_at: new Date().toISOString(),
-        product: {
-          id: "demo-product",
-          name: "Demo Product",
-          image_url: null,
-          price: 99.99,
-        },
-        buyer: {
-          id: user.id,
-          username: user.name,
-          full_name: user.name,
-          avatar_url: null,
-        },
-        seller: {
-          id: "demo-seller",
-          username: "Demo Seller",
-          full_name: "Demo Seller",
-          avatar_url: null,
-        },
-      };
+    queueMessage({ content: newMessage.trim() });
+    setNewMessage("");
+    stopTyping();
+  };
 
-      setSessions((prev) => [mockSession, ...prev]);
-      console.log("Calling handleSessionSelect with:", mockSession);
-      handleSessionSelect(mockSession);
+  const handleRetryMessage = (entry) => {
+    flushOutbox(entry.chat_session_id);
+  };
 
-      console.log("Demo session created:", mockSession);
-      console.log("Current activeSession state:", activeSession);
-    } catch (err) {
-      console.error("Error creating session:", err);
-      setError("Failed to create new chat session.");
-    } finally {
-      setIsCreatingSession(false);
-    }
+  const handleDiscardMessage = (entry) => {
+    removeFromOutbox(entry.id);
+    syncOutbox();
   };
 
+  // Queued messages are shown after the delivered history until stored
+  const displayedMessages = useMemo(() => {
+    if (!activeSession) return messages;
+
+    const known = new Set(messages.map((m) => m.id));
+    const queued = outbox.filter(
+      (entry) =>
+        entry.chat_session_id === activeSession.id && !known.has(entry.id),
+    );
+    return queued.length ? [...messages, ...queued] : messages;
+  }, [messages, outbox, activeSession]);
+
+  // Handle input change
+  const handleInputChange = (e) => {
+    const value = e.target.value;
+    setNewMessage(value);
+
+    if (value.trim()) {
+      notifyTyping();
+    } else {
+      stopTyping();
+    }
+  };
 
-  // Create a demo chat session with default values
-  const createDemoChat = () => {
-    console.log("createDemoChat called");
-    handleCreateNewSessionNoParams();
+  // Handle key press (Enter to send, Shift+Enter for new line)
+  const handleKeyPress = (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      handleSendMessage();
+    }
   };
 
   // Filter sessions based on search
+  const normalizedSearch = searchTerm.toLowerCase();
   const filteredSessions = sessions.filter(
     (session) =>
-      session.product?.name.toLowerCase().includes(searchTerm.toLowerCase()) ||
-      session.buyer?.username
-        ?.toLowerCase()
-        .includes(searchTerm.toLowerCase()) ||
-      session.seller?.username
-        ?.toLowerCase()
-        .includes(searchTerm.toLowerCase()),
+      getSessionTitle(session).toLowerCase().includes(normalizedSearch) ||
+      session.buyer?.username?.toLowerCase().includes(normalizedSearch) ||
+      session.seller?.username?.toLowerCase().includes(normalizedSearch),
   );
 
   // Main render
@@ -470,23 +775,36 @@ const ChatPage = ({ initialSession }) => {
             onSessionSelect={handleSessionSelect}
             searchTerm={searchTerm}
             onSearchChange={setSearchTerm}
-            onCreateNewSession={createDemoChat}
-            isCreatingSession={isCreatingSession}
+            unreadCounts={unreadCounts}
+            user={user}
           />
         </div>
 
         {/* Chat Interface - fills remaining space */}
         <ChatInterface
           activeSession={activeSession}
-          messages={messages}
+          messages={displayedMessages}
+          isLoadingMessages={isLoadingMessages}
+          hasMoreMessages={hasMoreMessages}
+          isLoadingOlder={isLoadingOlder}
+          onLoadOlderMessages={handleLoadOlderMessages}
           newMessage={newMessage}
           onMessageChange={handleInputChange}
           onKeyPress={handleKeyPress}
           onSendMessage={handleSendMessage}
           isSendingMessage={isSendingMessage}
+          onSendImage={handleSendImage}
+          onSendOffer={handleSendOffer}
+          onOfferAction={handleOfferAction}
+          onRetryMessage={handleRetryMessage}
+          onDiscardMessage={handleDiscardMessage}
+          isRespondingToOffer={isRespondingToOffer}
+          isSeller={activeSession?.seller_id === user?.id}
           wsConnectionStatus={wsConnectionStatus}
           wsConnectionError={wsConnectionError}
           onRetryConnection={retryWebSocketConnection}
+          isPartnerTyping={isPartnerTyping}
+          isPartnerOnline={isPartnerOnline}
           user={user}
         />
       </div>
@@ -3,8 +3,13 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import Button from "./common/Button";
 import ErrorMessage from "./common/ErrorMessage";
-import apiClient from "../utils/apiClient";
-import { storeProductFields } from "../utils/localProductStorage";
+import { itemsService } from "../services/itemsService";
+import { diagnosticsService } from "../services/diagnosticsService";
+import DiagnosticForm from "./diagnostics/DiagnosticForm";
+import PricingAssistant from "./market/PricingAssistant";
+import PostImageList from "./images/PostImageList";
+import { MAX_POST_IMAGES } from "../utils/imageValidation";
+import { usePostImageUploads } from "../utils/postImageUpload";
 import "./CreatePost.css";
 
 const CreatePost = () => {
@@ -29,10 +34,19 @@ const CreatePost = () => {
     condition: "good",
     battery_health: "",
     date_bought: "",
-    market_value: "",
   });
-  const [selectedFiles, setSelectedFiles] = useState([]);
-  const [previewUrls, setPreviewUrls] = useState([]);
+  const [diagnosticReport, setDiagnosticReport] = useState(null);
+  const [marketAnalysis, setMarketAnalysis] = useState(null);
+  const {
+    images,
+    addFiles,
+    removeImage,
+    moveImage,
+    setCoverImage,
+    replaceImageFile,
+    uploadPending,
+    isUploading,
+  } = usePostImageUploads({ userId: user?.id });
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(false);
 
@@ -45,47 +59,9 @@ const CreatePost = () => {
   };
 
   const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length + selectedFiles.length > 5) {
-      setError("Maximum 5 images allowed");
-      return;
-    }
-
-    const validFiles = files.filter((file) => {
-      const validTypes = [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/webp",
-        "image/gif",
-      ];
-      if (!validTypes.includes(file.type)) {
-        setError(
-          `Invalid file type: ${file.name}. Only JPEG, PNG, WebP, and GIF are allowed.`,
-        );
-        return false;
-      }
-      if (file.size > 20 * 1024 * 1024) {
-        setError(`File too large: ${file.name}. Maximum size is 20MB.`);
-        return false;
-      }
-      return true;
-    });
-
-    setSelectedFiles((prev) => [...prev, ...validFiles]);
-
-    // Create preview URLs
-    const newPreviewUrls = validFiles.map((file) => URL.createObjectURL(file));
-    setPreviewUrls((prev) => [...prev, ...newPreviewUrls]);
-    setError("");
-  };
-
-  const removeFile = (index) => {
-    setSelectedFiles((prev) => prev.filter((_, i) => i !== index));
-    setPreviewUrls((prev) => {
-      URL.revokeObjectURL(prev[index]);
-      return prev.filter((_, i) => i !== index);
-    });
+    setError(addFiles(e.target.files) || "");
+    // Let the same file be picked again after removing it
+    e.target.value = "";
   };
 
   const handleSubmit = async (e) => {
@@ -101,40 +77,53 @@ const CreatePost = () => {
     setLoading(true);
 
     try {
-      // Convert files to base64 for upload
-      const imagePromises = selectedFiles.map((file) => {
-        return new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.readAsDataURL(file);
-          reader.onload = () => {
-            const base64 = reader.result.split(",")[1];
-            resolve({
-              base64: base64,
-              mimetype: file.type,
-              originalname: file.name,
-              size: file.size,
-            });
-          };
-          reader.onerror = reject;
-        });
-      });
-
-      const images = await Promise.all(imagePromises);
+      // Images go straight to storage; the item only references them
+      const upload = await uploadPending();
+      if (!upload.success) {
+        setError(upload.error);
+        return;
+      }
 
       const postData = {
         ...formData,
         price: parseFloat(formData.price),
+        battery_health: formData.battery_health
+          ? parseInt(formData.battery_health)
+          : null,
+        date_bought: formData.date_bought || null,
         user_id: user.id,
-        images: images,
+        images: upload.storagePaths,
         seller: user?.name || "Unknown",
         posted: new Date().toISOString().split("T")[0],
+        market_value: marketAnalysis?.finalValue ?? null,
+        price_history: [
+          {
+            price: parseFloat(formData.price),
+            changed_at: new Date().toISOString(),
+          },
+        ],
       };
 
       console.log("Sending post data to server:", postData);
-      const response = await apiClient.post("/api/items", postData);
+      const response = await itemsService.createItem(postData);
       console.log("Server response:", response);
 
       if (response.success) {
+        // The report can only be filed once the item exists
+        const productId = response.data?.id;
+        if (productId && diagnosticReport) {
+          const diagnosticResponse = await diagnosticsService.createReport(
+            productId,
+            diagnosticReport,
+          );
+          if (!diagnosticResponse.success) {
+            alert(
+              "Post created, but the diagnostic report could not be saved: " +
+                diagnosticResponse.error,
+            );
+          }
+        }
+
         console.log("Post created successfully, navigating to home");
         navigate("/home");
       } else {
@@ -172,37 +161,26 @@ const CreatePost = () => {
                   accept="image/jpeg,image/jpg,image/png,image/webp,image/gif"
                   multiple
                   onChange={handleFileSelect}
-                  disabled={selectedFiles.length >= 5}
+                  disabled={images.length >= MAX_POST_IMAGES || isUploading}
                   className="file-input"
                 />
                 <label htmlFor="images" className="file-upload-button">
                   Choose Images
                 </label>
                 <span className="file-count">
-                  {selectedFiles.length}/5 images selected
+                  {images.length}/{MAX_POST_IMAGES} images selected
                 </span>
               </div>
 
-              {previewUrls.length > 0 && (
-                <div className="image-preview-container">
-                  {previewUrls.map((url, index) => (
-                    <div key={index} className="image-preview-item">
-                      <img
-                        src={url}
-                        alt={`Preview ${index + 1}`}
-                        className="image-preview"
-                      />
-                      <button
-                        type="button"
-                        className="remove-image-button"
-                        onClick={() => removeFile(index)}
-                      >
-                        ×
-                      </button>
-                    </div>
-                  ))}
-                </div>
-              )}
+              <PostImageList
+                images={images}
+                onMove={moveImage}
+                onSetCover={setCoverImage}
+                onEdit={replaceImageFile}
+                onRemove={removeImage}
+                altText="Preview"
+                disabled={isUploading}
+              />
             </div>
           </div>
 
@@ -264,6 +242,7 @@ const CreatePost = () => {
                 <option value="phones">Phones & Tablets</option>
                 <option value="home-appliances">Home Appliances</option>
                 <option value="computers">Computers & Laptops</option>
+                <option value="gaming">Gaming Consoles</option>
                 <option value="audio">Audio & Headphones</option>
                 <option value="other">Other Electronics</option>
               </select>
@@ -317,19 +296,33 @@ const CreatePost = () => {
               />
             </div>
 
-            <div className="form-group">
-              <label htmlFor="market_value">Market Value ($)</label>
-              <input
-                type="number"
-                id="market_value"
-                name="market_value"
-                value={formData.market_value}
-                onChange={handleInputChange}
-                placeholder="Enter estimated market value"
-                min="0"
-                step="0.01"
-              />
-            </div>
+          </div>
+
+          {/* Pricing Section */}
+          <div className="form-section pricing-section">
+            <h3 className="form-section-title">Pricing</h3>
+            <PricingAssistant
+              product={formData}
+              diagnosticReport={diagnosticReport}
+              onAnalysisChange={setMarketAnalysis}
+              onApplySuggestion={(value) =>
+                setFormData((prev) => ({ ...prev, price: value.toFixed(2) }))
+              }
+            />
+          </div>
+
+          {/* Diagnostics Section */}
+          <div className="form-section diagnostics-section">
+            <h3 className="form-section-title">Diagnostics</h3>
+            <p className="form-section-description">
+              Run through the hardware checklist. Buyers see this report on
+              your listing.
+            </p>
+            <DiagnosticForm
+              embedded
+              category={formData.category}
+              onChange={setDiagnosticReport}
+            />
           </div>
 
           <div className="form-actions">
@@ -341,7 +334,11 @@ const CreatePost = () => {
               Cancel
             </Button>
             <Button type="submit" variant="primary" disabled={loading}>
-              {loading ? "Creating..." : "Create Post"}
+              {isUploading
+                ? "Uploading images..."
+                : loading
+                  ? "Creating..."
+                  : "Create Post"}
             </Button>
           </div>
         </form>
@@ -3,8 +3,19 @@ import { useParams, useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
 import Button from "./common/Button";
 import ErrorMessage from "./common/ErrorMessage";
-import apiClient from "../utils/apiClient";
-import { storeProductFields } from "../utils/localProductStorage";
+import { queryCache, fetchApi, useApiQuery } from "../utils/queryCache";
+import { itemsService } from "../services/itemsService";
+import {
+  diagnosticsService,
+  getDiagnosticsEndpoint,
+  sortReports,
+} from "../services/diagnosticsService";
+import DiagnosticForm from "./diagnostics/DiagnosticForm";
+import PricingAssistant from "./market/PricingAssistant";
+import { appendPriceChange } from "../utils/priceHistory";
+import PostImageList from "./images/PostImageList";
+import { MAX_POST_IMAGES } from "../utils/imageValidation";
+import { getStoragePath, usePostImageUploads } from "../utils/postImageUpload";
 import "./EditPost.css";
 
 const EditPost = () => {
@@ -20,15 +31,34 @@ const EditPost = () => {
     condition: "good",
     battery_health: "",
     date_bought: "",
-    market_value: "",
   });
   
-  const [selectedFiles, setSelectedFiles] = useState([]);
-  const [previewUrls, setPreviewUrls] = useState([]);
-  const [existingImages, setExistingImages] = useState([]);
+  const {
+    images,
+    setUploadedImages,
+    addFiles,
+    removeImage,
+    moveImage,
+    setCoverImage,
+    replaceImageFile,
+    uploadPending,
+    isUploading,
+  } = usePostImageUploads({ userId: user?.id });
   const [error, setError] = useState("");
   const [loading, setLoading] = useState(true);
   const [saving, setSaving] = useState(false);
+  const [originalPost, setOriginalPost] = useState(null);
+  const [fileNewReport, setFileNewReport] = useState(false);
+  const [diagnosticReport, setDiagnosticReport] = useState(null);
+  const [marketAnalysis, setMarketAnalysis] = useState(null);
+
+  // A new report is prefilled from the latest one; reports are never edited
+  const { data: diagnosticsData } = useApiQuery(getDiagnosticsEndpoint(id));
+  const latestReport = sortReports(
+    Array.isArray(diagnosticsData)
+      ? diagnosticsData
+      : diagnosticsData?.reports || [],
+  )[0];
 
   // Fetch existing post data
   useEffect(() => {
@@ -37,22 +67,30 @@ const EditPost = () => {
       return;
     }
 
+    let cancelled = false;
+    const endpoint = `/api/items/${id}`;
+
     const fetchPost = async () => {
       try {
         setLoading(true);
         setError("");
 
-        const response = await apiClient.get(`/api/items/${id}`);
-        
-        if (response.success) {
-          const post = response.data;
-          
+        // Served from the shared cache when the item was just viewed
+        const post = await queryCache.fetchQuery(endpoint, ({ signal }) =>
+          fetchApi(endpoint, { signal }),
+        );
+
+        if (cancelled) return;
+
+        if (post) {
           // Check if user owns this post
           if (post.user?.id !== user.id) {
             setError("You don't have permission to edit this post");
             return;
           }
 
+          setOriginalPost(post);
+
           // Populate form data
           setFormData({
             title: post.title || "",
@@ -62,26 +100,29 @@ const EditPost = () => {
             condition: post.condition || "good",
             battery_health: post.battery_health || "",
             date_bought: post.date_bought || "",
-            market_value: post.market_value || "",
           });
 
-          // Store existing images
-          if (post.images && post.images.length > 0) {
-            setExistingImages(post.images);
-          }
+          setUploadedImages(post.images || []);
         } else {
-          setError(response.error || "Failed to fetch post data");
+          setError("Failed to fetch post data");
         }
       } catch (err) {
+        if (cancelled) return;
         console.error("Error fetching post:", err);
-        setError("Failed to load post data");
+        setError(err.message || "Failed to load post data");
       } finally {
-        setLoading(false);
+        if (!cancelled) {
+          setLoading(false);
+        }
       }
     };
 
     fetchPost();
-  }, [id, isAuthenticated, user, navigate]);
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, isAuthenticated, user, navigate, setUploadedImages]);
 
   const handleInputChange = (e) => {
     const { name, value } = e.target;
@@ -92,51 +133,9 @@ const EditPost = () => {
   };
 
   const handleFileSelect = (e) => {
-    const files = Array.from(e.target.files);
-    if (files.length + selectedFiles.length > 5) {
-      setError("Maximum 5 images allowed");
-      return;
-    }
-
-    const validFiles = files.filter((file) => {
-      const validTypes = [
-        "image/jpeg",
-        "image/jpg",
-        "image/png",
-        "image/webp",
-        "image/gif",
-      ];
-      if (!validTypes.includes(file.type)) {
-        setError(
-          `Invalid file type: ${file.name}. Only JPEG, PNG, WebP, and GIF are allowed.`,
-        );
-        return false;
-      }
-      if (file.size > 20 * 1024 * 1024) {
-        setError(`File too large: ${file.name}. Maximum size is 20MB.`);
-        return false;
-      }
-      return true;
-    });
-
-    setSelectedFiles((prev) => [...prev, ...validFiles]);
-
-    // Create preview URLs
-    const newPreviewUrls = validFiles.map((file) => URL.createObjectURL(file));
-    setPreviewUrls((prev) => [...prev, ...newPreviewUrls]);
-    setError("");
-  };
-
-  const removeFile = (index) => {
-    setSelectedFiles((prev) => prev.filter((_, i) => i !== index));
-    setPreviewUrls((prev) => {
-      URL.revokeObjectURL(prev[index]);
-      return prev.filter((_, i) => i !== index);
-    });
-  };
-
-  const removeExistingImage = (index) => {
-    setExistingImages((prev) => prev.filter((_, i) => i !== index));
+    setError(addFiles(e.target.files) || "");
+    // Let the same file be picked again after removing it
+    e.target.value = "";
   };
 
   const handleSubmit = async (e) => {
@@ -151,83 +150,63 @@ const EditPost = () => {
     setSaving(true);
 
     try {
-      // Convert files to base64 for upload
-      const imagePromises = selectedFiles.map((file) => {
-        return new Promise((resolve, reject) => {
-          const reader = new FileReader();
-          reader.readAsDataURL(file);
-          reader.onload = () => {
-            const base64 = reader.result.split(",")[1];
-            resolve({
-              base64: base64,
-              mimetype: file.type,
-              originalname: file.name,
-              size: file.size,
-            });
-          };
-          reader.onerror = reject;
-        });
-      });
-
-      const images = await Promise.all(imagePromises);
+      // New images go straight to storage; the item only references them
+      const upload = await uploadPending();
+      if (!upload.success) {
+        setError(upload.error);
+        return;
+      }
+
+      const originalPaths = (originalPost?.images || []).map(getStoragePath);
+      const imagesChanged =
+        upload.storagePaths.length !== originalPaths.length ||
+        upload.storagePaths.some(
+          (path, index) => path !== originalPaths[index],
+        );
 
       const updateData = {
         ...formData,
         price: parseFloat(formData.price),
-        images: images.length > 0 ? images : undefined,
+        // The full list replaces the stored one, so only send it on change
+        images: imagesChanged ? upload.storagePaths : undefined,
+        // Only sent when the asking price actually changed
+        price_history: appendPriceChange(
+          originalPost,
+          parseFloat(formData.price),
+        ),
       };
 
-      // Convert battery_health to number if provided
-      if (formData.battery_health) {
-        updateData.battery_health = parseInt(formData.battery_health);
-      }
+      // Clearing the field clears the stored value
+      updateData.battery_health = formData.battery_health
+        ? parseInt(formData.battery_health)
+        : null;
+      updateData.date_bought = formData.date_bought || null;
 
-      // Convert market_value to number if provided
-      if (formData.market_value) {
-        updateData.market_value = parseFloat(formData.market_value);
+      // Market value comes from the pricing assistant; keep the stored one
+      // when there weren't enough comparables to estimate it
+      if (marketAnalysis) {
+        updateData.market_value = marketAnalysis.finalValue;
       }
 
       console.log("Updating post with data:", updateData);
-      const response = await apiClient.put(`/api/items/${id}`, updateData);
+      const response = await itemsService.updateItem(id, updateData);
       console.log("Server response:", response);
 
       if (response.success) {
-        // Store additional fields locally for frontend use
-        const additionalFields = {
-          battery_health: formData.battery_health
-            ? parseInt(formData.battery_health)
-            : null,
-          market_value: formData.market_value
-            ? parseFloat(formData.market_value)
-            : null,
-          has_diagnostics: !!formData.battery_health,
-        };
-
         // Get the product ID from the response
         const productId = response.data?.id || id;
-        console.log("🔍 Debug - Full API response:", response);
-        console.log("🔍 Debug - Response data:", response.data);
-        console.log("🔍 Debug - Product ID:", productId);
-
-        if (productId) {
-          console.log("💾 Storing additional fields for product:", {
-            productId: productId,
-            additionalFields: additionalFields,
-          });
-          storeProductFields(productId, additionalFields);
 
-          // Verify storage worked
-          setTimeout(() => {
-            const storedFields = JSON.parse(
-              localStorage.getItem("productAdditionalFields") || "{}",
-            );
-            console.log(
-              "✅ Verification - Stored fields in localStorage:",
-              storedFields[productId],
+        if (fileNewReport && diagnosticReport) {
+          const diagnosticResponse = await diagnosticsService.createReport(
+            productId,
+            diagnosticReport,
+          );
+          if (!diagnosticResponse.success) {
+            alert(
+              "Post updated, but the diagnostic report could not be saved: " +
+                diagnosticResponse.error,
             );
-          }, 100);
-        } else {
-          console.warn("⚠️ No product ID found in response:", response);
+          }
         }
 
         console.log("Post updated successfully, navigating to my posts");
@@ -327,6 +306,7 @@ const EditPost = () => {
               <option value="phones">Phones & Tablets</option>
               <option value="home-appliances">Home Appliances</option>
               <option value="computers">Computers & Laptops</option>
+              <option value="gaming">Gaming Consoles</option>
               <option value="audio">Audio & Headphones</option>
               <option value="other">Other Electronics</option>
             </select>
@@ -376,16 +356,16 @@ const EditPost = () => {
           </div>
 
           <div className="form-group">
-            <label htmlFor="market_value">Market Value ($)</label>
-            <input
-              type="number"
-              id="market_value"
-              name="market_value"
-              value={formData.market_value}
-              onChange={handleInputChange}
-              placeholder="Enter estimated market value"
-              min="0"
-              step="0.01"
+            <label>Pricing</label>
+            <PricingAssistant
+              product={{ ...formData, id }}
+              diagnosticReport={
+                fileNewReport ? diagnosticReport : latestReport
+              }
+              onAnalysisChange={setMarketAnalysis}
+              onApplySuggestion={(value) =>
+                setFormData((prev) => ({ ...prev, price: value.toFixed(2) }))
+              }
             />
           </div>
 
@@ -399,62 +379,50 @@ const EditPost = () => {
                 accept="image/jpeg,image/jpg,image/png,image/webp,image/gif"
                 multiple
                 onChange={handleFileSelect}
-                disabled={selectedFiles.length >= 5}
+                disabled={images.length >= MAX_POST_IMAGES || isUploading}
                 className="file-input"
               />
               <label htmlFor="images" className="file-upload-button">
                 Choose Images
               </label>
               <span className="file-count">
-                {selectedFiles.length}/5 images selected
+                {images.length}/{MAX_POST_IMAGES} images selected
               </span>
             </div>
 
-            {previewUrls.length > 0 && (
-              <div className="image-preview-container">
-                <h4>New Images</h4>
-                {previewUrls.map((url, index) => (
-                  <div key={index} className="image-preview-item">
-                    <img
-                      src={url}
-                      alt={`Preview ${index + 1}`}
-                      className="image-preview"
-                    />
-                    <button
-                      type="button"
-                      className="remove-image-button"
-                      onClick={() => removeFile(index)}
-                    >
-                      ×
-                    </button>
-                  </div>
-                ))}
-              </div>
-            )}
+            <PostImageList
+              images={images}
+              onMove={moveImage}
+              onSetCover={setCoverImage}
+              onEdit={replaceImageFile}
+              onRemove={removeImage}
+              altText={formData.title || "Post photo"}
+              disabled={isUploading}
+            />
+          </div>
 
-            {existingImages.length > 0 && (
-              <div className="existing-images-container">
-                <h4>Existing Images</h4>
-                {existingImages.map((image, index) => (
-                  <div key={index} className="image-preview-item">
-                    <img
-                      src={image.image_url || image.publicUrl}
-                      alt={`Existing ${index + 1}`}
-                      className="image-preview"
-                      onError={(e) => {
-                        e.target.src = null;
-                      }}
-                    />
-                    <button
-                      type="button"
-                      className="remove-image-button"
-                      onClick={() => removeExistingImage(index)}
-                    >
-                      × Remove
-                    </button>
-                  </div>
-                ))}
-              </div>
+          <div className="form-group diagnostics-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={fileNewReport}
+                onChange={(e) => setFileNewReport(e.target.checked)}
+              />
+              File a new diagnostic report
+            </label>
+            <p className="diagnostics-hint">
+              {latestReport
+                ? `Last report: ${new Date(latestReport.created_at).toLocaleDateString()} (${latestReport.performance_score}% performance)`
+                : "No diagnostic report on file for this item yet."}
+            </p>
+            {fileNewReport && (
+              <DiagnosticForm
+                key={latestReport?.id || "new"}
+                embedded
+                category={formData.category}
+                initialData={latestReport}
+                onChange={setDiagnosticReport}
+              />
             )}
           </div>
 
@@ -467,7 +435,11 @@ const EditPost = () => {
               Cancel
             </Button>
             <Button type="submit" variant="primary" disabled={saving}>
-              {saving ? "Saving..." : "Update Post"}
+              {isUploading
+                ? "Uploading images..."
+                : saving
+                  ? "Saving..."
+                  : "Update Post"}
             </Button>
           </div>
         </form>
@@ -1,9 +1,20 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { useChatNotifications } from "../contexts/ChatNotificationsContext";
+import { useSavedSearches } from "../contexts/SavedSearchesContext";
+import { useWatchlist } from "../contexts/WatchlistContext";
+import { useCart } from "../contexts/CartContext";
+import { useReports } from "../contexts/ReportsContext";
+import { describeWatchAlert } from "../services/watchlistService";
+import { REPORT_STATUS } from "../services/reportsService";
+import { buildListingSearchParams } from "../utils/listingQuery";
 import { toggleDarkMode } from "../utils/darkMode";
+import { PERMISSIONS } from "../utils/permissions";
 import Button from "./common/Button";
 import IconButton from "./common/IconButton";
+import NotificationToast from "./common/NotificationToast";
+import RequirePermission from "./auth/RequirePermission";
 import "./Header.css";
 import "../styles/common.css";
 
@@ -16,7 +27,25 @@ const Header = ({
   onLogout,
 }) => {
   const navigate = useNavigate();
-  const { isAdmin, logout } = useAuth();
+  const { logout } = useAuth();
+  const { totalUnread } = useChatNotifications();
+  const {
+    savedSearches,
+    newCounts,
+    totalNew,
+    latestAlert,
+    removeSearch,
+    markSearchSeen,
+    dismissAlert,
+  } = useSavedSearches();
+  const {
+    alerts: watchAlerts,
+    latestAlert: latestWatchAlert,
+    dismissAlert: dismissWatchAlert,
+  } = useWatchlist();
+  const totalAlerts = totalNew + watchAlerts.length;
+  const { itemCount: cartCount } = useCart();
+  const { resolvedReport, acknowledgeResolution } = useReports();
 
   const handleSignIn = () => {
     navigate("/login");
@@ -34,10 +63,99 @@ const Header = ({
     navigate("/my-posts");
   };
 
+  const handleSavedItems = () => {
+    navigate("/saved");
+  };
+
   const handleNavigateToAdmin = () => {
     navigate("/admin");
   };
 
+  const handleOpenSavedSearch = (searchId) => {
+    const search = savedSearches.find((item) => item.id === searchId);
+    if (!search) return;
+    navigate(`/home?${buildListingSearchParams(search.query || {})}`);
+    markSearchSeen(searchId);
+  };
+
+  const handleRemoveSavedSearch = async (searchId) => {
+    const response = await removeSearch(searchId);
+    if (!response.success) {
+      console.error("Error removing saved search:", response.error);
+    }
+  };
+
+  const alertSearch = latestAlert
+    ? savedSearches.find((search) => search.id === latestAlert.searchId)
+    : null;
+
+  const reportNotification = resolvedReport && {
+    id: `report:${resolvedReport.id}`,
+    kind: "report",
+    icon:
+      resolvedReport.status === REPORT_STATUS.ACTIONED ? "verified" : "flag",
+    title:
+      resolvedReport.status === REPORT_STATUS.ACTIONED
+        ? `We took action on "${resolvedReport.target_title}"`
+        : `We reviewed "${resolvedReport.target_title}"`,
+    message:
+      resolvedReport.resolution_note ||
+      (resolvedReport.status === REPORT_STATUS.ACTIONED
+        ? "Thanks for your report."
+        : "It didn't break our rules, but thanks for letting us know."),
+  };
+
+  // Watched listings changing outrank new saved-search matches, and both
+  // outrank report outcomes, which wait until they've been seen
+  const notification = latestWatchAlert
+    ? {
+        id: latestWatchAlert.id,
+        kind: "watchlist",
+        icon: "favorite",
+        title: describeWatchAlert(latestWatchAlert),
+        message: latestWatchAlert.title,
+        actionLabel: "View",
+      }
+    : alertSearch
+      ? {
+          id: `${alertSearch.id}:${latestAlert.item.id}`,
+          kind: "saved-search",
+          searchId: alertSearch.id,
+          title:
+            newCounts[alertSearch.id] > 1
+              ? `${newCounts[alertSearch.id]} new listings match "${alertSearch.name}"`
+              : `New listing matches "${alertSearch.name}"`,
+          message: latestAlert.item.title,
+          actionLabel: "View",
+        }
+      : reportNotification;
+
+  const handleNotificationAction = (shown) => {
+    if (shown.kind === "watchlist") {
+      dismissWatchAlert();
+      navigate("/saved");
+    } else {
+      handleOpenSavedSearch(shown.searchId);
+    }
+  };
+
+  const handleNotificationDismiss = React.useCallback(() => {
+    if (latestWatchAlert) {
+      dismissWatchAlert();
+    } else if (alertSearch) {
+      dismissAlert();
+    } else if (resolvedReport) {
+      acknowledgeResolution(resolvedReport.id);
+    }
+  }, [
+    latestWatchAlert,
+    dismissWatchAlert,
+    alertSearch,
+    dismissAlert,
+    resolvedReport,
+    acknowledgeResolution,
+  ]);
+
   const handleLogout = async () => {
     try {
       // Use AuthContext logout function if available, otherwise fall back to prop
@@ -107,7 +225,17 @@ const Header = ({
             {/* <a href="/categories">Shop by Category</a> */}
             {/* <a href="/how-it-works">How it Works</a> */}
             {/* <a href="/about">About Us</a> */}
-            <a href="/chat" className="nav-link">Chat</a>
+            <a href="/chat" className="nav-link">
+              Chat
+              {isAuthenticated && totalUnread > 0 && (
+                <span
+                  className="nav-badge"
+                  aria-label={`${totalUnread} unread messages`}
+                >
+                  {totalUnread > 99 ? "99+" : totalUnread}
+                </span>
+              )}
+            </a>
           </div>
         </div>
         <div className="action-buttons">
@@ -120,6 +248,14 @@ const Header = ({
                     account_circle
                   </span>
                   <span className="welcome-text">Welcome, {username}</span>
+                  {totalAlerts > 0 && (
+                    <span
+                      className="nav-badge"
+                      aria-label={`${totalAlerts} new alerts`}
+                    >
+                      {totalAlerts > 99 ? "99+" : totalAlerts}
+                    </span>
+                  )}
                   <span className="material-symbols-outlined dropdown-arrow">
                     {isDropdownOpen ? "expand_less" : "expand_more"}
                   </span>
@@ -127,7 +263,7 @@ const Header = ({
 
                 {isDropdownOpen && (
                   <div className="dropdown-menu">
-                    {isAdmin() && (
+                    <RequirePermission permission={PERMISSIONS.ACCESS_ADMIN}>
                       <button
                         className="dropdown-item admin-item"
                         onClick={() =>
@@ -139,7 +275,7 @@ const Header = ({
                         </span>
                         <span>Dashboard</span>
                       </button>
-                    )}
+                    </RequirePermission>
                     <button
                       className="dropdown-item"
                       onClick={() => handleDropdownItemClick(handleMyPosts)}
@@ -149,6 +285,23 @@ const Header = ({
                       </span>
                       <span>My Posts</span>
                     </button>
+                    <button
+                      className="dropdown-item"
+                      onClick={() => handleDropdownItemClick(handleSavedItems)}
+                    >
+                      <span className="material-symbols-outlined">
+                        favorite
+                      </span>
+                      <span>Saved Items</span>
+                      {watchAlerts.length > 0 && (
+                        <span
+                          className="nav-badge"
+                          aria-label={`${watchAlerts.length} saved items changed`}
+                        >
+                          {watchAlerts.length}
+                        </span>
+                      )}
+                    </button>
                     <button
                       className="dropdown-item"
                       onClick={() => handleDropdownItemClick(handleCreatePost)}
@@ -158,6 +311,53 @@ const Header = ({
                       </span>
                       <span>Create Post</span>
                     </button>
+                    <div className="dropdown-section">
+                      <span className="dropdown-section-title">
+                        Saved searches
+                      </span>
+                      {savedSearches.length === 0 ? (
+                        <span className="dropdown-empty">
+                          Save a search from the home page to get alerts
+                        </span>
+                      ) : (
+                        savedSearches.map((search) => (
+                          <div key={search.id} className="saved-search-item">
+                            <button
+                              className="dropdown-item"
+                              onClick={() =>
+                                handleDropdownItemClick(() =>
+                                  handleOpenSavedSearch(search.id),
+                                )
+                              }
+                            >
+                              <span className="material-symbols-outlined">
+                                saved_search
+                              </span>
+                              <span className="saved-search-name">
+                                {search.name}
+                              </span>
+                              {newCounts[search.id] > 0 && (
+                                <span
+                                  className="nav-badge"
+                                  aria-label={`${newCounts[search.id]} new listings`}
+                                >
+                                  {newCounts[search.id]}
+                                </span>
+                              )}
+                            </button>
+                            <button
+                              className="saved-search-remove"
+                              onClick={() => handleRemoveSavedSearch(search.id)}
+                              aria-label={`Remove saved search ${search.name}`}
+                            >
+                              <span className="material-symbols-outlined">
+                                close
+                              </span>
+                            </button>
+                          </div>
+                        ))
+                      )}
+                    </div>
                     <button
                       className="dropdown-item logout-item"
                       onClick={() => handleDropdownItemClick(handleLogoutClick)}
@@ -169,6 +369,19 @@ const Header = ({
                 )}
               </div>
 
+              <IconButton
+                className="cart-button"
+                onClick={() => navigate("/cart")}
+                aria-label={`Cart, ${cartCount} items`}
+              >
+                <span className="material-symbols-outlined">shopping_cart</span>
+                {cartCount > 0 && (
+                  <span className="nav-badge cart-badge">
+                    {cartCount > 99 ? "99+" : cartCount}
+                  </span>
+                )}
+              </IconButton>
+
               <IconButton onClick={handleToggleDarkMode}>
                 <span className="material-symbols-outlined">
                   {isDarkMode ? "light_mode" : "dark_mode"}
@@ -193,6 +406,13 @@ const Header = ({
           )}
         </div>
       </div>
+      {isAuthenticated && (
+        <NotificationToast
+          notification={notification}
+          onAction={handleNotificationAction}
+          onDismiss={handleNotificationDismiss}
+        />
+      )}
     </header>
   );
 };
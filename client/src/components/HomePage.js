@@ -1,25 +1,64 @@
-import React, { useState, useEffect } from "react";
-import { useNavigate, useLocation } from "react-router-dom";
+import React, {
+  useState,
+  useEffect,
+  useCallback,
+  useMemo,
+  useRef,
+} from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { useSavedSearches } from "../contexts/SavedSearchesContext";
 import LoadingSpinner from "./common/LoadingSpinner";
 import ErrorMessage from "./common/ErrorMessage";
 import Header from "./Header";
 import ProductCard from "./ProductCard";
 import AuthDebug from "./AuthDebug";
 import AuthPopup from "./common/AuthPopup";
+import RequirePermission from "./auth/RequirePermission";
+import Button from "./common/Button";
+import ListingFilters from "./listings/ListingFilters";
 import "../NewLandingPage.css";
-import { API_URL } from "../config";
+import apiClient from "../utils/apiClient";
+import { queryCache, useQuery } from "../utils/queryCache";
+import {
+  LISTINGS_PAGE_SIZE,
+  SORT_OPTIONS,
+  EMPTY_LISTING_FILTERS,
+  parseListingQuery,
+  buildListingSearchParams,
+  buildListingEndpoint,
+  normalizeListingPage,
+  countActiveFilters,
+  describeListingQuery,
+} from "../utils/listingQuery";
+import { PERMISSIONS } from "../utils/permissions";
 
 const HomePage = ({ isDarkMode, setIsDarkMode }) => {
   const navigate = useNavigate();
-  const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
   const { user, isAuthenticated, logout } = useAuth();
-  const [products, setProducts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [searchQuery, setSearchQuery] = useState("");
+  const { isSearchSaved, saveSearch } = useSavedSearches();
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [loadMoreError, setLoadMoreError] = useState(null);
+  const [showFilters, setShowFilters] = useState(false);
+  const [searchQuery, setSearchQuery] = useState(
+    searchParams.get("q") || "",
+  );
   const [showAuthPopup, setShowAuthPopup] = useState(false);
+  const [savingSearch, setSavingSearch] = useState(false);
+  const [saveSearchError, setSaveSearchError] = useState(null);
   const [hasMounted, setHasMounted] = useState(false);
+  const loadMoreRef = useRef(null);
+
+  // Filters and sort live in the URL so views can be bookmarked and shared
+  const searchString = searchParams.toString();
+  const listingQuery = useMemo(
+    () => parseListingQuery(new URLSearchParams(searchString)),
+    [searchString],
+  );
+  const activeFilterCount = countActiveFilters(listingQuery);
+  const hasSearchCriteria = !!listingQuery.q || activeFilterCount > 0;
+  const searchSaved = hasSearchCriteria && isSearchSaved(listingQuery);
 
   // Handle authentication popup - only show after initial mount
   useEffect(() => {
@@ -32,91 +71,146 @@ const HomePage = ({ isDarkMode, setIsDarkMode }) => {
     setShowAuthPopup(true);
   }, [isAuthenticated, hasMounted]);
 
-  // Fetch products when component mounts, when page gains focus, or when location changes
-  useEffect(() => {
-    const fetchProducts = async () => {
-      try {
-        setLoading(true);
-        setError(null);
+  // The listing feed is cached under its first-page endpoint
+  const listingKey = buildListingEndpoint(listingQuery, 1);
+
+  // Revalidation reloads every page already shown in a single request
+  const fetchListing = useCallback(
+    async ({ signal, previousData }) => {
+      const pagesLoaded = previousData?.page || 1;
+      const limit = LISTINGS_PAGE_SIZE * pagesLoaded;
+      const response = await apiClient.get(
+        buildListingEndpoint(listingQuery, 1, limit),
+        { signal, auth: false },
+      );
 
+      if (!response.success) {
+        throw response.apiError;
+      }
 
-        const url = `${API_URL}/api/items`;
+      return { ...normalizeListingPage(response.data, limit), page: pagesLoaded };
+    },
+    [listingQuery],
+  );
 
-        console.log("Fetching products from:", url);
+  const {
+    data: listing,
+    error: listingError,
+    isLoading: loading,
+  } = useQuery(listingKey, fetchListing);
 
-        const response = await fetch(url, {
-          method: "GET",
-          headers: {
-            "Content-Type": "application/json",
-          },
-        });
+  const products = listing?.items || [];
+  const hasMore = !!listing?.hasMore;
+  const total = listing?.total ?? null;
+  const error = listingError
+    ? listingError.message || "Network error. Please try again later."
+    : null;
 
-        console.log("Response status:", response.status);
-        console.log("Response ok:", response.ok);
+  // Keep the search box in sync with the URL (back/forward, shared link)
+  useEffect(() => {
+    setSearchQuery(listingQuery.q);
+  }, [listingQuery.q]);
 
-        if (!response.ok) {
-          const errorText = await response.text();
-          console.error("Error response:", errorText);
-          throw new Error(`HTTP ${response.status}: ${errorText}`);
-        }
+  const handleLoadMore = useCallback(async () => {
+    if (!listing || loadingMore || !hasMore) return;
 
-        const data = await response.json();
-        console.log("Fetched products:", data.length);
+    const nextPage = listing.page + 1;
 
-        setProducts(data);
-      } catch (err) {
-        console.error("Fetch error:", err);
-        setError(err.message || "Network error. Please try again later.");
-      } finally {
-        setLoading(false);
+    try {
+      setLoadingMore(true);
+      setLoadMoreError(null);
+
+      const response = await apiClient.get(
+        buildListingEndpoint(listingQuery, nextPage),
+        { auth: false },
+      );
+      if (!response.success) {
+        throw response.apiError;
       }
-    };
 
-    fetchProducts();
+      const result = normalizeListingPage(response.data);
 
-    // Add event listener for when page gains focus (e.g., navigating back from create post)
-    const handleFocus = () => {
-      fetchProducts();
-    };
+      // Skip items already shown in case new listings shifted the pages
+      queryCache.setQueryData(listingKey, (prev) => {
+        const seen = new Set(prev.items.map((product) => product.id));
+        return {
+          ...prev,
+          items: [
+            ...prev.items,
+            ...result.items.filter((product) => !seen.has(product.id)),
+          ],
+          page: nextPage,
+          hasMore: result.hasMore,
+          total: result.total ?? prev.total,
+        };
+      });
+    } catch (err) {
+      console.error("Load more error:", err);
+      setLoadMoreError(err.message || "Failed to load more listings");
+    } finally {
+      setLoadingMore(false);
+    }
+  }, [listing, loadingMore, hasMore, listingQuery, listingKey]);
 
-    window.addEventListener("focus", handleFocus);
+  // Infinite scroll: load the next page when the sentinel scrolls into view
+  useEffect(() => {
+    const sentinel = loadMoreRef.current;
+    if (!sentinel || !hasMore || typeof IntersectionObserver === "undefined") {
+      return;
+    }
 
-    return () => {
-      window.removeEventListener("focus", handleFocus);
-    };
-  }, [location.key]); // Add location.key as dependency to refresh on navigation
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting) {
+          handleLoadMore();
+        }
+      },
+      { rootMargin: "200px" },
+    );
 
-  const handleSearch = async (e) => {
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasMore, handleLoadMore]);
+
+  const updateListingQuery = (changes) => {
+    setSearchParams(buildListingSearchParams({ ...listingQuery, ...changes }));
+  };
+
+  const handleSearch = (e) => {
     e.preventDefault();
-    if (!searchQuery.trim()) return;
+    updateListingQuery({ q: searchQuery.trim() });
+  };
 
-    try {
-      setLoading(true);
-      setError(null);
-
-
-      const response = await fetch(
-        `${API_URL}/api/items?search=${encodeURIComponent(searchQuery)}`,
-        {
-          method: "GET",
-          headers: {
-            "Content-Type": "application/json",
-          },
-        },
-      );
+  const handleApplyFilters = (filters) => {
+    updateListingQuery(filters);
+  };
 
-      const data = await response.json();
+  const handleClearFilters = () => {
+    setSearchParams(
+      buildListingSearchParams({
+        ...EMPTY_LISTING_FILTERS,
+        q: listingQuery.q,
+        sort: listingQuery.sort,
+      }),
+    );
+  };
 
-      if (response.ok) {
-        setProducts(data);
-      } else {
-        setError(data.error || "Search failed");
-      }
-    } catch (err) {
-      setError("Network error during search");
-    } finally {
-      setLoading(false);
+  const handleSortChange = (e) => {
+    updateListingQuery({ sort: e.target.value });
+  };
+
+  const handleSaveSearch = async () => {
+    setSavingSearch(true);
+    setSaveSearchError(null);
+
+    const response = await saveSearch(
+      describeListingQuery(listingQuery),
+      listingQuery,
+    );
+    if (!response.success) {
+      setSaveSearchError(response.error || "Failed to save search");
     }
+    setSavingSearch(false);
   };
 
   const handleViewDetails = (productId) => {
@@ -127,10 +221,9 @@ const HomePage = ({ isDarkMode, setIsDarkMode }) => {
     <div className="landing-page">
       <div className="layout-container">
         {/* Debug Component */}
-        {user &&
-          (user.email === "admin@example.com" || user.role === "admin") && (
-            <AuthDebug />
-          )}
+        <RequirePermission permission={PERMISSIONS.VIEW_DEBUG}>
+          <AuthDebug />
+        </RequirePermission>
 
         {/* Header Component */}
         <Header
@@ -183,13 +276,68 @@ const HomePage = ({ isDarkMode, setIsDarkMode }) => {
                     </button>
                   </div>
                 </form>
+                <div className="advanced-filter">
+                  <button
+                    type="button"
+                    className="advanced-btn"
+                    onClick={() => setShowFilters((prev) => !prev)}
+                    aria-expanded={showFilters}
+                  >
+                    <span className="material-symbols-outlined advanced-icon">
+                      tune
+                    </span>
+                    Filters
+                    {activeFilterCount > 0 && ` (${activeFilterCount})`}
+                  </button>
+                  {isAuthenticated && hasSearchCriteria && (
+                    <button
+                      type="button"
+                      className="advanced-btn"
+                      onClick={handleSaveSearch}
+                      disabled={savingSearch || searchSaved}
+                    >
+                      <span className="material-symbols-outlined advanced-icon">
+                        {searchSaved ? "bookmark_added" : "bookmark_add"}
+                      </span>
+                      {searchSaved
+                        ? "Search saved"
+                        : savingSearch
+                          ? "Saving..."
+                          : "Save search"}
+                    </button>
+                  )}
+                </div>
+                {saveSearchError && (
+                  <p className="save-search-error">{saveSearchError}</p>
+                )}
+                {showFilters && (
+                  <ListingFilters
+                    query={listingQuery}
+                    onApply={handleApplyFilters}
+                    onClear={handleClearFilters}
+                  />
+                )}
               </div>
             </div>
 
             {/* Products Section */}
             <div className="products-section">
               <div className="products-header">
-                <h2>Latest Listings</h2>
+                <h2>
+                  {listingQuery.q || activeFilterCount > 0
+                    ? "Matching Listings"
+                    : "Latest Listings"}
+                </h2>
+                <label className="listing-sort">
+                  Sort by
+                  <select value={listingQuery.sort} onChange={handleSortChange}>
+                    {SORT_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
               </div>
               <div className="products-grid">
                 {loading ? (
@@ -203,7 +351,11 @@ const HomePage = ({ isDarkMode, setIsDarkMode }) => {
                 ) : products.length === 0 ? (
                   <div className="no-products-container">
                     <h3>No products found</h3>
-                    <p>Check back later for new listings.</p>
+                    <p>
+                      {listingQuery.q || activeFilterCount > 0
+                        ? "Try adjusting your search or filters."
+                        : "Check back later for new listings."}
+                    </p>
                   </div>
                 ) : (
                   products.map((product) => (
@@ -215,6 +367,26 @@ const HomePage = ({ isDarkMode, setIsDarkMode }) => {
                   ))
                 )}
               </div>
+              {!loading && !error && products.length > 0 && (
+                <div className="listing-load-more" ref={loadMoreRef}>
+                  {hasMore && (
+                    <Button
+                      variant="secondary"
+                      onClick={handleLoadMore}
+                      disabled={loadingMore}
+                    >
+                      {loadingMore ? "Loading..." : "Load More"}
+                    </Button>
+                  )}
+                  {loadMoreError && (
+                    <span className="listing-load-error">{loadMoreError}</span>
+                  )}
+                  <span className="listing-count">
+                    Showing {products.length}
+                    {total !== null ? ` of ${total}` : ""} listings
+                  </span>
+                </div>
+              )}
             </div>
           </div>
         </main>
@@ -1,7 +1,8 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useMemo } from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
-import apiClient from "../utils/apiClient";
+import { useApiQuery } from "../utils/queryCache";
+import { itemsService } from "../services/itemsService";
 import Header from "./Header";
 import Button from "./common/Button";
 import LoadingSpinner from "./common/LoadingSpinner";
@@ -11,9 +12,6 @@ import "./MyPostsPage.css";
 const MyPostsPage = () => {
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
-  const [posts, setPosts] = useState([]);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState("");
   const [isDarkMode, setIsDarkMode] = useState(false);
 
   // Initialize dark mode state
@@ -25,56 +23,40 @@ const MyPostsPage = () => {
     );
   }, []);
 
-  // Fetch user's posts
   useEffect(() => {
     if (!isAuthenticated || !user) {
       navigate("/home");
-      return;
     }
-
-    const fetchUserPosts = async () => {
-      try {
-        setLoading(true);
-        setError("");
-
-        const response = await apiClient.get("/api/items");
-        
-        if (response.success) {
-          // Filter posts to show only current user's posts
-          const userPosts = response.data.filter(post => post.user?.id === user.id);
-          setPosts(userPosts);
-        } else {
-          setError(response.error || "Failed to fetch posts");
-        }
-      } catch (err) {
-        console.error("Error fetching user posts:", err);
-        setError("Failed to load your posts");
-      } finally {
-        setLoading(false);
-      }
-    };
-
-    fetchUserPosts();
   }, [isAuthenticated, user, navigate]);
 
+  // Fetch user's posts through the shared items cache
+  const {
+    data: items,
+    error: fetchError,
+    isLoading: loading,
+  } = useApiQuery(isAuthenticated && user ? "/api/items" : null);
+
+  // Filter posts to show only current user's posts
+  const posts = useMemo(
+    () => (items || []).filter((post) => post.user?.id === user?.id),
+    [items, user?.id],
+  );
+  const error = fetchError
+    ? fetchError.message || "Failed to load your posts"
+    : "";
+
   const handleEditPost = (postId) => {
     navigate(`/edit-post/${postId}`);
   };
 
   const handleDeletePost = async (postId) => {
     if (window.confirm("Are you sure you want to delete this post? This action cannot be undone.")) {
-      try {
-        const response = await apiClient.delete(`/api/items/${postId}`);
-        
-        if (response.success) {
-          // Remove the post from the list
-          setPosts(posts.filter(post => post.id !== postId));
-        } else {
-          alert("Failed to delete post: " + response.error);
-        }
-      } catch (err) {
-        console.error("Error deleting post:", err);
-        alert("Failed to delete post");
+      // The post disappears from every view immediately and is restored if
+      // the request fails
+      const response = await itemsService.deleteItem(postId);
+
+      if (!response.success) {
+        alert("Failed to delete post: " + response.error);
       }
     }
   };
@@ -93,6 +75,8 @@ const MyPostsPage = () => {
         return "#10b981"; // Green
       case "pending":
         return "#f59e0b"; // Yellow
+      case "reserved":
+        return "#3b82f6"; // Blue
       case "sold":
         return "#6b7280"; // Gray
       case "rejected":
@@ -108,6 +92,8 @@ const MyPostsPage = () => {
         return "Active";
       case "pending":
         return "Pending";
+      case "reserved":
+        return "Reserved";
       case "sold":
         return "Sold";
       case "rejected":
@@ -172,6 +158,15 @@ const MyPostsPage = () => {
                   <p className="post-description">
                     {post.description ? post.description.substring(0, 100) + "..." : "No description"}
                   </p>
+                  {post.status === "rejected" && post.rejection_reason && (
+                    <div className="post-rejection-reason" role="note">
+                      <span className="material-symbols-outlined">info</span>
+                      <p>
+                        <strong>Why this was rejected:</strong>{" "}
+                        {post.rejection_reason}
+                      </p>
+                    </div>
+                  )}
                   <div className="post-meta">
                     <span className="post-price">${post.price}</span>
                     <span className="post-category">{post.category}</span>
@@ -1,30 +1,44 @@
 import React from "react";
 import { useNavigate } from "react-router-dom";
-import { useAuth } from "../contexts/AuthContext";
+import { useAuth, usePermission } from "../contexts/AuthContext";
 import {
   getProductImageUrl,
+  getProductImageSources,
   getBatteryHealthColor,
   getBatteryHealthLabel,
 } from "../utils/productUtils";
-import { getProductFields } from "../utils/localProductStorage";
-import { useImageFallback } from "../utils/imageFallback";
+import {
+  getFallbackImageUrl,
+  useImageFallback,
+} from "../utils/imageFallback";
+import { PERMISSIONS } from "../utils/permissions";
 import Button from "./common/Button";
+import LazyImage from "./common/LazyImage";
+import WatchButton from "./watchlist/WatchButton";
+import AddToCartButton from "./cart/AddToCartButton";
 import "./ProductCard.css";
 import "../styles/common.css";
 
+// Cards span the viewport on phones and sit in a ~320px grid column otherwise
+const CARD_IMAGE_SIZES = "(max-width: 768px) 100vw, 320px";
+
 const ProductCard = ({ product, onViewDetails }) => {
   const navigate = useNavigate();
   const { user, isAuthenticated } = useAuth();
+  const canDebug = usePermission(PERMISSIONS.VIEW_DEBUG);
   const [imageLoaded, setImageLoaded] = React.useState(false);
   const [imageError, setImageError] = React.useState(false);
   const [imageUrl, setImageUrl] = React.useState(null);
   const [imageDebugInfo, setImageDebugInfo] = React.useState(null);
-  const [additionalFields, setAdditionalFields] = React.useState({});
   const {
     fallbackUrl,
     isUsingFallback,
     handleImageError: handleFallbackError,
   } = useImageFallback(product);
+  const imageSources = React.useMemo(
+    () => getProductImageSources(product),
+    [product],
+  );
 
   React.useEffect(() => {
     const loadImageUrl = async () => {
@@ -125,7 +139,7 @@ const ProductCard = ({ product, onViewDetails }) => {
         productId: product.id,
         productTitle: product.title,
         productPrice: product.price,
-        sellerId: product.seller_id || 'demo-seller'
+        sellerId: product.user?.id || product.user_id || product.seller_id
       }
     });
   };
@@ -170,23 +184,34 @@ const ProductCard = ({ product, onViewDetails }) => {
   return (
     <div className="product-card">
       <div className="product-image-container" data-alt={product.title}>
-        {!imageLoaded && !imageError && (
-          <div className="product-image-loading">
-            <div className="loading-spinner"></div>
+        {product.has_diagnostics && (
+          <div className="diagnostics-badge" title="Diagnostic report on file">
+            ✓ Verified diagnostics
           </div>
         )}
+        {product.status === "reserved" && (
+          <div className="reserved-badge">Reserved</div>
+        )}
+        {product.user?.id !== user?.id && (
+          <WatchButton item={product} className="product-card-watch" />
+        )}
         {imageUrl || fallbackUrl ? (
-          <img
-            src={fallbackUrl || imageUrl}
+          <LazyImage
+            src={fallbackUrl || imageSources.src || imageUrl}
+            srcSet={isUsingFallback ? undefined : imageSources.srcSet}
+            sizes={CARD_IMAGE_SIZES}
+            placeholderSrc={isUsingFallback ? null : imageSources.placeholderSrc}
             alt={product.title}
             className={`product-image ${imageLoaded ? "loaded" : ""} ${isUsingFallback ? "fallback-image" : ""}`}
             onLoad={handleImageLoad}
             onError={handleImageError}
           />
         ) : (
-          <div className="product-image-placeholder">
-            <span>No image</span>
-          </div>
+          <img
+            src={getFallbackImageUrl(product)}
+            alt={product.title}
+            className="product-image fallback-image"
+          />
         )}
         {isUsingFallback && (
           <div className="fallback-indicator">
@@ -272,6 +297,10 @@ const ProductCard = ({ product, onViewDetails }) => {
           View Details
         </Button>
 
+        {product.user?.id !== user?.id && (
+          <AddToCartButton item={product} style={{ marginTop: "8px" }} />
+        )}
+
         {isAuthenticated && (
           <Button
             variant="secondary"
@@ -285,9 +314,7 @@ const ProductCard = ({ product, onViewDetails }) => {
         )}
 
         {/* Debug button - only visible in development */}
-        {process.env.NODE_ENV === "development" &&
-          user &&
-          (user.email === "admin@example.com" || user.role === "admin") && (
+        {process.env.NODE_ENV === "development" && canDebug && (
             <button
               className="debug-button"
               onClick={() => {
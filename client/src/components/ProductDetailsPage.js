@@ -1,14 +1,34 @@
 import React, { useState, useEffect } from "react";
 import { useParams, useNavigate } from "react-router-dom";
-import { useAuth } from "../contexts/AuthContext";
+import { useAuth, usePermission } from "../contexts/AuthContext";
+import { getBatteryHealthColor } from "../utils/productUtils";
+import { useApiQuery } from "../utils/queryCache";
+import { normalizeListingPage } from "../utils/listingQuery";
 import {
-  getProductImageUrl,
-  getBatteryHealthColor,
-} from "../utils/productUtils";
-import { getProductFields } from "../utils/localProductStorage";
-import apiClient from "../utils/apiClient";
+  buildCategoryTrend,
+  getPriceDrop,
+  getPriceHistory,
+} from "../utils/priceHistory";
+import { itemsService } from "../services/itemsService";
+import {
+  getDiagnosticsEndpoint,
+  sortReports,
+} from "../services/diagnosticsService";
+import { getSoldListingsEndpoint } from "../services/marketValueService";
+import { REPORT_TARGETS } from "../services/reportsService";
+import { PERMISSIONS } from "../utils/permissions";
+import { isHiddenByReports } from "../utils/reports";
 import Header from "./Header";
 import Button from "./common/Button";
+import DiagnosticHistory from "./diagnostics/DiagnosticHistory";
+import DiagnosticForm from "./diagnostics/DiagnosticForm";
+import MarketValueAnalysis from "./market/MarketValueAnalysis";
+import PriceBreakdown from "./market/PriceBreakdown";
+import PriceChart from "./market/PriceChart";
+import ProductGallery from "./images/ProductGallery";
+import WatchButton from "./watchlist/WatchButton";
+import AddToCartButton from "./cart/AddToCartButton";
+import ReportButton from "./reports/ReportButton";
 
 import "./ProductDetailsPage.css";
 import "../styles/common.css";
@@ -18,12 +38,9 @@ const ProductDetailsPage = () => {
   const navigate = useNavigate();
   const { user, isAuthenticated, logout } = useAuth();
   const [isDarkMode, setIsDarkMode] = useState(false);
-  const [post, setPost] = useState(null);
-  const [primaryImageUrl, setPrimaryImageUrl] = useState(null);
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [imageLoading, setImageLoading] = useState(true);
-  const [additionalFields, setAdditionalFields] = useState({});
+  const [showDiagnosticForm, setShowDiagnosticForm] = useState(false);
+  const [marketAnalysis, setMarketAnalysis] = useState(null);
+  const canReviewReports = usePermission(PERMISSIONS.REVIEW_REPORTS);
 
   // Check for dark mode on mount
   useEffect(() => {
@@ -43,71 +60,47 @@ const ProductDetailsPage = () => {
   };
 
   const handleDeletePost = async (postId) => {
-    try {
-      const response = await apiClient.delete(`/api/items/${postId}`);
+    const response = await itemsService.deleteItem(postId);
 
-      if (response.success) {
-        alert("Post deleted successfully");
-        navigate("/home");
-      } else {
-        alert("Failed to delete post: " + response.error);
-      }
-    } catch (err) {
-      console.error("Error deleting post:", err);
-      alert("Failed to delete post");
+    if (response.success) {
+      alert("Post deleted successfully");
+      navigate("/home");
+    } else {
+      alert("Failed to delete post: " + response.error);
     }
   };
 
-  useEffect(() => {
-    const fetchPost = async () => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        // Use unified items endpoint
-        const response = await apiClient.get(`/api/items/${id}`);
-
-        if (response.success) {
-          setPost(response.data);
-
-          // Load primary image URL
-          const loadPrimaryImageUrl = async () => {
-            setImageLoading(true);
-            const url = await getProductImageUrl(response.data);
-            setPrimaryImageUrl(url);
-            setImageLoading(false);
-          };
-          loadPrimaryImageUrl();
-        } else {
-          if (response.error?.includes("404")) {
-            setError("Product not found");
-          } else {
-            throw new Error(
-              response.error || "Failed to fetch product details",
-            );
-          }
-        }
-      } catch (err) {
-        console.error("Error fetching product:", err);
-        setError("Failed to load product details");
-      } finally {
-        setLoading(false);
-      }
-    };
+  // Use unified items endpoint through the shared cache
+  const {
+    data: post,
+    error: fetchError,
+    isLoading: loading,
+  } = useApiQuery(`/api/items/${id}`);
 
-    fetchPost();
-  }, [id]);
+  const { data: diagnosticsData, isLoading: diagnosticsLoading } = useApiQuery(
+    getDiagnosticsEndpoint(id),
+  );
+  const diagnosticReports = Array.isArray(diagnosticsData)
+    ? diagnosticsData
+    : diagnosticsData?.reports || [];
 
+  const { data: soldListingsData } = useApiQuery(
+    post?.category ? getSoldListingsEndpoint(post.category) : null,
+  );
+  const categoryTrend = buildCategoryTrend(
+    normalizeListingPage(soldListingsData).items,
+  );
 
+  const error = fetchError
+    ? fetchError.status === 404
+      ? "Product not found"
+      : "Failed to load product details"
+    : null;
 
   const handleBackClick = () => {
     navigate("/");
   };
 
-  const handleImageError = (e) => {
-    e.target.src = null;
-  };
-
   if (loading) {
     return (
       <div className="product-details-loading">
@@ -140,6 +133,25 @@ const ProductDetailsPage = () => {
     );
   }
 
+  const isOwner = isAuthenticated && user && post.user?.id === user.id;
+  const hiddenByReports = isHiddenByReports(post);
+
+  // Sellers and moderators can still open a hidden listing
+  if (hiddenByReports && !isOwner && !canReviewReports) {
+    return (
+      <div className="product-details-not-found">
+        <h2>Listing Under Review</h2>
+        <p>This listing has been reported and is hidden while we review it.</p>
+        <button onClick={handleBackClick} className="back-button">
+          Back to Items
+        </button>
+      </div>
+    );
+  }
+
+  const priceHistory = getPriceHistory(post);
+  const priceDrop = getPriceDrop(post);
+
   return (
     <div className="product-details-page">
       {/* Header */}
@@ -160,59 +172,19 @@ const ProductDetailsPage = () => {
           </Button>
         </div>
 
+        {hiddenByReports && (
+          <div className="report-hidden-notice">
+            <span className="material-symbols-outlined">visibility_off</span>
+            {isOwner
+              ? "This listing was hidden after several buyer reports. A moderator will review it shortly."
+              : "Hidden from buyers after several reports, pending review."}
+          </div>
+        )}
+
         <div className="product-details-container">
           {/* Product Image Section - Fixed size matching product card */}
           <div className="product-image-section">
-            <div className="product-image-container">
-              {imageLoading ? (
-                <div className="product-image-loading">
-                  <div className="loading-spinner"></div>
-                </div>
-              ) : primaryImageUrl ? (
-                <img
-                  src={primaryImageUrl}
-                  alt={post.title}
-                  className="product-image"
-                  onLoad={() => setImageLoading(false)}
-                  onError={handleImageError}
-                />
-              ) : (
-                <div className="product-image-placeholder">
-                  <span>No image</span>
-                </div>
-              )}
-            </div>
-
-            {/* Additional images gallery if available */}
-            {post.images && post.images.length > 1 && (
-              <div className="product-images-gallery">
-                <h4>Additional Images</h4>
-                <div className="gallery-thumbnails">
-                  {post.images.slice(1, 5).map((image, index) => {
-                    const imageUrl =
-                      image.publicUrl ||
-                      image.image_url ||
-                      (image.storage_path
-                        ? getProductImageUrl({ images: [image] })
-                        : null);
-
-                    return imageUrl ? (
-                      <img
-                        key={index}
-                        src={imageUrl}
-                        alt={`Additional ${index + 1}`}
-                        className="thumbnail"
-                        onError={handleImageError}
-                      />
-                    ) : (
-                      <div key={index} className="thumbnail-missing">
-                        <span>No image</span>
-                      </div>
-                    );
-                  })}
-                </div>
-              </div>
-            )}
+            <ProductGallery key={post.id} product={post} />
           </div>
 
           {/* Product Info Section */}
@@ -221,9 +193,21 @@ const ProductDetailsPage = () => {
               <div className="product-category">
                 {post.category || "Electronics"}
               </div>
-              <h1 className="product-name">{post.title}</h1>
+              <div className="product-name-row">
+                <h1 className="product-name">{post.title}</h1>
+                {!isOwner && <WatchButton item={post} />}
+              </div>
               <div className="product-price-section">
                 <div className="product-price">${post.price}</div>
+                {priceDrop && (
+                  <div
+                    className="price-drop-chip"
+                    title={`Was $${priceDrop.from}`}
+                  >
+                    <span className="price-drop-was">${priceDrop.from}</span>
+                    Price dropped {priceDrop.percent}%
+                  </div>
+                )}
                 {post.battery_health && (
                   <div
                     className={`status-chip ${getBatteryHealthColor(post.battery_health)}`}
@@ -239,6 +223,12 @@ const ProductDetailsPage = () => {
               </div>
             </div>
 
+            {!isOwner && (
+              <div className="product-purchase">
+                <AddToCartButton item={post} fullWidth={false} />
+              </div>
+            )}
+
             <div className="product-detail-item">
               <span className="detail-label">Seller:</span>
               <span className="detail-value">
@@ -246,6 +236,22 @@ const ProductDetailsPage = () => {
               </span>
             </div>
 
+            <div className="product-detail-item">
+              <span className="detail-label">Battery Health:</span>
+              <span className="detail-value">
+                {post.battery_health ? `${post.battery_health}%` : "N/A"}
+              </span>
+            </div>
+
+            <div className="product-detail-item">
+              <span className="detail-label">Market Value:</span>
+              <span className="detail-value">
+                {post.market_value
+                  ? `$${parseFloat(post.market_value).toFixed(2)}`
+                  : "N/A"}
+              </span>
+            </div>
+
             <div className="product-detail-item">
               <span className="detail-label">Posted:</span>
               <span className="detail-value">
@@ -254,6 +260,31 @@ const ProductDetailsPage = () => {
                 ).toLocaleDateString()}
               </span>
             </div>
+
+            {!isOwner && (
+              <div className="product-report">
+                <ReportButton
+                  targetType={REPORT_TARGETS.LISTING}
+                  targetId={post.id}
+                  targetTitle={post.title}
+                />
+              </div>
+            )}
+
+            {priceHistory.length > 1 && (
+              <div className="product-price-history">
+                <h4>Price History</h4>
+                <PriceChart
+                  title="Asking price over time"
+                  points={priceHistory.map((entry) => ({
+                    date: entry.changed_at,
+                    value: entry.price,
+                  }))}
+                  step
+                  extendToNow
+                />
+              </div>
+            )}
           </div>
 
           {/* Description */}
@@ -264,8 +295,52 @@ const ProductDetailsPage = () => {
             </div>
           )}
 
+          {/* Diagnostics */}
+          <div className="product-diagnostics">
+            <div className="product-diagnostics-header">
+              <h3>Diagnostics</h3>
+              {isOwner && !showDiagnosticForm && (
+                <Button
+                  variant="secondary"
+                  size="small"
+                  onClick={() => setShowDiagnosticForm(true)}
+                >
+                  Add New Report
+                </Button>
+              )}
+            </div>
+            {showDiagnosticForm ? (
+              <DiagnosticForm
+                productId={post.id}
+                category={post.category}
+                onSubmit={() => setShowDiagnosticForm(false)}
+                onCancel={() => setShowDiagnosticForm(false)}
+              />
+            ) : diagnosticsLoading ? (
+              <p>Loading diagnostics...</p>
+            ) : (
+              <DiagnosticHistory reports={diagnosticReports} />
+            )}
+          </div>
+
+          {/* Market Value */}
+          <div className="product-market-value">
+            <MarketValueAnalysis
+              product={post}
+              diagnosticReport={sortReports(diagnosticReports)[0]}
+              onAnalysisChange={setMarketAnalysis}
+            />
+            {marketAnalysis && (
+              <PriceBreakdown
+                analysis={marketAnalysis}
+                currentPrice={parseFloat(post.price)}
+                trend={categoryTrend}
+              />
+            )}
+          </div>
+
           {/* Edit/Delete Actions for Post Owner */}
-          {isAuthenticated && user && post.user?.id === user.id && (
+          {isOwner && (
             <div className="post-actions-section">
               <h3>Post Management</h3>
               <div className="action-buttons">
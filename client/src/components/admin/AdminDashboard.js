@@ -1,25 +1,40 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import { useAuth } from "../../contexts/AuthContext";
 import { useNavigate } from "react-router-dom";
-import apiClient from "../../utils/apiClient";
+import { useApiQuery } from "../../utils/queryCache";
+import {
+  DEFAULT_REJECTION_TEMPLATES,
+  MODERATION_ACTIONS,
+  MODERATION_ACTION_LABELS,
+  REJECTION_TEMPLATES_KEY,
+  moderationService,
+} from "../../services/moderationService";
+import { PERMISSIONS } from "../../utils/permissions";
+import { isUserSuspended, usersService } from "../../services/usersService";
+import { REPORTS_KEY, groupReports } from "../../services/reportsService";
 import LoadingSpinner from "../common/LoadingSpinner";
 import ErrorMessage from "../common/ErrorMessage";
 import Button from "../common/Button";
+import NotificationToast from "../common/NotificationToast";
 import AdminNavbar from "./AdminNavbar";
+import ModerationQueue from "./ModerationQueue";
+import RejectionDialog from "./RejectionDialog";
+import AuditLog from "./AuditLog";
+import ReportsQueue from "./ReportsQueue";
+import AnalyticsPanel from "./AnalyticsPanel";
+import UserDetailPanel from "./UserDetailPanel";
 import "./AdminDashboard.css";
 
 const AdminDashboard = () => {
-  const { isAdmin, user } = useAuth();
+  const { hasPermission, user, getDisplayName } = useAuth();
   const navigate = useNavigate();
-  const [loading, setLoading] = useState(true);
-  const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState("user-items");
-  const [users, setUsers] = useState([]);
-
-  const [userItems, setUserItems] = useState([]);
-  const [allPosts, setAllPosts] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [isDarkMode, setIsDarkMode] = useState(false);
+  const [rejectTargets, setRejectTargets] = useState(null);
+  const [isModerating, setIsModerating] = useState(false);
+  const [notification, setNotification] = useState(null);
+  const [selectedUserId, setSelectedUserId] = useState(null);
 
   // Initialize dark mode state
   useEffect(() => {
@@ -30,55 +45,55 @@ const AdminDashboard = () => {
     );
   }, []);
 
-  useEffect(() => {
-    if (!isAdmin()) {
-      setError("Access denied. Admin privileges required.");
-      setLoading(false);
-      return;
-    }
+  const hasAccess = hasPermission(PERMISSIONS.ACCESS_ADMIN);
+  const canManageUsers = hasPermission(PERMISSIONS.MANAGE_USERS);
+  const canDeleteUsers = hasPermission(PERMISSIONS.DELETE_USERS);
+  const canModerate = hasPermission(PERMISSIONS.MODERATE_LISTINGS);
+  const canEditListings = hasPermission(PERMISSIONS.EDIT_ANY_LISTING);
+  const canViewAuditLog = hasPermission(PERMISSIONS.VIEW_AUDIT_LOG);
+  const canViewAnalytics = hasPermission(PERMISSIONS.VIEW_ANALYTICS);
+  const canReviewReports = hasPermission(PERMISSIONS.REVIEW_REPORTS);
+  const error = hasAccess ? null : "Access denied. Admin privileges required.";
 
-    // Fetch real data from API
-    const fetchData = async () => {
-      try {
-        setLoading(true);
-
-        // Fetch users
-        const usersResponse = await apiClient.get("/api/users");
-        if (usersResponse.success) {
-          setUsers(usersResponse.data);
-        } else {
-          console.error("Failed to fetch users:", usersResponse.error);
-        }
+  // Dashboard data comes from the shared query cache so moderation actions
+  // are reflected in every other view immediately
+  const usersQuery = useApiQuery(
+    canManageUsers || canViewAnalytics ? "/api/users" : null,
+  );
+  const pendingQuery = useApiQuery(
+    hasAccess ? "/api/items?status=pending" : null,
+  );
+  const allPostsQuery = useApiQuery(hasAccess ? "/api/items" : null);
+  const reportsQuery = useApiQuery(canReviewReports ? REPORTS_KEY : null);
+  const openReportCount = groupReports(reportsQuery.data || []).filter(
+    (group) => group.isOpen,
+  ).length;
+  const templatesQuery = useApiQuery(
+    hasAccess ? REJECTION_TEMPLATES_KEY : null,
+  );
+  const rejectionTemplates =
+    templatesQuery.data?.length > 0
+      ? templatesQuery.data
+      : DEFAULT_REJECTION_TEMPLATES;
 
-        // Fetch all user items (excluding admin's own items)
-        const userItemsResponse = await apiClient.get(
-          "/api/items?status=pending",
-        );
-        if (userItemsResponse.success) {
-          setUserItems(
-            userItemsResponse.data.filter((item) => item.user?.id !== user.id),
-          );
-        } else {
-          console.error("Failed to fetch user items:", userItemsResponse.error);
-        }
+  const loading =
+    usersQuery.isLoading || pendingQuery.isLoading || allPostsQuery.isLoading;
 
-        // Fetch all posts for management
-        const allPostsResponse = await apiClient.get("/api/items");
-        if (allPostsResponse.success) {
-          setAllPosts(allPostsResponse.data);
-        } else {
-          console.error("Failed to fetch all posts:", allPostsResponse.error);
-        }
-      } catch (err) {
-        setError("Failed to load dashboard data");
-        console.error("Dashboard error:", err);
-      } finally {
-        setLoading(false);
-      }
-    };
+  [usersQuery, pendingQuery, allPostsQuery].forEach((query) => {
+    if (query.error) {
+      console.error("Failed to fetch dashboard data:", query.error);
+    }
+  });
 
-    fetchData();
-  }, [isAdmin, user?.id]);
+  const users = usersQuery.data || [];
+  // Pending items excluding admin's own items; status is re-checked so an
+  // optimistic approve/reject drops the row right away
+  const userItems = (pendingQuery.data || []).filter(
+    (item) =>
+      (!item.status || item.status === "pending") && item.user?.id !== user?.id,
+  );
+  const allPosts = allPostsQuery.data || [];
+  const selectedUser = users.find((user) => user.id === selectedUserId);
 
   const filteredUsers = users.filter((user) => {
     const matchesSearch =
@@ -106,89 +121,118 @@ const AdminDashboard = () => {
       (item.category || "").toLowerCase().includes(searchTerm.toLowerCase()),
   );
 
+  const notify = (icon, title, message) =>
+    setNotification({ id: Date.now(), icon, title, message });
+
+  const dismissNotification = useCallback(() => setNotification(null), []);
+
+  const closeUserPanel = useCallback(() => setSelectedUserId(null), []);
+
   const handleUserAction = async (userId, action) => {
     try {
       if (action === "edit") {
-        console.log(`Edit user ${userId}`);
-        alert("User editing functionality would be implemented here");
+        setSelectedUserId(userId);
       } else if (action === "delete") {
         if (window.confirm("Are you sure you want to delete this user?")) {
-          const response = await apiClient.delete(`/api/users/${userId}`);
-          if (response.success) {
-            // Refresh the users list
-            const usersResponse = await apiClient.get("/api/users");
-            if (usersResponse.success) {
-              setUsers(usersResponse.data);
-            }
-          } else {
-            alert("Failed to delete user: " + response.error);
+          const response = await usersService.deleteUser(userId);
+          if (!response.success) {
+            notify("error", "Failed to delete user", response.error);
           }
         }
       }
     } catch (err) {
       console.error("User action error:", err);
-      alert("An error occurred while processing user action");
+      notify(
+        "error",
+        "Something went wrong",
+        "An error occurred while processing user action",
+      );
     }
   };
 
-  const handleItemAction = async (itemId, action) => {
+  const moderate = async (items, action, details = {}) => {
+    setIsModerating(true);
     try {
-      if (action === "edit") {
-        navigate(`/edit-item/${itemId}`);
-      } else if (action === "delete") {
-        if (window.confirm("Are you sure you want to delete this item?")) {
-          const response = await apiClient.delete(`/api/items/${itemId}`);
-          if (response.success) {
-            // Refresh the appropriate items list
-            await refreshItems();
-          } else {
-            alert("Failed to delete item: " + response.error);
-          }
-        }
-      } else if (action === "approve") {
-        const response = await apiClient.put(`/api/items/${itemId}/status`, {
-          status: "active",
-        });
-        if (response.success) {
-          await refreshItems();
-        } else {
-          alert("Failed to approve item: " + response.error);
-        }
-      } else if (action === "reject") {
-        const response = await apiClient.put(`/api/items/${itemId}/status`, {
-          status: "rejected",
-        });
-        if (response.success) {
-          await refreshItems();
-        } else {
-          alert("Failed to reject item: " + response.error);
-        }
+      const { succeeded, failed } = await moderationService.moderateItems(
+        items,
+        action,
+        { ...details, actor: { id: user?.id, name: getDisplayName() } },
+      );
+      const label = MODERATION_ACTION_LABELS[action].toLowerCase();
+
+      if (failed.length === 0) {
+        notify(
+          "check_circle",
+          succeeded.length === 1
+            ? `"${succeeded[0].title}" ${label}`
+            : `${succeeded.length} listings ${label}`,
+        );
+        return true;
+      } else {
+        failed.forEach(({ item, error }) =>
+          console.error(`Failed to ${action} item:`, {
+            itemId: item.id,
+            error,
+          }),
+        );
+        notify(
+          "error",
+          `${failed.length} of ${items.length} listings could not be ${label}`,
+          failed[0].error,
+        );
+        return false;
       }
     } catch (err) {
       console.error("Item action error:", err);
-      alert("An error occurred while processing item action");
+      notify(
+        "error",
+        "Something went wrong",
+        "An error occurred while processing item action",
+      );
+      return false;
+    } finally {
+      setIsModerating(false);
     }
   };
 
-  const refreshItems = async () => {
-    try {
-      // Refresh user items
-      const userItemsResponse = await apiClient.get(
-        "/api/items?status=pending",
-      );
-      if (userItemsResponse.success) {
-        setUserItems(
-          userItemsResponse.data.filter((item) => item.user?.id !== user.id),
-        );
-      }
+  const handleApprove = (items) => moderate(items, MODERATION_ACTIONS.APPROVE);
 
-      // Refresh all posts
-      const allPostsResponse = await apiClient.get("/api/items");
-      if (allPostsResponse.success) {
-        setAllPosts(allPostsResponse.data);
-      }
-    } catch (err) {
-      console.error("Error refreshing items:", err);
+  // Rejections always need a reason, collected by the dialog
+  const handleReject = (items) => setRejectTargets(items);
+
+  const handleConfirmReject = ({ reason, reasonCode }) => {
+    const items = rejectTargets;
+    setRejectTargets(null);
+    moderate(items, MODERATION_ACTIONS.REJECT, { reason, reasonCode });
+  };
+
+  const handleCancelReject = useCallback(() => setRejectTargets(null), []);
+
+  const handleDelete = (items) => {
+    const message =
+      items.length === 1
+        ? "Are you sure you want to delete this item?"
+        : `Are you sure you want to delete ${items.length} items?`;
+    if (window.confirm(message)) {
+      moderate(items, MODERATION_ACTIONS.DELETE);
+    }
+  };
+
+  const handleRemoveReportedListing = (item, reason) =>
+    moderate([item], MODERATION_ACTIONS.REJECT, {
+      reason,
+      reasonCode: "reported",
+    });
+
+  const handleItemAction = (item, action) => {
+    if (action === "edit") {
+      navigate(`/edit-item/${item.id}`);
+    } else if (action === "delete") {
+      handleDelete([item]);
+    } else if (action === "approve") {
+      handleApprove([item]);
+    } else if (action === "reject") {
+      handleReject([item]);
     }
   };
 
@@ -227,15 +271,17 @@ const AdminDashboard = () => {
               </p>
             </div>
             <div className="dashboard-stats">
-              <div className="stat-card">
-                <div className="stat-icon">
-                  <span className="material-symbols-outlined">people</span>
+              {canManageUsers && (
+                <div className="stat-card">
+                  <div className="stat-icon">
+                    <span className="material-symbols-outlined">people</span>
+                  </div>
+                  <div className="stat-content">
+                    <h3 className="stat-number">{users.length}</h3>
+                    <p className="stat-label">Total Users</p>
+                  </div>
                 </div>
-                <div className="stat-content">
-                  <h3 className="stat-number">{users.length}</h3>
-                  <p className="stat-label">Total Users</p>
-                </div>
-              </div>
+              )}
 
               <div className="stat-card">
                 <div className="stat-icon">
@@ -276,13 +322,42 @@ const AdminDashboard = () => {
             <span className="material-symbols-outlined">inventory</span>
             All Posts ({allPosts.length})
           </button>
-          <button
-            className={`tab-button ${activeTab === "users" ? "active" : ""}`}
-            onClick={() => setActiveTab("users")}
-          >
-            <span className="material-symbols-outlined">people</span>
-            Users ({users.length})
-          </button>
+          {canManageUsers && (
+            <button
+              className={`tab-button ${activeTab === "users" ? "active" : ""}`}
+              onClick={() => setActiveTab("users")}
+            >
+              <span className="material-symbols-outlined">people</span>
+              Users ({users.length})
+            </button>
+          )}
+          {canReviewReports && (
+            <button
+              className={`tab-button ${activeTab === "reports" ? "active" : ""}`}
+              onClick={() => setActiveTab("reports")}
+            >
+              <span className="material-symbols-outlined">flag</span>
+              Reports ({openReportCount})
+            </button>
+          )}
+          {canViewAuditLog && (
+            <button
+              className={`tab-button ${activeTab === "audit-log" ? "active" : ""}`}
+              onClick={() => setActiveTab("audit-log")}
+            >
+              <span className="material-symbols-outlined">history</span>
+              Audit Log
+            </button>
+          )}
+          {canViewAnalytics && (
+            <button
+              className={`tab-button ${activeTab === "analytics" ? "active" : ""}`}
+              onClick={() => setActiveTab("analytics")}
+            >
+              <span className="material-symbols-outlined">analytics</span>
+              Analytics
+            </button>
+          )}
         </div>
 
         <div className="dashboard-content">
@@ -310,55 +385,15 @@ const AdminDashboard = () => {
                 </div>
               </div>
               <div className="items-table">
-                {filteredUserItems.length === 0 ? (
-                  <p>No pending items to review.</p>
-                ) : (
-                  <table>
-                    <thead>
-                      <tr>
-                        <th>Title</th>
-                        <th>Category</th>
-                        <th>Price</th>
-                        <th>Seller</th>
-                        <th>Created</th>
-                        <th>Actions</th>
-                      </tr>
-                    </thead>
-                    <tbody>
-                      {filteredUserItems.map((item) => (
-                        <tr key={item.id}>
-                          <td>{item.title}</td>
-                          <td>{item.category}</td>
-                          <td>${item.price}</td>
-                          <td>{item.user?.name || "Unknown"}</td>
-                          <td>
-                            {new Date(item.created_at).toLocaleDateString()}
-                          </td>
-                          <td>
-                            <div className="action-buttons">
-                              <button
-                                onClick={() =>
-                                  handleItemAction(item.id, "approve")
-                                }
-                                className="approve-btn"
-                              >
-                                Approve
-                              </button>
-                              <button
-                                onClick={() =>
-                                  handleItemAction(item.id, "reject")
-                                }
-                                className="reject-btn"
-                              >
-                                Reject
-                              </button>
-                            </div>
-                          </td>
-                        </tr>
-                      ))}
-                    </tbody>
-                  </table>
-                )}
+                <ModerationQueue
+                  items={filteredUserItems}
+                  onApprove={handleApprove}
+                  onReject={handleReject}
+                  onDelete={handleDelete}
+                  canModerate={canModerate}
+                  busy={isModerating}
+                  shortcutsEnabled={!rejectTargets}
+                />
               </div>
             </div>
           )}
@@ -408,27 +443,29 @@ const AdminDashboard = () => {
                           </td>
                           <td>
                             <div className="action-buttons">
-                              <button
-                                onClick={() =>
-                                  handleItemAction(item.id, "edit")
-                                }
-                                className="edit-btn"
-                              >
-                                Edit
-                              </button>
-                              <button
-                                onClick={() =>
-                                  handleItemAction(item.id, "delete")
-                                }
-                                className="delete-btn"
-                              >
-                                Delete
-                              </button>
-                              {item.status === "pending" && (
+                              {canEditListings && (
+                                <button
+                                  onClick={() => handleItemAction(item, "edit")}
+                                  className="edit-btn"
+                                >
+                                  Edit
+                                </button>
+                              )}
+                              {canModerate && (
+                                <button
+                                  onClick={() =>
+                                    handleItemAction(item, "delete")
+                                  }
+                                  className="delete-btn"
+                                >
+                                  Delete
+                                </button>
+                              )}
+                              {canModerate && item.status === "pending" && (
                                 <>
                                   <button
                                     onClick={() =>
-                                      handleItemAction(item.id, "approve")
+                                      handleItemAction(item, "approve")
                                     }
                                     className="approve-btn"
                                   >
@@ -436,7 +473,7 @@ const AdminDashboard = () => {
                                   </button>
                                   <button
                                     onClick={() =>
-                                      handleItemAction(item.id, "reject")
+                                      handleItemAction(item, "reject")
                                     }
                                     className="reject-btn"
                                   >
@@ -455,7 +492,7 @@ const AdminDashboard = () => {
             </div>
           )}
 
-          {activeTab === "users" && (
+          {activeTab === "users" && canManageUsers && (
             <div className="users-section">
               <div className="section-header">
                 <div className="section-title">
@@ -474,6 +511,7 @@ const AdminDashboard = () => {
                         <th>Name</th>
                         <th>Email</th>
                         <th>Role</th>
+                        <th>Status</th>
                         <th>Last Activity</th>
                         <th>Joined</th>
                         <th>Actions</th>
@@ -489,6 +527,17 @@ const AdminDashboard = () => {
                               {user.role}
                             </span>
                           </td>
+                          <td>
+                            {isUserSuspended(user) ? (
+                              <span className="status-badge rejected">
+                                Suspended
+                              </span>
+                            ) : (
+                              <span className="status-badge active">
+                                Active
+                              </span>
+                            )}
+                          </td>
                           <td>
                             {user.lastActivity
                               ? new Date(
@@ -512,16 +561,18 @@ const AdminDashboard = () => {
                                 }
                                 className="edit-btn"
                               >
-                                Edit
-                              </button>
-                              <button
-                                onClick={() =>
-                                  handleUserAction(user.id, "delete")
-                                }
-                                className="delete-btn"
-                              >
-                                Delete
+                                Manage
                               </button>
+                              {canDeleteUsers && (
+                                <button
+                                  onClick={() =>
+                                    handleUserAction(user.id, "delete")
+                                  }
+                                  className="delete-btn"
+                                >
+                                  Delete
+                                </button>
+                              )}
                             </div>
                           </td>
                         </tr>
@@ -532,8 +583,76 @@ const AdminDashboard = () => {
               </div>
             </div>
           )}
+
+          {activeTab === "reports" && canReviewReports && (
+            <div className="reports-section">
+              <div className="section-header">
+                <div className="section-title">
+                  <h2>User Reports</h2>
+                  <p>
+                    Listings and messages flagged by users, most reported first
+                  </p>
+                </div>
+              </div>
+              <ReportsQueue
+                items={allPosts}
+                searchTerm={searchTerm}
+                onRemoveListing={handleRemoveReportedListing}
+                onNotify={notify}
+              />
+            </div>
+          )}
+
+          {activeTab === "audit-log" && canViewAuditLog && (
+            <div className="audit-log-section">
+              <div className="section-header">
+                <div className="section-title">
+                  <h2>Moderation Audit Log</h2>
+                  <p>Every approval, rejection and deletion, newest first</p>
+                </div>
+              </div>
+              <AuditLog searchTerm={searchTerm} />
+            </div>
+          )}
+
+          {activeTab === "analytics" && canViewAnalytics && (
+            <div className="analytics-section">
+              <div className="section-header">
+                <div className="section-title">
+                  <h2>Marketplace Analytics</h2>
+                  <p>Listing, moderation, sales and signup trends</p>
+                </div>
+              </div>
+              <AnalyticsPanel items={allPosts} users={users} />
+            </div>
+          )}
         </div>
       </div>
+
+      {selectedUser && (
+        <UserDetailPanel
+          user={selectedUser}
+          listings={allPosts.filter(
+            (item) => item.user?.id === selectedUser.id,
+          )}
+          onNotify={notify}
+          onClose={closeUserPanel}
+        />
+      )}
+
+      {rejectTargets && (
+        <RejectionDialog
+          items={rejectTargets}
+          templates={rejectionTemplates}
+          onConfirm={handleConfirmReject}
+          onCancel={handleCancelReject}
+        />
+      )}
+
+      <NotificationToast
+        notification={notification}
+        onDismiss={dismissNotification}
+      />
     </div>
   );
 };
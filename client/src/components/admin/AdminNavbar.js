@@ -2,13 +2,17 @@ import React from "react";
 import { useNavigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import { toggleDarkMode } from "../../utils/darkMode";
+import { PERMISSIONS, ROLES, ROLE_LABELS } from "../../utils/permissions";
 import Button from "../common/Button";
 import IconButton from "../common/IconButton";
+import RequirePermission from "../auth/RequirePermission";
 import "./AdminNavbar.css";
 
 const AdminNavbar = ({ isDarkMode, setIsDarkMode }) => {
   const navigate = useNavigate();
-  const { user, getDisplayName, logout } = useAuth();
+  const { user, getDisplayName, logout, hasRole } = useAuth();
+  const roleLabel =
+    ROLE_LABELS[hasRole(ROLES.ADMIN) ? ROLES.ADMIN : ROLES.MODERATOR];
   const [isDropdownOpen, setIsDropdownOpen] = React.useState(false);
 
   const handleLogout = async () => {
@@ -76,7 +80,7 @@ const AdminNavbar = ({ isDarkMode, setIsDarkMode }) => {
             className="admin-logo-button"
           >
             <span className="admin-logo-text">🍊 ForOranges</span>
-            <span className="admin-badge">ADMIN</span>
+            <span className="admin-badge">{roleLabel.toUpperCase()}</span>
           </button>
         </div>
 
@@ -86,22 +90,28 @@ const AdminNavbar = ({ isDarkMode, setIsDarkMode }) => {
               <span className="material-symbols-outlined">dashboard</span>
               Dashboard
             </a>
-            <a href="/admin/users" className="admin-nav-link">
-              <span className="material-symbols-outlined">people</span>
-              Users
-            </a>
+            <RequirePermission permission={PERMISSIONS.MANAGE_USERS}>
+              <a href="/admin/users" className="admin-nav-link">
+                <span className="material-symbols-outlined">people</span>
+                Users
+              </a>
+            </RequirePermission>
             <a href="/admin/items" className="admin-nav-link">
               <span className="material-symbols-outlined">inventory_2</span>
               Items
             </a>
-            <a href="/admin/analytics" className="admin-nav-link">
-              <span className="material-symbols-outlined">analytics</span>
-              Analytics
-            </a>
-            <a href="/admin/settings" className="admin-nav-link">
-              <span className="material-symbols-outlined">settings</span>
-              Settings
-            </a>
+            <RequirePermission permission={PERMISSIONS.VIEW_ANALYTICS}>
+              <a href="/admin/analytics" className="admin-nav-link">
+                <span className="material-symbols-outlined">analytics</span>
+                Analytics
+              </a>
+            </RequirePermission>
+            <RequirePermission permission={PERMISSIONS.MANAGE_SETTINGS}>
+              <a href="/admin/settings" className="admin-nav-link">
+                <span className="material-symbols-outlined">settings</span>
+                Settings
+              </a>
+            </RequirePermission>
           </nav>
         </div>
 
@@ -121,7 +131,7 @@ const AdminNavbar = ({ isDarkMode, setIsDarkMode }) => {
                 admin_panel_settings
               </span>
               <span className="admin-welcome-text">
-                Admin: {getDisplayName()}
+                {roleLabel}: {getDisplayName()}
               </span>
               <span className="material-symbols-outlined admin-dropdown-arrow">
                 {isDropdownOpen ? "expand_less" : "expand_more"}
@@ -0,0 +1,300 @@
+import React, { useState } from "react";
+import { useApiQuery, useQuery } from "../../utils/queryCache";
+import {
+  DATE_RANGE_PRESETS,
+  buildAnalyticsCsv,
+  computeMarketplaceAnalytics,
+  getPresetRange,
+} from "../../utils/marketplaceAnalytics";
+import { AUDIT_LOG_KEY } from "../../services/moderationService";
+import { chatService } from "../../services/chatService";
+import TimeSeriesChart from "./TimeSeriesChart";
+import "./Analytics.css";
+
+const CUSTOM_RANGE = "custom";
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(amount);
+
+// Local YYYY-MM-DD, as used by date inputs
+const toDateInput = (date) =>
+  [
+    date.getFullYear(),
+    String(date.getMonth() + 1).padStart(2, "0"),
+    String(date.getDate()).padStart(2, "0"),
+  ].join("-");
+
+const downloadCsv = (filename, csv) => {
+  const url = URL.createObjectURL(new Blob([csv], { type: "text/csv" }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * AnalyticsPanel Component
+ * Marketplace health charts for a date range, with CSV export
+ *
+ * Props:
+ * - items: All listings
+ * - users: All users
+ */
+const AnalyticsPanel = ({ items, users }) => {
+  const [rangeId, setRangeId] = useState("30d");
+  const [customFrom, setCustomFrom] = useState(() =>
+    toDateInput(getPresetRange(30).from),
+  );
+  const [customTo, setCustomTo] = useState(() => toDateInput(new Date()));
+
+  const preset = DATE_RANGE_PRESETS.find((option) => option.id === rangeId);
+  const range = preset
+    ? getPresetRange(preset.days)
+    : {
+        from: new Date(`${customFrom}T00:00:00`),
+        to: new Date(`${customTo}T23:59:59.999`),
+      };
+  const isValidRange =
+    !Number.isNaN(range.from.getTime()) &&
+    !Number.isNaN(range.to.getTime()) &&
+    range.from < range.to;
+
+  const auditLogQuery = useApiQuery(AUDIT_LOG_KEY);
+  const since = isValidRange ? range.from.toISOString() : null;
+  const chatQuery = useQuery(
+    since ? `chat_sessions:activity:${since}` : null,
+    () => chatService.getSessionActivity(since),
+  );
+
+  if (chatQuery.error) {
+    console.error("Failed to load chat activity:", chatQuery.error);
+  }
+
+  const analytics = isValidRange
+    ? computeMarketplaceAnalytics(
+        {
+          items,
+          users,
+          auditLog: auditLogQuery.data || [],
+          chatSessions: chatQuery.data || [],
+        },
+        range,
+      )
+    : null;
+
+  const handleExport = () => {
+    downloadCsv(
+      `marketplace-analytics-${toDateInput(range.from)}-to-${toDateInput(range.to)}.csv`,
+      buildAnalyticsCsv(analytics),
+    );
+  };
+
+  const priceScale = Math.max(
+    ...(analytics?.priceByCategory || []).map((row) => row.max),
+    1,
+  );
+  const toPercent = (value) => `${(value / priceScale) * 100}%`;
+
+  return (
+    <div className="analytics-panel">
+      <div className="analytics-toolbar">
+        <label>
+          Date range
+          <select value={rangeId} onChange={(e) => setRangeId(e.target.value)}>
+            {DATE_RANGE_PRESETS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+            <option value={CUSTOM_RANGE}>Custom range</option>
+          </select>
+        </label>
+        {rangeId === CUSTOM_RANGE && (
+          <>
+            <label>
+              From
+              <input
+                type="date"
+                value={customFrom}
+                max={customTo}
+                onChange={(e) => setCustomFrom(e.target.value)}
+              />
+            </label>
+            <label>
+              To
+              <input
+                type="date"
+                value={customTo}
+                min={customFrom}
+                onChange={(e) => setCustomTo(e.target.value)}
+              />
+            </label>
+          </>
+        )}
+        <button
+          type="button"
+          className="edit-btn analytics-export"
+          onClick={handleExport}
+          disabled={!analytics}
+        >
+          <span className="material-symbols-outlined">download</span>
+          Export CSV
+        </button>
+      </div>
+
+      {!analytics ? (
+        <p className="analytics-chart-empty">Choose a valid date range.</p>
+      ) : (
+        <>
+          <div className="analytics-summary">
+            {[
+              ["New listings", analytics.totals.newListings],
+              ["Approved", analytics.totals.approvals],
+              ["Rejected", analytics.totals.rejections],
+              ["Sold", analytics.totals.sold],
+              [
+                "Median time to sell",
+                analytics.totals.medianDaysToSell === null
+                  ? "—"
+                  : `${analytics.totals.medianDaysToSell} days`,
+              ],
+              ["Chats by last activity", analytics.totals.chatsByLastActivity],
+              ["New signups", analytics.totals.signups],
+            ].map(([label, value]) => (
+              <div key={label} className="analytics-summary-card">
+                <span>{label}</span>
+                <strong>{value}</strong>
+              </div>
+            ))}
+          </div>
+
+          <div className="analytics-grid">
+            <section className="analytics-card">
+              <h3>New listings</h3>
+              <TimeSeriesChart
+                title="New listings"
+                buckets={analytics.buckets}
+                series={[
+                  {
+                    key: "newListings",
+                    label: "New listings",
+                    color: "#ff9500",
+                  },
+                ]}
+              />
+            </section>
+            <section className="analytics-card">
+              <h3>Approvals vs rejections</h3>
+              <TimeSeriesChart
+                title="Approvals vs rejections"
+                buckets={analytics.buckets}
+                series={[
+                  { key: "approvals", label: "Approved", color: "#28a745" },
+                  { key: "rejections", label: "Rejected", color: "#dc3545" },
+                ]}
+              />
+            </section>
+            <section className="analytics-card">
+              <h3>Sold items</h3>
+              <TimeSeriesChart
+                title="Sold items"
+                buckets={analytics.buckets}
+                series={[{ key: "sold", label: "Sold", color: "#007bff" }]}
+              />
+            </section>
+            <section className="analytics-card">
+              <h3>Median time to sell</h3>
+              <TimeSeriesChart
+                title="Median days from listing to sale"
+                buckets={analytics.buckets}
+                series={[
+                  {
+                    key: "medianDaysToSell",
+                    label: "Median days to sell",
+                    color: "#8b5cf6",
+                  },
+                ]}
+                formatValue={(value) => `${value}d`}
+              />
+            </section>
+            <section className="analytics-card">
+              <h3>Chats by last activity</h3>
+              <TimeSeriesChart
+                title="Chats by last activity"
+                buckets={analytics.buckets}
+                series={[
+                  {
+                    key: "chatsByLastActivity",
+                    label: "Chats by last activity",
+                    color: "#0ea5e9",
+                  },
+                ]}
+              />
+            </section>
+            <section className="analytics-card">
+              <h3>New signups</h3>
+              <TimeSeriesChart
+                title="New signups"
+                buckets={analytics.buckets}
+                series={[
+                  { key: "signups", label: "New signups", color: "#f59e0b" },
+                ]}
+              />
+            </section>
+          </div>
+
+          <section className="analytics-card">
+            <h3>Price distribution by category</h3>
+            {analytics.priceByCategory.length === 0 ? (
+              <p className="analytics-chart-empty">No data for this period</p>
+            ) : (
+              <ul className="analytics-price-ranges">
+                {analytics.priceByCategory.map((row) => (
+                  <li key={row.category}>
+                    <span className="analytics-price-category">
+                      {row.category}
+                      <small>{row.count} listings</small>
+                    </span>
+                    <div
+                      className="analytics-price-track"
+                      title={`Min ${formatCurrency(row.min)} · Q1 ${formatCurrency(row.q1)} · Median ${formatCurrency(row.median)} · Q3 ${formatCurrency(row.q3)} · Max ${formatCurrency(row.max)}`}
+                    >
+                      <span
+                        className="analytics-price-range"
+                        style={{
+                          left: toPercent(row.min),
+                          width: toPercent(row.max - row.min),
+                        }}
+                      />
+                      <span
+                        className="analytics-price-quartiles"
+                        style={{
+                          left: toPercent(row.q1),
+                          width: toPercent(row.q3 - row.q1),
+                        }}
+                      />
+                      <span
+                        className="analytics-price-median"
+                        style={{ left: toPercent(row.median) }}
+                      />
+                    </div>
+                    <span className="analytics-price-value">
+                      {formatCurrency(row.median)}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnalyticsPanel;
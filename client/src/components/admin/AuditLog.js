@@ -0,0 +1,170 @@
+import React, { useState } from "react";
+import { useApiQuery } from "../../utils/queryCache";
+import {
+  AUDIT_LOG_KEY,
+  MODERATION_ACTIONS,
+  MODERATION_ACTION_LABELS,
+} from "../../services/moderationService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import ErrorMessage from "../common/ErrorMessage";
+import "./Moderation.css";
+
+const formatTimestamp = (value) => {
+  const date = new Date(value);
+  return (
+    date.toLocaleDateString() +
+    " " +
+    date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+  );
+};
+
+/**
+ * AuditLog Component
+ * Read-only history of moderation actions with filters
+ *
+ * Props:
+ * - searchTerm: Dashboard search, matched against listing title and reason
+ */
+const AuditLog = ({ searchTerm = "" }) => {
+  const [actionFilter, setActionFilter] = useState("");
+  const [actorFilter, setActorFilter] = useState("");
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+
+  const { data, error, isLoading } = useApiQuery(AUDIT_LOG_KEY);
+
+  const entries = [...(data || [])].sort(
+    (a, b) => new Date(b.created_at) - new Date(a.created_at),
+  );
+
+  const actors = [
+    ...new Map(
+      entries
+        .filter((entry) => entry.actor_id)
+        .map((entry) => [entry.actor_id, entry.actor_name || entry.actor_id]),
+    ),
+  ];
+
+  const term = searchTerm.toLowerCase();
+  const filteredEntries = entries.filter((entry) => {
+    const createdAt = new Date(entry.created_at);
+    // Date inputs are local days; include the whole "to" day
+    if (fromDate && createdAt < new Date(`${fromDate}T00:00:00`)) return false;
+    if (toDate && createdAt > new Date(`${toDate}T23:59:59.999`)) return false;
+    if (actionFilter && entry.action !== actionFilter) return false;
+    if (actorFilter && `${entry.actor_id}` !== actorFilter) return false;
+    return (
+      !term ||
+      (entry.item_title || "").toLowerCase().includes(term) ||
+      (entry.reason || "").toLowerCase().includes(term)
+    );
+  });
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <ErrorMessage message={error} />;
+  }
+
+  return (
+    <>
+      <div className="audit-log-filters">
+        <label>
+          Action
+          <select
+            value={actionFilter}
+            onChange={(e) => setActionFilter(e.target.value)}
+          >
+            <option value="">All actions</option>
+            {Object.values(MODERATION_ACTIONS).map((action) => (
+              <option key={action} value={action}>
+                {MODERATION_ACTION_LABELS[action]}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          Moderator
+          <select
+            value={actorFilter}
+            onChange={(e) => setActorFilter(e.target.value)}
+          >
+            <option value="">All moderators</option>
+            {actors.map(([id, name]) => (
+              <option key={id} value={id}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label>
+          From
+          <input
+            type="date"
+            value={fromDate}
+            max={toDate || undefined}
+            onChange={(e) => setFromDate(e.target.value)}
+          />
+        </label>
+        <label>
+          To
+          <input
+            type="date"
+            value={toDate}
+            min={fromDate || undefined}
+            onChange={(e) => setToDate(e.target.value)}
+          />
+        </label>
+      </div>
+
+      <div className="items-table">
+        {filteredEntries.length === 0 ? (
+          <p>No moderation activity found.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>When</th>
+                <th>Moderator</th>
+                <th>Action</th>
+                <th>Item</th>
+                <th>Status</th>
+                <th>Reason</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filteredEntries.map((entry) => (
+                <tr key={entry.id || `${entry.item_id}-${entry.created_at}`}>
+                  <td>{formatTimestamp(entry.created_at)}</td>
+                  <td>{entry.actor_name || "Unknown"}</td>
+                  <td>
+                    {MODERATION_ACTION_LABELS[entry.action] || entry.action}
+                  </td>
+                  <td>{entry.item_title || `#${entry.item_id}`}</td>
+                  <td>
+                    <div className="audit-log-status">
+                      <span className={`status-badge ${entry.before_status}`}>
+                        {entry.before_status}
+                      </span>
+                      <span className="material-symbols-outlined">
+                        arrow_forward
+                      </span>
+                      <span className={`status-badge ${entry.after_status}`}>
+                        {entry.after_status}
+                      </span>
+                    </div>
+                  </td>
+                  <td className="audit-log-reason">{entry.reason || "—"}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default AuditLog;
@@ -0,0 +1,297 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./Moderation.css";
+
+export const MODERATION_SHORTCUTS = [
+  { keys: "j / ↓", description: "Next listing" },
+  { keys: "k / ↑", description: "Previous listing" },
+  { keys: "x", description: "Select or unselect listing" },
+  { keys: "Shift + x", description: "Select all or none" },
+  {
+    keys: "a",
+    description: "Approve selected (or current) listings",
+    moderates: true,
+  },
+  {
+    keys: "r",
+    description: "Reject selected (or current) listings",
+    moderates: true,
+  },
+  {
+    keys: "d",
+    description: "Delete selected (or current) listings",
+    moderates: true,
+  },
+  { keys: "Esc", description: "Clear selection" },
+  { keys: "?", description: "Show or hide shortcuts" },
+];
+
+const isTypingTarget = (target) =>
+  ["INPUT", "TEXTAREA", "SELECT"].includes(target?.tagName) ||
+  target?.isContentEditable;
+
+/**
+ * ModerationQueue Component
+ * Pending listings with multi-select, bulk actions and keyboard triage
+ *
+ * Props:
+ * - items: Listings awaiting review
+ * - onApprove / onReject / onDelete: Called with the listings to act on
+ * - canModerate: Show the approve/reject/delete actions and their shortcuts
+ * - busy: Disables actions while a previous one is running
+ * - shortcutsEnabled: Turn keyboard shortcuts off (e.g. while a dialog is open)
+ */
+const ModerationQueue = ({
+  items,
+  onApprove,
+  onReject,
+  onDelete,
+  canModerate = true,
+  busy = false,
+  shortcutsEnabled = true,
+}) => {
+  const [selectedIds, setSelectedIds] = useState(() => new Set());
+  const [focusIndex, setFocusIndex] = useState(0);
+  const [showShortcuts, setShowShortcuts] = useState(false);
+  const rowRefs = useRef([]);
+
+  const selectedItems = items.filter((item) => selectedIds.has(item.id));
+  const allSelected = items.length > 0 && selectedItems.length === items.length;
+  const focusedItem = items[Math.min(focusIndex, items.length - 1)];
+
+  // Drop selections for listings that have left the queue
+  useEffect(() => {
+    setSelectedIds((prev) => {
+      const ids = new Set(items.map((item) => item.id));
+      const next = new Set([...prev].filter((id) => ids.has(id)));
+      return next.size === prev.size ? prev : next;
+    });
+    setFocusIndex((prev) => Math.max(Math.min(prev, items.length - 1), 0));
+  }, [items]);
+
+  useEffect(() => {
+    rowRefs.current[focusIndex]?.scrollIntoView({ block: "nearest" });
+  }, [focusIndex]);
+
+  const toggleSelected = (id) => {
+    setSelectedIds((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const toggleAll = () => {
+    setSelectedIds(
+      allSelected ? new Set() : new Set(items.map((item) => item.id)),
+    );
+  };
+
+  // Shortcuts act on the selection, or on the focused row when none
+  const getTargets = () =>
+    selectedItems.length > 0 ? selectedItems : focusedItem ? [focusedItem] : [];
+
+  const runAction = (handler) => {
+    const targets = getTargets();
+    if (!canModerate || busy || targets.length === 0) return;
+    handler(targets);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.metaKey || e.ctrlKey || e.altKey || isTypingTarget(e.target)) return;
+
+    switch (e.key) {
+      case "j":
+      case "ArrowDown":
+        e.preventDefault();
+        setFocusIndex((prev) => Math.min(prev + 1, items.length - 1));
+        break;
+      case "k":
+      case "ArrowUp":
+        e.preventDefault();
+        setFocusIndex((prev) => Math.max(prev - 1, 0));
+        break;
+      case "x":
+        if (focusedItem) toggleSelected(focusedItem.id);
+        break;
+      case "X":
+        toggleAll();
+        break;
+      case "a":
+        runAction(onApprove);
+        break;
+      case "r":
+        runAction(onReject);
+        break;
+      case "d":
+        runAction(onDelete);
+        break;
+      case "Escape":
+        setSelectedIds(new Set());
+        break;
+      case "?":
+        setShowShortcuts((prev) => !prev);
+        break;
+      default:
+    }
+  };
+
+  // The handler changes every render; keep the listener pointed at the latest
+  const keyDownRef = useRef(handleKeyDown);
+  keyDownRef.current = handleKeyDown;
+
+  useEffect(() => {
+    if (!shortcutsEnabled) return;
+    const listener = (e) => keyDownRef.current(e);
+    window.addEventListener("keydown", listener);
+    return () => window.removeEventListener("keydown", listener);
+  }, [shortcutsEnabled]);
+
+  if (items.length === 0) {
+    return <p>No pending items to review.</p>;
+  }
+
+  const shortcuts = canModerate
+    ? MODERATION_SHORTCUTS
+    : MODERATION_SHORTCUTS.filter((shortcut) => !shortcut.moderates);
+
+  return (
+    <div className="moderation-queue">
+      <div className="moderation-toolbar">
+        <label className="moderation-select-all">
+          <input
+            type="checkbox"
+            checked={allSelected}
+            onChange={toggleAll}
+            aria-label="Select all listings"
+          />
+          {selectedItems.length > 0
+            ? `${selectedItems.length} selected`
+            : "Select all"}
+        </label>
+        {canModerate && (
+          <div className="action-buttons">
+            <button
+              className="approve-btn"
+              onClick={() => onApprove(selectedItems)}
+              disabled={busy || selectedItems.length === 0}
+            >
+              Approve selected
+            </button>
+            <button
+              className="reject-btn"
+              onClick={() => onReject(selectedItems)}
+              disabled={busy || selectedItems.length === 0}
+            >
+              Reject selected
+            </button>
+            <button
+              className="delete-btn"
+              onClick={() => onDelete(selectedItems)}
+              disabled={busy || selectedItems.length === 0}
+            >
+              Delete selected
+            </button>
+          </div>
+        )}
+        <button
+          type="button"
+          className="moderation-shortcuts-toggle"
+          onClick={() => setShowShortcuts((prev) => !prev)}
+          aria-expanded={showShortcuts}
+        >
+          <span className="material-symbols-outlined">keyboard</span>
+          Shortcuts
+        </button>
+      </div>
+
+      {showShortcuts && (
+        <dl className="moderation-shortcuts">
+          {shortcuts.map((shortcut) => (
+            <div key={shortcut.keys}>
+              <dt>
+                <kbd>{shortcut.keys}</kbd>
+              </dt>
+              <dd>{shortcut.description}</dd>
+            </div>
+          ))}
+        </dl>
+      )}
+
+      <table>
+        <thead>
+          <tr>
+            <th aria-label="Selected" />
+            <th>Title</th>
+            <th>Category</th>
+            <th>Price</th>
+            <th>Seller</th>
+            <th>Created</th>
+            {canModerate && <th>Actions</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {items.map((item, index) => (
+            <tr
+              key={item.id}
+              ref={(row) => {
+                rowRefs.current[index] = row;
+              }}
+              className={`${index === focusIndex ? "focused" : ""} ${
+                selectedIds.has(item.id) ? "selected" : ""
+              }`}
+              onClick={() => setFocusIndex(index)}
+            >
+              <td>
+                <input
+                  type="checkbox"
+                  checked={selectedIds.has(item.id)}
+                  onChange={() => toggleSelected(item.id)}
+                  aria-label={`Select ${item.title}`}
+                />
+              </td>
+              <td>
+                <a
+                  href={`/product/${item.id}`}
+                  target="_blank"
+                  rel="noopener noreferrer"
+                >
+                  {item.title}
+                </a>
+              </td>
+              <td>{item.category}</td>
+              <td>${item.price}</td>
+              <td>{item.user?.name || "Unknown"}</td>
+              <td>{new Date(item.created_at).toLocaleDateString()}</td>
+              {canModerate && (
+                <td>
+                  <div className="action-buttons">
+                    <button
+                      onClick={() => onApprove([item])}
+                      className="approve-btn"
+                      disabled={busy}
+                    >
+                      Approve
+                    </button>
+                    <button
+                      onClick={() => onReject([item])}
+                      className="reject-btn"
+                      disabled={busy}
+                    >
+                      Reject
+                    </button>
+                  </div>
+                </td>
+              )}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+};
+
+export default ModerationQueue;
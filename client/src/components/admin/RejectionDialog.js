@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from "react";
+import { buildRejectionReason } from "../../services/moderationService";
+import "./Moderation.css";
+
+/**
+ * RejectionDialog Component
+ * Asks for the reason shown to sellers when their listings are rejected
+ *
+ * Props:
+ * - items: Listings being rejected
+ * - templates: Reason templates ({ code, label, message })
+ * - onConfirm: Called with { reason, reasonCode }
+ * - onCancel: Called when the dialog is dismissed
+ */
+const RejectionDialog = ({ items, templates, onConfirm, onCancel }) => {
+  const [reasonCode, setReasonCode] = useState("");
+  const [note, setNote] = useState("");
+  const firstOptionRef = useRef(null);
+
+  const template = templates.find((option) => option.code === reasonCode);
+  const reason = buildRejectionReason(template, note);
+  // Templates without a message (e.g. "Other") need the note filled in
+  const canConfirm = !!template && !!reason;
+
+  useEffect(() => {
+    firstOptionRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onCancel]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (canConfirm) onConfirm({ reason, reasonCode });
+  };
+
+  return (
+    <div className="moderation-dialog-backdrop">
+      <form
+        className="moderation-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="rejection-dialog-title"
+        onSubmit={handleSubmit}
+      >
+        <h3 id="rejection-dialog-title">
+          {items.length === 1
+            ? `Reject "${items[0].title}"`
+            : `Reject ${items.length} listings`}
+        </h3>
+        <p className="moderation-dialog-hint">
+          The seller sees this reason on their My Posts page.
+        </p>
+
+        <fieldset className="rejection-templates">
+          <legend>Reason</legend>
+          {templates.map((option, index) => (
+            <label key={option.code} className="rejection-template">
+              <input
+                ref={index === 0 ? firstOptionRef : undefined}
+                type="radio"
+                name="rejection-reason"
+                value={option.code}
+                checked={reasonCode === option.code}
+                onChange={() => setReasonCode(option.code)}
+              />
+              <span>
+                <strong>{option.label}</strong>
+                {option.message && <small>{option.message}</small>}
+              </span>
+            </label>
+          ))}
+        </fieldset>
+
+        <label className="rejection-note">
+          {template && !template.message
+            ? "Message to the seller (required)"
+            : "Additional note (optional)"}
+          <textarea
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            maxLength={500}
+          />
+        </label>
+
+        <div className="moderation-dialog-actions">
+          <button type="button" className="edit-btn" onClick={onCancel}>
+            Cancel
+          </button>
+          <button type="submit" className="reject-btn" disabled={!canConfirm}>
+            Reject
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default RejectionDialog;
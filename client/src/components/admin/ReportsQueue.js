@@ -0,0 +1,294 @@
+import React, { Fragment, useCallback, useState } from "react";
+import { Link } from "react-router-dom";
+import { useApiQuery } from "../../utils/queryCache";
+import { chatService } from "../../services/chatService";
+import {
+  REPORTS_KEY,
+  REPORT_STATUS,
+  REPORT_TARGETS,
+  getReportReasonLabel,
+  groupReports,
+  reportsService,
+} from "../../services/reportsService";
+import LoadingSpinner from "../common/LoadingSpinner";
+import ErrorMessage from "../common/ErrorMessage";
+import ResolveReportsDialog from "./ResolveReportsDialog";
+import "./Moderation.css";
+
+const STATUS_FILTERS = [
+  { id: "open", label: "Open" },
+  { id: "resolved", label: "Resolved" },
+  { id: "all", label: "All" },
+];
+
+const formatTimestamp = (value) => {
+  const date = new Date(value);
+  return (
+    date.toLocaleDateString() +
+    " " +
+    date.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })
+  );
+};
+
+/**
+ * ReportsQueue Component
+ * User reports aggregated per listing or message, most reported first.
+ * Taking action rejects a listing or hides a message from its chat.
+ *
+ * Props:
+ * - items: All listings, used to reject reported listings
+ * - searchTerm: Dashboard search, matched against the reported title
+ * - onRemoveListing: Called with (item, reason) to reject a listing;
+ *   resolves to whether it succeeded
+ * - onNotify: Called with (icon, title, message) to show the outcome
+ */
+const ReportsQueue = ({
+  items = [],
+  searchTerm = "",
+  onRemoveListing,
+  onNotify,
+}) => {
+  const [statusFilter, setStatusFilter] = useState("open");
+  const [expandedKey, setExpandedKey] = useState(null);
+  const [resolving, setResolving] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const { data, error, isLoading } = useApiQuery(REPORTS_KEY);
+
+  const term = searchTerm.toLowerCase();
+  const groups = groupReports(data || []).filter(
+    (group) =>
+      (statusFilter === "all" || (statusFilter === "open") === group.isOpen) &&
+      (!term || (group.targetTitle || "").toLowerCase().includes(term)),
+  );
+
+  const handleCancel = useCallback(() => setResolving(null), []);
+
+  const handleConfirm = async (note) => {
+    const { group, status } = resolving;
+    setResolving(null);
+    setBusy(true);
+
+    try {
+      if (
+        status === REPORT_STATUS.ACTIONED &&
+        group.targetType === REPORT_TARGETS.LISTING
+      ) {
+        const item = items.find((listing) => listing.id === group.targetId) || {
+          id: group.targetId,
+          title: group.targetTitle,
+          status: "active",
+        };
+        const reasons = Object.keys(group.reasonCounts)
+          .map(getReportReasonLabel)
+          .join(", ");
+        const removed = await onRemoveListing(
+          item,
+          `Removed after buyer reports: ${reasons}`,
+        );
+        // The failure has already been reported; keep the reports open
+        if (!removed) return;
+      }
+
+      if (
+        status === REPORT_STATUS.ACTIONED &&
+        group.targetType === REPORT_TARGETS.MESSAGE
+      ) {
+        try {
+          await chatService.hideMessage(group.targetId);
+        } catch (err) {
+          onNotify("error", "Failed to hide message", err.message);
+          return;
+        }
+      }
+
+      const response = await reportsService.resolveReports(group, status, note);
+      if (response.success) {
+        onNotify(
+          "check_circle",
+          status === REPORT_STATUS.ACTIONED
+            ? "Action taken on reports"
+            : "Reports dismissed",
+          `${group.openReports.length} report${group.openReports.length === 1 ? "" : "s"} on "${group.targetTitle}" closed`,
+        );
+      } else {
+        onNotify("error", "Failed to resolve reports", response.error);
+      }
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  if (isLoading) {
+    return <LoadingSpinner />;
+  }
+
+  if (error) {
+    return <ErrorMessage message={error} />;
+  }
+
+  return (
+    <>
+      <div className="audit-log-filters">
+        <label>
+          Status
+          <select
+            value={statusFilter}
+            onChange={(e) => setStatusFilter(e.target.value)}
+          >
+            {STATUS_FILTERS.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      <div className="items-table">
+        {groups.length === 0 ? (
+          <p>No reports found.</p>
+        ) : (
+          <table>
+            <thead>
+              <tr>
+                <th>Reported</th>
+                <th>Type</th>
+                <th>Reasons</th>
+                <th>Reporters</th>
+                <th>Latest</th>
+                <th>Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map((group) => (
+                <Fragment key={group.key}>
+                  <tr>
+                    <td>
+                      <div className="reports-target">
+                        {group.targetType === REPORT_TARGETS.LISTING ? (
+                          <Link to={`/product/${group.targetId}`}>
+                            {group.targetTitle || `#${group.targetId}`}
+                          </Link>
+                        ) : (
+                          <span>
+                            {group.targetTitle || `#${group.targetId}`}
+                          </span>
+                        )}
+                        {group.isOpen && group.autoHidden && (
+                          <span className="status-badge rejected">
+                            Auto-hidden
+                          </span>
+                        )}
+                      </div>
+                    </td>
+                    <td>
+                      {group.targetType === REPORT_TARGETS.LISTING
+                        ? "Listing"
+                        : "Message"}
+                    </td>
+                    <td>
+                      <div className="reports-reasons">
+                        {Object.entries(group.reasonCounts).map(
+                          ([reason, count]) => (
+                            <span key={reason} className="role-badge">
+                              {getReportReasonLabel(reason)} × {count}
+                            </span>
+                          ),
+                        )}
+                      </div>
+                    </td>
+                    <td>{group.isOpen ? group.reporterCount : "—"}</td>
+                    <td>{formatTimestamp(group.latestAt)}</td>
+                    <td>
+                      <div className="action-buttons">
+                        <button
+                          className="edit-btn"
+                          onClick={() =>
+                            setExpandedKey(
+                              expandedKey === group.key ? null : group.key,
+                            )
+                          }
+                          aria-expanded={expandedKey === group.key}
+                        >
+                          Details
+                        </button>
+                        {group.isOpen && (
+                          <>
+                            <button
+                              className="reject-btn"
+                              disabled={busy}
+                              onClick={() =>
+                                setResolving({
+                                  group,
+                                  status: REPORT_STATUS.ACTIONED,
+                                })
+                              }
+                            >
+                              Take action
+                            </button>
+                            <button
+                              className="approve-btn"
+                              disabled={busy}
+                              onClick={() =>
+                                setResolving({
+                                  group,
+                                  status: REPORT_STATUS.DISMISSED,
+                                })
+                              }
+                            >
+                              Dismiss
+                            </button>
+                          </>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                  {expandedKey === group.key && (
+                    <tr className="reports-details-row">
+                      <td colSpan={6}>
+                        <ul className="reports-details">
+                          {group.reports.map((report) => (
+                            <li key={report.id}>
+                              <span className={`status-badge ${report.status}`}>
+                                {report.status}
+                              </span>
+                              <strong>
+                                {getReportReasonLabel(report.reason)}
+                              </strong>
+                              <span>
+                                {report.reporter_name || "Anonymous"} ·{" "}
+                                {formatTimestamp(report.created_at)}
+                              </span>
+                              {report.details && <p>{report.details}</p>}
+                              {report.resolution_note && (
+                                <p className="audit-log-reason">
+                                  Note to reporter: {report.resolution_note}
+                                </p>
+                              )}
+                            </li>
+                          ))}
+                        </ul>
+                      </td>
+                    </tr>
+                  )}
+                </Fragment>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {resolving && (
+        <ResolveReportsDialog
+          group={resolving.group}
+          status={resolving.status}
+          onConfirm={handleConfirm}
+          onCancel={handleCancel}
+        />
+      )}
+    </>
+  );
+};
+
+export default ReportsQueue;
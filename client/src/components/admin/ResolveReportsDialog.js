@@ -0,0 +1,93 @@
+import React, { useEffect, useRef, useState } from "react";
+import { REPORT_STATUS, REPORT_TARGETS } from "../../services/reportsService";
+import "./Moderation.css";
+
+/**
+ * ResolveReportsDialog Component
+ * Confirms closing the open reports against a listing or message, with an
+ * optional note for the reporters
+ *
+ * Props:
+ * - group: Report group from groupReports
+ * - status: REPORT_STATUS.ACTIONED or DISMISSED
+ * - onConfirm: Called with the note
+ * - onCancel: Called when the dialog is dismissed
+ */
+const ResolveReportsDialog = ({ group, status, onConfirm, onCancel }) => {
+  const [note, setNote] = useState("");
+  const noteRef = useRef(null);
+  const isAction = status === REPORT_STATUS.ACTIONED;
+  const isListing = group.targetType === REPORT_TARGETS.LISTING;
+
+  useEffect(() => {
+    noteRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onCancel]);
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onConfirm(note);
+  };
+
+  return (
+    <div className="moderation-dialog-backdrop">
+      <form
+        className="moderation-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="resolve-reports-title"
+        onSubmit={handleSubmit}
+      >
+        <h3 id="resolve-reports-title">
+          {`${isAction ? "Take action on" : "Dismiss reports on"} "${
+            group.targetTitle || `#${group.targetId}`
+          }"`}
+        </h3>
+        <p className="moderation-dialog-hint">
+          {isAction
+            ? isListing
+              ? "The listing is rejected and its seller sees the report reasons."
+              : "The message is hidden from both people in the chat."
+            : isListing
+              ? "The listing is left as it is and shown again if it was hidden."
+              : "The message is left as it is."}{" "}
+          {group.reporterCount === 1
+            ? "The reporter is told the outcome."
+            : `All ${group.reporterCount} reporters are told the outcome.`}
+        </p>
+
+        <label className="rejection-note">
+          Note to reporters (optional)
+          <textarea
+            ref={noteRef}
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            rows={3}
+            maxLength={500}
+          />
+        </label>
+
+        <div className="moderation-dialog-actions">
+          <button type="button" className="edit-btn" onClick={onCancel}>
+            Cancel
+          </button>
+          <button
+            type="submit"
+            className={isAction ? "reject-btn" : "approve-btn"}
+          >
+            {isAction ? "Take action" : "Dismiss"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default ResolveReportsDialog;
@@ -0,0 +1,135 @@
+import React from "react";
+import "./Analytics.css";
+
+const WIDTH = 600;
+const HEIGHT = 220;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 48 };
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * TimeSeriesChart Component
+ * Minimal SVG line chart for one or more series over the same buckets
+ *
+ * Props:
+ * - buckets: Array of { date, [series.key]: number|null } oldest first
+ * - series: Array of { key, label, color }
+ * - title: Accessible chart title
+ * - formatValue: Formats axis and tooltip values
+ */
+const TimeSeriesChart = ({
+  buckets = [],
+  series = [],
+  title,
+  formatValue = (value) => String(value),
+}) => {
+  const values = buckets.flatMap((bucket) =>
+    series
+      .map(({ key }) => bucket[key])
+      .filter((value) => typeof value === "number"),
+  );
+
+  if (values.length === 0 || values.every((value) => value === 0)) {
+    return <div className="analytics-chart-empty">No data for this period</div>;
+  }
+
+  const maxValue = Math.max(...values) || 1;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (index) =>
+    PADDING.left +
+    (buckets.length === 1
+      ? plotWidth / 2
+      : (index / (buckets.length - 1)) * plotWidth);
+  const y = (value) =>
+    PADDING.top + plotHeight - (value / maxValue) * plotHeight;
+
+  // Buckets without a value (e.g. no sales to time) break the line
+  const getPath = (key) =>
+    buckets
+      .map((bucket, index) => {
+        if (typeof bucket[key] !== "number") return null;
+        const previous = buckets[index - 1]?.[key];
+        const command = typeof previous === "number" ? "L" : "M";
+        return `${command} ${x(index)} ${y(bucket[key])}`;
+      })
+      .filter(Boolean)
+      .join(" ");
+
+  return (
+    <figure className="analytics-chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label={title}>
+        {title && <title>{title}</title>}
+
+        {[maxValue, maxValue / 2, 0].map((value) => (
+          <g key={value} className="analytics-chart-grid">
+            <line
+              x1={PADDING.left}
+              x2={WIDTH - PADDING.right}
+              y1={y(value)}
+              y2={y(value)}
+            />
+            <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end">
+              {formatValue(Math.round(value * 10) / 10)}
+            </text>
+          </g>
+        ))}
+
+        {series.map(({ key, label, color }) => (
+          <g key={key}>
+            <path
+              className="analytics-chart-line"
+              d={getPath(key)}
+              stroke={color}
+            />
+            {buckets.map(
+              (bucket, index) =>
+                typeof bucket[key] === "number" && (
+                  <circle
+                    key={bucket.date}
+                    cx={x(index)}
+                    cy={y(bucket[key])}
+                    r="3"
+                    fill={color}
+                  >
+                    <title>
+                      {`${label}, ${formatDate(bucket.date)}: ${formatValue(bucket[key])}`}
+                    </title>
+                  </circle>
+                ),
+            )}
+          </g>
+        ))}
+
+        <g className="analytics-chart-axis">
+          <text x={PADDING.left} y={HEIGHT - 8} textAnchor="start">
+            {formatDate(buckets[0].date)}
+          </text>
+          {buckets.length > 1 && (
+            <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">
+              {formatDate(buckets[buckets.length - 1].date)}
+            </text>
+          )}
+        </g>
+      </svg>
+
+      {series.length > 1 && (
+        <figcaption className="analytics-chart-legend">
+          {series.map(({ key, label, color }) => (
+            <span key={key}>
+              <i style={{ background: color }} />
+              {label}
+            </span>
+          ))}
+        </figcaption>
+      )}
+    </figure>
+  );
+};
+
+export default TimeSeriesChart;
@@ -0,0 +1,373 @@
+import React, { useEffect, useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import { useApiQuery } from "../../utils/queryCache";
+import { PERMISSIONS, ROLES, ROLE_LABELS } from "../../utils/permissions";
+import {
+  SUSPENSION_DURATIONS,
+  USERS_KEY,
+  getUserDisplayName,
+  isUserSuspended,
+  usersService,
+} from "../../services/usersService";
+import UserPreview from "./UserPreview";
+import "./UserDetailPanel.css";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// "2 years, 3 months", "5 months" or "12 days"
+const formatAccountAge = (createdAt) => {
+  if (!createdAt) return "Unknown";
+  const days = Math.max(
+    Math.floor((Date.now() - new Date(createdAt).getTime()) / DAY_MS),
+    0,
+  );
+  if (days < 31) return `${days} day${days === 1 ? "" : "s"}`;
+
+  const months = Math.floor(days / 30.44);
+  const years = Math.floor(months / 12);
+  const parts = [];
+  if (years > 0) parts.push(`${years} year${years === 1 ? "" : "s"}`);
+  if (months % 12 > 0) {
+    parts.push(`${months % 12} month${months % 12 === 1 ? "" : "s"}`);
+  }
+  return parts.join(", ");
+};
+
+const formatCount = (value) => (typeof value === "number" ? value : "—");
+
+/**
+ * UserDetailPanel Component
+ * Side panel for one user: profile, activity, editing and suspension
+ *
+ * Props:
+ * - user: User record from /api/users
+ * - listings: Listings posted by the user
+ * - onNotify: Called with (icon, title, message) to report results
+ * - onClose: Close the panel
+ */
+const UserDetailPanel = ({ user, listings, onNotify, onClose }) => {
+  const { user: currentUser, hasPermission } = useAuth();
+  const [name, setName] = useState(user.name || user.username || "");
+  const [role, setRole] = useState(user.role || ROLES.BUYER);
+  const [suspendDays, setSuspendDays] = useState(SUSPENSION_DURATIONS[0]);
+  const [suspendReason, setSuspendReason] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+
+  // Chat and report counts live server-side only
+  const { data: stats } = useApiQuery(`${USERS_KEY}/${user.id}/stats`);
+
+  const isSelf = user.id === currentUser?.id;
+  const suspended = isUserSuspended(user);
+  const canViewAs = hasPermission(PERMISSIONS.VIEW_AS_USER);
+  const isDirty =
+    name.trim() !== (user.name || user.username || "") ||
+    role !== (user.role || ROLES.BUYER);
+
+  const listingCounts = listings.reduce((counts, item) => {
+    const status = item.status || "pending";
+    return { ...counts, [status]: (counts[status] || 0) + 1 };
+  }, {});
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const runAction = async (
+    action,
+    successTitle,
+    failureTitle,
+    successMessage,
+  ) => {
+    setIsSaving(true);
+    const response = await action();
+    setIsSaving(false);
+
+    if (response.success) {
+      onNotify("check_circle", successTitle, successMessage);
+    } else {
+      onNotify("error", failureTitle, response.error);
+    }
+    return response.success;
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    runAction(
+      () => usersService.updateUser(user.id, { name: name.trim(), role }),
+      `${name.trim()} updated`,
+      "Failed to update user",
+      role !== (user.role || ROLES.BUYER)
+        ? "The new role takes effect the next time they sign in."
+        : undefined,
+    );
+  };
+
+  const handleSuspend = async (e) => {
+    e.preventDefault();
+    if (!suspendReason.trim()) return;
+
+    const until = new Date(Date.now() + suspendDays * DAY_MS).toISOString();
+    const success = await runAction(
+      () =>
+        usersService.suspendUser(user.id, {
+          until,
+          reason: suspendReason.trim(),
+        }),
+      `${getUserDisplayName(user)} suspended for ${suspendDays} day${
+        suspendDays === 1 ? "" : "s"
+      }`,
+      "Failed to suspend user",
+    );
+    if (success) setSuspendReason("");
+  };
+
+  const handleReinstate = () => {
+    runAction(
+      () => usersService.reinstateUser(user.id),
+      `${getUserDisplayName(user)} reinstated`,
+      "Failed to reinstate user",
+    );
+  };
+
+  return (
+    <div className="user-panel-backdrop" onClick={onClose}>
+      <aside
+        className="user-panel"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="user-panel-title"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="user-panel-header">
+          <div>
+            <h3 id="user-panel-title">{getUserDisplayName(user)}</h3>
+            <p>{user.email}</p>
+            <div className="user-panel-badges">
+              <span className={`role-badge ${user.role || ROLES.BUYER}`}>
+                {ROLE_LABELS[user.role] || user.role || ROLE_LABELS.buyer}
+              </span>
+              {suspended && (
+                <span className="status-badge rejected">Suspended</span>
+              )}
+            </div>
+          </div>
+          <button
+            type="button"
+            className="user-panel-close"
+            onClick={onClose}
+            aria-label="Close"
+          >
+            <span className="material-symbols-outlined">close</span>
+          </button>
+        </div>
+
+        {isPreviewing ? (
+          <UserPreview
+            user={user}
+            listings={listings}
+            onExit={() => setIsPreviewing(false)}
+          />
+        ) : (
+          <>
+            <dl className="user-panel-facts">
+              <div>
+                <dt>Account age</dt>
+                <dd>{formatAccountAge(user.created_at)}</dd>
+              </div>
+              <div>
+                <dt>Last activity</dt>
+                <dd>
+                  {user.lastActivity
+                    ? new Date(user.lastActivity).toLocaleString()
+                    : "Never"}
+                </dd>
+              </div>
+              <div>
+                <dt>Listings</dt>
+                <dd>
+                  {listings.length}
+                  {listings.length > 0 && (
+                    <small>
+                      {" "}
+                      (
+                      {Object.entries(listingCounts)
+                        .map(([status, count]) => `${count} ${status}`)
+                        .join(", ")}
+                      )
+                    </small>
+                  )}
+                </dd>
+              </div>
+              <div>
+                <dt>Chats</dt>
+                <dd>{formatCount(stats?.chat_count)}</dd>
+              </div>
+              <div>
+                <dt>Reports received</dt>
+                <dd>{formatCount(stats?.reports_received)}</dd>
+              </div>
+              <div>
+                <dt>Reports filed</dt>
+                <dd>{formatCount(stats?.reports_filed)}</dd>
+              </div>
+            </dl>
+
+            {canViewAs && (
+              <button
+                type="button"
+                className="edit-btn user-panel-view-as"
+                onClick={() => setIsPreviewing(true)}
+              >
+                <span className="material-symbols-outlined">visibility</span>
+                View as user
+              </button>
+            )}
+
+            <form className="user-panel-section" onSubmit={handleSave}>
+              <h4>Profile</h4>
+              <label>
+                Display name
+                <input
+                  type="text"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={80}
+                  required
+                />
+              </label>
+              <label>
+                Role
+                <select
+                  value={role}
+                  onChange={(e) => setRole(e.target.value)}
+                  disabled={isSelf}
+                >
+                  {Object.values(ROLES).map((option) => (
+                    <option key={option} value={option}>
+                      {ROLE_LABELS[option]}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              {isSelf && (
+                <p className="user-panel-hint">
+                  You can't change your own role.
+                </p>
+              )}
+              <div className="action-buttons">
+                <button
+                  type="submit"
+                  className="approve-btn"
+                  disabled={isSaving || !isDirty || !name.trim()}
+                >
+                  Save changes
+                </button>
+              </div>
+            </form>
+
+            <div className="user-panel-section">
+              <h4>Suspension</h4>
+              {suspended ? (
+                <>
+                  <p>
+                    Suspended until{" "}
+                    <strong>
+                      {new Date(user.suspended_until).toLocaleString()}
+                    </strong>
+                  </p>
+                  {user.suspension_reason && (
+                    <p className="user-panel-hint">
+                      Reason: {user.suspension_reason}
+                    </p>
+                  )}
+                  <div className="action-buttons">
+                    <button
+                      type="button"
+                      className="approve-btn"
+                      onClick={handleReinstate}
+                      disabled={isSaving}
+                    >
+                      Reinstate now
+                    </button>
+                  </div>
+                </>
+              ) : isSelf ? (
+                <p className="user-panel-hint">You can't suspend yourself.</p>
+              ) : (
+                <form onSubmit={handleSuspend}>
+                  <label>
+                    Duration
+                    <select
+                      value={suspendDays}
+                      onChange={(e) => setSuspendDays(Number(e.target.value))}
+                    >
+                      {SUSPENSION_DURATIONS.map((days) => (
+                        <option key={days} value={days}>
+                          {days} day{days === 1 ? "" : "s"}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label>
+                    Reason
+                    <textarea
+                      value={suspendReason}
+                      onChange={(e) => setSuspendReason(e.target.value)}
+                      rows={3}
+                      maxLength={500}
+                      required
+                    />
+                  </label>
+                  <div className="action-buttons">
+                    <button
+                      type="submit"
+                      className="reject-btn"
+                      disabled={isSaving || !suspendReason.trim()}
+                    >
+                      Suspend
+                    </button>
+                  </div>
+                </form>
+              )}
+            </div>
+
+            <div className="user-panel-section">
+              <h4>Listings</h4>
+              {listings.length === 0 ? (
+                <p className="user-panel-empty">No listings.</p>
+              ) : (
+                <ul className="user-panel-listings">
+                  {listings.map((item) => (
+                    <li key={item.id}>
+                      <a
+                        href={`/product/${item.id}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                      >
+                        {item.title}
+                      </a>
+                      <span>${item.price}</span>
+                      <span
+                        className={`status-badge ${item.status || "pending"}`}
+                      >
+                        {item.status || "pending"}
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+      </aside>
+    </div>
+  );
+};
+
+export default UserDetailPanel;
@@ -0,0 +1,76 @@
+import React from "react";
+import {
+  getUserDisplayName,
+  isUserSuspended,
+} from "../../services/usersService";
+import "./UserDetailPanel.css";
+
+/**
+ * UserPreview Component
+ * Read-only "view as user" mode for support. It's built entirely from data
+ * the admin already loaded with their own session; no token or session for
+ * the user is ever requested, so nothing here can act on their behalf.
+ *
+ * Props:
+ * - user: User being previewed
+ * - listings: That user's listings
+ * - onExit: Leave the preview
+ */
+const UserPreview = ({ user, listings, onExit }) => {
+  const name = getUserDisplayName(user);
+
+  return (
+    <div className="user-preview">
+      <div className="user-preview-banner" role="status">
+        <span className="material-symbols-outlined">visibility</span>
+        <p>
+          Viewing as <strong>{name}</strong>. Read-only: you're still signed in
+          as yourself.
+        </p>
+        <button type="button" className="edit-btn" onClick={onExit}>
+          Exit preview
+        </button>
+      </div>
+
+      <h4>My Posts ({listings.length})</h4>
+      {listings.length === 0 ? (
+        <p className="user-panel-empty">{name} hasn't posted anything yet.</p>
+      ) : (
+        <ul className="user-preview-posts">
+          {listings.map((post) => (
+            <li key={post.id}>
+              <div className="user-preview-post-header">
+                <strong>{post.title}</strong>
+                <span className={`status-badge ${post.status || "pending"}`}>
+                  {post.status || "pending"}
+                </span>
+              </div>
+              <span className="user-preview-post-meta">
+                ${post.price} · {post.category} ·{" "}
+                {new Date(post.created_at).toLocaleDateString()}
+              </span>
+              {post.status === "rejected" && post.rejection_reason && (
+                <p className="user-preview-post-reason">
+                  <strong>Why this was rejected:</strong>{" "}
+                  {post.rejection_reason}
+                </p>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {isUserSuspended(user) && (
+        <>
+          <h4>Account notice</h4>
+          <p className="user-preview-post-reason">
+            Suspended until {new Date(user.suspended_until).toLocaleString()}
+            {user.suspension_reason ? `: ${user.suspension_reason}` : ""}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default UserPreview;
@@ -2,9 +2,18 @@ import React, { useEffect, useState } from "react";
 import { Navigate } from "react-router-dom";
 import { useAuth } from "../../contexts/AuthContext";
 import LoadingSpinner from "../common/LoadingSpinner";
-
-const ProtectedRoute = ({ children, requireAdmin = false }) => {
-  const { user, loading, isAdmin } = useAuth();
+import RequirePermission from "./RequirePermission";
+
+/**
+ * ProtectedRoute Component
+ * Sends signed-out users to the login page and, when `permission` is set,
+ * users without that permission back to the home page
+ *
+ * Props:
+ * - permission: Optional permission from PERMISSIONS needed for the route
+ */
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, loading, rolesLoading } = useAuth();
   const [isChecking, setIsChecking] = useState(true);
 
   useEffect(() => {
@@ -24,7 +33,7 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return () => clearTimeout(timer);
   }, []);
 
-  if (loading || isChecking) {
+  if (loading || isChecking || (permission && rolesLoading)) {
     return <LoadingSpinner />;
   }
 
@@ -35,9 +44,15 @@ const ProtectedRoute = ({ children, requireAdmin = false }) => {
     return <Navigate to="/login" replace />;
   }
 
-  if (requireAdmin && !isAdmin()) {
-    // Redirect to home if admin access is required but user is not admin
-    return <Navigate to="/" replace />;
+  if (permission) {
+    return (
+      <RequirePermission
+        permission={permission}
+        fallback={<Navigate to="/" replace />}
+      >
+        {children}
+      </RequirePermission>
+    );
   }
 
   // Render the protected component
@@ -0,0 +1,16 @@
+import { usePermission } from "../../contexts/AuthContext";
+
+/**
+ * RequirePermission Component
+ * Renders its children only for users with a permission
+ *
+ * Props:
+ * - permission: One of PERMISSIONS
+ * - fallback: Rendered instead when the permission is missing
+ */
+const RequirePermission = ({ permission, fallback = null, children }) => {
+  const allowed = usePermission(permission);
+  return allowed ? children : fallback;
+};
+
+export default RequirePermission;
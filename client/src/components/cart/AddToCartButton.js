@@ -0,0 +1,66 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useCart } from "../../contexts/CartContext";
+import { getAvailableStock } from "../../utils/cart";
+import Button from "../common/Button";
+import "./CartPage.css";
+
+/**
+ * AddToCartButton Component
+ * Adds one unit of a listing to the cart, or links to the cart once every
+ * available unit is in it. Signed-out users are sent to the login page.
+ *
+ * Props:
+ * - item: Listing to add
+ * - size / fullWidth / style: Passed to the Button
+ */
+const AddToCartButton = ({ item, size = "large", fullWidth = true, style }) => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const { addToCart, getQuantity } = useCart();
+  const [error, setError] = useState(null);
+
+  const stock = getAvailableStock(item);
+  const inCart = getQuantity(item.id);
+
+  const handleClick = () => {
+    if (!isAuthenticated) {
+      localStorage.setItem("redirect_after_login", window.location.pathname);
+      navigate("/login");
+      return;
+    }
+    if (inCart >= stock) {
+      navigate("/cart");
+      return;
+    }
+
+    const result = addToCart(item);
+    setError(result.success ? null : result.error);
+  };
+
+  return (
+    <div className="add-to-cart" style={style}>
+      <Button
+        variant={inCart > 0 ? "secondary" : "primary"}
+        size={size}
+        fullWidth={fullWidth}
+        onClick={handleClick}
+        disabled={stock === 0}
+      >
+        {stock === 0
+          ? item.status === "reserved"
+            ? "Reserved"
+            : "Unavailable"
+          : inCart >= stock
+            ? "In Cart – View Cart"
+            : inCart > 0
+              ? `Add Another (${inCart} in cart)`
+              : "Add to Cart"}
+      </Button>
+      {error && <p className="add-to-cart-error">{error}</p>}
+    </div>
+  );
+};
+
+export default AddToCartButton;
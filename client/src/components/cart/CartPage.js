@@ -0,0 +1,299 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useCart } from "../../contexts/CartContext";
+import { orderService } from "../../services/orderService";
+import {
+  getPaymentProvider,
+  getPaymentProviders,
+} from "../../services/paymentProviders";
+import { getAvailableStock, getLineTotal } from "../../utils/cart";
+import {
+  getProductImageSources,
+  getStockStatus,
+} from "../../utils/productUtils";
+import { getFallbackImageUrl } from "../../utils/imageFallback";
+import { isHiddenByReports } from "../../utils/reports";
+import Button from "../common/Button";
+import LazyImage from "../common/LazyImage";
+import "./CartPage.css";
+
+const PROBLEM_MESSAGES = {
+  unavailable: "No longer available",
+  reserved: "Reserved by another buyer",
+  hidden: "Under review after reports",
+  stock: "Not enough in stock",
+  price: "Price has changed",
+};
+
+const getUnavailableReason = (item) => {
+  if (item.status === "reserved") return "reserved";
+  if (isHiddenByReports(item)) return "hidden";
+  return "unavailable";
+};
+
+const formatPrice = (value) => `$${(parseFloat(value) || 0).toFixed(2)}`;
+
+/**
+ * CartPage Component
+ * Cart lines with quantity and stock checks, an order summary and checkout
+ * through the selected payment provider
+ */
+const CartPage = () => {
+  const navigate = useNavigate();
+  const {
+    cartItems,
+    itemCount,
+    total,
+    updateQuantity,
+    removeFromCart,
+    clearCart,
+    refreshItems,
+  } = useCart();
+  const providers = getPaymentProviders();
+  const [providerId, setProviderId] = useState(() => getPaymentProvider().id);
+  const [checkout, setCheckout] = useState({
+    status: "idle",
+    error: null,
+    order: null,
+    problems: [],
+  });
+
+  const isProcessing = checkout.status === "processing";
+  const problemsById = Object.fromEntries(
+    checkout.problems.map((problem) => [problem.itemId, problem]),
+  );
+  const hasUnavailable = cartItems.some(
+    (line) => getAvailableStock(line.item) === 0,
+  );
+
+  const handleContinueShopping = () => {
+    navigate("/home");
+  };
+
+  const handleCheckout = async () => {
+    setCheckout({
+      status: "processing",
+      error: null,
+      order: null,
+      problems: [],
+    });
+
+    const result = await orderService.checkout(
+      cartItems,
+      getPaymentProvider(providerId),
+    );
+
+    if (result.success) {
+      clearCart();
+      setCheckout({
+        status: "success",
+        error: null,
+        order: result.order,
+        problems: [],
+      });
+      return;
+    }
+
+    if (result.items) {
+      refreshItems(result.items);
+    }
+    setCheckout({
+      status: "error",
+      error: result.error,
+      order: null,
+      problems: result.problems || [],
+    });
+  };
+
+  if (checkout.status === "success") {
+    return (
+      <div className="cart-page">
+        <div className="empty-cart order-confirmation">
+          <div className="empty-cart-icon">✅</div>
+          <h2>Order placed</h2>
+          <p>
+            Order #{checkout.order.id} is paid and the items are reserved for
+            you.
+          </p>
+          <Button variant="primary" onClick={handleContinueShopping}>
+            Continue Shopping
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  if (cartItems.length === 0) {
+    return (
+      <div className="cart-page">
+        <div className="empty-cart">
+          <div className="empty-cart-icon">🛒</div>
+          <h2>Your cart is empty</h2>
+          <p>Add some items to your cart to continue shopping.</p>
+          <Button variant="primary" onClick={handleContinueShopping}>
+            Continue Shopping
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="cart-page">
+      <div className="cart-header">
+        <h1>Shopping Cart</h1>
+        <Button variant="secondary" onClick={handleContinueShopping}>
+          ← Continue Shopping
+        </Button>
+      </div>
+
+      <div className="cart-content">
+        <div className="cart-items">
+          {cartItems.map(({ item, quantity }) => {
+            const stock = getAvailableStock(item);
+            const problem = problemsById[item.id];
+            const imageSources = getProductImageSources(item);
+
+            return (
+              <div
+                key={item.id}
+                className={`cart-item ${stock === 0 ? "unavailable" : ""}`}
+              >
+                <div className="cart-item-image">
+                  {imageSources.src ? (
+                    <LazyImage
+                      src={imageSources.src}
+                      srcSet={imageSources.srcSet}
+                      sizes="100px"
+                      placeholderSrc={imageSources.placeholderSrc}
+                      alt={item.title}
+                    />
+                  ) : (
+                    <img src={getFallbackImageUrl(item)} alt={item.title} />
+                  )}
+                </div>
+                <div className="cart-item-details">
+                  <h3 className="cart-item-name">
+                    <button
+                      type="button"
+                      onClick={() => navigate(`/product/${item.id}`)}
+                    >
+                      {item.title}
+                    </button>
+                  </h3>
+                  <p className="cart-item-description">{item.description}</p>
+                  <p
+                    className={`cart-item-stock ${
+                      stock === 0 || problem ? "warning" : ""
+                    }`}
+                  >
+                    {problem
+                      ? PROBLEM_MESSAGES[problem.reason]
+                      : stock === 0
+                        ? PROBLEM_MESSAGES[getUnavailableReason(item)]
+                        : getStockStatus(stock)}
+                  </p>
+                  <div className="cart-item-footer">
+                    <span className="cart-item-price">
+                      {formatPrice(getLineTotal({ item, quantity }))}
+                      {quantity > 1 && (
+                        <span className="cart-item-unit-price">
+                          {formatPrice(item.price)} each
+                        </span>
+                      )}
+                    </span>
+                    <div className="cart-item-controls">
+                      {stock > 1 && (
+                        <label className="cart-item-quantity">
+                          Qty
+                          <select
+                            value={quantity}
+                            onChange={(e) =>
+                              updateQuantity(item.id, Number(e.target.value))
+                            }
+                            disabled={isProcessing}
+                          >
+                            {Array.from(
+                              { length: Math.max(stock, quantity) },
+                              (_, index) => index + 1,
+                            ).map((value) => (
+                              <option key={value} value={value}>
+                                {value}
+                              </option>
+                            ))}
+                          </select>
+                        </label>
+                      )}
+                      <button
+                        className="remove-btn"
+                        onClick={() => removeFromCart(item.id)}
+                        disabled={isProcessing}
+                      >
+                        Remove
+                      </button>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        <div className="cart-summary">
+          <div className="summary-row">
+            <span>
+              Subtotal ({itemCount} item{itemCount !== 1 ? "s" : ""})
+            </span>
+            <span>{formatPrice(total)}</span>
+          </div>
+          <div className="summary-row">
+            <span>Shipping</span>
+            <span>Free</span>
+          </div>
+          <div className="summary-row total">
+            <span>Total</span>
+            <span>{formatPrice(total)}</span>
+          </div>
+
+          {providers.length > 1 ? (
+            <label className="payment-provider">
+              Payment method
+              <select
+                value={providerId}
+                onChange={(e) => setProviderId(e.target.value)}
+                disabled={isProcessing}
+              >
+                {providers.map((provider) => (
+                  <option key={provider.id} value={provider.id}>
+                    {provider.name}
+                  </option>
+                ))}
+              </select>
+            </label>
+          ) : (
+            <p className="payment-provider">
+              Paying with {getPaymentProvider(providerId).name}
+            </p>
+          )}
+
+          {checkout.error && <p className="checkout-error">{checkout.error}</p>}
+          {hasUnavailable && (
+            <p className="checkout-error">
+              Remove items that are no longer available to check out.
+            </p>
+          )}
+
+          <button
+            className="checkout-btn"
+            onClick={handleCheckout}
+            disabled={isProcessing || hasUnavailable}
+          >
+            {isProcessing ? "Placing order..." : "Place Order"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CartPage;
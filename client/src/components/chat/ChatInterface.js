@@ -1,4 +1,30 @@
-import React, { useRef } from "react";
+import React, { useRef, useState } from "react";
+import {
+  getSessionTitle,
+  getSessionPartner,
+  getMessageStatus,
+} from "../../services/chatService";
+import { REPORT_TARGETS } from "../../services/reportsService";
+import { IMAGE_TYPES } from "../../utils/imageValidation";
+import { isHiddenByReports } from "../../utils/reports";
+import OfferMessage from "./OfferMessage";
+import ReportButton from "../reports/ReportButton";
+
+// Moderators see reported messages by their text, so keep it recognisable
+const getMessageExcerpt = (message) => {
+  if (message.message_type === "image") return "Photo";
+  if (message.message_type === "offer") return "Price offer";
+  const content = message.content || "";
+  return content.length > 80 ? `${content.slice(0, 80)}…` : content;
+};
+
+const MESSAGE_STATUS_LABELS = {
+  pending: "Sending...",
+  failed: "Not sent",
+  sent: "✓ Sent",
+  delivered: "✓✓ Delivered",
+  read: "✓✓ Read",
+};
 
 /**
  * ChatInterface Component
@@ -7,42 +33,72 @@ import React, { useRef } from "react";
  * Props:
  * - activeSession: Currently selected session object
  * - messages: Array of messages for the active session
+ * - isLoadingMessages: Loading state for the initial history page
+ * - hasMoreMessages: Whether older messages can be loaded
+ * - isLoadingOlder: Loading state for older messages
+ * - onLoadOlderMessages: Function to load the previous page of history
  * - newMessage: Current message input value
  * - onMessageChange: Function to handle message input changes
  * - onKeyPress: Function to handle key press events
  * - onSendMessage: Function to send a new message
  * - isSendingMessage: Loading state for message sending
+ * - onSendImage: Function to upload and send a photo
+ * - onSendOffer: Function to send a price offer
+ * - onOfferAction: Function to respond to an offer
+ * - isRespondingToOffer: Loading state for offer responses
+ * - isSeller: Whether the current user sells the listing in this chat
+ * - onRetryMessage: Function to resend a queued message that failed
+ * - onDiscardMessage: Function to drop a queued message
  * - wsConnectionStatus: WebSocket connection status
  * - wsConnectionError: WebSocket error state
  * - onRetryConnection: Function to retry WebSocket connection
+ * - isPartnerTyping: Whether the other participant is typing
+ * - isPartnerOnline: Whether the other participant has the chat open
  * - user: Current user object
  */
 const ChatInterface = ({
   activeSession,
   messages,
+  isLoadingMessages,
+  hasMoreMessages,
+  isLoadingOlder,
+  onLoadOlderMessages,
   newMessage,
   onMessageChange,
   onKeyPress,
   onSendMessage,
   isSendingMessage,
+  onSendImage,
+  onSendOffer,
+  onOfferAction,
+  isRespondingToOffer,
+  isSeller,
+  onRetryMessage,
+  onDiscardMessage,
   wsConnectionStatus,
   wsConnectionError,
   onRetryConnection,
+  isPartnerTyping,
+  isPartnerOnline,
   user,
 }) => {
-  console.log("ChatInterface received activeSession:", activeSession);
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const [isOfferOpen, setIsOfferOpen] = useState(false);
+  const [offerAmount, setOfferAmount] = useState("");
 
   // Scroll to bottom of messages
   const scrollToBottom = () => {
     messagesEndRef.current?.scrollIntoView({ behavior: "smooth" });
   };
 
-  // Auto-scroll when messages change
+  // Auto-scroll only when a message is appended, not when older history is
+  // prepended above the current position
+  const lastMessageId = messages[messages.length - 1]?.id;
   React.useEffect(() => {
     scrollToBottom();
-  }, [messages]);
+  }, [lastMessageId]);
 
   // Focus input when active session changes
   React.useEffect(() => {
@@ -51,9 +107,66 @@ const ChatInterface = ({
     }
   }, [activeSession]);
 
+  const handleImageSelect = (e) => {
+    const file = e.target.files[0];
+    // Allow picking the same file again after an error
+    e.target.value = "";
+    if (file) onSendImage(file);
+  };
+
+  const handleOfferSubmit = (e) => {
+    e.preventDefault();
+    const amount = parseFloat(offerAmount);
+    if (!amount || amount <= 0) return;
+
+    onSendOffer(amount);
+    setOfferAmount("");
+    setIsOfferOpen(false);
+  };
+
+  const renderMessageBody = (message, isSent) => {
+    if (isHiddenByReports(message)) {
+      return (
+        <div className="chat-message-bubble chat-message-hidden">
+          This message was removed by a moderator
+        </div>
+      );
+    }
+
+    switch (message.message_type) {
+      case "image":
+        return (
+          <a
+            className="chat-message-image"
+            href={message.content}
+            target="_blank"
+            rel="noopener noreferrer"
+          >
+            <img
+              src={message.content}
+              alt={message.metadata?.name || "Photo"}
+            />
+          </a>
+        );
+      case "offer":
+        return (
+          <OfferMessage
+            message={message}
+            isSent={isSent}
+            isSeller={isSeller}
+            onOfferAction={onOfferAction}
+            disabled={isRespondingToOffer}
+          />
+        );
+      default:
+        return <div className="chat-message-bubble">{message.content}</div>;
+    }
+  };
+
   // Render message bubble
   const renderMessage = (message) => {
     const isSent = message.sender_id === user?.id;
+    const status = getMessageStatus(message);
     const time = new Date(message.created_at).toLocaleTimeString([], {
       hour: "2-digit",
       minute: "2-digit",
@@ -62,7 +175,7 @@ const ChatInterface = ({
     return (
       <div
         key={message.id}
-        className={`chat-message ${isSent ? "sent" : "received"}`}
+        className={`chat-message ${isSent ? "sent" : "received"} ${message.outbox_status || ""}`}
       >
         <div className="chat-message-avatar">
           {isSent
@@ -70,38 +183,77 @@ const ChatInterface = ({
             : message.sender?.username?.charAt(0).toUpperCase() || "U"}
         </div>
         <div className="chat-message-content">
-          <div className="chat-message-bubble">{message.content}</div>
-          <div className="chat-message-time">{time}</div>
+          {renderMessageBody(message, isSent)}
+          <div className="chat-message-time">
+            {time}
+            {!isSent && !isHiddenByReports(message) && (
+              <ReportButton
+                targetType={REPORT_TARGETS.MESSAGE}
+                targetId={message.id}
+                targetTitle={getMessageExcerpt(message)}
+                compact
+              />
+            )}
+          </div>
+          {isSent && (
+            <div className={`chat-message-status ${status}`}>
+              {MESSAGE_STATUS_LABELS[status]}
+              {status === "failed" && (
+                <>
+                  <button
+                    className="chat-message-retry"
+                    onClick={() => onRetryMessage(message)}
+                  >
+                    Retry
+                  </button>
+                  <button
+                    className="chat-message-retry"
+                    onClick={() => onDiscardMessage(message)}
+                  >
+                    Discard
+                  </button>
+                </>
+              )}
+            </div>
+          )}
         </div>
       </div>
     );
   };
 
   if (!activeSession) {
-    console.log("No active session in ChatInterface, showing empty state");
     return (
       <div className="chat-interface">
         <div className="chat-empty-state">
           <div className="chat-empty-state-icon">💬</div>
-          <h3>Demo Chat Mode</h3>
-          <p>
-            Chat functionality is in demo mode. No real sessions available yet.
-          </p>
+          <h3>Select a conversation</h3>
+          <p>Choose a chat from the list or message a seller from a listing</p>
         </div>
       </div>
     );
   }
 
+  const title = getSessionTitle(activeSession);
+  const partner = getSessionPartner(activeSession, user?.id);
+
   return (
     <div className="chat-interface">
       {/* Chat Header */}
       <div className="chat-header">
         <div className="chat-header-info">
           <div className="chat-header-avatar">
-            {activeSession.product?.name?.charAt(0).toUpperCase() || "C"}
+            {title.charAt(0).toUpperCase()}
           </div>
-          <div className="chat-header-title">
-            {activeSession.product?.name || "Chat"}
+          <div>
+            <div className="chat-header-title">{title}</div>
+            {partner && (
+              <div className="chat-header-subtitle">
+                {partner.full_name || partner.username}
+                {isPartnerOnline && (
+                  <span className="chat-partner-online"> · Online</span>
+                )}
+              </div>
+            )}
           </div>
         </div>
         {/* WebSocket Connection Status */}
@@ -126,7 +278,20 @@ const ChatInterface = ({
       {/* Messages Container */}
       <div className="chat-messages-container">
         <div className="chat-messages">
-          {messages.length === 0 ? (
+          {hasMoreMessages && (
+            <button
+              className="chat-load-older"
+              onClick={onLoadOlderMessages}
+              disabled={isLoadingOlder}
+            >
+              {isLoadingOlder ? "Loading..." : "Load earlier messages"}
+            </button>
+          )}
+          {isLoadingMessages && messages.length === 0 ? (
+            <div className="chat-loading">
+              <p>Loading messages...</p>
+            </div>
+          ) : messages.length === 0 ? (
             <div className="chat-empty-state">
               <div className="chat-empty-state-icon">💬</div>
               <h3>No Messages Yet</h3>
@@ -135,13 +300,81 @@ const ChatInterface = ({
           ) : (
             messages.map(renderMessage)
           )}
+          {isPartnerTyping && (
+            <div className="chat-typing-indicator">
+              <div className="typing-dots">
+                <div className="typing-dot"></div>
+                <div className="typing-dot"></div>
+                <div className="typing-dot"></div>
+              </div>
+              <span>{partner?.username || "Someone"} is typing...</span>
+            </div>
+          )}
           <div ref={messagesEndRef} />
         </div>
       </div>
 
       {/* Message Input */}
       <div className="chat-input-container">
+        {isOfferOpen && (
+          <form className="chat-offer-form" onSubmit={handleOfferSubmit}>
+            <label htmlFor="chat-offer-amount">Your offer</label>
+            <input
+              id="chat-offer-amount"
+              type="number"
+              min="0"
+              step="0.01"
+              placeholder={
+                activeSession.post?.price
+                  ? `Asking $${activeSession.post.price}`
+                  : "Amount"
+              }
+              value={offerAmount}
+              onChange={(e) => setOfferAmount(e.target.value)}
+              autoFocus
+            />
+            <button
+              type="submit"
+              className="chat-offer-button accept"
+              disabled={!offerAmount || isSendingMessage}
+            >
+              Send offer
+            </button>
+            <button
+              type="button"
+              className="chat-offer-button"
+              onClick={() => setIsOfferOpen(false)}
+            >
+              Cancel
+            </button>
+          </form>
+        )}
         <div className="chat-input-wrapper">
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept={IMAGE_TYPES.join(",")}
+            onChange={handleImageSelect}
+            style={{ display: "none" }}
+          />
+          <button
+            className="chat-attach-button"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={isSendingMessage}
+            title="Send a photo"
+          >
+            <span className="material-symbols-outlined">photo_camera</span>
+          </button>
+          {!isSeller && (
+            <button
+              className={`chat-attach-button ${isOfferOpen ? "active" : ""}`}
+              onClick={() => setIsOfferOpen((open) => !open)}
+              disabled={isSendingMessage}
+              title="Make an offer"
+            >
+              <span className="material-symbols-outlined">sell</span>
+            </button>
+          )}
           <textarea
             ref={inputRef}
             className="chat-input"
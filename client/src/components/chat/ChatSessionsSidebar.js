@@ -1,4 +1,5 @@
 import React from "react";
+import { getSessionTitle, getSessionPartner } from "../../services/chatService";
 
 /**
  * ChatSessionsSidebar Component
@@ -10,8 +11,8 @@ import React from "react";
  * - onSessionSelect: Function to handle session selection
  * - searchTerm: Current search term
  * - onSearchChange: Function to handle search input changes
- * - onCreateNewSession: Function to create new session
- * - isCreatingSession: Loading state for session creation
+ * - unreadCounts: Map of session ID to unread message count
+ * - user: Current user object
  */
 const ChatSessionsSidebar = ({
   sessions,
@@ -19,8 +20,8 @@ const ChatSessionsSidebar = ({
   onSessionSelect,
   searchTerm,
   onSearchChange,
-  onCreateNewSession,
-  isCreatingSession,
+  unreadCounts = {},
+  user,
 }) => {
   return (
     <div className="chat-sessions-sidebar">
@@ -42,44 +43,46 @@ const ChatSessionsSidebar = ({
         {sessions.length === 0 ? (
           <div className="chat-empty-state">
             <div className="chat-empty-state-icon">💬</div>
-            <h3>Demo Mode</h3>
-            <p>
-              Chat functionality is in demo mode. Authentication system not yet
-              implemented.
-            </p>
-            <button
-              className="chat-demo-button"
-              onClick={onCreateNewSession}
-              disabled={isCreatingSession}
-            >
-              {isCreatingSession ? "Creating..." : "Create Demo Chat"}
-            </button>
+            <h3>No conversations yet</h3>
+            <p>Start a chat from a listing to message the seller.</p>
           </div>
         ) : (
-          sessions.map((session) => (
-            <div
-              key={session.id}
-              className={`chat-session-item ${activeSession?.id === session.id ? "active" : ""}`}
-              onClick={() => onSessionSelect(session)}
-            >
-              <div className="chat-session-avatar">
-                {session.product?.name?.charAt(0).toUpperCase() || "C"}
-              </div>
-              <div className="chat-session-info">
-                <div className="chat-session-title">
-                  {session.product?.name || "Chat"}
+          sessions.map((session) => {
+            const title = getSessionTitle(session);
+            const partner = getSessionPartner(session, user?.id);
+            const unread = unreadCounts[session.id] || 0;
+
+            return (
+              <div
+                key={session.id}
+                className={`chat-session-item ${activeSession?.id === session.id ? "active" : ""} ${unread > 0 ? "unread" : ""}`}
+                onClick={() => onSessionSelect(session)}
+              >
+                <div className="chat-session-avatar">
+                  {title.charAt(0).toUpperCase()}
                 </div>
-                <div className="chat-session-preview">
-                  {session.messages?.[0]?.content || "No messages yet"}
+                <div className="chat-session-info">
+                  <div className="chat-session-title">{title}</div>
+                  <div className="chat-session-preview">
+                    {session.last_message ||
+                      (partner
+                        ? `with ${partner.full_name || partner.username}`
+                        : "No messages yet")}
+                  </div>
                 </div>
-              </div>
-              <div className="chat-session-meta">
-                <div className="chat-session-time">
-                  {new Date(session.updated_at).toLocaleDateString()}
+                <div className="chat-session-meta">
+                  <div className="chat-session-time">
+                    {new Date(session.updated_at).toLocaleDateString()}
+                  </div>
+                  {unread > 0 && (
+                    <div className="chat-session-unread">
+                      {unread > 99 ? "99+" : unread}
+                    </div>
+                  )}
                 </div>
               </div>
-            </div>
-          ))
+            );
+          })
         )}
       </div>
     </div>
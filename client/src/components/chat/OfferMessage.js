@@ -0,0 +1,145 @@
+import React, { useState } from "react";
+import { OFFER_STATUS, formatOfferAmount } from "../../services/chatService";
+
+const STATUS_LABELS = {
+  [OFFER_STATUS.PENDING]: "Awaiting response",
+  [OFFER_STATUS.ACCEPTED]: "Accepted · Listing reserved",
+  [OFFER_STATUS.DECLINED]: "Declined",
+  [OFFER_STATUS.COUNTERED]: "Countered",
+  [OFFER_STATUS.SOLD]: "Accepted · Sold",
+};
+
+/**
+ * OfferMessage Component
+ * Renders a structured price offer with inline seller actions
+ *
+ * Props:
+ * - message: Offer message ({ metadata: { amount, status, counter_to } })
+ * - isSent: Whether the current user sent the offer
+ * - isSeller: Whether the current user is the listing's seller
+ * - onOfferAction: Function (message, action, amount) for accept, decline,
+ *   counter, sold and reoffer actions
+ * - disabled: Disables actions while a response is in flight
+ */
+const OfferMessage = ({
+  message,
+  isSent,
+  isSeller,
+  onOfferAction,
+  disabled,
+}) => {
+  const { amount, status = OFFER_STATUS.PENDING } = message.metadata || {};
+  const [isCountering, setIsCountering] = useState(false);
+  const [counterAmount, setCounterAmount] = useState("");
+
+  const isPending = status === OFFER_STATUS.PENDING;
+
+  const handleCounterSubmit = (e) => {
+    e.preventDefault();
+    const value = parseFloat(counterAmount);
+    if (!value || value <= 0) return;
+
+    onOfferAction(message, "counter", value);
+    setIsCountering(false);
+    setCounterAmount("");
+  };
+
+  return (
+    <div className={`chat-offer ${status}`}>
+      <div className="chat-offer-label">
+        {message.metadata?.counter_to ? "Counter-offer" : "Offer"}
+      </div>
+      <div className="chat-offer-amount">{formatOfferAmount(amount)}</div>
+      <div className="chat-offer-status">{STATUS_LABELS[status]}</div>
+
+      {/* Only the seller can settle a buyer's offer */}
+      {isPending && isSeller && !isSent && !isCountering && (
+        <div className="chat-offer-actions">
+          <button
+            className="chat-offer-button accept"
+            onClick={() => onOfferAction(message, "accept")}
+            disabled={disabled}
+          >
+            Accept
+          </button>
+          <button
+            className="chat-offer-button"
+            onClick={() => setIsCountering(true)}
+            disabled={disabled}
+          >
+            Counter
+          </button>
+          <button
+            className="chat-offer-button decline"
+            onClick={() => onOfferAction(message, "decline")}
+            disabled={disabled}
+          >
+            Decline
+          </button>
+        </div>
+      )}
+
+      {isCountering && (
+        <form className="chat-offer-counter" onSubmit={handleCounterSubmit}>
+          <input
+            type="number"
+            min="0"
+            step="0.01"
+            placeholder="Amount"
+            value={counterAmount}
+            onChange={(e) => setCounterAmount(e.target.value)}
+            autoFocus
+          />
+          <button
+            type="submit"
+            className="chat-offer-button accept"
+            disabled={disabled || !counterAmount}
+          >
+            Send
+          </button>
+          <button
+            type="button"
+            className="chat-offer-button"
+            onClick={() => setIsCountering(false)}
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {/* The buyer takes up a counter by offering that amount back */}
+      {isPending && !isSeller && !isSent && (
+        <div className="chat-offer-actions">
+          <button
+            className="chat-offer-button accept"
+            onClick={() => onOfferAction(message, "reoffer", amount)}
+            disabled={disabled}
+          >
+            Offer {formatOfferAmount(amount)}
+          </button>
+          <button
+            className="chat-offer-button decline"
+            onClick={() => onOfferAction(message, "decline")}
+            disabled={disabled}
+          >
+            Decline
+          </button>
+        </div>
+      )}
+
+      {status === OFFER_STATUS.ACCEPTED && isSeller && (
+        <div className="chat-offer-actions">
+          <button
+            className="chat-offer-button"
+            onClick={() => onOfferAction(message, "sold")}
+            disabled={disabled}
+          >
+            Mark as sold
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OfferMessage;
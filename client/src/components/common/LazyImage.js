@@ -0,0 +1,105 @@
+import React, { useEffect, useRef, useState } from "react";
+import "./LazyImage.css";
+
+// Start loading a little before the image scrolls into view
+const ROOT_MARGIN = "200px";
+
+/**
+ * Track whether an element has come near the viewport; stays true once it has
+ * @param {Object} ref - Ref to the observed element
+ * @returns {boolean}
+ */
+const useNearViewport = (ref) => {
+  const [isNear, setIsNear] = useState(
+    () => typeof IntersectionObserver === "undefined",
+  );
+
+  useEffect(() => {
+    const element = ref.current;
+    if (isNear || !element) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) {
+          setIsNear(true);
+          observer.disconnect();
+        }
+      },
+      { rootMargin: ROOT_MARGIN },
+    );
+    observer.observe(element);
+
+    return () => observer.disconnect();
+  }, [ref, isNear]);
+
+  return isNear;
+};
+
+/**
+ * LazyImage Component
+ * Image that only loads once it nears the viewport, showing a blurred
+ * thumbnail (or a neutral placeholder) until the full image has loaded
+ *
+ * Props:
+ * - src: Image URL
+ * - srcSet / sizes: Responsive image candidates, passed to the <img>
+ * - placeholderSrc: Small image shown blurred while loading
+ * - alt: Alternative text
+ * - className: Class for the <img>
+ * - onLoad / onError: Forwarded from the <img>
+ */
+const LazyImage = ({
+  src,
+  srcSet,
+  sizes,
+  placeholderSrc,
+  alt,
+  className = "",
+  onLoad,
+  onError,
+}) => {
+  const containerRef = useRef(null);
+  const isNear = useNearViewport(containerRef);
+  const [loaded, setLoaded] = useState(false);
+
+  // A new source starts hidden again behind its placeholder
+  useEffect(() => {
+    setLoaded(false);
+  }, [src]);
+
+  const handleLoad = (e) => {
+    setLoaded(true);
+    if (onLoad) onLoad(e);
+  };
+
+  return (
+    <div
+      ref={containerRef}
+      className={`lazy-image ${loaded ? "lazy-image--loaded" : ""}`}
+    >
+      {placeholderSrc && !loaded && (
+        <img
+          src={placeholderSrc}
+          alt=""
+          aria-hidden="true"
+          className="lazy-image-placeholder"
+        />
+      )}
+      {isNear && (
+        <img
+          src={src}
+          srcSet={srcSet}
+          sizes={srcSet ? sizes : undefined}
+          alt={alt}
+          className={`lazy-image-full ${className}`}
+          loading="lazy"
+          decoding="async"
+          onLoad={handleLoad}
+          onError={onError}
+        />
+      )}
+    </div>
+  );
+};
+
+export default LazyImage;
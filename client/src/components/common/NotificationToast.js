@@ -0,0 +1,58 @@
+import React, { useEffect } from "react";
+import "./NotificationToast.css";
+
+// How long a notification stays up before it dismisses itself
+const TOAST_DURATION = 8000;
+
+/**
+ * NotificationToast Component
+ * In-app notification pinned to the corner of the screen
+ *
+ * Props:
+ * - notification: { id, icon, title, message, actionLabel }, or null to hide
+ * - onAction: Called with the notification when its action is clicked
+ * - onDismiss: Called when the toast is closed or times out
+ */
+const NotificationToast = ({ notification, onAction, onDismiss }) => {
+  const id = notification?.id;
+
+  // A new notification restarts the timer
+  useEffect(() => {
+    if (!id) return;
+    const timer = setTimeout(onDismiss, TOAST_DURATION);
+    return () => clearTimeout(timer);
+  }, [id, onDismiss]);
+
+  if (!notification) return null;
+
+  return (
+    <div className="notification-toast" role="status" aria-live="polite">
+      <span className="material-symbols-outlined notification-toast-icon">
+        {notification.icon || "notifications_active"}
+      </span>
+      <div className="notification-toast-body">
+        <strong>{notification.title}</strong>
+        {notification.message && <span>{notification.message}</span>}
+      </div>
+      {notification.actionLabel && onAction && (
+        <button
+          type="button"
+          className="notification-toast-action"
+          onClick={() => onAction(notification)}
+        >
+          {notification.actionLabel}
+        </button>
+      )}
+      <button
+        type="button"
+        className="notification-toast-close"
+        onClick={onDismiss}
+        aria-label="Dismiss"
+      >
+        ×
+      </button>
+    </div>
+  );
+};
+
+export default NotificationToast;
@@ -0,0 +1,50 @@
+import React from "react";
+import { UPLOAD_STATUS } from "../../services/imageUploadService";
+import "./UploadProgress.css";
+
+const STATUS_LABELS = {
+  [UPLOAD_STATUS.QUEUED]: "Waiting to upload",
+  [UPLOAD_STATUS.COMPRESSING]: "Compressing...",
+  [UPLOAD_STATUS.UPLOADING]: "Uploading",
+  [UPLOAD_STATUS.UPLOADED]: "Uploaded",
+  [UPLOAD_STATUS.FAILED]: "Upload failed",
+};
+
+/**
+ * UploadProgress Component
+ * Progress bar and status overlay for a single image upload
+ *
+ * Props:
+ * - status: One of UPLOAD_STATUS
+ * - progress: Percentage uploaded (0-100)
+ * - error: Message shown when the upload failed
+ */
+const UploadProgress = ({ status, progress = 0, error }) => {
+  // Nothing to report for images that haven't been submitted yet
+  if (status === UPLOAD_STATUS.QUEUED && !error) return null;
+
+  const label =
+    status === UPLOAD_STATUS.UPLOADING
+      ? `${STATUS_LABELS[status]} ${progress}%`
+      : STATUS_LABELS[status];
+
+  return (
+    <div className={`upload-progress ${status}`} title={error || label}>
+      <span className="upload-progress-label">{label}</span>
+      <div
+        className="upload-progress-bar"
+        role="progressbar"
+        aria-valuenow={progress}
+        aria-valuemin={0}
+        aria-valuemax={100}
+      >
+        <div
+          className="upload-progress-fill"
+          style={{ width: `${progress}%` }}
+        />
+      </div>
+    </div>
+  );
+};
+
+export default UploadProgress;
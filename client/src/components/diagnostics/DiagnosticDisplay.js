@@ -1,5 +1,19 @@
 import React from "react";
+import {
+  CHECK_RESULTS,
+  DIAGNOSTIC_TEMPLATES,
+  calculateHardwareScore,
+  getReportTemplateKey,
+  normalizeCheckResult,
+} from "../../utils/diagnosticTemplates";
 import "../../styles/common.css";
+import "./Diagnostics.css";
+
+const RESULT_DISPLAY = {
+  [CHECK_RESULTS.PASS]: "✓ Pass",
+  [CHECK_RESULTS.FAIL]: "✗ Fail",
+  [CHECK_RESULTS.NOT_APPLICABLE]: "N/A",
+};
 
 const DiagnosticDisplay = ({ report }) => {
   const formatDate = (dateString) => {
@@ -34,28 +48,18 @@ const DiagnosticDisplay = ({ report }) => {
     return "#F44336";
   };
 
-  const hardwareTestLabels = {
-    screen: "Screen/Display",
-    camera: "Camera",
-    speakers: "Speakers",
-    microphone: "Microphone",
-    buttons: "Physical Buttons",
-    ports: "Charging/USB Ports",
-    wifi: "Wi-Fi Connectivity",
-    bluetooth: "Bluetooth",
-    gps: "GPS",
-    accelerometer: "Accelerometer",
-    gyroscope: "Gyroscope",
-    fingerprint: "Fingerprint Scanner",
-    face_id: "Face ID",
-  };
-
-  const passedTests = Object.values(report.hardware_tests || {}).filter(
-    Boolean,
-  ).length;
-  const totalTests = Object.keys(report.hardware_tests || {}).length;
-  const hardwareScore =
-    totalTests > 0 ? Math.round((passedTests / totalTests) * 100) : 0;
+  // Score with the template the report was filed with, not the listing's
+  // current category, so the number matches what the seller saw
+  const template = DIAGNOSTIC_TEMPLATES[getReportTemplateKey(report)];
+  const { score: hardwareScore, failedRequired } = calculateHardwareScore(
+    template,
+    report.hardware_tests,
+  );
+  const hasBatteryReading =
+    report.battery_health !== null && report.battery_health !== undefined;
+  const metrics = template.metrics.filter(
+    (metric) => report.metrics?.[metric.key] != null,
+  );
 
   return (
     <div className="diagnostic-display">
@@ -98,19 +102,21 @@ const DiagnosticDisplay = ({ report }) => {
           </div>
         </div>
 
-        <div className="summary-card">
-          <h4>Battery Health</h4>
-          <div className="score-display">
-            <div
-              className="score-circle"
-              style={{
-                background: `conic-gradient(${getScoreColor(report.battery_health)} ${report.battery_health * 3.6}deg, #e0e0e0 0deg)`,
-              }}
-            >
-              <span className="score-number">{report.battery_health}%</span>
+        {hasBatteryReading && (
+          <div className="summary-card">
+            <h4>Battery Health</h4>
+            <div className="score-display">
+              <div
+                className="score-circle"
+                style={{
+                  background: `conic-gradient(${getScoreColor(report.battery_health)} ${report.battery_health * 3.6}deg, #e0e0e0 0deg)`,
+                }}
+              >
+                <span className="score-number">{report.battery_health}%</span>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         <div className="summary-card">
           <h4>Condition</h4>
@@ -130,21 +136,48 @@ const DiagnosticDisplay = ({ report }) => {
 
       <div className="diagnostic-details">
         <div className="details-section">
-          <h4>Hardware Test Results</h4>
+          <h4>Hardware Test Results ({template.label})</h4>
+          {failedRequired.length > 0 && (
+            <p className="hardware-score-warning">
+              A required check failed, so the hardware score is capped.
+            </p>
+          )}
           <div className="hardware-tests-results">
-            {Object.entries(hardwareTestLabels).map(([test, label]) => (
-              <div key={test} className="test-result">
-                <span className="test-label">{label}</span>
-                <span
-                  className={`test-status ${report.hardware_tests?.[test] ? "pass" : "fail"}`}
-                >
-                  {report.hardware_tests?.[test] ? "✓ Pass" : "✗ Fail"}
-                </span>
-              </div>
-            ))}
+            {template.checks.map((check) => {
+              const result =
+                normalizeCheckResult(report.hardware_tests?.[check.key]) ||
+                CHECK_RESULTS.NOT_APPLICABLE;
+              return (
+                <div key={check.key} className="test-result">
+                  <span className="test-label">
+                    {check.label}
+                    {check.required && " *"}
+                  </span>
+                  <span className={`test-status ${result}`}>
+                    {RESULT_DISPLAY[result]}
+                  </span>
+                </div>
+              );
+            })}
           </div>
         </div>
 
+        {metrics.length > 0 && (
+          <div className="details-section">
+            <h4>Measurements</h4>
+            <div className="hardware-tests-results">
+              {metrics.map((metric) => (
+                <div key={metric.key} className="test-result">
+                  <span className="test-label">{metric.label}</span>
+                  <span>
+                    {report.metrics[metric.key]} {metric.unit}
+                  </span>
+                </div>
+              ))}
+            </div>
+          </div>
+        )}
+
         {report.notes && (
           <div className="details-section">
             <h4>Additional Notes</h4>
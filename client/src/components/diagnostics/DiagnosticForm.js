@@ -1,49 +1,111 @@
-import React, { useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import Button from "../common/Button";
+import { diagnosticsService } from "../../services/diagnosticsService";
+import {
+  CHECK_RESULTS,
+  CHECK_RESULT_LABELS,
+  buildCheckResults,
+  calculateHardwareScore,
+  getDiagnosticTemplate,
+  getDiagnosticTemplateKey,
+} from "../../utils/diagnosticTemplates";
+import { useLatestRef } from "../../utils/useLatestRef";
 import "../../styles/common.css";
+import "./Diagnostics.css";
 
-const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
-  const [formData, setFormData] = useState({
-    hardware_tests: {
-      screen: true,
-      camera: true,
-      speakers: true,
-      microphone: true,
-      buttons: true,
-      ports: true,
-      wifi: true,
-      bluetooth: true,
-      gps: true,
-      accelerometer: true,
-      gyroscope: true,
-      fingerprint: true,
-      face_id: false,
-    },
-    battery_health: 100,
-    performance_score: 100,
-    overall_condition: "excellent",
-    notes: "",
+export const DEFAULT_DIAGNOSTIC_REPORT = {
+  hardware_tests: {},
+  metrics: {},
+  battery_health: 100,
+  performance_score: 100,
+  overall_condition: "excellent",
+  notes: "",
+};
+
+/**
+ * DiagnosticForm Component
+ * Hardware test checklist for a listing, using the diagnostic template for
+ * the listing's category
+ *
+ * Props:
+ * - productId: Item the report is filed against (standalone mode)
+ * - category: Listing category, picks the checklist
+ * - onSubmit: Called with the saved report (standalone mode)
+ * - onCancel: Function to close the form (standalone mode)
+ * - embedded: Render fields only, for use inside the post forms, which
+ *   save the report themselves once the item exists
+ * - initialData: Report to prefill the checklist with
+ * - onChange: Called with the current report on every change (embedded mode)
+ */
+const DiagnosticForm = ({
+  productId,
+  category,
+  onSubmit,
+  onCancel,
+  embedded = false,
+  initialData,
+  onChange,
+}) => {
+  const templateKey = getDiagnosticTemplateKey(category);
+  const template = getDiagnosticTemplate(category);
+
+  // Only carry over report fields, not ids or timestamps of a saved report
+  const [formData, setFormData] = useState(() => {
+    const data = Object.fromEntries(
+      Object.entries(DEFAULT_DIAGNOSTIC_REPORT).map(([field, value]) => [
+        field,
+        initialData?.[field] ?? value,
+      ]),
+    );
+    return {
+      ...data,
+      hardware_tests: buildCheckResults(template, data.hardware_tests),
+    };
   });
 
+  // Switching category swaps the checklist; answers to checks the new
+  // template shares with the old one are kept
+  useEffect(() => {
+    setFormData((prev) => ({
+      ...prev,
+      hardware_tests: buildCheckResults(
+        getDiagnosticTemplate(templateKey),
+        prev.hardware_tests,
+      ),
+    }));
+  }, [templateKey]);
+
+  const { score: hardwareScore, failedRequired } = calculateHardwareScore(
+    template,
+    formData.hardware_tests,
+  );
+
+  // What gets saved: only the active template's checks and metrics
+  const report = useMemo(
+    () => ({
+      ...formData,
+      template: templateKey,
+      hardware_tests: buildCheckResults(template, formData.hardware_tests),
+      metrics: Object.fromEntries(
+        template.metrics
+          .filter((metric) => formData.metrics[metric.key] != null)
+          .map((metric) => [metric.key, formData.metrics[metric.key]]),
+      ),
+      battery_health: template.hasBattery ? formData.battery_health : null,
+      hardware_score: hardwareScore,
+    }),
+    [formData, template, templateKey, hardwareScore],
+  );
+
+  const onChangeRef = useLatestRef(onChange);
+
+  useEffect(() => {
+    onChangeRef.current?.(report);
+  }, [report, onChangeRef]);
+
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
 
-  const hardwareTestLabels = {
-    screen: "Screen/Display",
-    camera: "Camera",
-    speakers: "Speakers",
-    microphone: "Microphone",
-    buttons: "Physical Buttons",
-    ports: "Charging/USB Ports",
-    wifi: "Wi-Fi Connectivity",
-    bluetooth: "Bluetooth",
-    gps: "GPS",
-    accelerometer: "Accelerometer",
-    gyroscope: "Gyroscope",
-    fingerprint: "Fingerprint Scanner",
-    face_id: "Face ID",
-  };
-
   const conditionOptions = [
     { value: "excellent", label: "Excellent (Like New)" },
     { value: "good", label: "Good (Minor Wear)" },
@@ -51,12 +113,22 @@ const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
     { value: "poor", label: "Poor (Heavy Wear)" },
   ];
 
-  const handleHardwareTestChange = (test) => {
+  const handleHardwareTestChange = (test, result) => {
     setFormData((prev) => ({
       ...prev,
       hardware_tests: {
         ...prev.hardware_tests,
-        [test]: !prev.hardware_tests[test],
+        [test]: result,
+      },
+    }));
+  };
+
+  const handleMetricChange = (metric, value) => {
+    setFormData((prev) => ({
+      ...prev,
+      metrics: {
+        ...prev.metrics,
+        [metric]: value === "" ? null : parseInt(value),
       },
     }));
   };
@@ -74,23 +146,13 @@ const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
     setError("");
 
     try {
-      const response = await fetch("/api/diagnostics", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${localStorage.getItem("token")}`,
-        },
-        body: JSON.stringify({
-          ...formData,
-          product_id: productId,
-        }),
-      });
-
-      if (!response.ok) {
-        throw new Error("Failed to create diagnostic report");
+      const response = await diagnosticsService.createReport(productId, report);
+
+      if (!response.success) {
+        throw new Error(response.error || "Failed to create diagnostic report");
       }
 
-      const data = await response.json();
+      const data = response.data;
       onSubmit(data);
     } catch (err) {
       setError(err.message);
@@ -99,35 +161,67 @@ const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
     }
   };
 
-  const passedTests = Object.values(formData.hardware_tests).filter(
-    Boolean,
-  ).length;
-  const totalTests = Object.keys(formData.hardware_tests).length;
-  const hardwareScore = Math.round((passedTests / totalTests) * 100);
+  // Post forms already have their own <form>, which can't be nested
+  const FormWrapper = embedded ? "div" : "form";
 
   return (
-    <div className="diagnostic-form">
-      <h3>Create Diagnostic Report</h3>
+    <div className={`diagnostic-form ${embedded ? "embedded" : ""}`}>
+      {!embedded && <h3>Create Diagnostic Report</h3>}
 
       {error && <div className="error-message">{error}</div>}
 
-      <form onSubmit={handleSubmit}>
+      <FormWrapper onSubmit={embedded ? undefined : handleSubmit}>
         <div className="form-section">
-          <h4>Hardware Tests</h4>
+          <h4>Hardware Tests ({template.label})</h4>
+          <p className="hardware-tests-hint">
+            Checks marked * are required. Mark optional checks N/A if the item
+            doesn't have that feature.
+          </p>
           <div className="hardware-tests-grid">
-            {Object.entries(hardwareTestLabels).map(([test, label]) => (
-              <label key={test} className="hardware-test-item">
-                <input
-                  type="checkbox"
-                  checked={formData.hardware_tests[test]}
-                  onChange={() => handleHardwareTestChange(test)}
-                />
-                <span>{label}</span>
-              </label>
+            {template.checks.map((check) => (
+              <div key={check.key} className="hardware-test-item">
+                <span>
+                  {check.label}
+                  {check.required && " *"}
+                </span>
+                <div className="check-result-options">
+                  {Object.values(CHECK_RESULTS)
+                    .filter(
+                      (result) =>
+                        !check.required ||
+                        result !== CHECK_RESULTS.NOT_APPLICABLE,
+                    )
+                    .map((result) => (
+                      <label
+                        key={result}
+                        className={`check-result-option ${result} ${formData.hardware_tests[check.key] === result ? "selected" : ""}`}
+                      >
+                        <input
+                          type="radio"
+                          name={`check-${check.key}`}
+                          value={result}
+                          checked={
+                            formData.hardware_tests[check.key] === result
+                          }
+                          onChange={() =>
+                            handleHardwareTestChange(check.key, result)
+                          }
+                        />
+                        {CHECK_RESULT_LABELS[result]}
+                      </label>
+                    ))}
+                </div>
+              </div>
             ))}
           </div>
           <div className="hardware-score">
             <strong>Hardware Score: {hardwareScore}%</strong>
+            {failedRequired.length > 0 && (
+              <span className="hardware-score-warning">
+                {" "}
+                (capped: a required check failed)
+              </span>
+            )}
             <div className="score-bar">
               <div
                 className="score-fill"
@@ -137,22 +231,45 @@ const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
           </div>
         </div>
 
-        <div className="form-section">
-          <h4>Battery Health</h4>
-          <div className="battery-health-input">
-            <input
-              type="range"
-              min="0"
-              max="100"
-              value={formData.battery_health}
-              onChange={(e) =>
-                handleInputChange("battery_health", parseInt(e.target.value))
-              }
-              className="battery-slider"
-            />
-            <span className="battery-value">{formData.battery_health}%</span>
+        {template.metrics.length > 0 && (
+          <div className="form-section">
+            <h4>Measurements</h4>
+            {template.metrics.map((metric) => (
+              <label key={metric.key} className="metric-input">
+                <span>{metric.label}</span>
+                <input
+                  type="number"
+                  min={metric.min}
+                  max={metric.max}
+                  value={formData.metrics[metric.key] ?? ""}
+                  onChange={(e) =>
+                    handleMetricChange(metric.key, e.target.value)
+                  }
+                />
+                {metric.unit && <span>{metric.unit}</span>}
+              </label>
+            ))}
           </div>
-        </div>
+        )}
+
+        {template.hasBattery && (
+          <div className="form-section">
+            <h4>Battery Health</h4>
+            <div className="battery-health-input">
+              <input
+                type="range"
+                min="0"
+                max="100"
+                value={formData.battery_health}
+                onChange={(e) =>
+                  handleInputChange("battery_health", parseInt(e.target.value))
+                }
+                className="battery-slider"
+              />
+              <span className="battery-value">{formData.battery_health}%</span>
+            </div>
+          </div>
+        )}
 
         <div className="form-section">
           <h4>Performance Score</h4>
@@ -180,7 +297,7 @@ const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
               <label key={option.value} className="condition-option">
                 <input
                   type="radio"
-                  name="condition"
+                  name="overall_condition"
                   value={option.value}
                   checked={formData.overall_condition === option.value}
                   onChange={(e) =>
@@ -204,15 +321,17 @@ const DiagnosticForm = ({ productId, onSubmit, onCancel }) => {
           />
         </div>
 
-        <div className="form-actions">
-          <Button type="button" variant="secondary" onClick={onCancel}>
-            Cancel
-          </Button>
-          <Button type="submit" disabled={loading}>
-            {loading ? "Creating Report..." : "Create Report"}
-          </Button>
-        </div>
-      </form>
+        {!embedded && (
+          <div className="form-actions">
+            <Button type="button" variant="secondary" onClick={onCancel}>
+              Cancel
+            </Button>
+            <Button type="submit" disabled={loading}>
+              {loading ? "Creating Report..." : "Create Report"}
+            </Button>
+          </div>
+        )}
+      </FormWrapper>
     </div>
   );
 };
@@ -0,0 +1,60 @@
+import React, { useState } from "react";
+import DiagnosticDisplay from "./DiagnosticDisplay";
+import { sortReports } from "../../services/diagnosticsService";
+import "./Diagnostics.css";
+
+/**
+ * DiagnosticHistory Component
+ * Shows the current diagnostic report for a listing and lets buyers step
+ * back through earlier reports
+ *
+ * Props:
+ * - reports: Array of diagnostic reports for the item
+ */
+const DiagnosticHistory = ({ reports }) => {
+  const sortedReports = sortReports(reports);
+  const [selectedId, setSelectedId] = useState(null);
+
+  if (sortedReports.length === 0) {
+    return (
+      <div className="diagnostic-history-empty">
+        <p>No diagnostic report has been filed for this item yet.</p>
+      </div>
+    );
+  }
+
+  const selectedReport =
+    sortedReports.find((report) => report.id === selectedId) ||
+    sortedReports[0];
+
+  return (
+    <div className="diagnostic-history">
+      <DiagnosticDisplay report={selectedReport} />
+
+      {sortedReports.length > 1 && (
+        <div className="diagnostic-history-list">
+          <h4>Report History</h4>
+          <ul>
+            {sortedReports.map((report, index) => (
+              <li key={report.id}>
+                <button
+                  type="button"
+                  className={`diagnostic-history-item ${report.id === selectedReport.id ? "active" : ""}`}
+                  onClick={() => setSelectedId(report.id)}
+                >
+                  <span>
+                    {new Date(report.created_at).toLocaleDateString()}
+                    {index === 0 && " (latest)"}
+                  </span>
+                  <span>{report.performance_score}%</span>
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DiagnosticHistory;
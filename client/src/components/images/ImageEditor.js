@@ -0,0 +1,298 @@
+import React, { useEffect, useRef, useState } from "react";
+import Button from "../common/Button";
+import {
+  drawRotatedImage,
+  getRotatedSize,
+  loadOrientedImage,
+  renderEditedImage,
+} from "../../utils/imageProcessing";
+import "./Images.css";
+
+const PREVIEW_MAX_WIDTH = 560;
+const PREVIEW_MAX_HEIGHT = 420;
+// Drags smaller than this (as a fraction of the image) clear the crop
+const MIN_CROP_SIZE = 0.02;
+
+const ASPECT_RATIOS = [
+  { key: "free", label: "Free", ratio: null },
+  { key: "square", label: "1:1", ratio: 1 },
+  { key: "landscape", label: "4:3", ratio: 4 / 3 },
+  { key: "portrait", label: "3:4", ratio: 3 / 4 },
+];
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+/**
+ * Build a crop rectangle (fractions of the image) from a drag
+ * @param {Object} start - Drag start { x, y }
+ * @param {Object} end - Current pointer position { x, y }
+ * @param {number|null} ratio - Width / height in pixels, or null for free
+ * @param {Object} size - Rotated image size in pixels
+ * @returns {Object} - { x, y, width, height }
+ */
+const getCropFromDrag = (start, end, ratio, size) => {
+  let width = Math.abs(end.x - start.x);
+  let height = Math.abs(end.y - start.y);
+
+  if (ratio) {
+    // Follow the larger movement, then fit inside the image from the start
+    const heightForWidth = (width * size.width) / (ratio * size.height);
+    if (heightForWidth >= height) {
+      height = heightForWidth;
+    } else {
+      width = (height * ratio * size.height) / size.width;
+    }
+    const maxWidth = end.x >= start.x ? 1 - start.x : start.x;
+    const maxHeight = end.y >= start.y ? 1 - start.y : start.y;
+    const fit = Math.min(1, maxWidth / width || 1, maxHeight / height || 1);
+    width *= fit;
+    height *= fit;
+  }
+
+  return {
+    x: end.x >= start.x ? start.x : start.x - width,
+    y: end.y >= start.y ? start.y : start.y - height,
+    width,
+    height,
+  };
+};
+
+/**
+ * ImageEditor Component
+ * Modal for rotating and cropping a post photo before it is uploaded
+ *
+ * Props:
+ * - image: Upload entry being edited (file for new images, previewUrl for
+ *   ones already in storage)
+ * - onApply: Called with the edited File
+ * - onCancel: Called when the editor is closed without changes
+ */
+const ImageEditor = ({ image, onApply, onCancel }) => {
+  const canvasRef = useRef(null);
+  const dragStartRef = useRef(null);
+  const [source, setSource] = useState(null);
+  const [decoded, setDecoded] = useState(null);
+  const [rotation, setRotation] = useState(0);
+  const [aspect, setAspect] = useState("free");
+  const [crop, setCrop] = useState(null);
+  const [error, setError] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  // Load the original, correcting its EXIF orientation
+  useEffect(() => {
+    let cancelled = false;
+    let loadedImage = null;
+
+    const load = async () => {
+      try {
+        const blob =
+          image.file || (await fetch(image.previewUrl).then((r) => r.blob()));
+        loadedImage = await loadOrientedImage(blob);
+        if (cancelled) return;
+        setSource(blob);
+        setDecoded(loadedImage);
+      } catch (err) {
+        console.error("Failed to load image for editing:", err);
+        if (!cancelled) setError("This image couldn't be loaded for editing.");
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (loadedImage?.close) loadedImage.close();
+    };
+  }, [image.file, image.previewUrl]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onCancel();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onCancel]);
+
+  // Redraw the preview whenever the rotation changes
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !decoded) return;
+
+    const size = getRotatedSize(decoded, rotation);
+    const scale = Math.min(
+      1,
+      PREVIEW_MAX_WIDTH / size.width,
+      PREVIEW_MAX_HEIGHT / size.height,
+    );
+    canvas.width = Math.round(size.width * scale);
+    canvas.height = Math.round(size.height * scale);
+    drawRotatedImage(canvas.getContext("2d"), decoded, rotation, scale);
+  }, [decoded, rotation]);
+
+  const rotate = (degrees) => {
+    setRotation((prev) => (prev + degrees + 360) % 360);
+    // A crop drawn on the old orientation no longer lines up
+    setCrop(null);
+  };
+
+  const getPoint = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - rect.left) / rect.width, 0, 1),
+      y: clamp((e.clientY - rect.top) / rect.height, 0, 1),
+    };
+  };
+
+  const handlePointerDown = (e) => {
+    if (!decoded) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    dragStartRef.current = getPoint(e);
+    setCrop(null);
+  };
+
+  const handlePointerMove = (e) => {
+    if (!dragStartRef.current) return;
+    const { ratio } = ASPECT_RATIOS.find((option) => option.key === aspect);
+    setCrop(
+      getCropFromDrag(
+        dragStartRef.current,
+        getPoint(e),
+        ratio,
+        getRotatedSize(decoded, rotation),
+      ),
+    );
+  };
+
+  const handlePointerUp = () => {
+    dragStartRef.current = null;
+    setCrop((prev) =>
+      prev && prev.width > MIN_CROP_SIZE && prev.height > MIN_CROP_SIZE
+        ? prev
+        : null,
+    );
+  };
+
+  const handleApply = async () => {
+    setSaving(true);
+    try {
+      const file = await renderEditedImage(source, {
+        name: image.name,
+        type: source.type,
+        rotation,
+        crop,
+      });
+      onApply(file);
+    } catch (err) {
+      console.error("Failed to save edited image:", err);
+      setError("The edited image couldn't be saved. Please try again.");
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="image-editor-overlay" onClick={onCancel}>
+      <div
+        className="image-editor"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Edit photo"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="image-editor-header">
+          <h3>Edit Photo</h3>
+          <p>Drag across the photo to crop it.</p>
+        </div>
+
+        {error ? (
+          <p className="image-editor-error">{error}</p>
+        ) : (
+          <div className="image-editor-stage">
+            {!decoded && <p className="image-editor-loading">Loading...</p>}
+            <div
+              className="image-editor-canvas"
+              onPointerDown={handlePointerDown}
+              onPointerMove={handlePointerMove}
+              onPointerUp={handlePointerUp}
+              onPointerCancel={handlePointerUp}
+            >
+              <canvas ref={canvasRef} />
+              {crop && (
+                <div
+                  className="image-editor-crop"
+                  style={{
+                    left: `${crop.x * 100}%`,
+                    top: `${crop.y * 100}%`,
+                    width: `${crop.width * 100}%`,
+                    height: `${crop.height * 100}%`,
+                  }}
+                />
+              )}
+            </div>
+          </div>
+        )}
+
+        <div className="image-editor-toolbar">
+          <div className="image-editor-tools">
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() => rotate(-90)}
+              disabled={!decoded}
+            >
+              ⟲ Rotate left
+            </Button>
+            <Button
+              variant="secondary"
+              size="small"
+              onClick={() => rotate(90)}
+              disabled={!decoded}
+            >
+              ⟳ Rotate right
+            </Button>
+          </div>
+          <div className="image-editor-tools" role="group" aria-label="Crop">
+            {ASPECT_RATIOS.map((option) => (
+              <button
+                key={option.key}
+                type="button"
+                className={`image-editor-aspect ${
+                  aspect === option.key ? "active" : ""
+                }`}
+                onClick={() => {
+                  setAspect(option.key);
+                  setCrop(null);
+                }}
+              >
+                {option.label}
+              </button>
+            ))}
+            {crop && (
+              <button
+                type="button"
+                className="image-editor-aspect"
+                onClick={() => setCrop(null)}
+              >
+                Clear crop
+              </button>
+            )}
+          </div>
+        </div>
+
+        <div className="image-editor-actions">
+          <Button variant="secondary" onClick={onCancel}>
+            Cancel
+          </Button>
+          <Button
+            variant="primary"
+            onClick={handleApply}
+            disabled={!decoded || saving}
+          >
+            {saving ? "Saving..." : "Apply"}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImageEditor;
@@ -0,0 +1,277 @@
+import React, { useCallback, useEffect, useRef, useState } from "react";
+import "./Images.css";
+
+const MIN_SCALE = 1;
+const MAX_SCALE = 4;
+const WHEEL_ZOOM_STEP = 1.2;
+const DOUBLE_CLICK_SCALE = 2;
+// Horizontal drag (px) that counts as a swipe when not zoomed in
+export const SWIPE_DISTANCE = 50;
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+const getDistance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+// Keep the image edges from being dragged inside the viewport
+const clampPan = (bounds, scale, x, y) => {
+  const maxX = ((scale - 1) * bounds.width) / 2;
+  const maxY = ((scale - 1) * bounds.height) / 2;
+  return { scale, x: clamp(x, -maxX, maxX), y: clamp(y, -maxY, maxY) };
+};
+
+/**
+ * Zoom (wheel, pinch, double-click) and pan state for an image
+ * Unzoomed horizontal drags are reported as swipes instead of panning.
+ * @param {Function} onSwipe - Called with 1 (next) or -1 (previous)
+ * @returns {Object} - { transform, zoomBy, reset, handlers }
+ */
+const useZoomPan = (onSwipe) => {
+  const [transform, setTransform] = useState({ scale: 1, x: 0, y: 0 });
+  const pointersRef = useRef(new Map());
+  const gestureRef = useRef(null);
+  const boundsRef = useRef({ width: 0, height: 0 });
+
+  const reset = useCallback(() => setTransform({ scale: 1, x: 0, y: 0 }), []);
+
+  const zoomTo = useCallback((scale) => {
+    setTransform((prev) => {
+      const nextScale = clamp(scale, MIN_SCALE, MAX_SCALE);
+      if (nextScale === MIN_SCALE) return { scale: 1, x: 0, y: 0 };
+      return clampPan(boundsRef.current, nextScale, prev.x, prev.y);
+    });
+  }, []);
+
+  const zoomBy = useCallback(
+    (factor) => zoomTo(transform.scale * factor),
+    [transform.scale, zoomTo],
+  );
+
+  const startDrag = (pointer) => {
+    gestureRef.current = {
+      type: "drag",
+      startX: pointer.x,
+      startY: pointer.y,
+      originX: transform.x,
+      originY: transform.y,
+    };
+  };
+
+  const handlers = {
+    onWheel: (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      boundsRef.current = { width: rect.width, height: rect.height };
+      zoomBy(e.deltaY < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP);
+    },
+    onDoubleClick: (e) => {
+      const rect = e.currentTarget.getBoundingClientRect();
+      boundsRef.current = { width: rect.width, height: rect.height };
+      if (transform.scale > MIN_SCALE) {
+        reset();
+      } else {
+        zoomTo(DOUBLE_CLICK_SCALE);
+      }
+    },
+    onPointerDown: (e) => {
+      e.currentTarget.setPointerCapture(e.pointerId);
+      const rect = e.currentTarget.getBoundingClientRect();
+      boundsRef.current = { width: rect.width, height: rect.height };
+
+      const pointers = pointersRef.current;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      if (pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        gestureRef.current = {
+          type: "pinch",
+          startDistance: getDistance(a, b),
+          startScale: transform.scale,
+        };
+      } else {
+        startDrag({ x: e.clientX, y: e.clientY });
+      }
+    },
+    onPointerMove: (e) => {
+      const pointers = pointersRef.current;
+      const gesture = gestureRef.current;
+      if (!pointers.has(e.pointerId) || !gesture) return;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (gesture.type === "pinch" && pointers.size === 2) {
+        const [a, b] = [...pointers.values()];
+        zoomTo(
+          (gesture.startScale * getDistance(a, b)) / gesture.startDistance,
+        );
+      } else if (gesture.type === "drag" && transform.scale > MIN_SCALE) {
+        setTransform((prev) =>
+          clampPan(
+            boundsRef.current,
+            prev.scale,
+            gesture.originX + e.clientX - gesture.startX,
+            gesture.originY + e.clientY - gesture.startY,
+          ),
+        );
+      }
+    },
+    onPointerUp: (e) => {
+      const pointers = pointersRef.current;
+      const gesture = gestureRef.current;
+      if (!pointers.has(e.pointerId)) return;
+
+      if (
+        gesture?.type === "drag" &&
+        pointers.size === 1 &&
+        transform.scale === MIN_SCALE
+      ) {
+        const deltaX = e.clientX - gesture.startX;
+        if (Math.abs(deltaX) > SWIPE_DISTANCE) onSwipe(deltaX < 0 ? 1 : -1);
+      }
+
+      pointers.delete(e.pointerId);
+      // Lifting one finger of a pinch continues as a drag
+      const [remaining] = pointers.values();
+      if (remaining) {
+        startDrag(remaining);
+      } else {
+        gestureRef.current = null;
+      }
+    },
+  };
+  handlers.onPointerCancel = handlers.onPointerUp;
+
+  return { transform, zoomBy, reset, handlers };
+};
+
+/**
+ * ImageLightbox Component
+ * Fullscreen image viewer with zoom, pan, swipe and keyboard navigation
+ *
+ * Props:
+ * - images: Entries with src (and optional srcSet) to show
+ * - index: Position of the image being shown
+ * - onIndexChange: Called with the position to show next
+ * - onClose: Called when the lightbox is dismissed
+ * - onImageError: Called with the position of an image that failed to load
+ * - title: Used for the images' alt text
+ */
+const ImageLightbox = ({
+  images,
+  index,
+  onIndexChange,
+  onClose,
+  onImageError,
+  title,
+}) => {
+  const count = images.length;
+  const showImage = useCallback(
+    (step) => onIndexChange((index + step + count) % count),
+    [index, count, onIndexChange],
+  );
+  const { transform, zoomBy, reset, handlers } = useZoomPan(showImage);
+  const image = images[index];
+
+  useEffect(() => {
+    reset();
+  }, [index, reset]);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+      if (e.key === "ArrowRight") showImage(1);
+      if (e.key === "ArrowLeft") showImage(-1);
+      if (e.key === "+" || e.key === "=") zoomBy(WHEEL_ZOOM_STEP);
+      if (e.key === "-") zoomBy(1 / WHEEL_ZOOM_STEP);
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose, showImage, zoomBy]);
+
+  // Keep the page behind from scrolling while the lightbox is open
+  useEffect(() => {
+    const { overflow } = document.body.style;
+    document.body.style.overflow = "hidden";
+    return () => {
+      document.body.style.overflow = overflow;
+    };
+  }, []);
+
+  return (
+    <div
+      className="image-lightbox"
+      role="dialog"
+      aria-modal="true"
+      aria-label={`${title} photos`}
+    >
+      <div className="image-lightbox-toolbar">
+        <span className="image-lightbox-counter">
+          {index + 1} / {count}
+        </span>
+        <div className="image-lightbox-controls">
+          <button
+            type="button"
+            onClick={() => zoomBy(1 / WHEEL_ZOOM_STEP)}
+            disabled={transform.scale <= MIN_SCALE}
+            aria-label="Zoom out"
+          >
+            −
+          </button>
+          <span className="image-lightbox-zoom">
+            {Math.round(transform.scale * 100)}%
+          </span>
+          <button
+            type="button"
+            onClick={() => zoomBy(WHEEL_ZOOM_STEP)}
+            disabled={transform.scale >= MAX_SCALE}
+            aria-label="Zoom in"
+          >
+            +
+          </button>
+          <button type="button" onClick={onClose} aria-label="Close">
+            ×
+          </button>
+        </div>
+      </div>
+
+      <div
+        className={`image-lightbox-stage ${
+          transform.scale > MIN_SCALE ? "zoomed" : ""
+        }`}
+        {...handlers}
+      >
+        <img
+          key={image.src}
+          src={image.src}
+          srcSet={image.srcSet}
+          sizes={image.srcSet ? "100vw" : undefined}
+          alt={`${title} ${index + 1}`}
+          draggable={false}
+          style={{
+            transform: `translate(${transform.x}px, ${transform.y}px) scale(${transform.scale})`,
+          }}
+          onError={() => onImageError(index)}
+        />
+      </div>
+
+      {count > 1 && (
+        <>
+          <button
+            type="button"
+            className="image-lightbox-nav prev"
+            onClick={() => showImage(-1)}
+            aria-label="Previous photo"
+          >
+            ‹
+          </button>
+          <button
+            type="button"
+            className="image-lightbox-nav next"
+            onClick={() => showImage(1)}
+            aria-label="Next photo"
+          >
+            ›
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ImageLightbox;
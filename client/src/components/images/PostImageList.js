@@ -0,0 +1,152 @@
+import React, { useState } from "react";
+import UploadProgress from "../common/UploadProgress";
+import ImageEditor from "./ImageEditor";
+import "./Images.css";
+
+/**
+ * PostImageList Component
+ * Editable photo previews for the post forms. Photos can be dragged into
+ * order, cropped and rotated; the first one is the listing's cover photo.
+ *
+ * Props:
+ * - images: Upload entries from usePostImageUploads
+ * - onMove: Called with (id, toIndex) when a photo is dropped in place
+ * - onSetCover: Called with the id of the new cover photo
+ * - onEdit: Called with (id, file) once a photo has been edited
+ * - onRemove: Called with the id of a removed photo
+ * - altText: Prefix for the previews' alt text
+ * - disabled: Locks the list while uploads are in progress
+ */
+const PostImageList = ({
+  images,
+  onMove,
+  onSetCover,
+  onEdit,
+  onRemove,
+  altText = "Preview",
+  disabled = false,
+}) => {
+  const [draggedId, setDraggedId] = useState(null);
+  const [dropIndex, setDropIndex] = useState(null);
+  const [editingId, setEditingId] = useState(null);
+
+  const editingImage = images.find((image) => image.id === editingId);
+
+  const handleDragStart = (e, id) => {
+    e.dataTransfer.effectAllowed = "move";
+    // Firefox won't start a drag without data
+    e.dataTransfer.setData("text/plain", id);
+    setDraggedId(id);
+  };
+
+  const handleDragOver = (e, index) => {
+    if (!draggedId) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = "move";
+    if (dropIndex !== index) setDropIndex(index);
+  };
+
+  const handleDrop = (e, index) => {
+    e.preventDefault();
+    if (draggedId) onMove(draggedId, index);
+    handleDragEnd();
+  };
+
+  const handleDragEnd = () => {
+    setDraggedId(null);
+    setDropIndex(null);
+  };
+
+  if (images.length === 0) return null;
+
+  return (
+    <>
+      <div className="image-preview-container post-image-list">
+        {images.map((image, index) => {
+          const isCover = index === 0;
+          const itemClasses = [
+            "image-preview-item",
+            "post-image-item",
+            draggedId === image.id ? "dragging" : "",
+            dropIndex === index && draggedId !== image.id ? "drop-target" : "",
+          ]
+            .filter(Boolean)
+            .join(" ");
+
+          return (
+            <div
+              key={image.id}
+              className={itemClasses}
+              draggable={!disabled}
+              onDragStart={(e) => handleDragStart(e, image.id)}
+              onDragOver={(e) => handleDragOver(e, index)}
+              onDrop={(e) => handleDrop(e, index)}
+              onDragEnd={handleDragEnd}
+            >
+              <img
+                src={image.previewUrl}
+                alt={`${altText} ${index + 1}`}
+                className="image-preview"
+                draggable={false}
+              />
+              {isCover && <span className="cover-badge">Cover</span>}
+              {image.file && (
+                <UploadProgress
+                  status={image.status}
+                  progress={image.progress}
+                  error={image.error}
+                />
+              )}
+              <button
+                type="button"
+                className="remove-image-button"
+                onClick={() => onRemove(image.id)}
+                disabled={disabled}
+                aria-label={`Remove ${altText.toLowerCase()} ${index + 1}`}
+              >
+                ×
+              </button>
+              <div className="post-image-actions">
+                {!isCover && (
+                  <button
+                    type="button"
+                    onClick={() => onSetCover(image.id)}
+                    disabled={disabled}
+                  >
+                    Make cover
+                  </button>
+                )}
+                <button
+                  type="button"
+                  onClick={() => setEditingId(image.id)}
+                  disabled={disabled}
+                >
+                  Edit
+                </button>
+              </div>
+            </div>
+          );
+        })}
+      </div>
+      {images.length > 1 && (
+        <p className="post-image-hint">
+          Drag photos to reorder them. The first photo is the cover shown in
+          listings.
+        </p>
+      )}
+
+      {editingImage && (
+        <ImageEditor
+          image={editingImage}
+          onCancel={() => setEditingId(null)}
+          onApply={(file) => {
+            onEdit(editingImage.id, file);
+            setEditingId(null);
+          }}
+        />
+      )}
+    </>
+  );
+};
+
+export default PostImageList;
@@ -0,0 +1,206 @@
+import React, { useMemo, useRef, useState } from "react";
+import LazyImage from "../common/LazyImage";
+import ImageLightbox, { SWIPE_DISTANCE } from "./ImageLightbox";
+import { getImageUrls } from "../../utils/productUtils";
+import {
+  getFallbackImageUrl,
+  useImageFallback,
+} from "../../utils/imageFallback";
+import "./Images.css";
+
+const STAGE_IMAGE_SIZES = "280px";
+
+/**
+ * ProductGallery Component
+ * Cover photo with a thumbnail strip, swipe/arrow-key navigation and a
+ * fullscreen lightbox with zoom
+ *
+ * Props:
+ * - product: Item whose `images` (or legacy `image_url`) are shown
+ */
+const ProductGallery = ({ product }) => {
+  const [activeIndex, setActiveIndex] = useState(0);
+  const [lightboxOpen, setLightboxOpen] = useState(false);
+  const [brokenIndexes, setBrokenIndexes] = useState(() => new Set());
+  const swipeStartRef = useRef(null);
+  const swipedRef = useRef(false);
+  const { fallbackUrl, handleImageError } = useImageFallback(product);
+
+  const images = useMemo(() => {
+    const sources = product.images?.length
+      ? product.images
+      : product.image_url
+        ? [product.image_url]
+        : [];
+    return getImageUrls(sources).filter((image) => image.success);
+  }, [product.images, product.image_url]);
+
+  // Broken images are swapped for the product's local fallback artwork
+  const displayImages = useMemo(
+    () =>
+      images.map((image, index) =>
+        brokenIndexes.has(index) && fallbackUrl
+          ? { src: fallbackUrl, srcSet: undefined, thumbnailUrl: fallbackUrl }
+          : {
+              src: image.publicUrl,
+              srcSet: image.srcSet,
+              thumbnailUrl: image.thumbnailUrl,
+              placeholderSrc: image.srcSet ? image.thumbnailUrl : null,
+            },
+      ),
+    [images, brokenIndexes, fallbackUrl],
+  );
+
+  if (displayImages.length === 0) {
+    return (
+      <div className="product-image-container">
+        <img
+          src={getFallbackImageUrl(product)}
+          alt={product.title}
+          className="product-image"
+        />
+      </div>
+    );
+  }
+
+  const count = displayImages.length;
+  const current = displayImages[Math.min(activeIndex, count - 1)];
+
+  const showImage = (step) =>
+    setActiveIndex((prev) => (prev + step + count) % count);
+
+  const markBroken = (index) => {
+    if (brokenIndexes.has(index)) return;
+    setBrokenIndexes((prev) => new Set(prev).add(index));
+    handleImageError();
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === "ArrowRight") showImage(1);
+    if (e.key === "ArrowLeft") showImage(-1);
+    if (e.key === "Enter" || e.key === " ") {
+      e.preventDefault();
+      setLightboxOpen(true);
+    }
+  };
+
+  const handlePointerDown = (e) => {
+    swipeStartRef.current = e.clientX;
+    swipedRef.current = false;
+  };
+
+  const handlePointerUp = (e) => {
+    if (swipeStartRef.current === null) return;
+    const deltaX = e.clientX - swipeStartRef.current;
+    swipeStartRef.current = null;
+    if (count > 1 && Math.abs(deltaX) > SWIPE_DISTANCE) {
+      swipedRef.current = true;
+      showImage(deltaX < 0 ? 1 : -1);
+    }
+  };
+
+  const handleStageClick = () => {
+    // The click that ends a swipe shouldn't also open the lightbox
+    if (swipedRef.current) {
+      swipedRef.current = false;
+      return;
+    }
+    setLightboxOpen(true);
+  };
+
+  return (
+    <div className="product-gallery">
+      <div
+        className="product-image-container product-gallery-stage"
+        role="button"
+        tabIndex={0}
+        aria-label={`View ${product.title} photos fullscreen`}
+        onClick={handleStageClick}
+        onKeyDown={handleKeyDown}
+        onPointerDown={handlePointerDown}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          swipeStartRef.current = null;
+        }}
+      >
+        <LazyImage
+          key={current.src}
+          src={current.src}
+          srcSet={current.srcSet}
+          sizes={STAGE_IMAGE_SIZES}
+          placeholderSrc={current.placeholderSrc}
+          alt={`${product.title} ${activeIndex + 1}`}
+          className="product-image"
+          onError={() => markBroken(activeIndex)}
+        />
+        {count > 1 && (
+          <>
+            <button
+              type="button"
+              className="product-gallery-nav prev"
+              onClick={(e) => {
+                e.stopPropagation();
+                showImage(-1);
+              }}
+              aria-label="Previous photo"
+            >
+              ‹
+            </button>
+            <button
+              type="button"
+              className="product-gallery-nav next"
+              onClick={(e) => {
+                e.stopPropagation();
+                showImage(1);
+              }}
+              aria-label="Next photo"
+            >
+              ›
+            </button>
+            <span className="product-gallery-counter">
+              {activeIndex + 1} / {count}
+            </span>
+          </>
+        )}
+        <span className="product-gallery-zoom-hint">🔍 Click to zoom</span>
+      </div>
+
+      {count > 1 && (
+        <div className="product-gallery-thumbnails">
+          {displayImages.map((image, index) => (
+            <button
+              key={index}
+              type="button"
+              className={`product-gallery-thumbnail ${
+                index === activeIndex ? "active" : ""
+              }`}
+              onClick={() => setActiveIndex(index)}
+              aria-label={`Show photo ${index + 1}`}
+              aria-current={index === activeIndex}
+            >
+              <img
+                src={image.thumbnailUrl}
+                alt=""
+                loading="lazy"
+                onError={() => markBroken(index)}
+              />
+            </button>
+          ))}
+        </div>
+      )}
+
+      {lightboxOpen && (
+        <ImageLightbox
+          images={displayImages}
+          index={activeIndex}
+          onIndexChange={setActiveIndex}
+          onClose={() => setLightboxOpen(false)}
+          onImageError={markBroken}
+          title={product.title}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
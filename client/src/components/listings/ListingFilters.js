@@ -0,0 +1,154 @@
+import React, { useState, useEffect } from "react";
+import Button from "../common/Button";
+import {
+  CATEGORY_OPTIONS,
+  CONDITION_OPTIONS,
+  EMPTY_LISTING_FILTERS,
+} from "../../utils/listingQuery";
+import "./ListingFilters.css";
+
+/**
+ * ListingFilters Component
+ * Filter facets for the listing feed. Edits are kept in a local draft and
+ * only pushed to the URL when the user applies them.
+ *
+ * Props:
+ * - query: Current listing query (filters keyed by URL name)
+ * - onApply: Function called with the new filter values
+ * - onClear: Function to reset every filter
+ */
+const ListingFilters = ({ query, onApply, onClear }) => {
+  const [draft, setDraft] = useState({ ...EMPTY_LISTING_FILTERS, ...query });
+
+  // Keep the draft in sync when the URL changes (back/forward, shared link)
+  useEffect(() => {
+    setDraft({ ...EMPTY_LISTING_FILTERS, ...query });
+  }, [query]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply({
+      ...draft,
+      // A 0% minimum is the same as no battery filter
+      minBattery: Number(draft.minBattery) > 0 ? draft.minBattery : "",
+    });
+  };
+
+  return (
+    <form className="listing-filters" onSubmit={handleSubmit}>
+      <div className="listing-filters-grid">
+        <div className="listing-filter">
+          <label htmlFor="filter-category">Category</label>
+          <select
+            id="filter-category"
+            name="category"
+            value={draft.category}
+            onChange={handleChange}
+          >
+            <option value="">All categories</option>
+            {CATEGORY_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="listing-filter">
+          <label htmlFor="filter-condition">Condition</label>
+          <select
+            id="filter-condition"
+            name="condition"
+            value={draft.condition}
+            onChange={handleChange}
+          >
+            <option value="">Any condition</option>
+            {CONDITION_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="listing-filter listing-filter-range">
+          <label htmlFor="filter-min-price">Price ($)</label>
+          <div className="listing-filter-range-inputs">
+            <input
+              type="number"
+              id="filter-min-price"
+              name="minPrice"
+              value={draft.minPrice}
+              onChange={handleChange}
+              placeholder="Min"
+              min="0"
+            />
+            <span>-</span>
+            <input
+              type="number"
+              name="maxPrice"
+              value={draft.maxPrice}
+              onChange={handleChange}
+              placeholder="Max"
+              min="0"
+              aria-label="Maximum price"
+            />
+          </div>
+        </div>
+
+        <div className="listing-filter">
+          <label htmlFor="filter-min-battery">
+            Min Battery Health: {draft.minBattery || 0}%
+          </label>
+          <input
+            type="range"
+            id="filter-min-battery"
+            name="minBattery"
+            min="0"
+            max="100"
+            step="5"
+            value={draft.minBattery || 0}
+            onChange={handleChange}
+          />
+        </div>
+
+        <div className="listing-filter listing-filter-range">
+          <label htmlFor="filter-bought-after">Date Bought</label>
+          <div className="listing-filter-range-inputs">
+            <input
+              type="date"
+              id="filter-bought-after"
+              name="boughtAfter"
+              value={draft.boughtAfter}
+              onChange={handleChange}
+            />
+            <span>-</span>
+            <input
+              type="date"
+              name="boughtBefore"
+              value={draft.boughtBefore}
+              onChange={handleChange}
+              aria-label="Bought before"
+            />
+          </div>
+        </div>
+      </div>
+
+      <div className="listing-filters-actions">
+        <Button type="button" variant="secondary" onClick={onClear}>
+          Clear Filters
+        </Button>
+        <Button type="submit" variant="primary">
+          Apply Filters
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+export default ListingFilters;
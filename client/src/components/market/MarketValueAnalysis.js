@@ -1,44 +1,66 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useCallback } from "react";
 import Button from "../common/Button";
+import { isAbortedResponse } from "../../utils/apiClient";
+import { useLatestRef } from "../../utils/useLatestRef";
+import { marketValueService } from "../../services/marketValueService";
 import "../../styles/common.css";
+import "./Market.css";
 
-const MarketValueAnalysis = ({ productId, productName, brand, category }) => {
+/**
+ * MarketValueAnalysis Component
+ * Estimated market value for an item, from the backend when it's reachable
+ * and from comparable listings otherwise
+ *
+ * Props:
+ * - product: Item to value
+ * - diagnosticReport: Latest diagnostic report for the item, if any
+ * - onAnalysisChange: Called with each new analysis, for sibling views
+ */
+const MarketValueAnalysis = ({
+  product,
+  diagnosticReport,
+  onAnalysisChange,
+}) => {
   const [analysis, setAnalysis] = useState(null);
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState("");
   const [lastUpdated, setLastUpdated] = useState(null);
 
-  const fetchMarketAnalysis = async () => {
-    setLoading(true);
-    setError("");
+  const onAnalysisChangeRef = useLatestRef(onAnalysisChange);
 
-    try {
-      const response = await fetch(`/api/market-value/calculate/${productId}`, {
-        method: "GET",
-        headers: {
-          "Content-Type": "application/json",
-        },
+  const fetchMarketAnalysis = useCallback(
+    async (signal) => {
+      setLoading(true);
+      setError("");
+
+      const response = await marketValueService.getMarketAnalysis(product, {
+        signal,
+        diagnosticReport,
       });
 
-      if (!response.ok) {
-        throw new Error("Failed to calculate market value");
-      }
+      if (isAbortedResponse(response)) return;
 
-      const data = await response.json();
-      setAnalysis(data);
-      setLastUpdated(new Date());
-    } catch (err) {
-      setError(err.message);
-    } finally {
+      if (response.success) {
+        setAnalysis(response.data);
+        onAnalysisChangeRef.current?.(response.data);
+        setLastUpdated(new Date());
+      } else {
+        setError(response.error || "Failed to calculate market value");
+      }
       setLoading(false);
-    }
-  };
+    },
+    [product, diagnosticReport, onAnalysisChangeRef],
+  );
 
   useEffect(() => {
-    if (productId) {
-      fetchMarketAnalysis();
-    }
-  }, [productId]);
+    if (!product) return;
+
+    // Cancel the in-flight analysis if the product changes or we unmount
+    const controller = new AbortController();
+    fetchMarketAnalysis(controller.signal);
+
+    return () => controller.abort();
+  }, [product, fetchMarketAnalysis]);
 
   const getConfidenceColor = (confidence) => {
     if (confidence >= 80) return "#4CAF50";
@@ -73,7 +95,7 @@ const MarketValueAnalysis = ({ productId, productName, brand, category }) => {
       <div className="market-value-analysis error">
         <div className="error-message">
           <p>{error}</p>
-          <Button onClick={fetchMarketAnalysis} variant="secondary">
+          <Button onClick={() => fetchMarketAnalysis()} variant="secondary">
             Retry Analysis
           </Button>
         </div>
@@ -85,7 +107,9 @@ const MarketValueAnalysis = ({ productId, productName, brand, category }) => {
     return (
       <div className="market-value-analysis no-data">
         <p>Market value analysis not available</p>
-        <Button onClick={fetchMarketAnalysis}>Calculate Market Value</Button>
+        <Button onClick={() => fetchMarketAnalysis()}>
+          Calculate Market Value
+        </Button>
       </div>
     );
   }
@@ -101,7 +125,7 @@ const MarketValueAnalysis = ({ productId, productName, brand, category }) => {
             </span>
           )}
           <Button
-            onClick={fetchMarketAnalysis}
+            onClick={() => fetchMarketAnalysis()}
             variant="secondary"
             size="small"
           >
@@ -219,7 +243,11 @@ const MarketValueAnalysis = ({ productId, productName, brand, category }) => {
               <div className="insight-content">
                 <strong>Data Confidence:</strong>{" "}
                 {getConfidenceLabel(analysis.confidence)}
-                <p>Based on available market data and product condition</p>
+                <p>
+                  {analysis.source === "local"
+                    ? `Estimated from ${analysis.comparablesCount} similar listing${analysis.comparablesCount === 1 ? "" : "s"} and product condition`
+                    : "Based on available market data and product condition"}
+                </p>
               </div>
             </div>
             <div className="insight-item">
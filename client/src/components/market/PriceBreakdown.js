@@ -1,7 +1,19 @@
 import React from "react";
 import "../../styles/common.css";
+import { TREND_WINDOW_DAYS } from "../../utils/priceHistory";
+import PriceChart from "./PriceChart";
+import "./Market.css";
 
-const PriceBreakdown = ({ analysis, currentPrice }) => {
+/**
+ * PriceBreakdown Component
+ * Compares an asking price with the estimated market value
+ *
+ * Props:
+ * - analysis: Market analysis (finalValue, marketRange, ...)
+ * - currentPrice: Asking price
+ * - trend: Sold-price trend points for the category ({ date, value, count })
+ */
+const PriceBreakdown = ({ analysis, currentPrice, trend }) => {
   const formatCurrency = (amount) => {
     return new Intl.NumberFormat("en-US", {
       style: "currency",
@@ -204,6 +216,39 @@ const PriceBreakdown = ({ analysis, currentPrice }) => {
             </div>
           </div>
 
+          {trend && (
+            <div className="price-trend">
+              <h4>Sold Price Trend</h4>
+              <PriceChart
+                title="Median sold price per week in this category"
+                points={trend.map((point) => ({
+                  ...point,
+                  label: `${point.count} sold`,
+                }))}
+                referenceLines={[
+                  {
+                    value: analysis.finalValue,
+                    label: "Market value",
+                    color: "#10b981",
+                  },
+                  ...(currentPrice
+                    ? [
+                        {
+                          value: currentPrice,
+                          label: "Asking price",
+                          color: getPositionColor(),
+                        },
+                      ]
+                    : []),
+                ]}
+                emptyMessage={`No sales in this category in the last ${TREND_WINDOW_DAYS} days`}
+              />
+              <p className="price-trend-caption">
+                Median sold price per week, last {TREND_WINDOW_DAYS} days
+              </p>
+            </div>
+          )}
+
           <div className="price-recommendation">
             <h4>Recommendation</h4>
             <div className="recommendation-content">
@@ -0,0 +1,169 @@
+import React from "react";
+import "./Market.css";
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 16, right: 16, bottom: 28, left: 64 };
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+    maximumFractionDigits: 0,
+  }).format(amount);
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString("en-US", {
+    month: "short",
+    day: "numeric",
+  });
+
+/**
+ * PriceChart Component
+ * Minimal SVG line chart for prices over time
+ *
+ * Props:
+ * - points: Array of { date, value, label? } sorted oldest first
+ * - referenceLines: Array of { value, label, color } drawn across the chart
+ * - step: Hold each value until the next point (price changes) instead of
+ *   interpolating between points (trends)
+ * - extendToNow: Carry the last value on to today
+ * - emptyMessage: Shown when there are no points
+ * - title: Accessible chart title
+ */
+const PriceChart = ({
+  points = [],
+  referenceLines = [],
+  step = false,
+  extendToNow = false,
+  emptyMessage = "Not enough data yet",
+  title,
+}) => {
+  if (points.length === 0) {
+    return <div className="price-chart-empty">{emptyMessage}</div>;
+  }
+
+  const series = points.map((point) => ({
+    ...point,
+    time: new Date(point.date).getTime(),
+  }));
+  if (extendToNow) {
+    const last = series[series.length - 1];
+    const now = Date.now();
+    if (now > last.time) {
+      series.push({ ...last, time: now, date: new Date(now), extended: true });
+    }
+  }
+
+  const values = [
+    ...series.map((point) => point.value),
+    ...referenceLines.map((line) => line.value),
+  ];
+  let minValue = Math.min(...values);
+  let maxValue = Math.max(...values);
+  // Give flat series some room so the line doesn't sit on an edge
+  const margin = (maxValue - minValue) * 0.1 || maxValue * 0.1 || 1;
+  minValue = Math.max(0, minValue - margin);
+  maxValue += margin;
+
+  const minTime = series[0].time;
+  const maxTime = series[series.length - 1].time;
+  const plotWidth = WIDTH - PADDING.left - PADDING.right;
+  const plotHeight = HEIGHT - PADDING.top - PADDING.bottom;
+
+  const x = (time) =>
+    PADDING.left +
+    (maxTime === minTime
+      ? plotWidth / 2
+      : ((time - minTime) / (maxTime - minTime)) * plotWidth);
+  const y = (value) =>
+    PADDING.top +
+    plotHeight -
+    ((value - minValue) / (maxValue - minValue)) * plotHeight;
+
+  const path = series
+    .map((point, index) => {
+      const command = index === 0 ? "M" : "L";
+      if (step && index > 0) {
+        return `L ${x(point.time)} ${y(series[index - 1].value)} L ${x(point.time)} ${y(point.value)}`;
+      }
+      return `${command} ${x(point.time)} ${y(point.value)}`;
+    })
+    .join(" ");
+
+  return (
+    <svg
+      className="price-chart"
+      viewBox={`0 0 ${WIDTH} ${HEIGHT}`}
+      role="img"
+      aria-label={title}
+    >
+      {title && <title>{title}</title>}
+
+      {[maxValue, (maxValue + minValue) / 2, minValue].map((value) => (
+        <g key={value} className="price-chart-grid">
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(value)}
+            y2={y(value)}
+          />
+          <text x={PADDING.left - 8} y={y(value) + 4} textAnchor="end">
+            {formatCurrency(value)}
+          </text>
+        </g>
+      ))}
+
+      {referenceLines.map((line) => (
+        <g key={line.label} className="price-chart-reference">
+          <line
+            x1={PADDING.left}
+            x2={WIDTH - PADDING.right}
+            y1={y(line.value)}
+            y2={y(line.value)}
+            stroke={line.color}
+          />
+          <text
+            x={WIDTH - PADDING.right}
+            y={y(line.value) - 4}
+            textAnchor="end"
+            style={{ fill: line.color }}
+          >
+            {line.label}
+          </text>
+        </g>
+      ))}
+
+      <path className="price-chart-line" d={path} />
+
+      {series
+        .filter((point) => !point.extended)
+        .map((point, index) => (
+          <circle
+            key={index}
+            className="price-chart-point"
+            cx={x(point.time)}
+            cy={y(point.value)}
+            r="4"
+          >
+            <title>
+              {`${formatDate(point.date)}: ${formatCurrency(point.value)}${point.label ? ` (${point.label})` : ""}`}
+            </title>
+          </circle>
+        ))}
+
+      <g className="price-chart-axis">
+        <text x={PADDING.left} y={HEIGHT - 8} textAnchor="start">
+          {formatDate(series[0].date)}
+        </text>
+        {maxTime !== minTime && (
+          <text x={WIDTH - PADDING.right} y={HEIGHT - 8} textAnchor="end">
+            {formatDate(series[series.length - 1].date)}
+          </text>
+        )}
+      </g>
+    </svg>
+  );
+};
+
+export default PriceChart;
@@ -0,0 +1,153 @@
+import React, { useEffect, useMemo } from "react";
+import Button from "../common/Button";
+import { useApiQuery } from "../../utils/queryCache";
+import { normalizeListingPage } from "../../utils/listingQuery";
+import { calculateMarketAnalysis } from "../../utils/marketValue";
+import { useLatestRef } from "../../utils/useLatestRef";
+import { getComparablesEndpoint } from "../../services/marketValueService";
+import PriceBreakdown from "./PriceBreakdown";
+import "./Market.css";
+
+const formatCurrency = (amount) =>
+  new Intl.NumberFormat("en-US", {
+    style: "currency",
+    currency: "USD",
+  }).format(amount);
+
+/**
+ * PricingAssistant Component
+ * Live price suggestion for the post forms, from comparable listings in the
+ * chosen category
+ *
+ * Props:
+ * - product: Item as currently entered (title, category, condition,
+ *   battery_health, date_bought, price; id when editing)
+ * - diagnosticReport: Report that will be filed with the item, if any
+ * - onApplySuggestion: Called with the suggested price
+ * - onAnalysisChange: Called with each new analysis (null when there isn't
+ *   enough to go on)
+ */
+const PricingAssistant = ({
+  product,
+  diagnosticReport,
+  onApplySuggestion,
+  onAnalysisChange,
+}) => {
+  const { id, title, category, condition, battery_health, date_bought } =
+    product;
+  const price = parseFloat(product.price);
+
+  const { data: listingsData, isLoading } = useApiQuery(
+    category ? getComparablesEndpoint(category) : null,
+  );
+
+  // Value the item without its asking price so the suggestion doesn't
+  // follow whatever the seller types
+  const analysis = useMemo(() => {
+    if (!category || !listingsData) return null;
+
+    const result = calculateMarketAnalysis(
+      {
+        id,
+        title,
+        category,
+        condition,
+        battery_health: battery_health === "" ? null : battery_health,
+        date_bought,
+      },
+      normalizeListingPage(listingsData).items,
+      { diagnosticReport },
+    );
+    return result.comparablesCount > 0 ? result : null;
+  }, [
+    id,
+    title,
+    category,
+    condition,
+    battery_health,
+    date_bought,
+    diagnosticReport,
+    listingsData,
+  ]);
+
+  const onAnalysisChangeRef = useLatestRef(onAnalysisChange);
+
+  useEffect(() => {
+    onAnalysisChangeRef.current?.(analysis);
+  }, [analysis, onAnalysisChangeRef]);
+
+  if (!category) {
+    return (
+      <div className="pricing-assistant empty">
+        <p>Pick a category and add a title to get a price suggestion.</p>
+      </div>
+    );
+  }
+
+  if (isLoading && !listingsData) {
+    return (
+      <div className="pricing-assistant empty">
+        <p>Looking up similar listings...</p>
+      </div>
+    );
+  }
+
+  if (!analysis) {
+    return (
+      <div className="pricing-assistant empty">
+        <p>
+          There are no similar listings in this category yet, so there's nothing
+          to compare your price against.
+        </p>
+      </div>
+    );
+  }
+
+  const hasPrice = Number.isFinite(price) && price > 0;
+  const outsideRange =
+    hasPrice &&
+    (price < analysis.marketRange.min || price > analysis.marketRange.max);
+
+  return (
+    <div className="pricing-assistant">
+      <div className="pricing-suggestion">
+        <div>
+          <span className="pricing-suggestion-label">Suggested price</span>
+          <span className="pricing-suggestion-value">
+            {formatCurrency(analysis.finalValue)}
+          </span>
+          <span className="pricing-suggestion-meta">
+            Typical range {formatCurrency(analysis.marketRange.min)} -{" "}
+            {formatCurrency(analysis.marketRange.max)} ·{" "}
+            {analysis.comparablesCount} similar listing
+            {analysis.comparablesCount === 1 ? "" : "s"} · {analysis.confidence}
+            % confidence
+          </span>
+        </div>
+        {onApplySuggestion && price !== analysis.finalValue && (
+          <Button
+            type="button"
+            variant="secondary"
+            size="small"
+            onClick={() => onApplySuggestion(analysis.finalValue)}
+          >
+            Use suggested price
+          </Button>
+        )}
+      </div>
+
+      {outsideRange && (
+        <div className="pricing-warning" role="alert">
+          Your asking price is{" "}
+          {price > analysis.marketRange.max ? "above" : "below"} the typical
+          range for similar listings ({formatCurrency(analysis.marketRange.min)}{" "}
+          - {formatCurrency(analysis.marketRange.max)}).
+        </div>
+      )}
+
+      {hasPrice && <PriceBreakdown analysis={analysis} currentPrice={price} />}
+    </div>
+  );
+};
+
+export default PricingAssistant;
@@ -0,0 +1,69 @@
+import React, { useCallback, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useReports } from "../../contexts/ReportsContext";
+import ReportDialog from "./ReportDialog";
+import "./Reports.css";
+
+/**
+ * ReportButton Component
+ * Flags a listing or message for review. Signed-out users are sent to the
+ * login page; targets the user has already reported show as reported.
+ *
+ * Props:
+ * - targetType: REPORT_TARGETS.LISTING or MESSAGE
+ * - targetId: ID of the listing or message
+ * - targetTitle: Shown to moderators and in the outcome notification
+ * - compact: Icon only, for use inside chat bubbles
+ */
+const ReportButton = ({
+  targetType,
+  targetId,
+  targetTitle,
+  compact = false,
+}) => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const { hasReported } = useReports();
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const reported = hasReported(targetType, targetId);
+  const label = reported ? "Reported" : "Report";
+
+  const closeDialog = useCallback(() => setDialogOpen(false), []);
+
+  const handleClick = () => {
+    if (!isAuthenticated) {
+      localStorage.setItem("redirect_after_login", window.location.pathname);
+      navigate("/login");
+      return;
+    }
+    setDialogOpen(true);
+  };
+
+  return (
+    <>
+      <button
+        type="button"
+        className={`report-button ${compact ? "compact" : ""}`}
+        onClick={handleClick}
+        disabled={reported}
+        aria-label={label}
+        title={reported ? "You've reported this" : label}
+      >
+        <span className="material-symbols-outlined">flag</span>
+        {!compact && label}
+      </button>
+
+      {dialogOpen && (
+        <ReportDialog
+          targetType={targetType}
+          targetId={targetId}
+          targetTitle={targetTitle}
+          onClose={closeDialog}
+        />
+      )}
+    </>
+  );
+};
+
+export default ReportButton;
@@ -0,0 +1,154 @@
+import React, { useEffect, useRef, useState } from "react";
+import {
+  REPORT_REASONS,
+  REPORT_TARGETS,
+  reportsService,
+} from "../../services/reportsService";
+import "./Reports.css";
+
+/**
+ * ReportDialog Component
+ * Lets a user report a listing or message to the moderators
+ *
+ * Props:
+ * - targetType: REPORT_TARGETS.LISTING or MESSAGE
+ * - targetId: ID of the listing or message
+ * - targetTitle: Shown to moderators and in the outcome notification
+ * - onClose: Called when the dialog is dismissed
+ */
+const ReportDialog = ({ targetType, targetId, targetTitle, onClose }) => {
+  const [reason, setReason] = useState("");
+  const [details, setDetails] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [submitted, setSubmitted] = useState(false);
+  const [error, setError] = useState(null);
+  const firstOptionRef = useRef(null);
+
+  useEffect(() => {
+    firstOptionRef.current?.focus();
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === "Escape") onClose();
+    };
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, [onClose]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!reason) return;
+
+    setSubmitting(true);
+    setError(null);
+    const response = await reportsService.createReport({
+      targetType,
+      targetId,
+      targetTitle,
+      reason,
+      details,
+    });
+    setSubmitting(false);
+
+    if (response.success) {
+      setSubmitted(true);
+    } else {
+      setError(response.error || "Failed to send report");
+    }
+  };
+
+  const noun = targetType === REPORT_TARGETS.MESSAGE ? "message" : "listing";
+
+  return (
+    <div className="report-dialog-backdrop" onClick={onClose}>
+      <form
+        className="report-dialog"
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="report-dialog-title"
+        onSubmit={handleSubmit}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <h3 id="report-dialog-title">Report this {noun}</h3>
+
+        {submitted ? (
+          <>
+            <p className="report-dialog-hint">
+              Thanks for letting us know. A moderator will review it and
+              we&apos;ll tell you the outcome.
+            </p>
+            <div className="report-dialog-actions">
+              <button
+                type="button"
+                className="report-dialog-primary"
+                onClick={onClose}
+              >
+                Done
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <p className="report-dialog-hint">
+              Reports are anonymous. The{" "}
+              {noun === "listing" ? "seller" : "sender"} isn&apos;t told who
+              reported them.
+            </p>
+
+            <fieldset className="report-reasons">
+              <legend>What&apos;s wrong?</legend>
+              {REPORT_REASONS.map((option, index) => (
+                <label key={option.code} className="report-reason">
+                  <input
+                    ref={index === 0 ? firstOptionRef : undefined}
+                    type="radio"
+                    name="report-reason"
+                    value={option.code}
+                    checked={reason === option.code}
+                    onChange={() => setReason(option.code)}
+                  />
+                  <span>
+                    <strong>{option.label}</strong>
+                    <small>{option.description}</small>
+                  </span>
+                </label>
+              ))}
+            </fieldset>
+
+            <label className="report-details">
+              Details (optional)
+              <textarea
+                value={details}
+                onChange={(e) => setDetails(e.target.value)}
+                rows={3}
+                maxLength={1000}
+              />
+            </label>
+
+            {error && <p className="report-dialog-error">{error}</p>}
+
+            <div className="report-dialog-actions">
+              <button
+                type="button"
+                className="report-dialog-secondary"
+                onClick={onClose}
+              >
+                Cancel
+              </button>
+              <button
+                type="submit"
+                className="report-dialog-primary"
+                disabled={!reason || submitting}
+              >
+                {submitting ? "Sending..." : "Send report"}
+              </button>
+            </div>
+          </>
+        )}
+      </form>
+    </div>
+  );
+};
+
+export default ReportDialog;
@@ -0,0 +1,56 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useAuth } from "../../contexts/AuthContext";
+import { useWatchlist } from "../../contexts/WatchlistContext";
+import "./Watchlist.css";
+
+/**
+ * WatchButton Component
+ * Heart toggle that adds a listing to or removes it from the watchlist.
+ * Signed-out users are sent to the login page.
+ *
+ * Props:
+ * - item: Listing to watch
+ * - className: Extra classes for positioning
+ */
+const WatchButton = ({ item, className = "" }) => {
+  const navigate = useNavigate();
+  const { isAuthenticated } = useAuth();
+  const { isWatched, toggleWatch } = useWatchlist();
+  const [pending, setPending] = useState(false);
+  const watched = isWatched(item.id);
+
+  const handleClick = async (e) => {
+    // Cards are clickable as a whole; the heart shouldn't open the listing
+    e.stopPropagation();
+
+    if (!isAuthenticated) {
+      localStorage.setItem("redirect_after_login", window.location.pathname);
+      navigate("/login");
+      return;
+    }
+
+    setPending(true);
+    const response = await toggleWatch(item);
+    setPending(false);
+    if (!response.success) {
+      console.error("Error updating watchlist:", response.error);
+    }
+  };
+
+  return (
+    <button
+      type="button"
+      className={`watch-button ${watched ? "watched" : ""} ${className}`}
+      onClick={handleClick}
+      disabled={pending}
+      aria-pressed={watched}
+      aria-label={watched ? "Remove from saved items" : "Save item"}
+      title={watched ? "Remove from saved items" : "Save item"}
+    >
+      <span className="material-symbols-outlined">favorite</span>
+    </button>
+  );
+};
+
+export default WatchButton;
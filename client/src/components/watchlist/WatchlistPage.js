@@ -0,0 +1,168 @@
+import React, { useMemo } from "react";
+import { useNavigate } from "react-router-dom";
+import { useWatchlist } from "../../contexts/WatchlistContext";
+import {
+  WATCH_ALERT_TYPES,
+  describeWatchAlert,
+  getWatchAlert,
+  getWatchedStatus,
+} from "../../services/watchlistService";
+import { getProductImageSources } from "../../utils/productUtils";
+import { getFallbackImageUrl } from "../../utils/imageFallback";
+import Button from "../common/Button";
+import ErrorMessage from "../common/ErrorMessage";
+import LazyImage from "../common/LazyImage";
+import LoadingSpinner from "../common/LoadingSpinner";
+import "./Watchlist.css";
+
+const STATUS_LABELS = {
+  active: "Available",
+  pending: "Pending review",
+  reserved: "Reserved",
+  sold: "Sold",
+  removed: "Removed",
+};
+
+/**
+ * WatchlistPage Component
+ * The signed-in user's saved listings with their current price and status,
+ * and what changed since they last looked
+ */
+const WatchlistPage = () => {
+  const navigate = useNavigate();
+  const { watchlist, isLoading, error, acknowledgeAlert, toggleWatch } =
+    useWatchlist();
+
+  // Listings with unacknowledged changes first, then most recently saved
+  const entries = useMemo(
+    () =>
+      watchlist
+        .map((entry) => ({
+          entry,
+          watchAlert: getWatchAlert(entry),
+          status: getWatchedStatus(entry),
+        }))
+        .sort(
+          (a, b) =>
+            Number(!!b.watchAlert) - Number(!!a.watchAlert) ||
+            new Date(b.entry.created_at) - new Date(a.entry.created_at),
+        ),
+    [watchlist],
+  );
+
+  const handleRemove = async (entry) => {
+    const response = await toggleWatch({ id: entry.item_id });
+    if (!response.success) {
+      alert("Failed to remove saved item: " + response.error);
+    }
+  };
+
+  return (
+    <div className="watchlist-page">
+      <div className="watchlist-header">
+        <h1>Saved Items</h1>
+        <p>Listings you're watching for price drops and availability</p>
+      </div>
+
+      {isLoading ? (
+        <LoadingSpinner />
+      ) : error ? (
+        <ErrorMessage message={error.message || "Failed to load saved items"} />
+      ) : entries.length === 0 ? (
+        <div className="watchlist-empty">
+          <h2>No saved items yet</h2>
+          <p>Tap the heart on a listing to keep an eye on it.</p>
+          <Button variant="primary" onClick={() => navigate("/home")}>
+            Browse Listings
+          </Button>
+        </div>
+      ) : (
+        <ul className="watchlist-list">
+          {entries.map(({ entry, watchAlert, status }) => {
+            const item = entry.item;
+            const imageSources = item ? getProductImageSources(item) : {};
+            const available = status !== "removed";
+
+            return (
+              <li
+                key={entry.item_id}
+                className={`watchlist-item ${watchAlert ? "has-alert" : ""}`}
+              >
+                <div className="watchlist-item-image">
+                  {imageSources.src ? (
+                    <LazyImage
+                      src={imageSources.src}
+                      srcSet={imageSources.srcSet}
+                      sizes="96px"
+                      placeholderSrc={imageSources.placeholderSrc}
+                      alt={item.title}
+                    />
+                  ) : (
+                    <img
+                      src={getFallbackImageUrl(item || {})}
+                      alt={item?.title || ""}
+                    />
+                  )}
+                </div>
+
+                <div className="watchlist-item-info">
+                  <h3>{item?.title || entry.title || "Removed listing"}</h3>
+                  <div className="watchlist-item-meta">
+                    {item && (
+                      <span className="watchlist-item-price">
+                        ${item.price}
+                      </span>
+                    )}
+                    <span className={`watchlist-status status-${status}`}>
+                      {STATUS_LABELS[status] || status}
+                    </span>
+                  </div>
+                  {watchAlert && (
+                    <p className="watchlist-alert">
+                      <span className="material-symbols-outlined">
+                        {watchAlert.type === WATCH_ALERT_TYPES.PRICE_DROP
+                          ? "trending_down"
+                          : "info"}
+                      </span>
+                      {describeWatchAlert(watchAlert)}
+                    </p>
+                  )}
+                </div>
+
+                <div className="watchlist-item-actions">
+                  {available && (
+                    <Button
+                      variant="secondary"
+                      size="small"
+                      onClick={() => navigate(`/product/${entry.item_id}`)}
+                    >
+                      View
+                    </Button>
+                  )}
+                  {watchAlert && (
+                    <Button
+                      variant="secondary"
+                      size="small"
+                      onClick={() => acknowledgeAlert(entry.item_id)}
+                    >
+                      Dismiss
+                    </Button>
+                  )}
+                  <Button
+                    variant="danger"
+                    size="small"
+                    onClick={() => handleRemove(entry)}
+                  >
+                    Remove
+                  </Button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default WatchlistPage;
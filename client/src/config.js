@@ -32,3 +32,6 @@ export const API_URL = getEnv(
 );
 export const SUPABASE_URL = getEnv("REACT_APP_SUPABASE_URL");
 export const SUPABASE_KEY = getEnv("REACT_APP_SUPABASE_KEY");
+
+// Payment provider used at checkout; "mock" runs entirely in the browser
+export const PAYMENT_PROVIDER = getEnv("REACT_APP_PAYMENT_PROVIDER", "mock");
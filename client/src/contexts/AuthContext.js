@@ -1,5 +1,12 @@
 import React, { createContext, useContext, useState, useEffect } from "react";
 import { supabase } from "../utils/supabase";
+import { migrateLocalProductFields } from "../utils/localProductStorage";
+import {
+  ROLES,
+  decodeJwtClaims,
+  getUserRoles,
+  rolesHavePermission,
+} from "../utils/permissions";
 
 const AuthContext = createContext();
 
@@ -11,10 +18,21 @@ export const useAuth = () => {
   return context;
 };
 
+/**
+ * Whether the signed-in user has a permission
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const usePermission = (permission) => {
+  const { hasPermission } = useAuth();
+  return hasPermission(permission);
+};
+
 export const AuthProvider = ({ children }) => {
   const [user, setUser] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [claims, setClaims] = useState(null);
 
   // Initialize authentication state with Supabase
   useEffect(() => {
@@ -25,12 +43,15 @@ export const AuthProvider = ({ children }) => {
           
           if (event === 'SIGNED_IN' && session?.user) {
             setUser(session.user);
+            setClaims(decodeJwtClaims(session.access_token));
             console.log("User signed in:", session.user.email);
           } else if (event === 'SIGNED_OUT') {
             setUser(null);
+            setClaims(null);
             console.log("User signed out");
           } else if (event === 'TOKEN_REFRESHED' && session?.user) {
             setUser(session.user);
+            setClaims(decodeJwtClaims(session.access_token));
             console.log("Token refreshed for user:", session.user.email);
           }
         } catch (err) {
@@ -57,6 +78,7 @@ export const AuthProvider = ({ children }) => {
           console.error("Error getting initial session:", error);
         } else if (session?.user) {
           setUser(session.user);
+          setClaims(decodeJwtClaims(session.access_token));
           console.log("Initial session found for user:", session.user.email);
         } else {
           console.log("No active session found - user needs to sign in");
@@ -76,6 +98,18 @@ export const AuthProvider = ({ children }) => {
     return () => subscription.unsubscribe();
   }, []);
 
+  // Upload listing fields older versions kept only in this browser
+  useEffect(() => {
+    if (!user?.id) return;
+    migrateLocalProductFields(user.id).catch((err) =>
+      console.error("Local product fields migration failed:", err),
+    );
+  }, [user?.id]);
+
+  // Roles arrive with the session, so they're known once auth has loaded
+  const roles = getUserRoles(user, claims);
+  const rolesLoading = loading;
+
   // Logout function
   const logout = async () => {
     try {
@@ -102,10 +136,12 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  const hasRole = (role) => roles.includes(role);
+
+  const hasPermission = (permission) => rolesHavePermission(roles, permission);
+
   // Check if user is admin
-  const isAdmin = () => {
-    return user?.email === "admin@example.com" || user?.role === "admin";
-  };
+  const isAdmin = () => hasRole(ROLES.ADMIN);
 
   // Get user display name
   const getDisplayName = () => {
@@ -125,6 +161,7 @@ export const AuthProvider = ({ children }) => {
         setUser(null);
       } else if (session?.user) {
         setUser(session.user);
+        setClaims(decodeJwtClaims(session.access_token));
         console.log("Authentication state refreshed:", session.user.email);
       } else {
         setUser(null);
@@ -144,6 +181,10 @@ export const AuthProvider = ({ children }) => {
     logout,
     refreshAuth,
     isAdmin,
+    roles,
+    rolesLoading,
+    hasRole,
+    hasPermission,
     getDisplayName,
     isAuthenticated: !!user,
   };
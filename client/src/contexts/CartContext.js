@@ -0,0 +1,199 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import { useAuth } from "./AuthContext";
+import {
+  getAvailableStock,
+  getCartCount,
+  getCartStorageKey,
+  getCartTotal,
+  readCart,
+  toCartItem,
+  writeCart,
+} from "../utils/cart";
+
+const CartContext = createContext();
+
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error("useCart must be used within a CartProvider");
+  }
+  return context;
+};
+
+/**
+ * Holds the signed-in user's cart, persisted per user in localStorage and
+ * kept in sync between tabs
+ */
+export const CartProvider = ({ children }) => {
+  const { user } = useAuth();
+  const userId = user?.id;
+  const [lines, setLines] = useState(() => readCart(userId));
+
+  useEffect(() => {
+    setLines(readCart(userId));
+    if (!userId) return;
+
+    const handleStorage = (event) => {
+      if (event.key === getCartStorageKey(userId)) {
+        setLines(readCart(userId));
+      }
+    };
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [userId]);
+
+  // Apply a change to the lines and persist the result
+  const updateLines = useCallback(
+    (updater) => {
+      setLines((prev) => {
+        const next = updater(prev);
+        writeCart(userId, next);
+        return next;
+      });
+    },
+    [userId],
+  );
+
+  const getQuantity = useCallback(
+    (itemId) => lines.find((line) => line.item.id === itemId)?.quantity || 0,
+    [lines],
+  );
+
+  /**
+   * Add units of a listing, capped at its available stock
+   * @returns {{success: boolean, error: string|null}}
+   */
+  const addToCart = useCallback(
+    (item, quantity = 1) => {
+      if (!userId) {
+        return { success: false, error: "Sign in to add items to your cart" };
+      }
+      if (item.user?.id === userId) {
+        return { success: false, error: "You can't buy your own listing" };
+      }
+
+      const stock = getAvailableStock(item);
+      if (stock === 0) {
+        return { success: false, error: "This item is no longer available" };
+      }
+      if (getQuantity(item.id) + quantity > stock) {
+        return {
+          success: false,
+          error:
+            stock === 1
+              ? "This item is already in your cart"
+              : `Only ${stock} available`,
+        };
+      }
+
+      updateLines((prev) => {
+        const existing = prev.find((line) => line.item.id === item.id);
+        if (existing) {
+          return prev.map((line) =>
+            line === existing
+              ? {
+                  ...line,
+                  item: toCartItem(item),
+                  quantity: line.quantity + quantity,
+                }
+              : line,
+          );
+        }
+        return [
+          ...prev,
+          {
+            item: toCartItem(item),
+            quantity,
+            added_at: new Date().toISOString(),
+          },
+        ];
+      });
+      return { success: true, error: null };
+    },
+    [userId, getQuantity, updateLines],
+  );
+
+  const updateQuantity = useCallback(
+    (itemId, quantity) => {
+      updateLines((prev) =>
+        prev
+          .map((line) => {
+            if (line.item.id !== itemId) return line;
+            const stock = Math.max(getAvailableStock(line.item), 1);
+            return { ...line, quantity: Math.min(quantity, stock) };
+          })
+          .filter((line) => line.quantity > 0),
+      );
+    },
+    [updateLines],
+  );
+
+  const removeFromCart = useCallback(
+    (itemId) => {
+      updateLines((prev) => prev.filter((line) => line.item.id !== itemId));
+    },
+    [updateLines],
+  );
+
+  const clearCart = useCallback(() => updateLines(() => []), [updateLines]);
+
+  /**
+   * Replace cart snapshots with freshly fetched listings, trimming
+   * quantities to what's left. Lines whose listing is gone are kept so the
+   * cart can say why they can't be bought.
+   * @param {Object} freshItems - Listings keyed by ID (null when deleted)
+   */
+  const refreshItems = useCallback(
+    (freshItems) => {
+      updateLines((prev) =>
+        prev.map((line) => {
+          if (!(line.item.id in freshItems)) return line;
+          const fresh = freshItems[line.item.id];
+          if (!fresh) {
+            return { ...line, item: { ...line.item, status: "removed" } };
+          }
+          const stock = getAvailableStock(fresh);
+          return {
+            ...line,
+            item: toCartItem(fresh),
+            quantity:
+              stock > 0 ? Math.min(line.quantity, stock) : line.quantity,
+          };
+        }),
+      );
+    },
+    [updateLines],
+  );
+
+  const value = useMemo(
+    () => ({
+      cartItems: lines,
+      itemCount: getCartCount(lines),
+      total: getCartTotal(lines),
+      getQuantity,
+      addToCart,
+      updateQuantity,
+      removeFromCart,
+      clearCart,
+      refreshItems,
+    }),
+    [
+      lines,
+      getQuantity,
+      addToCart,
+      updateQuantity,
+      removeFromCart,
+      clearCart,
+      refreshItems,
+    ],
+  );
+
+  return <CartContext.Provider value={value}>{children}</CartContext.Provider>;
+};
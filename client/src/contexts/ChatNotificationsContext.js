@@ -0,0 +1,113 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { chatService } from "../services/chatService";
+
+const ChatNotificationsContext = createContext();
+
+export const useChatNotifications = () => {
+  const context = useContext(ChatNotificationsContext);
+  if (!context) {
+    throw new Error(
+      "useChatNotifications must be used within a ChatNotificationsProvider",
+    );
+  }
+  return context;
+};
+
+/**
+ * Tracks unread incoming messages per chat session for the signed-in user,
+ * acknowledges delivery of new messages and exposes the totals used by the
+ * Header badge and the chat sidebar
+ */
+export const ChatNotificationsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const [unreadCounts, setUnreadCounts] = useState({});
+
+  // Messages arriving in the conversation open on screen are read right away
+  const activeSessionIdRef = useRef(null);
+
+  const refreshUnreadCounts = useCallback(async () => {
+    try {
+      setUnreadCounts(await chatService.getUnreadCounts());
+    } catch (err) {
+      console.error("Error loading unread message counts:", err);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!user) {
+      setUnreadCounts({});
+      return;
+    }
+
+    refreshUnreadCounts();
+
+    return chatService.subscribeToIncomingMessages(user.id, (payload) => {
+      if (payload.eventType === "INSERT") {
+        const message = payload.new;
+
+        chatService.markMessageDelivered(message.id).catch((err) => {
+          console.error("Error marking message delivered:", err);
+        });
+
+        if (
+          message.chat_session_id === activeSessionIdRef.current &&
+          document.visibilityState === "visible"
+        ) {
+          return;
+        }
+
+        setUnreadCounts((prev) => ({
+          ...prev,
+          [message.chat_session_id]: (prev[message.chat_session_id] || 0) + 1,
+        }));
+      } else if (payload.eventType === "UPDATE" && payload.new.read_at) {
+        // Read from another tab or device
+        refreshUnreadCounts();
+      }
+    });
+  }, [user, refreshUnreadCounts]);
+
+  const setActiveSessionId = useCallback((sessionId) => {
+    activeSessionIdRef.current = sessionId;
+  }, []);
+
+  const markSessionRead = useCallback(async (sessionId) => {
+    setUnreadCounts((prev) => {
+      if (!prev[sessionId]) return prev;
+      const { [sessionId]: _read, ...rest } = prev;
+      return rest;
+    });
+
+    try {
+      await chatService.markMessagesRead(sessionId);
+    } catch (err) {
+      console.error("Error marking messages read:", err);
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      unreadCounts,
+      totalUnread: Object.values(unreadCounts).reduce((a, b) => a + b, 0),
+      setActiveSessionId,
+      markSessionRead,
+      refreshUnreadCounts,
+    }),
+    [unreadCounts, setActiveSessionId, markSessionRead, refreshUnreadCounts],
+  );
+
+  return (
+    <ChatNotificationsContext.Provider value={value}>
+      {children}
+    </ChatNotificationsContext.Provider>
+  );
+};
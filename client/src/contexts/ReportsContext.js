@@ -0,0 +1,88 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { queryCache, useApiQuery } from "../utils/queryCache";
+import {
+  MY_REPORTS_KEY,
+  hasUnseenResolution,
+  reportsService,
+} from "../services/reportsService";
+
+const ReportsContext = createContext();
+
+export const useReports = () => {
+  const context = useContext(ReportsContext);
+  if (!context) {
+    throw new Error("useReports must be used within a ReportsProvider");
+  }
+  return context;
+};
+
+/**
+ * Tracks the reports the signed-in user has filed and tells them when a
+ * moderator resolves one
+ */
+export const ReportsProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { data } = useApiQuery(user ? MY_REPORTS_KEY : null);
+  const myReports = useMemo(
+    () => (user && Array.isArray(data) ? data : []),
+    [user, data],
+  );
+
+  // Resolutions arrive over realtime; refetch so joined fields stay intact
+  useEffect(() => {
+    if (!user) return;
+    return reportsService.subscribeToMyReports(user.id, () =>
+      queryCache.invalidateQueries(MY_REPORTS_KEY),
+    );
+  }, [user]);
+
+  const reportedKeys = useMemo(
+    () =>
+      new Set(
+        myReports.map((report) => `${report.target_type}:${report.target_id}`),
+      ),
+    [myReports],
+  );
+
+  const hasReported = useCallback(
+    (targetType, targetId) => reportedKeys.has(`${targetType}:${targetId}`),
+    [reportedKeys],
+  );
+
+  // Oldest first, so several resolutions are shown in the order they happened
+  const resolvedReport = useMemo(
+    () =>
+      myReports
+        .filter(hasUnseenResolution)
+        .sort((a, b) => (a.resolved_at > b.resolved_at ? 1 : -1))[0] || null,
+    [myReports],
+  );
+
+  const acknowledgeResolution = useCallback(async (id) => {
+    const response = await reportsService.acknowledgeResolution(id);
+    if (!response.success) {
+      console.error("Error acknowledging report resolution:", response.error);
+    }
+  }, []);
+
+  const value = useMemo(
+    () => ({
+      myReports,
+      hasReported,
+      resolvedReport,
+      acknowledgeResolution,
+    }),
+    [myReports, hasReported, resolvedReport, acknowledgeResolution],
+  );
+
+  return (
+    <ReportsContext.Provider value={value}>{children}</ReportsContext.Provider>
+  );
+};
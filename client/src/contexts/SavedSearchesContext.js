@@ -0,0 +1,193 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { useApiQuery } from "../utils/queryCache";
+import { matchesListingQuery } from "../utils/listingQuery";
+import {
+  SAVED_SEARCHES_KEY,
+  MAX_SAVED_SEARCHES,
+  getSearchSignature,
+  savedSearchService,
+} from "../services/savedSearchService";
+
+const SavedSearchesContext = createContext();
+
+export const useSavedSearches = () => {
+  const context = useContext(SavedSearchesContext);
+  if (!context) {
+    throw new Error(
+      "useSavedSearches must be used within a SavedSearchesProvider",
+    );
+  }
+  return context;
+};
+
+/**
+ * Loads the signed-in user's saved searches, counts listings posted since
+ * each was last opened and keeps those counts live over realtime
+ */
+export const SavedSearchesProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { data, refetch } = useApiQuery(user ? SAVED_SEARCHES_KEY : null);
+  const savedSearches = useMemo(
+    () => (user && Array.isArray(data) ? data : []),
+    [user, data],
+  );
+  const [newCounts, setNewCounts] = useState({});
+  const [latestAlert, setLatestAlert] = useState(null);
+
+  // Realtime can report the same listing more than once (insert, approval)
+  const countedItemIdsRef = useRef(new Set());
+  const savedSearchesRef = useRef(savedSearches);
+  savedSearchesRef.current = savedSearches;
+
+  const searchIds = savedSearches.map((search) => search.id).join(",");
+
+  // Catch up on listings posted while the user was away
+  useEffect(() => {
+    if (!searchIds) {
+      setNewCounts({});
+      return;
+    }
+
+    let cancelled = false;
+    Promise.all(
+      savedSearchesRef.current.map(async (search) => {
+        try {
+          return [search.id, await savedSearchService.countNewListings(search)];
+        } catch (err) {
+          console.error("Error counting new listings for saved search:", err);
+          return [search.id, 0];
+        }
+      }),
+    ).then((entries) => {
+      if (!cancelled) setNewCounts(Object.fromEntries(entries));
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [searchIds]);
+
+  useEffect(() => {
+    if (!user) {
+      countedItemIdsRef.current = new Set();
+      setLatestAlert(null);
+      return;
+    }
+
+    return savedSearchService.subscribeToNewListings(user.id, (item) => {
+      const ownerId = item?.user_id || item?.user?.id;
+      if (!item?.id || ownerId === user.id) return;
+      if (countedItemIdsRef.current.has(item.id)) return;
+
+      const matches = savedSearchesRef.current.filter((search) =>
+        matchesListingQuery(item, search.query || {}),
+      );
+      if (matches.length === 0) return;
+
+      countedItemIdsRef.current.add(item.id);
+      setNewCounts((prev) =>
+        matches.reduce(
+          (counts, search) => ({
+            ...counts,
+            [search.id]: (counts[search.id] || 0) + 1,
+          }),
+          prev,
+        ),
+      );
+      setLatestAlert({ searchId: matches[0].id, item });
+    });
+  }, [user]);
+
+  const isSearchSaved = useCallback(
+    (query) => {
+      const signature = getSearchSignature(query);
+      return savedSearches.some(
+        (search) => getSearchSignature(search.query) === signature,
+      );
+    },
+    [savedSearches],
+  );
+
+  const saveSearch = useCallback(
+    async (name, query) => {
+      if (savedSearches.length >= MAX_SAVED_SEARCHES) {
+        return {
+          success: false,
+          error: `You can save up to ${MAX_SAVED_SEARCHES} searches. Remove one to save another.`,
+        };
+      }
+      if (isSearchSaved(query)) {
+        return { success: false, error: "This search is already saved." };
+      }
+      return savedSearchService.createSavedSearch(name, query);
+    },
+    [savedSearches, isSearchSaved],
+  );
+
+  const removeSearch = useCallback(async (id) => {
+    setNewCounts((prev) => {
+      const { [id]: _removed, ...rest } = prev;
+      return rest;
+    });
+    setLatestAlert((prev) => (prev?.searchId === id ? null : prev));
+    return savedSearchService.deleteSavedSearch(id);
+  }, []);
+
+  // Opening a saved search acknowledges everything posted so far
+  const markSearchSeen = useCallback(async (id) => {
+    setNewCounts((prev) => {
+      if (!prev[id]) return prev;
+      const { [id]: _seen, ...rest } = prev;
+      return rest;
+    });
+    setLatestAlert((prev) => (prev?.searchId === id ? null : prev));
+
+    const response = await savedSearchService.markSeen(id);
+    if (!response.success) {
+      console.error("Error marking saved search seen:", response.error);
+    }
+  }, []);
+
+  const dismissAlert = useCallback(() => setLatestAlert(null), []);
+
+  const value = useMemo(
+    () => ({
+      savedSearches,
+      newCounts,
+      totalNew: Object.values(newCounts).reduce((a, b) => a + b, 0),
+      latestAlert,
+      isSearchSaved,
+      saveSearch,
+      removeSearch,
+      markSearchSeen,
+      dismissAlert,
+      refreshSavedSearches: refetch,
+    }),
+    [
+      savedSearches,
+      newCounts,
+      latestAlert,
+      isSearchSaved,
+      saveSearch,
+      removeSearch,
+      markSearchSeen,
+      dismissAlert,
+      refetch,
+    ],
+  );
+
+  return (
+    <SavedSearchesContext.Provider value={value}>
+      {children}
+    </SavedSearchesContext.Provider>
+  );
+};
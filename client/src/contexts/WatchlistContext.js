@@ -0,0 +1,145 @@
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import { useAuth } from "./AuthContext";
+import { useApiQuery } from "../utils/queryCache";
+import {
+  WATCHLIST_KEY,
+  getWatchAlert,
+  watchlistService,
+} from "../services/watchlistService";
+
+const WatchlistContext = createContext();
+
+export const useWatchlist = () => {
+  const context = useContext(WatchlistContext);
+  if (!context) {
+    throw new Error("useWatchlist must be used within a WatchlistProvider");
+  }
+  return context;
+};
+
+/**
+ * Loads the signed-in user's watched listings, keeps them current over
+ * realtime and raises an alert when one drops in price, sells or is removed
+ */
+export const WatchlistProvider = ({ children }) => {
+  const { user } = useAuth();
+  const { data, isLoading, error } = useApiQuery(user ? WATCHLIST_KEY : null);
+  const watchlist = useMemo(
+    () => (user && Array.isArray(data) ? data : []),
+    [user, data],
+  );
+  const [latestAlert, setLatestAlert] = useState(null);
+
+  const watchlistRef = useRef(watchlist);
+  watchlistRef.current = watchlist;
+
+  const watchedIds = useMemo(
+    () => new Set(watchlist.map((entry) => entry.item_id)),
+    [watchlist],
+  );
+  const alerts = useMemo(
+    () => watchlist.map(getWatchAlert).filter(Boolean),
+    [watchlist],
+  );
+
+  // Resubscribe only when the set of watched listings changes
+  const watchedKey = [...watchedIds].sort().join(",");
+
+  useEffect(() => {
+    if (!user) {
+      setLatestAlert(null);
+      return;
+    }
+    if (!watchedKey) return;
+
+    return watchlistService.subscribeToWatchedItems(
+      user.id,
+      watchedKey.split(","),
+      (itemId, changes) => {
+        const entry = watchlistRef.current.find(
+          (watched) => `${watched.item_id}` === `${itemId}`,
+        );
+        if (!entry) return;
+
+        const before = getWatchAlert(entry);
+        watchlistService.applyItemChange(entry.item_id, changes);
+
+        const after = getWatchAlert({
+          ...entry,
+          item: changes && entry.item ? { ...entry.item, ...changes } : changes,
+        });
+        if (after && (after.type !== before?.type || after.to !== before?.to)) {
+          setLatestAlert({ ...after, id: `${after.itemId}:${Date.now()}` });
+        }
+      },
+    );
+  }, [user, watchedKey]);
+
+  const isWatched = useCallback(
+    (itemId) => watchedIds.has(itemId),
+    [watchedIds],
+  );
+
+  const toggleWatch = useCallback(
+    (item) =>
+      watchedIds.has(item.id)
+        ? watchlistService.removeFromWatchlist(item.id)
+        : watchlistService.addToWatchlist(item),
+    [watchedIds],
+  );
+
+  const acknowledgeAlert = useCallback(async (itemId) => {
+    setLatestAlert((prev) => (prev?.itemId === itemId ? null : prev));
+
+    const entry = watchlistRef.current.find(
+      (watched) => watched.item_id === itemId,
+    );
+    if (!entry) return;
+
+    const response = await watchlistService.acknowledgeChanges(entry);
+    if (!response.success) {
+      console.error("Error acknowledging watchlist alert:", response.error);
+    }
+  }, []);
+
+  const dismissAlert = useCallback(() => setLatestAlert(null), []);
+
+  const value = useMemo(
+    () => ({
+      watchlist,
+      isLoading,
+      error,
+      alerts,
+      latestAlert,
+      isWatched,
+      toggleWatch,
+      acknowledgeAlert,
+      dismissAlert,
+    }),
+    [
+      watchlist,
+      isLoading,
+      error,
+      alerts,
+      latestAlert,
+      isWatched,
+      toggleWatch,
+      acknowledgeAlert,
+      dismissAlert,
+    ],
+  );
+
+  return (
+    <WatchlistContext.Provider value={value}>
+      {children}
+    </WatchlistContext.Provider>
+  );
+};
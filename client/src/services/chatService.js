@@ -1,15 +1,68 @@
 import supabase from "../utils/supabase";
+import { isHiddenByReports } from "../utils/reports";
+
+export const MESSAGES_PAGE_SIZE = 30;
+export const CHAT_IMAGES_BUCKET = "chat-images";
+
+// Offers move from pending to accepted, declined or countered; an accepted
+// offer becomes sold once the seller marks the listing sold
+export const OFFER_STATUS = {
+  PENDING: "pending",
+  ACCEPTED: "accepted",
+  DECLINED: "declined",
+  COUNTERED: "countered",
+  SOLD: "sold",
+};
+
+const SESSION_SELECT = `
+  *,
+  buyer:profiles!buyer_id (
+    id,
+    username,
+    full_name,
+    avatar_url
+  ),
+  seller:profiles!seller_id (
+    id,
+    username,
+    full_name,
+    avatar_url
+  ),
+  post:posts (
+    id,
+    title,
+    image_url,
+    price
+  )
+`;
+
+const MESSAGE_SELECT = `
+  *,
+  sender:profiles (
+    id,
+    username,
+    full_name,
+    avatar_url
+  )
+`;
+
+export const formatOfferAmount = (amount) => `$${Number(amount).toFixed(2)}`;
+
+const getCurrentUser = async () => {
+  const {
+    data: { user },
+    error: userError,
+  } = await supabase.auth.getUser();
+  if (userError || !user) {
+    throw new Error("User not authenticated");
+  }
+  return user;
+};
 
 export const chatService = {
   // Chat sessions
   async createChatSession(postId, sellerId) {
-    const {
-      data: { user },
-      error: userError,
-    } = await supabase.auth.getUser();
-    if (userError || !user) {
-      throw new Error("User not authenticated");
-    }
+    const user = await getCurrentUser();
 
     const { data, error } = await supabase
       .from("chat_sessions")
@@ -25,40 +78,60 @@ export const chatService = {
     return data;
   },
 
-  async getUserChatSessions() {
-    const {
-      data: { user },
-      error: userError,
-    } = await supabase.auth.getUser();
-    if (userError || !user) {
-      throw new Error("User not authenticated");
+  /**
+   * Return the buyer's existing session for a post, creating it only when
+   * none exists so repeated "Chat with Seller" clicks reuse one thread
+   */
+  async findOrCreateChatSession(postId, sellerId) {
+    const user = await getCurrentUser();
+
+    if (sellerId && sellerId === user.id) {
+      throw new Error("You can't start a chat on your own listing");
     }
 
+    const { data: existing, error: findError } = await supabase
+      .from("chat_sessions")
+      .select(SESSION_SELECT)
+      .eq("post_id", postId)
+      .eq("buyer_id", user.id)
+      .order("created_at", { ascending: true })
+      .limit(1)
+      .maybeSingle();
+
+    if (findError) throw findError;
+    if (existing) return existing;
+
     const { data, error } = await supabase
       .from("chat_sessions")
-      .select(
-        `
-        *,
-        buyer:profiles!buyer_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        ),
-        seller:profiles!seller_id (
-          id,
-          username,
-          full_name,
-          avatar_url
-        ),
-        post:posts (
-          id,
-          title,
-          image_url,
-          price
-        )
-      `,
-      )
+      .insert({
+        post_id: postId,
+        buyer_id: user.id,
+        seller_id: sellerId,
+      })
+      .select(SESSION_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getChatSession(chatSessionId) {
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .select(SESSION_SELECT)
+      .eq("id", chatSessionId)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  async getUserChatSessions() {
+    const user = await getCurrentUser();
+
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .select(SESSION_SELECT)
       .or(`buyer_id.eq.${user.id},seller_id.eq.${user.id}`)
       .order("updated_at", { ascending: false });
 
@@ -66,15 +139,30 @@ export const chatService = {
     return data;
   },
 
+  /**
+   * Timestamps of every session with activity since a date, for admin
+   * analytics. Relies on the admin's row-level access to all sessions.
+   * @param {string} since - ISO timestamp
+   */
+  async getSessionActivity(since) {
+    const { data, error } = await supabase
+      .from("chat_sessions")
+      .select("id, created_at, updated_at")
+      .gte("updated_at", since);
+
+    if (error) throw error;
+    return data;
+  },
+
   // Messages
-  async sendMessage(chatSessionId, content, messageType = "text") {
-    const {
-      data: { user },
-      error: userError,
-    } = await supabase.auth.getUser();
-    if (userError || !user) {
-      throw new Error("User not authenticated");
-    }
+  /**
+   * @param {string} chatSessionId - Chat session ID
+   * @param {string} content - Text, image URL or offer summary
+   * @param {string} messageType - "text", "image" or "offer"
+   * @param {Object} metadata - Structured data for non-text messages
+   */
+  async sendMessage(chatSessionId, content, messageType = "text", metadata) {
+    const user = await getCurrentUser();
 
     const { data, error } = await supabase
       .from("messages")
@@ -83,39 +171,281 @@ export const chatService = {
         sender_id: user.id,
         content,
         message_type: messageType,
+        ...(metadata && { metadata }),
       })
-      .select()
+      .select(MESSAGE_SELECT)
       .single();
 
     if (error) throw error;
     return data;
   },
 
-  async getChatMessages(chatSessionId) {
+  /**
+   * Insert a message queued in the local outbox
+   * The entry's ID is reused, so a resend of a message that already reached
+   * the server resolves to the stored row instead of creating a duplicate
+   * @param {Object} entry - Outbox entry from createOutboxEntry
+   */
+  async sendQueuedMessage(entry) {
     const { data, error } = await supabase
       .from("messages")
-      .select(
-        `
-        *,
-        sender:profiles (
-          id,
-          username,
-          full_name,
-          avatar_url
-        )
-      `,
-      )
+      .insert({
+        id: entry.id,
+        chat_session_id: entry.chat_session_id,
+        sender_id: entry.sender_id,
+        content: entry.content,
+        message_type: entry.message_type,
+        ...(entry.metadata && { metadata: entry.metadata }),
+      })
+      .select(MESSAGE_SELECT)
+      .single();
+
+    // Unique violation: the earlier attempt was stored
+    if (error?.code === "23505") {
+      const { data: existing, error: fetchError } = await supabase
+        .from("messages")
+        .select(MESSAGE_SELECT)
+        .eq("id", entry.id)
+        .single();
+
+      if (fetchError) throw fetchError;
+      return existing;
+    }
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Upload a photo to chat storage for an image message
+   * The file is expected to have passed validateImageFile already
+   * @returns {Promise<Object>} - { content, message_type, metadata } to queue
+   */
+  async uploadChatImage(chatSessionId, file) {
+    const user = await getCurrentUser();
+    const extension = file.name.split(".").pop().toLowerCase();
+    const path = `${chatSessionId}/${user.id}/${Date.now()}.${extension}`;
+
+    const { error: uploadError } = await supabase.storage
+      .from(CHAT_IMAGES_BUCKET)
+      .upload(path, file, { contentType: file.type });
+
+    if (uploadError) throw uploadError;
+
+    const {
+      data: { publicUrl },
+    } = supabase.storage.from(CHAT_IMAGES_BUCKET).getPublicUrl(path);
+
+    return {
+      content: publicUrl,
+      message_type: "image",
+      metadata: { path, name: file.name },
+    };
+  },
+
+  /**
+   * Build a price offer message, optionally as a counter to an earlier offer
+   * @param {number} amount - Offered price
+   * @param {string} counterTo - ID of the offer message being countered
+   * @returns {Object} - { content, message_type, metadata } to queue
+   */
+  buildOfferMessage(amount, counterTo = null) {
+    return {
+      content: `Offered ${formatOfferAmount(amount)}`,
+      message_type: "offer",
+      metadata: {
+        amount,
+        status: OFFER_STATUS.PENDING,
+        ...(counterTo && { counter_to: counterTo }),
+      },
+    };
+  },
+
+  async updateOfferStatus(message, status) {
+    const { data, error } = await supabase
+      .from("messages")
+      .update({
+        metadata: {
+          ...message.metadata,
+          status,
+          responded_at: new Date().toISOString(),
+        },
+      })
+      .eq("id", message.id)
+      .select(MESSAGE_SELECT)
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Hide a reported message from both participants. Moderators only. If it
+   * was the newest message in its session, the sidebar preview is replaced
+   * as well.
+   * @param {string} messageId - Message ID
+   * @returns {Promise<Object>} - The hidden message
+   */
+  async hideMessage(messageId) {
+    const { data: message, error } = await supabase
+      .from("messages")
+      .update({ is_hidden: true })
+      .eq("id", messageId)
+      .select(MESSAGE_SELECT)
+      .single();
+
+    if (error) throw error;
+
+    const { data: latest, error: latestError } = await supabase
+      .from("messages")
+      .select("id")
+      .eq("chat_session_id", message.chat_session_id)
+      .order("created_at", { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    if (latestError) throw latestError;
+
+    if (latest?.id === message.id) {
+      const { error: sessionError } = await supabase
+        .from("chat_sessions")
+        .update({ last_message: getMessagePreview(message) })
+        .eq("id", message.chat_session_id);
+
+      if (sessionError) throw sessionError;
+    }
+    return message;
+  },
+
+  /**
+   * Load one page of history, newest page first
+   * @param {string} chatSessionId - Chat session ID
+   * @param {Object} options - { before: ISO timestamp cursor, limit }
+   * @returns {Promise<{messages: Array, hasMore: boolean}>} - Messages in
+   * ascending order plus whether older messages exist
+   */
+  async getChatMessages(
+    chatSessionId,
+    { before, limit = MESSAGES_PAGE_SIZE } = {},
+  ) {
+    let query = supabase
+      .from("messages")
+      .select(MESSAGE_SELECT)
+      .eq("chat_session_id", chatSessionId)
+      .order("created_at", { ascending: false })
+      .limit(limit + 1);
+
+    if (before) {
+      query = query.lt("created_at", before);
+    }
+
+    const { data, error } = await query;
+
+    if (error) throw error;
+    return {
+      messages: data.slice(0, limit).reverse(),
+      hasMore: data.length > limit,
+    };
+  },
+
+  /**
+   * Fetch messages created after a timestamp, used to backfill anything
+   * missed while the realtime channel was disconnected
+   * @param {string} chatSessionId - Chat session ID
+   * @param {string} since - ISO timestamp of the newest message on screen
+   * @returns {Promise<Array>} - Messages in ascending order
+   */
+  async getMessagesSince(chatSessionId, since) {
+    const { data, error } = await supabase
+      .from("messages")
+      .select(MESSAGE_SELECT)
       .eq("chat_session_id", chatSessionId)
+      .gt("created_at", since)
       .order("created_at", { ascending: true });
 
     if (error) throw error;
     return data;
   },
 
+  // Delivery and read receipts
+  // Messages carry `delivered_at` (reached the other participant's client)
+  // and `read_at` (seen in an open conversation); both are set by the
+  // recipient, never by the sender.
+  async markMessageDelivered(messageId) {
+    const { error } = await supabase
+      .from("messages")
+      .update({ delivered_at: new Date().toISOString() })
+      .eq("id", messageId)
+      .is("delivered_at", null);
+
+    if (error) throw error;
+  },
+
+  async markMessagesRead(chatSessionId) {
+    const user = await getCurrentUser();
+    const now = new Date().toISOString();
+
+    // Anything read was also delivered, so fill in delivery first
+    const { error: deliveredError } = await supabase
+      .from("messages")
+      .update({ delivered_at: now })
+      .eq("chat_session_id", chatSessionId)
+      .neq("sender_id", user.id)
+      .is("delivered_at", null);
+
+    if (deliveredError) throw deliveredError;
+
+    const { error } = await supabase
+      .from("messages")
+      .update({ read_at: now })
+      .eq("chat_session_id", chatSessionId)
+      .neq("sender_id", user.id)
+      .is("read_at", null);
+
+    if (error) throw error;
+  },
+
+  /**
+   * Count unread incoming messages per session
+   * @returns {Promise<Object>} - Map of chat session ID to unread count
+   */
+  async getUnreadCounts() {
+    const user = await getCurrentUser();
+
+    const { data, error } = await supabase
+      .from("messages")
+      .select("chat_session_id")
+      .neq("sender_id", user.id)
+      .is("read_at", null);
+
+    if (error) throw error;
+    return data.reduce((counts, { chat_session_id }) => {
+      counts[chat_session_id] = (counts[chat_session_id] || 0) + 1;
+      return counts;
+    }, {});
+  },
+
   // Real-time subscriptions
-  subscribeToChat(chatSessionId, callback, statusCallback) {
+
+  /**
+   * Subscribe to a conversation's messages, typing broadcasts and presence
+   * @param {string} chatSessionId - Chat session ID
+   * @param {Function} callback - Receives postgres_changes payloads
+   * @param {Function} statusCallback - Receives OPEN/ERROR/TIMED_OUT/CLOSED
+   * @param {Object} options - { userId, onTyping({ userId, isTyping }),
+   * onPresence(userIds) }
+   * @returns {{unsubscribe: Function, sendTyping: Function}}
+   */
+  subscribeToChat(chatSessionId, callback, statusCallback, options = {}) {
+    const { userId, onTyping, onPresence } = options;
+
     const channel = supabase
-      .channel(`chat:${chatSessionId}`)
+      .channel(`chat:${chatSessionId}`, {
+        config: {
+          broadcast: { self: false },
+          presence: { key: userId || "" },
+        },
+      })
       .on(
         "postgres_changes",
         {
@@ -126,7 +456,17 @@ export const chatService = {
         },
         callback,
       )
+      .on("broadcast", { event: "typing" }, ({ payload }) => {
+        if (onTyping) onTyping(payload);
+      })
+      .on("presence", { event: "sync" }, () => {
+        if (onPresence) onPresence(Object.keys(channel.presenceState()));
+      })
       .subscribe((status) => {
+        if (status === "SUBSCRIBED" && userId) {
+          channel.track({ online_at: new Date().toISOString() });
+        }
+
         if (statusCallback) {
           // Map Supabase status to more readable format
           let readableStatus = status;
@@ -137,21 +477,101 @@ export const chatService = {
         }
       });
 
-    return channel;
+    return {
+      unsubscribe: () => {
+        supabase.removeChannel(channel);
+      },
+      sendTyping: (isTyping) =>
+        channel.send({
+          type: "broadcast",
+          event: "typing",
+          payload: { userId, isTyping },
+        }),
+    };
+  },
+
+  /**
+   * Listen for messages sent to the user in any conversation. Messages have
+   * no recipient column, so this relies on row level security to limit rows
+   * to the user's sessions and drops the user's own messages client-side.
+   * Returns a function that removes the channel.
+   */
+  subscribeToIncomingMessages(userId, callback) {
+    const channel = supabase
+      .channel(`messages:${userId}`)
+      .on(
+        "postgres_changes",
+        { event: "*", schema: "public", table: "messages" },
+        (payload) => {
+          const message = payload.new?.id ? payload.new : payload.old;
+          if (message?.sender_id !== userId) callback(payload);
+        },
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
   },
 
-  subscribeToChatSessions(callback) {
-    return supabase
-      .channel("chat_sessions")
+  /**
+   * Listen for changes to sessions the user takes part in. Realtime filters
+   * only support a single column, so buyer and seller sides are separate
+   * listeners on one channel. Returns a function that removes the channel.
+   */
+  subscribeToChatSessions(userId, callback) {
+    const channel = supabase
+      .channel(`chat_sessions:${userId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "*",
+          schema: "public",
+          table: "chat_sessions",
+          filter: `buyer_id=eq.${userId}`,
+        },
+        callback,
+      )
       .on(
         "postgres_changes",
         {
           event: "*",
           schema: "public",
           table: "chat_sessions",
+          filter: `seller_id=eq.${userId}`,
         },
         callback,
       )
       .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
   },
 };
+
+/**
+ * Display helpers shared by the chat components
+ */
+export const getSessionTitle = (session) =>
+  session?.post?.title || session?.product?.name || "Chat";
+
+export const getSessionPartner = (session, userId) =>
+  session?.buyer_id === userId ? session?.seller : session?.buyer;
+
+export const getMessagePreview = (message) => {
+  if (isHiddenByReports(message)) return "Message removed";
+  if (message.message_type === "image") return "📷 Photo";
+  if (message.message_type === "offer") {
+    return `Offer: ${formatOfferAmount(message.metadata?.amount)}`;
+  }
+  return message.content;
+};
+
+export const getMessageStatus = (message) => {
+  // Messages still in the local outbox are "pending" or "failed"
+  if (message.outbox_status) return message.outbox_status;
+  if (message.read_at) return "read";
+  if (message.delivered_at) return "delivered";
+  return "sent";
+};
@@ -0,0 +1,36 @@
+import apiClient from "../utils/apiClient";
+import { queryCache } from "../utils/queryCache";
+
+const DIAGNOSTICS_KEY = "/api/diagnostics";
+
+/**
+ * Endpoint (and cache key) for every diagnostic report filed for an item
+ * @param {string} productId - Item ID
+ * @returns {string} - Endpoint path with query string
+ */
+export const getDiagnosticsEndpoint = (productId) =>
+  `${DIAGNOSTICS_KEY}?product_id=${encodeURIComponent(productId)}`;
+
+/**
+ * Newest report first; reports are append-only so the first one is current
+ */
+export const sortReports = (reports = []) =>
+  [...reports].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+
+export const diagnosticsService = {
+  async createReport(productId, report) {
+    const response = await apiClient.post(DIAGNOSTICS_KEY, {
+      ...report,
+      product_id: productId,
+    });
+
+    if (response.success) {
+      queryCache.invalidateQueries(getDiagnosticsEndpoint(productId));
+      // Listing cards show a badge once an item has a report on file
+      queryCache.invalidateQueries("/api/items");
+    }
+    return response;
+  },
+};
+
+export default diagnosticsService;
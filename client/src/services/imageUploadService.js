@@ -0,0 +1,211 @@
+import imageCompression from "browser-image-compression";
+import { supabase } from "../utils/supabase";
+import {
+  createResizedCopy,
+  stripImageMetadata,
+} from "../utils/imageProcessing";
+import {
+  buildImagePaths,
+  getVariantPaths,
+  IMAGE_VARIANTS,
+  ORIGINAL_MAX_SIZE,
+} from "../utils/imageVariants";
+import {
+  batchUploadWithRetry,
+  getUserFriendlyErrorMessage,
+} from "../utils/imageErrorHandler";
+
+export const POST_IMAGES_BUCKET = "post-images";
+
+// Same limits the old ImageService compressed to before uploading
+const COMPRESSION_OPTIONS = {
+  maxSizeMB: 2,
+  maxWidthOrHeight: ORIGINAL_MAX_SIZE,
+  useWebWorker: true,
+};
+
+// Extension for the stored original, from the type it was re-encoded to
+const getFileExtension = (file) =>
+  file.type === "image/jpeg" ? "jpg" : file.type.split("/").pop() || "jpg";
+
+const UPLOAD_RETRIES = 3;
+const UPLOAD_BATCH_SIZE = 2;
+
+export const UPLOAD_STATUS = {
+  QUEUED: "queued",
+  COMPRESSING: "compressing",
+  UPLOADING: "uploading",
+  UPLOADED: "uploaded",
+  FAILED: "failed",
+};
+
+/**
+ * Compress an image before upload; files already under the size limit and
+ * files the library can't handle are uploaded as they are
+ * @param {File} file - Image selected by the user
+ * @returns {Promise<File|Blob>}
+ */
+export const compressImage = async (file) => {
+  if (file.size <= COMPRESSION_OPTIONS.maxSizeMB * 1024 * 1024) return file;
+
+  try {
+    return await imageCompression(file, COMPRESSION_OPTIONS);
+  } catch (error) {
+    console.error("Image compression failed:", error);
+    return file;
+  }
+};
+
+const buildUploadFolder = (userId) => {
+  const randomId = Math.random().toString(36).substring(2, 8);
+  return `${userId}/${Date.now()}-${randomId}`;
+};
+
+/**
+ * PUT a file to a signed upload URL, reporting bytes sent. supabase-js has
+ * no progress events, so this mirrors its uploadToSignedUrl over XHR.
+ */
+const putWithProgress = (signedUrl, file, onProgress) =>
+  new Promise((resolve, reject) => {
+    const body = new FormData();
+    body.append("cacheControl", "3600");
+    body.append("", file);
+
+    const xhr = new XMLHttpRequest();
+    xhr.open("PUT", signedUrl);
+    xhr.setRequestHeader("x-upsert", "false");
+
+    xhr.upload.onprogress = (event) => {
+      if (event.lengthComputable) {
+        onProgress(event.loaded);
+      }
+    };
+    xhr.onload = () => {
+      if (xhr.status >= 200 && xhr.status < 300) {
+        resolve();
+      } else {
+        reject(new Error(`storage upload failed with status ${xhr.status}`));
+      }
+    };
+    xhr.onerror = () => reject(new TypeError("Failed to fetch"));
+
+    xhr.send(body);
+  });
+
+export const imageUploadService = {
+  /**
+   * Strip metadata from, compress and upload one post image straight to
+   * storage, along with its thumbnail and medium variants
+   * @param {Object} entry - { id, file }
+   * @param {string} userId - Owner; images are stored under their folder
+   * @param {Function} onUpdate - (id, { status, progress }) progress callback
+   * @returns {Promise<Object>} - data.storagePath is the original's path
+   */
+  async uploadPostImage(entry, userId, onUpdate = () => {}) {
+    let uploadedOriginal = null;
+
+    try {
+      onUpdate(entry.id, { status: UPLOAD_STATUS.COMPRESSING, progress: 0 });
+      // Never upload the seller's EXIF/GPS data
+      const file = await compressImage(await stripImageMetadata(entry.file));
+      const paths = buildImagePaths(
+        buildUploadFolder(userId),
+        getFileExtension(file),
+      );
+
+      const variants = await Promise.all(
+        Object.entries(IMAGE_VARIANTS).map(async ([variant, size]) => ({
+          path: paths[variant],
+          file: await createResizedCopy(file, size, `${variant}.jpg`),
+        })),
+      );
+      const files = [{ path: paths.original, file }, ...variants];
+
+      // Report progress across the original and its variants together
+      const totalBytes = files.reduce(
+        (sum, upload) => sum + upload.file.size,
+        0,
+      );
+      let sentBytes = 0;
+      onUpdate(entry.id, { status: UPLOAD_STATUS.UPLOADING, progress: 0 });
+
+      for (const upload of files) {
+        const { data, error } = await supabase.storage
+          .from(POST_IMAGES_BUCKET)
+          .createSignedUploadUrl(upload.path);
+        if (error) throw error;
+
+        const offset = sentBytes;
+        await putWithProgress(data.signedUrl, upload.file, (loaded) =>
+          onUpdate(entry.id, {
+            status: UPLOAD_STATUS.UPLOADING,
+            progress: Math.min(
+              99,
+              Math.round(((offset + loaded) / totalBytes) * 100),
+            ),
+          }),
+        );
+        sentBytes += upload.file.size;
+        if (upload.path === paths.original) uploadedOriginal = upload.path;
+      }
+
+      onUpdate(entry.id, {
+        status: UPLOAD_STATUS.UPLOADED,
+        progress: 100,
+        storagePath: paths.original,
+      });
+      return { success: true, data: { storagePath: paths.original } };
+    } catch (error) {
+      console.error(`Error uploading ${entry.file.name}:`, error);
+      // A retry starts over in a new folder, so drop this attempt's files.
+      // Removing the original takes its variants with it.
+      if (uploadedOriginal) {
+        try {
+          await this.removePostImages([uploadedOriginal]);
+        } catch (cleanupError) {
+          console.error("Failed to remove partial upload:", cleanupError);
+        }
+      }
+      // Marked failed by the caller once retries are exhausted
+      return { success: false, error: getUserFriendlyErrorMessage(error) };
+    }
+  },
+
+  /**
+   * Upload several post images, a few at a time, retrying each with backoff
+   * @param {Array} entries - [{ id, file }]
+   * @param {string} userId - Owner of the images
+   * @param {Function} onUpdate - (id, changes) progress callback
+   * @returns {Promise<Object>} - batchUploadWithRetry summary; each
+   *   successful upload carries its `storagePath`
+   */
+  uploadPostImages(entries, userId, onUpdate) {
+    return batchUploadWithRetry(
+      (entry) => this.uploadPostImage(entry, userId, onUpdate),
+      entries.map((entry) => ({ ...entry, name: entry.file.name })),
+      { maxRetries: UPLOAD_RETRIES, batchSize: UPLOAD_BATCH_SIZE },
+    );
+  },
+
+  /**
+   * Delete uploaded post images that were never attached to a post,
+   * including their variants
+   * @param {Array<string>} storagePaths - Paths in the post images bucket
+   */
+  async removePostImages(storagePaths) {
+    const paths = storagePaths.flatMap((path) => [
+      path,
+      ...Object.values(getVariantPaths(path) || {}),
+    ]);
+    if (paths.length === 0) return;
+
+    const { error } = await supabase.storage
+      .from(POST_IMAGES_BUCKET)
+      .remove(paths);
+    if (error) {
+      console.error("Failed to remove uploaded images:", error);
+    }
+  },
+};
+
+export default imageUploadService;
@@ -0,0 +1,76 @@
+import apiClient from "../utils/apiClient";
+import { queryCache } from "../utils/queryCache";
+
+const ITEMS_KEY = "/api/items";
+
+// Every cached shape that can contain items: a single item, an array of
+// items, or a listing page ({ items, hasMore, ... })
+const mapCachedItems = (data, id, mapItem) => {
+  if (Array.isArray(data)) {
+    return data
+      .map((item) => (item?.id === id ? mapItem(item) : item))
+      .filter(Boolean);
+  }
+  if (data && Array.isArray(data.items)) {
+    const items = mapCachedItems(data.items, id, mapItem);
+    const removed = data.items.length - items.length;
+    return {
+      ...data,
+      items,
+      total: typeof data.total === "number" ? data.total - removed : data.total,
+    };
+  }
+  if (data?.id === id) {
+    return mapItem(data) ?? data;
+  }
+  return data;
+};
+
+// Optimistically patch every cached view of an item while the request runs
+const mutateItem = (id, mapItem, performRequest) =>
+  queryCache.mutateQueries(
+    ITEMS_KEY,
+    (data) => mapCachedItems(data, id, mapItem),
+    performRequest,
+  );
+
+export const itemsService = {
+  async createItem(itemData) {
+    const response = await apiClient.post(ITEMS_KEY, itemData);
+    if (response.success) {
+      queryCache.invalidateQueries(ITEMS_KEY);
+    }
+    return response;
+  },
+
+  updateItem(id, changes) {
+    // New uploads only have a usable shape once the server has stored them
+    const { images, ...fields } = changes;
+
+    return mutateItem(
+      id,
+      (item) => ({ ...item, ...fields }),
+      () => apiClient.put(`${ITEMS_KEY}/${id}`, changes),
+    );
+  },
+
+  // `details` carries fields stored alongside the status, such as the
+  // rejection reason shown to the seller
+  updateItemStatus(id, status, details = {}) {
+    return mutateItem(
+      id,
+      (item) => ({ ...item, ...details, status }),
+      () => apiClient.put(`${ITEMS_KEY}/${id}/status`, { ...details, status }),
+    );
+  },
+
+  deleteItem(id) {
+    return mutateItem(
+      id,
+      () => null,
+      () => apiClient.delete(`${ITEMS_KEY}/${id}`),
+    );
+  },
+};
+
+export default itemsService;
@@ -0,0 +1,93 @@
+import apiClient, { isAbortedResponse } from "../utils/apiClient";
+import { queryCache, fetchApi } from "../utils/queryCache";
+import {
+  EMPTY_LISTING_FILTERS,
+  buildListingEndpoint,
+  normalizeListingPage,
+} from "../utils/listingQuery";
+import { calculateMarketAnalysis } from "../utils/marketValue";
+
+const COMPARABLES_LIMIT = 50;
+const SOLD_LISTINGS_LIMIT = 100;
+
+/**
+ * Endpoint (and cache key) for the listings a category's comparables are
+ * drawn from; shares the listing feed's cache entries
+ * @param {string} category - Listing category
+ * @returns {string} - Endpoint path with query string
+ */
+export const getComparablesEndpoint = (category) =>
+  buildListingEndpoint(
+    { ...EMPTY_LISTING_FILTERS, category: category || "" },
+    1,
+    COMPARABLES_LIMIT,
+  );
+
+/**
+ * Endpoint (and cache key) for a category's recently sold listings, used
+ * for the sold-price trend
+ * @param {string} category - Listing category
+ * @returns {string} - Endpoint path with query string
+ */
+export const getSoldListingsEndpoint = (category) => {
+  const params = new URLSearchParams({
+    status: "sold",
+    sort: "newest",
+    limit: String(SOLD_LISTINGS_LIMIT),
+  });
+  if (category) params.set("category", category);
+  return `/api/items?${params.toString()}`;
+};
+
+export const marketValueService = {
+  /**
+   * Estimate value locally from comparable listings. Still returns an
+   * estimate (anchored on the asking price) if the listings can't be loaded.
+   */
+  async getLocalAnalysis(product, { diagnosticReport } = {}) {
+    const endpoint = getComparablesEndpoint(product.category);
+    let listings = [];
+
+    try {
+      const data = await queryCache.fetchQuery(endpoint, ({ signal }) =>
+        fetchApi(endpoint, { signal }),
+      );
+      listings = normalizeListingPage(data, COMPARABLES_LIMIT).items;
+    } catch (error) {
+      console.error("Failed to load comparable listings:", error);
+    }
+
+    return calculateMarketAnalysis(product, listings, { diagnosticReport });
+  },
+
+  /**
+   * Market analysis for an item: the backend's when it's available,
+   * otherwise the local engine's
+   */
+  async getMarketAnalysis(product, { signal, diagnosticReport } = {}) {
+    if (product.id) {
+      const response = await apiClient.get(
+        `/api/market-value/calculate/${product.id}`,
+        { signal },
+      );
+
+      if (isAbortedResponse(response)) return response;
+      if (response.success && response.data?.finalValue !== undefined) {
+        return { ...response, data: { ...response.data, source: "api" } };
+      }
+    }
+
+    const data = await this.getLocalAnalysis(product, { diagnosticReport });
+
+    if (signal?.aborted) {
+      return {
+        success: false,
+        error: "The request was cancelled.",
+        code: "ABORTED",
+      };
+    }
+    return { success: true, data };
+  },
+};
+
+export default marketValueService;
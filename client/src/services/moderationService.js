@@ -0,0 +1,169 @@
+import apiClient from "../utils/apiClient";
+import { queryCache } from "../utils/queryCache";
+import { itemsService } from "./itemsService";
+
+export const AUDIT_LOG_KEY = "/api/moderation/audit-log";
+export const REJECTION_TEMPLATES_KEY = "/api/moderation/rejection-templates";
+
+export const MODERATION_ACTIONS = {
+  APPROVE: "approve",
+  REJECT: "reject",
+  DELETE: "delete",
+};
+
+export const MODERATION_ACTION_LABELS = {
+  approve: "Approved",
+  reject: "Rejected",
+  delete: "Deleted",
+};
+
+// Status recorded in the audit log for deleted listings
+const DELETED_STATUS = "deleted";
+
+/**
+ * Used when the server has no templates configured. A template without a
+ * message needs the moderator to write one.
+ */
+export const DEFAULT_REJECTION_TEMPLATES = [
+  {
+    code: "photos",
+    label: "Missing or unclear photos",
+    message:
+      "Please add clear photos of the actual item, including any damage.",
+  },
+  {
+    code: "description",
+    label: "Inaccurate or incomplete description",
+    message:
+      "The description doesn't match the photos or leaves out key details such as model and storage.",
+  },
+  {
+    code: "battery",
+    label: "Missing battery health",
+    message:
+      "Battery-powered devices need a battery health reading or a diagnostic report.",
+  },
+  {
+    code: "price",
+    label: "Misleading price",
+    message:
+      "The price looks like a placeholder or is far from the item's market value.",
+  },
+  {
+    code: "prohibited",
+    label: "Prohibited item",
+    message: "This item can't be sold on ForOranges.",
+  },
+  {
+    code: "duplicate",
+    label: "Duplicate listing",
+    message: "This item is already listed. Please edit the existing listing.",
+  },
+  { code: "other", label: "Other", message: "" },
+];
+
+/**
+ * Seller-facing rejection text: the template message followed by the
+ * moderator's note
+ * @param {Object} template - { code, label, message }
+ * @param {string} note - Optional extra detail
+ * @returns {string}
+ */
+export const buildRejectionReason = (template, note = "") =>
+  [template?.message, note.trim()].filter(Boolean).join(" ");
+
+const getTargetStatus = (action) =>
+  action === MODERATION_ACTIONS.APPROVE
+    ? "active"
+    : action === MODERATION_ACTIONS.REJECT
+      ? "rejected"
+      : DELETED_STATUS;
+
+const performAction = (item, action, { reason, reasonCode }) => {
+  switch (action) {
+    case MODERATION_ACTIONS.APPROVE:
+      return itemsService.updateItemStatus(item.id, "active", {
+        rejection_reason: null,
+        rejection_reason_code: null,
+      });
+    case MODERATION_ACTIONS.REJECT:
+      return itemsService.updateItemStatus(item.id, "rejected", {
+        rejection_reason: reason,
+        rejection_reason_code: reasonCode,
+      });
+    case MODERATION_ACTIONS.DELETE:
+      return itemsService.deleteItem(item.id);
+    default:
+      return Promise.resolve({
+        success: false,
+        error: `Unknown moderation action: ${action}`,
+      });
+  }
+};
+
+export const moderationService = {
+  /**
+   * Append an entry to the moderation audit log. Entries are never edited
+   * or removed; the server stamps the acting user and time as well.
+   */
+  recordAuditEntry(entry) {
+    return apiClient.post(AUDIT_LOG_KEY, {
+      ...entry,
+      created_at: new Date().toISOString(),
+    });
+  },
+
+  /**
+   * Apply one moderation action to several listings, one at a time, and log
+   * each one that succeeds
+   * @param {Array} items - Listings to act on
+   * @param {string} action - One of MODERATION_ACTIONS
+   * @param {Object} options - { reason, reasonCode } for rejections, and
+   *   `actor` ({ id, name }) for the audit log
+   * @returns {Promise<{succeeded: Array, failed: Array<{item, error}>}>}
+   */
+  async moderateItems(items, action, options = {}) {
+    const { reason = null, reasonCode = null, actor } = options;
+    const succeeded = [];
+    const failed = [];
+
+    for (const item of items) {
+      const response = await performAction(item, action, {
+        reason,
+        reasonCode,
+      });
+
+      if (!response.success) {
+        failed.push({ item, error: response.error });
+        continue;
+      }
+      succeeded.push(item);
+
+      const auditResponse = await this.recordAuditEntry({
+        item_id: item.id,
+        item_title: item.title,
+        action,
+        before_status: item.status || "pending",
+        after_status: getTargetStatus(action),
+        reason,
+        reason_code: reasonCode,
+        actor_id: actor?.id ?? null,
+        actor_name: actor?.name ?? null,
+      });
+      if (!auditResponse.success) {
+        console.error("Error recording moderation audit entry:", {
+          itemId: item.id,
+          action,
+          error: auditResponse.error,
+        });
+      }
+    }
+
+    if (succeeded.length > 0) {
+      queryCache.invalidateQueries(AUDIT_LOG_KEY);
+    }
+    return { succeeded, failed };
+  },
+};
+
+export default moderationService;
@@ -0,0 +1,180 @@
+import apiClient from "../utils/apiClient";
+import { queryCache, fetchApi } from "../utils/queryCache";
+import { getAvailableStock, getCartTotal } from "../utils/cart";
+
+export const ORDERS_KEY = "/api/orders";
+
+export const ORDER_STATUS = {
+  PENDING_PAYMENT: "pending_payment",
+  PAID: "paid",
+  CANCELLED: "cancelled",
+};
+
+const toPrice = (value) => parseFloat(value) || 0;
+
+/**
+ * Fetch the current state of every listing in the cart and report lines that
+ * can't be bought as they are
+ * @param {Array} lines - Cart lines ({ item, quantity })
+ * @returns {Promise<{items: Object, problems: Array}>} - Fresh listings keyed
+ *   by ID (null when gone) and `{ itemId, reason }` for each problem line
+ */
+export const validateCart = async (lines) => {
+  const entries = await Promise.all(
+    lines.map(async ({ item }) => {
+      const endpoint = `/api/items/${item.id}`;
+      try {
+        const fresh = await queryCache.fetchQuery(
+          endpoint,
+          ({ signal }) => fetchApi(endpoint, { signal }),
+          { force: true },
+        );
+        return [item.id, fresh];
+      } catch (error) {
+        if (error.status === 404) return [item.id, null];
+        throw error;
+      }
+    }),
+  );
+  const items = Object.fromEntries(entries);
+
+  const problems = lines.reduce((found, line) => {
+    const fresh = items[line.item.id];
+    const stock = getAvailableStock(fresh);
+
+    if (stock === 0) {
+      return [...found, { itemId: line.item.id, reason: "unavailable" }];
+    }
+    if (line.quantity > stock) {
+      return [...found, { itemId: line.item.id, reason: "stock", stock }];
+    }
+    if (toPrice(fresh.price) !== toPrice(line.item.price)) {
+      return [...found, { itemId: line.item.id, reason: "price" }];
+    }
+    return found;
+  }, []);
+
+  return { items, problems };
+};
+
+export const orderService = {
+  /**
+   * Create an order awaiting payment. The server reserves every listing in
+   * the order and answers 409 when one is no longer available.
+   */
+  createOrder(lines, paymentProviderId) {
+    return apiClient.post(ORDERS_KEY, {
+      items: lines.map((line) => ({
+        item_id: line.item.id,
+        quantity: line.quantity,
+        unit_price: toPrice(line.item.price),
+      })),
+      total: getCartTotal(lines),
+      currency: "USD",
+      payment_provider: paymentProviderId,
+    });
+  },
+
+  /**
+   * Mark an order paid or cancelled; cancelling releases its reservations
+   */
+  updateOrderStatus(orderId, status, changes = {}) {
+    return apiClient.put(`${ORDERS_KEY}/${orderId}/status`, {
+      ...changes,
+      status,
+    });
+  },
+
+  /**
+   * Check the cart, reserve its listings in a new order and pay for it
+   * through the given provider. A declined or failed payment cancels the
+   * order so the listings go back on sale.
+   * @param {Array} lines - Cart lines ({ item, quantity })
+   * @param {Object} provider - Payment provider (see paymentProviders.js)
+   * @returns {Promise<Object>} - { success, order, error, problems, items }
+   */
+  async checkout(lines, provider) {
+    let validation;
+    try {
+      validation = await validateCart(lines);
+    } catch (error) {
+      return {
+        success: false,
+        error: error.message || "Couldn't check your cart. Please try again.",
+      };
+    }
+    if (validation.problems.length > 0) {
+      return {
+        success: false,
+        error: "Some items in your cart have changed. Please review them.",
+        ...validation,
+      };
+    }
+
+    const orderResponse = await this.createOrder(lines, provider.id);
+    // Reserving changes listing status everywhere it's shown
+    queryCache.invalidateQueries("/api/items");
+    if (!orderResponse.success) {
+      return {
+        success: false,
+        error:
+          orderResponse.status === 409
+            ? "Some items were just reserved by someone else."
+            : orderResponse.error || "Failed to place your order",
+      };
+    }
+
+    const order = orderResponse.data;
+    let payment;
+    try {
+      payment = await provider.createPayment({
+        orderId: order.id,
+        amount: toPrice(order.total ?? getCartTotal(lines)),
+        currency: order.currency || "USD",
+        description: `Order ${order.id}`,
+      });
+    } catch (error) {
+      console.error("Payment provider error:", error);
+      payment = {
+        success: false,
+        error: "Payment could not be completed. Please try again.",
+      };
+    }
+
+    if (!payment.success) {
+      const cancelResponse = await this.updateOrderStatus(
+        order.id,
+        ORDER_STATUS.CANCELLED,
+        { cancel_reason: payment.error },
+      );
+      if (!cancelResponse.success) {
+        console.error("Error cancelling unpaid order:", cancelResponse.error);
+      }
+      queryCache.invalidateQueries("/api/items");
+      return { success: false, order, error: payment.error };
+    }
+
+    const paidResponse = await this.updateOrderStatus(
+      order.id,
+      ORDER_STATUS.PAID,
+      { payment_provider: provider.id, payment_reference: payment.reference },
+    );
+    queryCache.invalidateQueries(ORDERS_KEY);
+
+    // The payment went through; an order stuck as unpaid is for support to
+    // reconcile, not a reason to charge again
+    if (!paidResponse.success) {
+      console.error("Error marking order paid:", paidResponse.error);
+    }
+
+    return {
+      success: true,
+      order: paidResponse.success
+        ? paidResponse.data
+        : { ...order, payment_reference: payment.reference },
+      error: null,
+    };
+  },
+};
+
+export default orderService;
@@ -0,0 +1,67 @@
+import { PAYMENT_PROVIDER } from "../config";
+
+/**
+ * Payment providers
+ * Checkout only talks to payment processors through this interface, so a
+ * real processor can be added without touching the cart:
+ *
+ *   {
+ *     id: string,
+ *     name: string,
+ *     createPayment({ orderId, amount, currency, description })
+ *       => Promise<{ success, reference, error }>
+ *   }
+ *
+ * `amount` is in major units (dollars). Providers resolve with
+ * `success: false` and a user-facing `error` when a payment is declined and
+ * only reject on unexpected failures.
+ */
+
+// Payments above this are declined so the failure path can be exercised
+export const MOCK_DECLINE_ABOVE = 10000;
+const MOCK_LATENCY = 800;
+
+/**
+ * Provider that settles payments locally without contacting anyone
+ */
+export const mockPaymentProvider = {
+  id: "mock",
+  name: "Test payment (no charge)",
+
+  async createPayment({ orderId, amount }) {
+    await new Promise((resolve) => setTimeout(resolve, MOCK_LATENCY));
+
+    if (!(amount > 0)) {
+      return { success: false, reference: null, error: "Nothing to pay for" };
+    }
+    if (amount > MOCK_DECLINE_ABOVE) {
+      return {
+        success: false,
+        reference: null,
+        error: `Payment declined: test payments are limited to $${MOCK_DECLINE_ABOVE}`,
+      };
+    }
+
+    return {
+      success: true,
+      reference: `mock_${orderId}_${Date.now()}`,
+      error: null,
+    };
+  },
+};
+
+const providers = new Map([[mockPaymentProvider.id, mockPaymentProvider]]);
+
+export const registerPaymentProvider = (provider) => {
+  providers.set(provider.id, provider);
+};
+
+export const getPaymentProviders = () => [...providers.values()];
+
+/**
+ * Look up a provider, falling back to the configured default
+ * @param {string} id - Provider ID
+ * @returns {Object} - Provider
+ */
+export const getPaymentProvider = (id = PAYMENT_PROVIDER) =>
+  providers.get(id) || providers.get(PAYMENT_PROVIDER) || mockPaymentProvider;
@@ -0,0 +1,229 @@
+import apiClient from "../utils/apiClient";
+import supabase from "../utils/supabase";
+import { queryCache } from "../utils/queryCache";
+
+export const REPORTS_KEY = "/api/reports";
+export const MY_REPORTS_KEY = "/api/reports/mine";
+
+export const REPORT_TARGETS = {
+  LISTING: "listing",
+  MESSAGE: "message",
+};
+
+// Open until a moderator either acts on the report or dismisses it
+export const REPORT_STATUS = {
+  OPEN: "open",
+  ACTIONED: "actioned",
+  DISMISSED: "dismissed",
+};
+
+export const REPORT_REASONS = [
+  {
+    code: "scam",
+    label: "Scam or fraud",
+    description: "Asks for payment off-platform, fake listing or phishing",
+  },
+  {
+    code: "counterfeit",
+    label: "Counterfeit",
+    description: "Replica or fake-branded device sold as genuine",
+  },
+  {
+    code: "wrong_diagnostics",
+    label: "Wrong diagnostics",
+    description: "Battery health, condition or specs don't match the device",
+  },
+  {
+    code: "offensive",
+    label: "Offensive",
+    description: "Harassment, hate speech or explicit content",
+  },
+];
+
+export const getReportReasonLabel = (code) =>
+  REPORT_REASONS.find((reason) => reason.code === code)?.label || code;
+
+/**
+ * Aggregate reports by what they were filed against, most reported first
+ * @param {Array} reports - Report rows, each with `target_hidden` set while
+ *   the server keeps the reported item hidden
+ * @returns {Array<{key, targetType, targetId, targetTitle, reports,
+ *   openReports, reporterCount, reasonCounts, latestAt, isOpen,
+ *   autoHidden}>}
+ */
+export const groupReports = (reports = []) => {
+  const groups = new Map();
+
+  reports.forEach((report) => {
+    const key = `${report.target_type}:${report.target_id}`;
+    if (!groups.has(key)) {
+      groups.set(key, {
+        key,
+        targetType: report.target_type,
+        targetId: report.target_id,
+        targetTitle: report.target_title,
+        reports: [],
+      });
+    }
+    groups.get(key).reports.push(report);
+  });
+
+  return [...groups.values()]
+    .map((group) => {
+      const openReports = group.reports.filter(
+        (report) => report.status === REPORT_STATUS.OPEN,
+      );
+      // Several reports from one user only count once
+      const reporterCount = new Set(
+        openReports.map((report) => report.reporter_id),
+      ).size;
+      // Resolved groups keep showing what they were reported for
+      const reasonCounts = (
+        openReports.length > 0 ? openReports : group.reports
+      ).reduce(
+        (counts, report) => ({
+          ...counts,
+          [report.reason]: (counts[report.reason] || 0) + 1,
+        }),
+        {},
+      );
+
+      return {
+        ...group,
+        openReports,
+        reporterCount,
+        reasonCounts,
+        latestAt: group.reports.reduce(
+          (latest, report) =>
+            report.created_at > latest ? report.created_at : latest,
+          "",
+        ),
+        isOpen: openReports.length > 0,
+        // The server hides a listing on its own once enough users report it
+        autoHidden: group.reports.some((report) => report.target_hidden),
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.isOpen - a.isOpen ||
+        b.reporterCount - a.reporterCount ||
+        (b.latestAt > a.latestAt ? 1 : -1),
+    );
+};
+
+/**
+ * A resolved report the reporter hasn't been told about yet
+ */
+export const hasUnseenResolution = (report) =>
+  report.status !== REPORT_STATUS.OPEN && !report.reporter_acknowledged_at;
+
+export const reportsService = {
+  /**
+   * File a report
+   * @param {Object} report - { targetType, targetId, targetTitle, reason,
+   *   details }
+   */
+  async createReport({ targetType, targetId, targetTitle, reason, details }) {
+    const response = await apiClient.post(REPORTS_KEY, {
+      target_type: targetType,
+      target_id: targetId,
+      target_title: targetTitle,
+      reason,
+      details: details?.trim() || null,
+    });
+
+    if (response.success) {
+      queryCache.invalidateQueries(REPORTS_KEY);
+    } else if (response.status === 409) {
+      return { ...response, error: "You've already reported this." };
+    }
+    return response;
+  },
+
+  /**
+   * Close every open report in a group. Reporters are told the outcome and
+   * see `note` if one is given.
+   * @param {Object} group - From groupReports
+   * @param {string} status - REPORT_STATUS.ACTIONED or DISMISSED
+   * @param {string} note - Optional message to the reporters
+   */
+  async resolveReports(group, status, note = "") {
+    const reportIds = group.openReports.map((report) => report.id);
+    const resolvedAt = new Date().toISOString();
+    const snapshot = queryCache.updateQueries(REPORTS_KEY, (data) =>
+      Array.isArray(data)
+        ? data.map((report) =>
+            reportIds.includes(report.id)
+              ? {
+                  ...report,
+                  status,
+                  resolution_note: note.trim() || null,
+                  resolved_at: resolvedAt,
+                }
+              : report,
+          )
+        : data,
+    );
+
+    const response = await apiClient.put(`${REPORTS_KEY}/resolve`, {
+      report_ids: reportIds,
+      status,
+      resolution_note: note.trim() || null,
+    });
+
+    if (!response.success) {
+      queryCache.restoreQueries(snapshot);
+    }
+    queryCache.invalidateQueries(REPORTS_KEY);
+    // Hidden listings come back once their reports are dismissed
+    if (group.targetType === REPORT_TARGETS.LISTING) {
+      queryCache.invalidateQueries("/api/items");
+    }
+    return response;
+  },
+
+  /**
+   * Record that the reporter has seen how their report was resolved
+   */
+  acknowledgeResolution(id) {
+    const acknowledgedAt = new Date().toISOString();
+    queryCache.updateQueries(MY_REPORTS_KEY, (data) =>
+      Array.isArray(data)
+        ? data.map((report) =>
+            report.id === id
+              ? { ...report, reporter_acknowledged_at: acknowledgedAt }
+              : report,
+          )
+        : data,
+    );
+    return apiClient.put(`${REPORTS_KEY}/${id}/acknowledge`, {
+      reporter_acknowledged_at: acknowledgedAt,
+    });
+  },
+
+  /**
+   * Listen for the user's own reports being resolved. Returns a function
+   * that removes the channel.
+   */
+  subscribeToMyReports(userId, callback) {
+    const channel = supabase
+      .channel(`reports:${userId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "UPDATE",
+          schema: "public",
+          table: "reports",
+          filter: `reporter_id=eq.${userId}`,
+        },
+        (payload) => callback(payload.new),
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+};
+
+export default reportsService;
@@ -0,0 +1,105 @@
+import { REPORT_STATUS, groupReports } from "./reportsService";
+
+jest.mock("../utils/apiClient", () => ({
+  __esModule: true,
+  default: { get: jest.fn(), post: jest.fn(), put: jest.fn() },
+}));
+jest.mock("../utils/supabase", () => ({ __esModule: true, default: {} }));
+
+const report = (overrides) => ({
+  target_type: "listing",
+  target_id: "item-1",
+  target_title: "iPhone 13",
+  reporter_id: "user-1",
+  reason: "scam",
+  status: REPORT_STATUS.OPEN,
+  created_at: "2025-06-01T12:00:00Z",
+  ...overrides,
+});
+
+describe("groupReports", () => {
+  test("groups reports by what they were filed against", () => {
+    const groups = groupReports([
+      report({ id: 1 }),
+      report({ id: 2, target_type: "message", target_id: "msg-1" }),
+      report({ id: 3, reporter_id: "user-2" }),
+    ]);
+
+    expect(groups.map((group) => group.key)).toEqual([
+      "listing:item-1",
+      "message:msg-1",
+    ]);
+    expect(groups[0].reports.map((r) => r.id)).toEqual([1, 3]);
+    expect(groupReports()).toEqual([]);
+  });
+
+  test("counts each reporter once, over open reports only", () => {
+    const [group] = groupReports([
+      report({ id: 1 }),
+      report({ id: 2, reason: "counterfeit" }),
+      report({ id: 3, reporter_id: "user-2" }),
+      report({
+        id: 4,
+        reporter_id: "user-3",
+        status: REPORT_STATUS.DISMISSED,
+      }),
+    ]);
+
+    expect(group.isOpen).toBe(true);
+    expect(group.openReports.map((r) => r.id)).toEqual([1, 2, 3]);
+    expect(group.reporterCount).toBe(2);
+    expect(group.reasonCounts).toEqual({ scam: 2, counterfeit: 1 });
+  });
+
+  test("keeps the reasons of a resolved group", () => {
+    const [group] = groupReports([
+      report({ id: 1, status: REPORT_STATUS.ACTIONED }),
+      report({
+        id: 2,
+        reporter_id: "user-2",
+        reason: "offensive",
+        status: REPORT_STATUS.ACTIONED,
+      }),
+    ]);
+
+    expect(group.isOpen).toBe(false);
+    expect(group.openReports).toEqual([]);
+    expect(group.reporterCount).toBe(0);
+    expect(group.reasonCounts).toEqual({ scam: 1, offensive: 1 });
+  });
+
+  test("takes the hidden state from the server", () => {
+    const [hidden, visible] = groupReports([
+      report({ id: 1, reporter_id: "user-2", target_hidden: true }),
+      report({ id: 2, target_hidden: true }),
+      report({ id: 3, target_id: "item-2" }),
+    ]);
+
+    expect(hidden.autoHidden).toBe(true);
+    expect(visible.autoHidden).toBe(false);
+  });
+
+  test("sorts open groups first, then by reporters, then newest", () => {
+    const groups = groupReports([
+      report({
+        id: 1,
+        target_id: "resolved",
+        reporter_id: "user-2",
+        status: REPORT_STATUS.DISMISSED,
+        created_at: "2025-06-05T12:00:00Z",
+      }),
+      report({ id: 2, target_id: "older", created_at: "2025-06-01T12:00:00Z" }),
+      report({ id: 3, target_id: "newer", created_at: "2025-06-03T12:00:00Z" }),
+      report({ id: 4, target_id: "most-reported" }),
+      report({ id: 5, target_id: "most-reported", reporter_id: "user-2" }),
+    ]);
+
+    expect(groups.map((group) => group.targetId)).toEqual([
+      "most-reported",
+      "newer",
+      "older",
+      "resolved",
+    ]);
+    expect(groups[1].latestAt).toBe("2025-06-03T12:00:00Z");
+  });
+});
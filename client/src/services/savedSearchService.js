@@ -0,0 +1,136 @@
+import apiClient from "../utils/apiClient";
+import supabase from "../utils/supabase";
+import { queryCache } from "../utils/queryCache";
+import {
+  EMPTY_LISTING_FILTERS,
+  buildListingEndpoint,
+  normalizeListingPage,
+} from "../utils/listingQuery";
+
+export const SAVED_SEARCHES_KEY = "/api/saved-searches";
+export const MAX_SAVED_SEARCHES = 10;
+
+/**
+ * Keep only the filter facets of a listing query; sort order and paging
+ * don't change which listings a saved search matches
+ */
+export const pickSearchFilters = (query) =>
+  Object.keys(EMPTY_LISTING_FILTERS).reduce(
+    (filters, key) => ({ ...filters, [key]: `${query?.[key] ?? ""}`.trim() }),
+    {},
+  );
+
+/**
+ * Identity of a set of filters, used to spot a search that is already saved
+ */
+export const getSearchSignature = (query) =>
+  JSON.stringify(pickSearchFilters(query));
+
+export const savedSearchService = {
+  async createSavedSearch(name, query) {
+    const response = await apiClient.post(SAVED_SEARCHES_KEY, {
+      name,
+      query: pickSearchFilters(query),
+    });
+    if (response.success) {
+      queryCache.invalidateQueries(SAVED_SEARCHES_KEY);
+    }
+    return response;
+  },
+
+  async deleteSavedSearch(id) {
+    const snapshot = queryCache.updateQueries(SAVED_SEARCHES_KEY, (data) =>
+      Array.isArray(data) ? data.filter((search) => search.id !== id) : data,
+    );
+
+    const response = await apiClient.delete(`${SAVED_SEARCHES_KEY}/${id}`);
+    if (!response.success) {
+      queryCache.restoreQueries(snapshot);
+    }
+    return response;
+  },
+
+  /**
+   * Record that the user has looked at a search's results, so only listings
+   * posted afterwards count as new
+   */
+  async markSeen(id, seenAt = new Date().toISOString()) {
+    queryCache.updateQueries(SAVED_SEARCHES_KEY, (data) =>
+      Array.isArray(data)
+        ? data.map((search) =>
+            search.id === id ? { ...search, last_seen_at: seenAt } : search,
+          )
+        : data,
+    );
+    return apiClient.put(`${SAVED_SEARCHES_KEY}/${id}`, {
+      last_seen_at: seenAt,
+    });
+  },
+
+  /**
+   * Count listings matching a saved search that went live after it was last
+   * opened. Only the newest page is checked, so the count tops out at one
+   * page of results.
+   * @param {Object} savedSearch - { query, last_seen_at, created_at }
+   * @returns {Promise<number>}
+   */
+  async countNewListings(savedSearch) {
+    const since = savedSearch.last_seen_at || savedSearch.created_at;
+    const response = await apiClient.get(
+      buildListingEndpoint({ ...savedSearch.query, sort: "newest" }),
+      { auth: false },
+    );
+    if (!response.success) {
+      throw response.apiError;
+    }
+
+    const { items } = normalizeListingPage(response.data);
+    return since
+      ? items.filter((item) => new Date(item.created_at) > new Date(since))
+          .length
+      : 0;
+  },
+
+  /**
+   * Listen for listings going live: inserted as active, or approved later.
+   * Returns a function that removes the channel.
+   */
+  subscribeToNewListings(userId, callback) {
+    const channel = supabase
+      .channel(`listings:${userId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "INSERT",
+          schema: "public",
+          table: "items",
+          filter: "status=eq.active",
+        },
+        (payload) => callback(payload.new),
+      )
+      .on(
+        "postgres_changes",
+        {
+          event: "UPDATE",
+          schema: "public",
+          table: "items",
+          filter: "status=eq.active",
+        },
+        (payload) => {
+          // Only an approval makes an existing listing new. `old` carries the
+          // previous status only with REPLICA IDENTITY FULL on items; without
+          // it every edit looks the same, so those are left to the catch-up
+          // count on the next visit
+          if (!payload.old?.status || payload.old.status === "active") return;
+          callback(payload.new);
+        },
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+};
+
+export default savedSearchService;
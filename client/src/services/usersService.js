@@ -0,0 +1,88 @@
+import apiClient from "../utils/apiClient";
+import { queryCache } from "../utils/queryCache";
+
+export const USERS_KEY = "/api/users";
+
+// Suspension lengths offered to admins, in days
+export const SUSPENSION_DURATIONS = [1, 3, 7, 30];
+
+/**
+ * Whether a user is currently suspended. Suspensions end on their own once
+ * `suspended_until` has passed.
+ * @param {Object} user - User record
+ * @returns {boolean}
+ */
+export const isUserSuspended = (user) =>
+  !!user?.suspended_until && new Date(user.suspended_until) > new Date();
+
+export const getUserDisplayName = (user) =>
+  user?.name || user?.username || user?.email || "Unknown";
+
+// Optimistically patch the cached user lists while the request runs
+const mutateUser = (id, mapUser, performRequest) =>
+  queryCache.mutateQueries(
+    USERS_KEY,
+    (data) =>
+      Array.isArray(data)
+        ? data
+            .map((user) => (user?.id === id ? mapUser(user) : user))
+            .filter(Boolean)
+        : data?.id === id
+          ? (mapUser(data) ?? data)
+          : data,
+    performRequest,
+  );
+
+export const usersService = {
+  /**
+   * Update profile fields an admin may change
+   * The server writes a new role to the user's app_metadata, which is where
+   * roles are read from; the user only picks it up once their access token
+   * is refreshed, usually at their next sign-in.
+   * @param {string} id - User ID
+   * @param {Object} changes - { name, role }
+   */
+  updateUser(id, changes) {
+    return mutateUser(
+      id,
+      (user) => ({ ...user, ...changes }),
+      () => apiClient.put(`${USERS_KEY}/${id}`, changes),
+    );
+  },
+
+  /**
+   * Suspend a user until a given time. The server refuses their requests
+   * until then and reinstates them automatically afterwards.
+   * @param {string} id - User ID
+   * @param {Object} suspension - { until: ISO string, reason }
+   */
+  suspendUser(id, { until, reason }) {
+    return mutateUser(
+      id,
+      (user) => ({
+        ...user,
+        suspended_until: until,
+        suspension_reason: reason,
+      }),
+      () => apiClient.post(`${USERS_KEY}/${id}/suspension`, { until, reason }),
+    );
+  },
+
+  reinstateUser(id) {
+    return mutateUser(
+      id,
+      (user) => ({ ...user, suspended_until: null, suspension_reason: null }),
+      () => apiClient.delete(`${USERS_KEY}/${id}/suspension`),
+    );
+  },
+
+  deleteUser(id) {
+    return mutateUser(
+      id,
+      () => null,
+      () => apiClient.delete(`${USERS_KEY}/${id}`),
+    );
+  },
+};
+
+export default usersService;
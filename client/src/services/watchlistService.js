@@ -0,0 +1,214 @@
+import apiClient from "../utils/apiClient";
+import supabase from "../utils/supabase";
+import { queryCache } from "../utils/queryCache";
+import { isHiddenByReports } from "../utils/reports";
+
+export const WATCHLIST_KEY = "/api/watchlist";
+
+export const WATCH_ALERT_TYPES = {
+  PRICE_DROP: "price_drop",
+  RESERVED: "reserved",
+  SOLD: "sold",
+  REMOVED: "removed",
+};
+
+// Status recorded for a watched listing that no longer exists
+const REMOVED_STATUS = "removed";
+
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+};
+
+/**
+ * Current status of a watched listing, treating deleted, rejected and
+ * report-hidden listings as removed
+ * @param {Object} entry - Watchlist entry ({ item_id, item, ... })
+ * @returns {string}
+ */
+export const getWatchedStatus = (entry) =>
+  !entry.item ||
+  entry.item.status === "rejected" ||
+  isHiddenByReports(entry.item)
+    ? REMOVED_STATUS
+    : entry.item.status || "active";
+
+/**
+ * What changed on a watched listing since the user last acknowledged it.
+ * Each entry keeps the price and status the user last saw
+ * (`seen_price` / `seen_status`); anything worse than that is an alert.
+ * @param {Object} entry - Watchlist entry
+ * @returns {Object|null} - { type, itemId, title, from, to } or null
+ */
+export const getWatchAlert = (entry) => {
+  const status = getWatchedStatus(entry);
+  const base = {
+    itemId: entry.item_id,
+    title: entry.item?.title || entry.title || "A saved listing",
+  };
+
+  if (status === REMOVED_STATUS) {
+    return entry.seen_status === REMOVED_STATUS
+      ? null
+      : { ...base, type: WATCH_ALERT_TYPES.REMOVED };
+  }
+  if (status === "sold") {
+    return entry.seen_status === "sold"
+      ? null
+      : { ...base, type: WATCH_ALERT_TYPES.SOLD };
+  }
+
+  if (status === "reserved") {
+    return entry.seen_status === "reserved"
+      ? null
+      : { ...base, type: WATCH_ALERT_TYPES.RESERVED };
+  }
+
+  const price = toPrice(entry.item.price);
+  const seenPrice = toPrice(entry.seen_price);
+  if (price !== null && seenPrice !== null && price < seenPrice) {
+    return {
+      ...base,
+      type: WATCH_ALERT_TYPES.PRICE_DROP,
+      from: seenPrice,
+      to: price,
+    };
+  }
+
+  return null;
+};
+
+/**
+ * One-line description of a watch alert
+ */
+export const describeWatchAlert = (alert) => {
+  switch (alert.type) {
+    case WATCH_ALERT_TYPES.PRICE_DROP:
+      return `Price dropped from $${alert.from} to $${alert.to}`;
+    case WATCH_ALERT_TYPES.RESERVED:
+      return "This listing has been reserved by another buyer";
+    case WATCH_ALERT_TYPES.SOLD:
+      return "This listing has been sold";
+    case WATCH_ALERT_TYPES.REMOVED:
+      return "This listing is no longer available";
+    default:
+      return "";
+  }
+};
+
+// Patch the cached watchlist entries for one listing
+const updateCachedEntries = (itemId, mapEntry) =>
+  queryCache.updateQueries(WATCHLIST_KEY, (data) =>
+    Array.isArray(data)
+      ? data
+          .map((entry) => (entry.item_id === itemId ? mapEntry(entry) : entry))
+          .filter(Boolean)
+      : data,
+  );
+
+export const watchlistService = {
+  async addToWatchlist(item) {
+    const entry = {
+      item_id: item.id,
+      seen_price: item.price,
+      seen_status: item.status || "active",
+    };
+
+    const snapshot = queryCache.updateQueries(WATCHLIST_KEY, (data) =>
+      Array.isArray(data)
+        ? [{ ...entry, item, created_at: new Date().toISOString() }, ...data]
+        : data,
+    );
+
+    const response = await apiClient.post(WATCHLIST_KEY, entry);
+    if (!response.success) {
+      queryCache.restoreQueries(snapshot);
+    }
+    queryCache.invalidateQueries(WATCHLIST_KEY);
+    return response;
+  },
+
+  async removeFromWatchlist(itemId) {
+    const snapshot = updateCachedEntries(itemId, () => null);
+
+    const response = await apiClient.delete(`${WATCHLIST_KEY}/${itemId}`);
+    if (!response.success) {
+      queryCache.restoreQueries(snapshot);
+    }
+    return response;
+  },
+
+  /**
+   * Record the listing's current price and status as seen, clearing its
+   * alert until something changes again
+   */
+  async acknowledgeChanges(entry) {
+    const seen = {
+      seen_price: entry.item?.price ?? entry.seen_price,
+      seen_status: getWatchedStatus(entry),
+    };
+
+    const snapshot = updateCachedEntries(entry.item_id, (cached) => ({
+      ...cached,
+      ...seen,
+    }));
+
+    const response = await apiClient.put(
+      `${WATCHLIST_KEY}/${entry.item_id}`,
+      seen,
+    );
+    if (!response.success) {
+      queryCache.restoreQueries(snapshot);
+    }
+    return response;
+  },
+
+  /**
+   * Apply a realtime change to the cached copy of a watched listing
+   * @param {string} itemId - Listing ID
+   * @param {Object|null} changes - Updated columns, or null once deleted
+   */
+  applyItemChange(itemId, changes) {
+    updateCachedEntries(itemId, (entry) => ({
+      ...entry,
+      item: changes && entry.item ? { ...entry.item, ...changes } : changes,
+    }));
+  },
+
+  /**
+   * Listen for updates to and deletion of the given listings. Delete events
+   * can't be filtered server-side, so those are matched client-side.
+   * Returns a function that removes the channel.
+   */
+  subscribeToWatchedItems(userId, itemIds, callback) {
+    const watchedIds = new Set(itemIds.map(String));
+    const channel = supabase
+      .channel(`watchlist:${userId}`)
+      .on(
+        "postgres_changes",
+        {
+          event: "UPDATE",
+          schema: "public",
+          table: "items",
+          filter: `id=in.(${itemIds.join(",")})`,
+        },
+        (payload) => callback(payload.new.id, payload.new),
+      )
+      .on(
+        "postgres_changes",
+        { event: "DELETE", schema: "public", table: "items" },
+        (payload) => {
+          if (watchedIds.has(`${payload.old?.id}`)) {
+            callback(payload.old.id, null);
+          }
+        },
+      )
+      .subscribe();
+
+    return () => {
+      supabase.removeChannel(channel);
+    };
+  },
+};
+
+export default watchlistService;
@@ -1,11 +1,52 @@
 import { supabase } from "./supabase";
 import { API_URL } from "../config";
 
+const DEFAULT_TIMEOUT = 15000;
+const DEFAULT_RETRIES = 2;
+const RETRY_BASE_DELAY = 300;
+const RETRY_MAX_DELAY = 4000;
+
+// Only these verbs are safe to replay automatically
+const IDEMPOTENT_METHODS = ["GET", "HEAD", "PUT", "DELETE", "OPTIONS"];
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+/**
+ * Error object attached to every failed apiClient response
+ * `code` is the server-provided error code when present, otherwise one of the
+ * client codes below (NETWORK_ERROR, TIMEOUT, ABORTED, HTTP_<status> ...)
+ */
+export class ApiError extends Error {
+  constructor(message, { status = null, code = "UNKNOWN_ERROR", data } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.data = data ?? null;
+  }
+}
+
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  408: "TIMEOUT",
+  409: "CONFLICT",
+  422: "VALIDATION_ERROR",
+  429: "RATE_LIMITED",
+};
+
+const getStatusCode = (status) =>
+  STATUS_CODES[status] || (status >= 500 ? "SERVER_ERROR" : `HTTP_${status}`);
+
 // Helper function to get the current authentication token from Supabase
 const getAuthToken = async () => {
   try {
     // Get current session from Supabase
-    const { data: { session }, error } = await supabase.auth.getSession();
+    const {
+      data: { session },
+      error,
+    } = await supabase.auth.getSession();
 
     if (error) {
       console.error("Error getting auth token:", error);
@@ -19,149 +60,291 @@ const getAuthToken = async () => {
   }
 };
 
-const apiClient = {
-  async get(endpoint) {
-    try {
-      const headers = {
-        "Content-Type": "application/json",
-      };
-
-      // Add authorization header if token exists
-      const token = await getAuthToken();
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
-      }
+// Refresh the Supabase session, returning the new access token or null
+const refreshAuthToken = async () => {
+  try {
+    const {
+      data: { session },
+      error,
+    } = await supabase.auth.refreshSession();
 
-      const response = await fetch(`${API_URL}${endpoint}`, { headers });
-      
-      // Handle different response types
-      let data;
-      const contentType = response.headers.get("content-type");
-      
-      if (contentType && contentType.includes("application/json")) {
-        data = await response.json();
-      } else {
-        // Handle non-JSON responses
-        const text = await response.text();
-        try {
-          data = JSON.parse(text);
-        } catch (e) {
-          data = { error: text || "Request failed" };
-        }
-      }
-      
-      return {
-        success: response.ok,
-        data: response.ok ? data : null,
-        error: response.ok ? null : (data.error || data.message || `HTTP ${response.status}`),
-        status: response.status
-      };
-    } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error.message || "Network error. Please try again later.",
-      };
+    if (error) {
+      console.error("Error refreshing auth session:", error);
+      return null;
     }
-  },
 
-  async post(endpoint, data) {
-    try {
-      const headers = {
-        "Content-Type": "application/json",
-      };
-
-      // Add authorization header if token exists
-      const token = await getAuthToken();
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
-      }
+    return session?.access_token || null;
+  } catch (error) {
+    console.error("Error refreshing auth session:", error);
+    return null;
+  }
+};
+
+// Parse a fetch response body as JSON when possible, falling back to text
+const parseResponseBody = async (response) => {
+  if (response.status === 204) return null;
+
+  const contentType = response.headers.get("content-type");
+  if (contentType && contentType.includes("application/json")) {
+    return response.json();
+  }
+
+  const text = await response.text();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    return { error: text };
+  }
+};
+
+const wait = (ms, signal) =>
+  new Promise((resolve) => {
+    const handleAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    // Callers may reuse one signal for many requests, so don't leave
+    // listeners behind once the delay is over
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", handleAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", handleAbort, { once: true });
+  });
+
+const getRetryDelay = (attempt) =>
+  Math.min(RETRY_MAX_DELAY, RETRY_BASE_DELAY * 2 ** attempt) +
+  Math.round(Math.random() * 100);
+
+const buildUrl = (endpoint) =>
+  /^https?:\/\//.test(endpoint) ? endpoint : `${API_URL}${endpoint}`;
+
+const requestInterceptors = [];
+const responseInterceptors = [];
+
+// Register an interceptor and return a function that removes it again
+const addInterceptor = (list) => (handler) => {
+  list.push(handler);
+  return () => {
+    const index = list.indexOf(handler);
+    if (index !== -1) list.splice(index, 1);
+  };
+};
+
+const cancelledError = () =>
+  new ApiError("The request was cancelled.", { code: "ABORTED" });
+
+const failure = (apiError) => ({
+  success: false,
+  data: null,
+  error: apiError.message,
+  status: apiError.status,
+  code: apiError.code,
+  apiError,
+});
+
+/**
+ * Perform a single fetch with timeout and abort support
+ * Resolves to `{ response, body }` or throws an ApiError for transport errors
+ */
+const performFetch = async (config, token) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, config.timeout);
+
+  const abortFromCaller = () => controller.abort();
+  if (config.signal) {
+    if (config.signal.aborted) controller.abort();
+    config.signal.addEventListener("abort", abortFromCaller);
+  }
+
+  const headers = { ...config.headers };
+  if (token) {
+    headers["Authorization"] = `Bearer ${token}`;
+  }
 
-      const response = await fetch(`${API_URL}${endpoint}`, {
-        method: "POST",
-        headers,
-        body: JSON.stringify(data),
+  try {
+    const response = await fetch(buildUrl(config.endpoint), {
+      method: config.method,
+      headers,
+      body: config.body,
+      signal: controller.signal,
+    });
+    const body = await parseResponseBody(response);
+    return { response, body };
+  } catch (error) {
+    if (timedOut) {
+      throw new ApiError("The request timed out. Please try again.", {
+        code: "TIMEOUT",
       });
+    }
+    if (config.signal?.aborted || error.name === "AbortError") {
+      throw cancelledError();
+    }
+    throw new ApiError(
+      error.message || "Network error. Please try again later.",
+      { code: "NETWORK_ERROR" },
+    );
+  } finally {
+    clearTimeout(timer);
+    config.signal?.removeEventListener("abort", abortFromCaller);
+  }
+};
 
-      const responseData = await response.json();
-      return {
-        success: response.ok,
-        data: response.ok ? responseData : null,
-        error: response.ok ? null : responseData.error,
-      };
-    } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error.message || "Network error. Please try again later.",
-      };
+/**
+ * Core request used by every apiClient verb
+ * @param {string} method - HTTP method
+ * @param {string} endpoint - Path relative to API_URL (or an absolute URL)
+ * @param {Object} options - { data, headers, timeout, signal, retries, auth }
+ * @returns {Promise<{success: boolean, data: any, error: string|null, status: number|null, code: string|null, apiError?: ApiError}>}
+ */
+const request = async (method, endpoint, options = {}) => {
+  let config = {
+    method: method.toUpperCase(),
+    endpoint,
+    headers: { ...options.headers },
+    timeout: options.timeout ?? DEFAULT_TIMEOUT,
+    signal: options.signal,
+    auth: options.auth !== false,
+    retries:
+      options.retries ??
+      (IDEMPOTENT_METHODS.includes(method.toUpperCase()) ? DEFAULT_RETRIES : 0),
+  };
+
+  if (options.data !== undefined) {
+    if (options.data instanceof FormData) {
+      // Let the browser set the multipart boundary
+      config.body = options.data;
+    } else {
+      config.headers["Content-Type"] = "application/json";
+      config.body = JSON.stringify(options.data);
     }
-  },
+  } else {
+    config.headers["Content-Type"] = "application/json";
+  }
+
+  for (const interceptor of requestInterceptors) {
+    config = (await interceptor(config)) || config;
+  }
 
-  async put(endpoint, data) {
+  let token = config.auth ? await getAuthToken() : null;
+  let hasRefreshed = false;
+  let result;
+
+  for (let attempt = 0; ; attempt++) {
     try {
-      const headers = {
-        "Content-Type": "application/json",
-      };
-
-      // Add authorization header if token exists
-      const token = await getAuthToken();
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
+      const { response, body } = await performFetch(config, token);
+
+      // Refresh the session once and replay the request on 401
+      if (response.status === 401 && config.auth && !hasRefreshed) {
+        hasRefreshed = true;
+        const refreshedToken = await refreshAuthToken();
+        if (refreshedToken) {
+          token = refreshedToken;
+          attempt--;
+          continue;
+        }
       }
 
-      const response = await fetch(`${API_URL}${endpoint}`, {
-        method: "PUT",
-        headers,
-        body: JSON.stringify(data),
-      });
-      const responseData = await response.json();
-      return {
-        success: response.ok,
-        data: response.ok ? responseData : null,
-        error: response.ok ? null : responseData.error,
-      };
-    } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error.message || "Network error. Please try again later.",
-      };
-    }
-  },
+      if (response.ok) {
+        result = {
+          success: true,
+          data: body,
+          error: null,
+          status: response.status,
+          code: null,
+        };
+        break;
+      }
 
-  async delete(endpoint) {
-    try {
-      const headers = {
-        "Content-Type": "application/json",
-      };
-
-      // Add authorization header if token exists
-      const token = await getAuthToken();
-      if (token) {
-        headers["Authorization"] = `Bearer ${token}`;
+      if (
+        RETRYABLE_STATUSES.includes(response.status) &&
+        attempt < config.retries
+      ) {
+        await wait(getRetryDelay(attempt), config.signal);
+        continue;
       }
 
-      const response = await fetch(`${API_URL}${endpoint}`, {
-        method: "DELETE",
-        headers,
-      });
-      const responseData = await response.json();
-      return {
-        success: response.ok,
-        data: response.ok ? responseData : null,
-        error: response.ok
-          ? null
-          : responseData.error || "Failed to delete resource",
-      };
+      result = failure(
+        new ApiError(
+          body?.error || body?.message || `HTTP ${response.status}`,
+          {
+            status: response.status,
+            code: body?.code || getStatusCode(response.status),
+            data: body,
+          },
+        ),
+      );
+      break;
     } catch (error) {
-      return {
-        success: false,
-        data: null,
-        error: error.message || "Network error. Please try again later.",
-      };
+      const apiError =
+        error instanceof ApiError
+          ? error
+          : new ApiError(error.message || "Unexpected error");
+
+      const canRetry =
+        (apiError.code === "NETWORK_ERROR" || apiError.code === "TIMEOUT") &&
+        attempt < config.retries;
+
+      if (canRetry) {
+        await wait(getRetryDelay(attempt), config.signal);
+        if (!config.signal?.aborted) continue;
+        // Cancelled during the back-off: report that, not the earlier error
+        result = failure(cancelledError());
+        break;
+      }
+
+      result = failure(apiError);
+      break;
     }
+  }
+
+  for (const interceptor of responseInterceptors) {
+    result = (await interceptor(result, config)) || result;
+  }
+
+  return result;
+};
+
+const apiClient = {
+  request,
+
+  interceptors: {
+    request: { use: addInterceptor(requestInterceptors) },
+    response: { use: addInterceptor(responseInterceptors) },
+  },
+
+  get(endpoint, options) {
+    return request("GET", endpoint, options);
+  },
+
+  post(endpoint, data, options) {
+    return request("POST", endpoint, { ...options, data });
+  },
+
+  put(endpoint, data, options) {
+    return request("PUT", endpoint, { ...options, data });
+  },
+
+  patch(endpoint, data, options) {
+    return request("PATCH", endpoint, { ...options, data });
+  },
+
+  delete(endpoint, options) {
+    return request("DELETE", endpoint, options);
   },
 };
 
+/**
+ * Returns true when a response failed only because its request was cancelled
+ * (e.g. the component unmounted) and should be ignored by the caller
+ */
+export const isAbortedResponse = (response) => response?.code === "ABORTED";
+
 export default apiClient;
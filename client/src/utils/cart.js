@@ -0,0 +1,98 @@
+/**
+ * Shopping cart helpers
+ * Carts are kept in localStorage per user so they survive reloads and aren't
+ * shared between accounts on the same browser. Each line holds a snapshot of
+ * the listing taken when it was added; price and stock are checked against
+ * the server again at checkout.
+ */
+
+import { isHiddenByReports } from "./reports";
+
+const STORAGE_PREFIX = "cart:";
+
+export const getCartStorageKey = (userId) => `${STORAGE_PREFIX}${userId}`;
+
+/**
+ * Read a user's cart lines
+ * @param {string} userId - Cart owner
+ * @returns {Array<{item: Object, quantity: number, added_at: string}>}
+ */
+export const readCart = (userId) => {
+  if (!userId) return [];
+  try {
+    const lines = JSON.parse(
+      localStorage.getItem(getCartStorageKey(userId)) || "[]",
+    );
+    return Array.isArray(lines) ? lines : [];
+  } catch (error) {
+    console.error("Error reading cart:", error);
+    return [];
+  }
+};
+
+export const writeCart = (userId, lines) => {
+  if (!userId) return;
+  try {
+    if (lines.length === 0) {
+      localStorage.removeItem(getCartStorageKey(userId));
+    } else {
+      localStorage.setItem(getCartStorageKey(userId), JSON.stringify(lines));
+    }
+  } catch (error) {
+    console.error("Error writing cart:", error);
+  }
+};
+
+/**
+ * Units of a listing that can still be bought. Most listings are single
+ * items, so a missing quantity means one; anything not active (pending,
+ * reserved for another buyer, sold or rejected) or hidden by reports has
+ * none.
+ * @param {Object} item - Listing
+ * @returns {number}
+ */
+export const getAvailableStock = (item) => {
+  if (!item || (item.status && item.status !== "active")) return 0;
+  if (isHiddenByReports(item)) return 0;
+
+  const stock = parseInt(item.quantity ?? item.stock, 10);
+  return Number.isFinite(stock) ? Math.max(stock, 0) : 1;
+};
+
+// Only what the cart page and checkout need, so snapshots stay small
+const SNAPSHOT_FIELDS = [
+  "id",
+  "title",
+  "description",
+  "price",
+  "category",
+  "status",
+  "quantity",
+  "stock",
+  "image_url",
+  "images",
+  "user",
+  "is_hidden",
+];
+
+export const toCartItem = (item) =>
+  SNAPSHOT_FIELDS.reduce(
+    (snapshot, field) =>
+      item[field] === undefined
+        ? snapshot
+        : { ...snapshot, [field]: item[field] },
+    {},
+  );
+
+export const getLineTotal = (line) =>
+  (parseFloat(line.item.price) || 0) * line.quantity;
+
+/**
+ * Cart total in dollars, rounded to cents
+ */
+export const getCartTotal = (lines) =>
+  Math.round(lines.reduce((sum, line) => sum + getLineTotal(line), 0) * 100) /
+  100;
+
+export const getCartCount = (lines) =>
+  lines.reduce((count, line) => count + line.quantity, 0);
@@ -0,0 +1,80 @@
+import {
+  getAvailableStock,
+  getCartCount,
+  getCartTotal,
+  getLineTotal,
+  readCart,
+  toCartItem,
+  writeCart,
+} from "./cart";
+
+describe("getAvailableStock", () => {
+  test("treats a listing without a quantity as a single item", () => {
+    expect(getAvailableStock({ status: "active" })).toBe(1);
+    expect(getAvailableStock({})).toBe(1);
+  });
+
+  test("reads quantity, then stock, never going below zero", () => {
+    expect(getAvailableStock({ status: "active", quantity: "3" })).toBe(3);
+    expect(getAvailableStock({ status: "active", stock: 2 })).toBe(2);
+    expect(getAvailableStock({ status: "active", quantity: -1 })).toBe(0);
+  });
+
+  test("has nothing to sell once a listing isn't active", () => {
+    ["pending", "reserved", "sold", "rejected"].forEach((status) => {
+      expect(getAvailableStock({ status, quantity: 5 })).toBe(0);
+    });
+    expect(getAvailableStock(null)).toBe(0);
+  });
+
+  test("has nothing to sell while reports keep a listing hidden", () => {
+    expect(getAvailableStock({ status: "active", is_hidden: false })).toBe(1);
+    expect(getAvailableStock({ status: "active", is_hidden: true })).toBe(0);
+  });
+});
+
+describe("totals", () => {
+  const lines = [
+    { item: { price: "19.99" }, quantity: 2 },
+    { item: { price: 0.1 }, quantity: 3 },
+    { item: { price: "free" }, quantity: 1 },
+  ];
+
+  test("multiplies each line's price by its quantity", () => {
+    expect(getLineTotal(lines[0])).toBeCloseTo(39.98);
+    expect(getLineTotal(lines[2])).toBe(0);
+  });
+
+  test("rounds the cart total to cents", () => {
+    expect(getCartTotal(lines)).toBe(40.28);
+    expect(getCartTotal([])).toBe(0);
+  });
+
+  test("counts units rather than lines", () => {
+    expect(getCartCount(lines)).toBe(6);
+  });
+});
+
+test("toCartItem keeps only the snapshot fields", () => {
+  expect(
+    toCartItem({
+      id: 1,
+      title: "Switch",
+      price: 200,
+      status: "active",
+      battery_health: 90,
+      diagnostic_report: { score: 80 },
+    }),
+  ).toEqual({ id: 1, title: "Switch", price: 200, status: "active" });
+});
+
+test("carts are stored per user", () => {
+  const lines = [{ item: { id: 1 }, quantity: 1, added_at: "2025-01-01" }];
+
+  writeCart("user-1", lines);
+  expect(readCart("user-1")).toEqual(lines);
+  expect(readCart("user-2")).toEqual([]);
+
+  writeCart("user-1", []);
+  expect(localStorage.getItem("cart:user-1")).toBeNull();
+});
@@ -0,0 +1,74 @@
+/**
+ * Local outbox for chat messages that haven't reached the server yet
+ * Entries survive reloads so nothing typed while offline is lost. Each entry
+ * carries the message ID that will be used for the insert, which makes
+ * resending idempotent.
+ */
+
+const STORAGE_KEY = "chatOutbox";
+
+export const OUTBOX_STATUS = {
+  PENDING: "pending",
+  FAILED: "failed",
+};
+
+const readOutbox = () => {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || "[]");
+  } catch (error) {
+    console.error("Error reading chat outbox:", error);
+    return [];
+  }
+};
+
+const writeOutbox = (entries) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+  } catch (error) {
+    console.error("Error writing chat outbox:", error);
+  }
+};
+
+/**
+ * Build an outbox entry for a new message
+ * @param {Object} message - { chat_session_id, sender_id, content,
+ *   message_type, metadata }
+ * @returns {Object} - Entry with a client-generated ID and pending status
+ */
+export const createOutboxEntry = (message) => ({
+  id: crypto.randomUUID(),
+  message_type: "text",
+  ...message,
+  created_at: new Date().toISOString(),
+  outbox_status: OUTBOX_STATUS.PENDING,
+  attempts: 0,
+});
+
+/**
+ * Get queued messages for a user, optionally limited to one session
+ * @param {string} userId - Sender ID
+ * @param {string} chatSessionId - Optional chat session ID
+ * @returns {Array} - Entries in the order they were queued
+ */
+export const getOutbox = (userId, chatSessionId) =>
+  readOutbox().filter(
+    (entry) =>
+      entry.sender_id === userId &&
+      (!chatSessionId || entry.chat_session_id === chatSessionId),
+  );
+
+export const addToOutbox = (entry) => {
+  writeOutbox([...readOutbox(), entry]);
+};
+
+export const updateOutboxEntry = (id, changes) => {
+  writeOutbox(
+    readOutbox().map((entry) =>
+      entry.id === id ? { ...entry, ...changes } : entry,
+    ),
+  );
+};
+
+export const removeFromOutbox = (id) => {
+  writeOutbox(readOutbox().filter((entry) => entry.id !== id));
+};
@@ -0,0 +1,317 @@
+/**
+ * Diagnostic templates
+ * One checklist per listing category, shared by DiagnosticForm and
+ * DiagnosticDisplay so a report is always scored the same way it was filed.
+ *
+ * Each check has a weight (how much it counts towards the hardware score)
+ * and is either required or optional. Optional checks can be marked N/A and
+ * are then left out of the score entirely.
+ */
+
+export const CHECK_RESULTS = {
+  PASS: "pass",
+  FAIL: "fail",
+  NOT_APPLICABLE: "na",
+};
+
+export const CHECK_RESULT_LABELS = {
+  [CHECK_RESULTS.PASS]: "Pass",
+  [CHECK_RESULTS.FAIL]: "Fail",
+  [CHECK_RESULTS.NOT_APPLICABLE]: "N/A",
+};
+
+// A failed required check means the item doesn't do its core job, so the
+// hardware score can't read as healthy no matter how the rest went
+export const REQUIRED_FAILURE_SCORE_CAP = 50;
+
+const DEFAULT_TEMPLATE = "other";
+
+export const DIAGNOSTIC_TEMPLATES = {
+  phones: {
+    label: "Phones & Tablets",
+    hasBattery: true,
+    checks: [
+      { key: "screen", label: "Screen/Display", weight: 3, required: true },
+      { key: "buttons", label: "Physical Buttons", weight: 2, required: true },
+      { key: "ports", label: "Charging/USB Ports", weight: 2, required: true },
+      { key: "camera", label: "Camera", weight: 2, required: true },
+      { key: "speakers", label: "Speakers", weight: 1, required: true },
+      { key: "microphone", label: "Microphone", weight: 1, required: true },
+      { key: "wifi", label: "Wi-Fi Connectivity", weight: 1, required: true },
+      { key: "bluetooth", label: "Bluetooth", weight: 1, required: false },
+      { key: "gps", label: "GPS", weight: 1, required: false },
+      {
+        key: "accelerometer",
+        label: "Accelerometer",
+        weight: 1,
+        required: false,
+      },
+      { key: "gyroscope", label: "Gyroscope", weight: 1, required: false },
+      {
+        key: "fingerprint",
+        label: "Fingerprint Scanner",
+        weight: 1,
+        required: false,
+      },
+      { key: "face_id", label: "Face ID", weight: 1, required: false },
+    ],
+    metrics: [],
+  },
+  computers: {
+    label: "Computers & Laptops",
+    hasBattery: true,
+    checks: [
+      { key: "screen", label: "Screen/Display", weight: 3, required: true },
+      { key: "keyboard", label: "Keyboard", weight: 3, required: true },
+      { key: "trackpad", label: "Trackpad", weight: 2, required: false },
+      { key: "hinge", label: "Hinge", weight: 2, required: false },
+      { key: "ports", label: "USB/Charging Ports", weight: 2, required: true },
+      { key: "storage", label: "Storage Health", weight: 2, required: true },
+      { key: "webcam", label: "Webcam", weight: 1, required: false },
+      { key: "speakers", label: "Speakers", weight: 1, required: false },
+      { key: "wifi", label: "Wi-Fi Connectivity", weight: 1, required: true },
+      { key: "bluetooth", label: "Bluetooth", weight: 1, required: false },
+      { key: "fans", label: "Fans/Cooling", weight: 1, required: true },
+    ],
+    metrics: [
+      {
+        key: "battery_cycles",
+        label: "Battery Cycle Count",
+        unit: "cycles",
+        min: 0,
+        max: 5000,
+      },
+    ],
+  },
+  gaming: {
+    label: "Gaming Consoles",
+    hasBattery: false,
+    checks: [
+      { key: "power", label: "Powers On", weight: 3, required: true },
+      {
+        key: "video_output",
+        label: "Video Output (HDMI)",
+        weight: 3,
+        required: true,
+      },
+      { key: "controllers", label: "Controllers", weight: 2, required: true },
+      { key: "disc_drive", label: "Disc Drive", weight: 2, required: false },
+      { key: "storage", label: "Storage", weight: 2, required: true },
+      {
+        key: "online",
+        label: "Online Connectivity",
+        weight: 1,
+        required: true,
+      },
+      { key: "fans", label: "Fans/Cooling", weight: 1, required: true },
+      { key: "usb_ports", label: "USB Ports", weight: 1, required: false },
+    ],
+    metrics: [
+      {
+        key: "controller_count",
+        label: "Controllers Included",
+        unit: "",
+        min: 0,
+        max: 8,
+      },
+    ],
+  },
+  audio: {
+    label: "Audio & Headphones",
+    hasBattery: true,
+    checks: [
+      { key: "left_channel", label: "Left Channel", weight: 3, required: true },
+      {
+        key: "right_channel",
+        label: "Right Channel",
+        weight: 3,
+        required: true,
+      },
+      { key: "microphone", label: "Microphone", weight: 1, required: false },
+      {
+        key: "bluetooth",
+        label: "Bluetooth Pairing",
+        weight: 2,
+        required: false,
+      },
+      {
+        key: "noise_cancelling",
+        label: "Noise Cancelling",
+        weight: 1,
+        required: false,
+      },
+      {
+        key: "controls",
+        label: "Buttons/Touch Controls",
+        weight: 1,
+        required: true,
+      },
+      { key: "charging", label: "Charging/Case", weight: 2, required: false },
+      {
+        key: "cushions",
+        label: "Ear Cushions/Tips",
+        weight: 1,
+        required: false,
+      },
+    ],
+    metrics: [],
+  },
+  "home-appliances": {
+    label: "Home Appliances",
+    hasBattery: false,
+    checks: [
+      { key: "power", label: "Powers On", weight: 3, required: true },
+      {
+        key: "core_function",
+        label: "Main Function Works",
+        weight: 3,
+        required: true,
+      },
+      { key: "controls", label: "Controls/Display", weight: 2, required: true },
+      {
+        key: "power_cord",
+        label: "Power Cord/Plug",
+        weight: 2,
+        required: true,
+      },
+      { key: "noise", label: "No Unusual Noise", weight: 1, required: false },
+      {
+        key: "accessories",
+        label: "Accessories Included",
+        weight: 1,
+        required: false,
+      },
+      { key: "remote", label: "Remote Control", weight: 1, required: false },
+    ],
+    metrics: [],
+  },
+  other: {
+    label: "Other Electronics",
+    hasBattery: true,
+    checks: [
+      { key: "power", label: "Powers On", weight: 3, required: true },
+      {
+        key: "core_function",
+        label: "Works as Described",
+        weight: 3,
+        required: true,
+      },
+      { key: "buttons", label: "Buttons/Controls", weight: 2, required: false },
+      { key: "ports", label: "Ports/Connectors", weight: 1, required: false },
+      {
+        key: "cosmetic",
+        label: "No Physical Damage",
+        weight: 1,
+        required: false,
+      },
+      {
+        key: "accessories",
+        label: "Accessories Included",
+        weight: 1,
+        required: false,
+      },
+    ],
+    metrics: [],
+  },
+};
+
+/**
+ * Get the template key for a listing category
+ * @param {string} category - Listing category value
+ * @returns {string} - Template key, falling back to the generic one
+ */
+export const getDiagnosticTemplateKey = (category) =>
+  DIAGNOSTIC_TEMPLATES[category] ? category : DEFAULT_TEMPLATE;
+
+/**
+ * Get the checklist for a listing category
+ * @param {string} category - Listing category value
+ * @returns {Object} - Template, falling back to the generic one
+ */
+export const getDiagnosticTemplate = (category) =>
+  DIAGNOSTIC_TEMPLATES[getDiagnosticTemplateKey(category)];
+
+/**
+ * Get the template key a report was filed with. Reports filed before
+ * templates existed only ever used the phone checklist.
+ * @param {Object} report - Diagnostic report
+ * @returns {string} - Template key
+ */
+export const getReportTemplateKey = (report) =>
+  report?.template && DIAGNOSTIC_TEMPLATES[report.template]
+    ? report.template
+    : "phones";
+
+/**
+ * Normalise a stored check result; older reports stored booleans
+ * @param {string|boolean} value - Stored result
+ * @returns {string|null} - One of CHECK_RESULTS, or null if unanswered
+ */
+export const normalizeCheckResult = (value) => {
+  if (value === true) return CHECK_RESULTS.PASS;
+  if (value === false) return CHECK_RESULTS.FAIL;
+  return Object.values(CHECK_RESULTS).includes(value) ? value : null;
+};
+
+/**
+ * Build the check results for a template, keeping any matching answers
+ * @param {Object} template - Diagnostic template
+ * @param {Object} previous - Existing hardware_tests to carry over
+ * @returns {Object} - Map of check key to result
+ */
+export const buildCheckResults = (template, previous = {}) =>
+  Object.fromEntries(
+    template.checks.map((check) => {
+      const result = normalizeCheckResult(previous[check.key]);
+      if (
+        result &&
+        !(check.required && result === CHECK_RESULTS.NOT_APPLICABLE)
+      ) {
+        return [check.key, result];
+      }
+      return [
+        check.key,
+        check.required ? CHECK_RESULTS.PASS : CHECK_RESULTS.NOT_APPLICABLE,
+      ];
+    }),
+  );
+
+/**
+ * Weighted hardware score for a set of check results
+ * @param {Object} template - Diagnostic template the results belong to
+ * @param {Object} results - Map of check key to result
+ * @returns {Object} - { score, passed, failed, notApplicable, failedRequired }
+ */
+export const calculateHardwareScore = (template, results = {}) => {
+  let earned = 0;
+  let possible = 0;
+  const summary = {
+    passed: 0,
+    failed: 0,
+    notApplicable: 0,
+    failedRequired: [],
+  };
+
+  template.checks.forEach((check) => {
+    const result = normalizeCheckResult(results[check.key]);
+
+    if (result === CHECK_RESULTS.PASS) {
+      summary.passed += 1;
+      earned += check.weight;
+      possible += check.weight;
+    } else if (result === CHECK_RESULTS.FAIL) {
+      summary.failed += 1;
+      possible += check.weight;
+      if (check.required) summary.failedRequired.push(check.key);
+    } else {
+      summary.notApplicable += 1;
+    }
+  });
+
+  let score = possible > 0 ? Math.round((earned / possible) * 100) : 0;
+  if (summary.failedRequired.length > 0) {
+    score = Math.min(score, REQUIRED_FAILURE_SCORE_CAP);
+  }
+
+  return { ...summary, score };
+};
@@ -0,0 +1,86 @@
+import {
+  CHECK_RESULTS,
+  DIAGNOSTIC_TEMPLATES,
+  REQUIRED_FAILURE_SCORE_CAP,
+  buildCheckResults,
+  calculateHardwareScore,
+  getDiagnosticTemplateKey,
+} from "./diagnosticTemplates";
+
+const { PASS, FAIL, NOT_APPLICABLE } = CHECK_RESULTS;
+
+const template = {
+  checks: [
+    { key: "screen", weight: 3, required: true },
+    { key: "ports", weight: 1, required: true },
+    { key: "camera", weight: 2, required: false },
+    { key: "gps", weight: 2, required: false },
+  ],
+  metrics: [],
+};
+
+describe("calculateHardwareScore", () => {
+  test("weights each check and leaves N/A checks out", () => {
+    const result = calculateHardwareScore(template, {
+      screen: PASS,
+      ports: PASS,
+      camera: FAIL,
+      gps: NOT_APPLICABLE,
+    });
+
+    expect(result).toEqual({
+      score: 67,
+      passed: 2,
+      failed: 1,
+      notApplicable: 1,
+      failedRequired: [],
+    });
+  });
+
+  test("caps the score when a required check fails", () => {
+    const result = calculateHardwareScore(template, {
+      screen: PASS,
+      ports: FAIL,
+      camera: PASS,
+      gps: PASS,
+    });
+
+    expect(result.failedRequired).toEqual(["ports"]);
+    expect(result.score).toBe(REQUIRED_FAILURE_SCORE_CAP);
+  });
+
+  test("reads boolean results from older reports", () => {
+    expect(
+      calculateHardwareScore(template, { screen: true, ports: false }).score,
+    ).toBe(REQUIRED_FAILURE_SCORE_CAP);
+  });
+
+  test("scores zero when nothing was answered", () => {
+    expect(calculateHardwareScore(template, {}).score).toBe(0);
+  });
+});
+
+describe("buildCheckResults", () => {
+  test("keeps matching answers and defaults the rest", () => {
+    expect(
+      buildCheckResults(template, {
+        screen: FAIL,
+        ports: NOT_APPLICABLE,
+        camera: PASS,
+        battery: FAIL,
+      }),
+    ).toEqual({
+      screen: FAIL,
+      ports: PASS,
+      camera: PASS,
+      gps: NOT_APPLICABLE,
+    });
+  });
+});
+
+test("unknown categories fall back to the generic template", () => {
+  expect(getDiagnosticTemplateKey("phones")).toBe("phones");
+  expect(DIAGNOSTIC_TEMPLATES[getDiagnosticTemplateKey("drones")]).toBe(
+    DIAGNOSTIC_TEMPLATES.other,
+  );
+});
@@ -0,0 +1,144 @@
+// Image Error Handler for Supabase Storage uploads
+
+const ERROR_MESSAGES = {
+  network:
+    "Unable to connect to the server. Please check your internet connection.",
+  auth: "Authentication failed. Please log in and try again.",
+  validation:
+    "Invalid file. Please check the file format and size requirements.",
+  storage: "Storage service error. Please try again later.",
+  database: "Database error. Please try again later.",
+  unknown: "An unexpected error occurred. Please try again.",
+};
+
+const getErrorType = (error) => {
+  const message = error?.message || "";
+
+  if (error?.name === "TypeError" && message.includes("fetch")) {
+    return "network";
+  }
+  if (
+    message.includes("401") ||
+    message.includes("Unauthorized") ||
+    error?.code === "PGRST301"
+  ) {
+    return "auth";
+  }
+  if (message.includes("Invalid file") || message.includes("validation")) {
+    return "validation";
+  }
+  if (message.includes("storage") || message.includes("bucket")) {
+    return "storage";
+  }
+  if (
+    message.includes("database") ||
+    message.includes("constraint") ||
+    error?.code === "PGRST116"
+  ) {
+    return "database";
+  }
+  return "unknown";
+};
+
+// Get user-friendly error message
+export const getUserFriendlyErrorMessage = (error) =>
+  ERROR_MESSAGES[getErrorType(error)];
+
+// Retry upload with exponential backoff
+export const retryUpload = async (
+  uploadFunction,
+  maxRetries = 3,
+  delay = 1000,
+) => {
+  let lastError;
+
+  for (let attempt = 1; attempt <= maxRetries; attempt++) {
+    try {
+      const result = await uploadFunction();
+      if (result.success) return result;
+
+      lastError = result.error;
+
+      // If it's a validation error, don't retry
+      if (
+        result.error?.includes("Invalid file") ||
+        result.error?.includes("validation")
+      ) {
+        break;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+
+    // Exponential backoff, but not after the final attempt
+    if (attempt < maxRetries) {
+      const backoffDelay = delay * Math.pow(2, attempt - 1);
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay));
+    }
+  }
+
+  return {
+    success: false,
+    error: lastError || "Upload failed after multiple attempts",
+  };
+};
+
+// Batch upload with error handling
+export const batchUploadWithRetry = async (
+  uploadFunction,
+  files,
+  options = {},
+) => {
+  const { maxRetries = 2, batchSize = 3 } = options;
+  const results = [];
+  const successfulUploads = [];
+  const failedUploads = [];
+
+  // Process files in batches
+  for (let i = 0; i < files.length; i += batchSize) {
+    const batch = files.slice(i, i + batchSize);
+
+    const batchResults = await Promise.allSettled(
+      batch.map((file) => retryUpload(() => uploadFunction(file), maxRetries)),
+    );
+
+    batchResults.forEach((result, index) => {
+      const file = batch[index];
+      const uploadResult =
+        result.status === "fulfilled"
+          ? result.value
+          : {
+              success: false,
+              error: result.reason?.message || "Upload failed",
+            };
+
+      results.push(uploadResult);
+
+      if (uploadResult.success) {
+        successfulUploads.push({ file, ...uploadResult.data });
+      } else {
+        failedUploads.push({ file, error: uploadResult.error });
+      }
+    });
+  }
+
+  return {
+    success: failedUploads.length === 0,
+    results,
+    successfulUploads,
+    failedUploads,
+    summary: {
+      total: files.length,
+      successful: successfulUploads.length,
+      failed: failedUploads.length,
+    },
+  };
+};
+
+const imageErrorHandler = {
+  getUserFriendlyErrorMessage,
+  retryUpload,
+  batchUploadWithRetry,
+};
+
+export default imageErrorHandler;
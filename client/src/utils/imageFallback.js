@@ -1,132 +1,81 @@
 import React from "react";
+import { CATEGORY_OPTIONS } from "./listingQuery";
 
 /**
- * Fallback image handling utility with multiple strategies
+ * Fallback images for products whose photos are missing or fail to load
+ * Every fallback is an inline SVG, so they also work offline.
  */
 
-// Fallback image URLs (you can customize these)
-const FALLBACK_STRATEGIES = {
-  // Placeholder images from various sources
-  placeholderImages: [
-    "data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMzAwIiBoZWlnaHQ9IjMwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZGRkIi8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtZmFtaWx5PSJBcmlhbCIgZm9udC1zaXplPSIxOCIgZmlsbD0iIzk5OSIgdGV4dC1hbmNob3I9Im1pZGRsZSIgZHk9Ii4zZW0iPkltYWdlIE5vdCBBdmFpbGFibGU8L3RleHQ+PC9zdmc+",
-    "https://via.placeholder.com/300x200/cccccc/999999?text=Image+Not+Available",
-    "https://picsum.photos/seed/fallback/300/200.jpg",
-  ],
-
-  // Category-specific fallback images
-  categoryImages: {
-    Electronics:
-      "https://via.placeholder.com/300x200/4a90e2/ffffff?text=Electronics",
-    Clothing: "https://via.placeholder.com/300x200/e24a90/ffffff?text=Clothing",
-    "Home & Garden":
-      "https://via.placeholder.com/300x200/90e24a/ffffff?text=Home+Garden",
-    "Sports & Outdoors":
-      "https://via.placeholder.com/300x200/e2a04a/ffffff?text=Sports",
-    Books: "https://via.placeholder.com/300x200/a04ae2/ffffff?text=Books",
-    "Toys & Games":
-      "https://via.placeholder.com/300x200/e24a4a/ffffff?text=Toys",
-    Automotive:
-      "https://via.placeholder.com/300x200/4ae2a0/ffffff?text=Automotive",
-    "Health & Beauty":
-      "https://via.placeholder.com/300x200/e24aa0/ffffff?text=Beauty",
-    Other: "https://via.placeholder.com/300x200/cccccc/999999?text=Other",
-  },
+// Icon artwork drawn on a 48x48 grid, centred in each fallback image
+const CATEGORY_ICONS = {
+  phones:
+    '<rect x="14" y="4" width="20" height="40" rx="4"/><line x1="21" y1="38" x2="27" y2="38"/>',
+  "home-appliances":
+    '<rect x="8" y="4" width="32" height="40" rx="3"/><line x1="8" y1="14" x2="40" y2="14"/><circle cx="24" cy="29" r="9"/>',
+  computers:
+    '<rect x="6" y="8" width="36" height="24" rx="2"/><line x1="18" y1="40" x2="30" y2="40"/><line x1="24" y1="32" x2="24" y2="40"/>',
+  gaming:
+    '<path d="M14 14h20a10 10 0 0 1 10 10v4a8 8 0 0 1-14 5l-2-3h-8l-2 3a8 8 0 0 1-14-5v-4a10 10 0 0 1 10-10z"/><line x1="12" y1="23" x2="20" y2="23"/><line x1="16" y1="19" x2="16" y2="27"/>',
+  audio:
+    '<path d="M8 30v-6a16 16 0 0 1 32 0v6"/><rect x="6" y="28" width="8" height="14" rx="3"/><rect x="34" y="28" width="8" height="14" rx="3"/>',
+  other: '<path d="M26 4L10 28h13l-2 16 16-24H24z"/>',
 };
 
-/**
- * Get fallback image URL with multiple strategies
- * @param {Object} product - Product object to determine category
- * @param {number} attempt - Current attempt number (for cycling through strategies)
- * @returns {string} Fallback image URL
- */
-export const getFallbackImageUrl = (product, attempt = 0) => {
-  console.log("🔄 Getting fallback image:", {
-    productId: product?.id,
-    category: product?.category,
-    attempt,
-  });
-
-  // Strategy 1: Category-specific fallback
-  if (
-    product?.category &&
-    FALLBACK_STRATEGIES.categoryImages[product.category]
-  ) {
-    console.log("📂 Using category-specific fallback for:", product.category);
-    return FALLBACK_STRATEGIES.categoryImages[product.category];
-  }
-
-  // Strategy 2: Cycle through placeholder images
-  const placeholderIndex =
-    attempt % FALLBACK_STRATEGIES.placeholderImages.length;
-  const fallbackUrl = FALLBACK_STRATEGIES.placeholderImages[placeholderIndex];
-
-  console.log("🖼️ Using placeholder fallback:", {
-    index: placeholderIndex,
-    url: fallbackUrl,
-  });
-
-  return fallbackUrl;
+const CATEGORY_COLORS = {
+  phones: "#3b82f6",
+  "home-appliances": "#10b981",
+  computers: "#6366f1",
+  gaming: "#ef4444",
+  audio: "#f59e0b",
+  other: "#6b7280",
 };
 
+const CATEGORY_LABELS = CATEGORY_OPTIONS.reduce(
+  (labels, option) => ({ ...labels, [option.value]: option.label }),
+  {},
+);
+
 /**
- * Test if a URL is accessible
- * @param {string} url - URL to test
- * @returns {Promise<boolean>} True if URL is accessible
+ * Build an inline SVG placeholder so fallbacks never depend on the network
+ * @param {string} label - Text under the icon
+ * @param {string} color - Accent color
+ * @param {string} icon - SVG markup on a 48x48 grid
+ * @returns {string} - data: URL
  */
-export const testImageUrl = async (url) => {
-  if (!url) return false;
-
-  try {
-    const response = await fetch(url, {
-      method: "HEAD",
-      mode: "no-cors",
-    });
-    return true;
-  } catch (error) {
-    console.warn("⚠️ Image URL test failed:", url, error.message);
-    return false;
-  }
+const buildFallbackSvg = (label, color, icon) => {
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="300" height="300" viewBox="0 0 300 300">
+<rect width="300" height="300" fill="${color}" fill-opacity="0.12"/>
+<g transform="translate(102 82) scale(2)" fill="none" stroke="${color}" stroke-width="2.5" stroke-linecap="round" stroke-linejoin="round">${icon}</g>
+<text x="150" y="220" font-family="Arial, sans-serif" font-size="18" fill="${color}" text-anchor="middle">${label.replace(/&/g, "&amp;")}</text>
+</svg>`;
+  return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
 };
 
+const GENERIC_FALLBACK = buildFallbackSvg(
+  "Image Not Available",
+  "#9ca3af",
+  '<rect x="4" y="8" width="40" height="32" rx="3"/><circle cx="16" cy="19" r="4"/><path d="M4 34l12-10 10 8 6-5 12 9"/>',
+);
+
+const CATEGORY_FALLBACKS = Object.keys(CATEGORY_ICONS).reduce(
+  (fallbacks, category) => ({
+    ...fallbacks,
+    [category]: buildFallbackSvg(
+      CATEGORY_LABELS[category] || "Electronics",
+      CATEGORY_COLORS[category],
+      CATEGORY_ICONS[category],
+    ),
+  }),
+  {},
+);
+
 /**
- * Get working fallback image with retry logic
- * @param {Object} product - Product object
- * @param {number} maxAttempts - Maximum number of attempts
- * @returns {Promise<string>} Working fallback image URL
+ * Get the local fallback image for a product
+ * @param {Object} product - Product object to determine category
+ * @returns {string} Fallback image data URL
  */
-export const getWorkingFallbackImage = async (product, maxAttempts = 3) => {
-  console.log("🔍 Searching for working fallback image...");
-
-  for (let attempt = 0; attempt < maxAttempts; attempt++) {
-    const fallbackUrl = getFallbackImageUrl(product, attempt);
-
-    console.log(
-      `🧪 Testing fallback image (attempt ${attempt + 1}):`,
-      fallbackUrl,
-    );
-
-    // For data URLs and certain placeholder services, skip the test and return directly
-    if (
-      fallbackUrl.startsWith("data:image/") ||
-      fallbackUrl.includes("via.placeholder.com") ||
-      fallbackUrl.includes("picsum.photos")
-    ) {
-      console.log("✅ Using trusted fallback image:", fallbackUrl);
-      return fallbackUrl;
-    }
-
-    // Test other URLs
-    const isAccessible = await testImageUrl(fallbackUrl);
-    if (isAccessible) {
-      console.log("✅ Found working fallback image:", fallbackUrl);
-      return fallbackUrl;
-    }
-  }
-
-  // If all attempts fail, return the first placeholder
-  console.warn("⚠️ All fallback attempts failed, using default placeholder");
-  return FALLBACK_STRATEGIES.placeholderImages[0];
-};
+export const getFallbackImageUrl = (product) =>
+  CATEGORY_FALLBACKS[product?.category] || GENERIC_FALLBACK;
 
 /**
  * Image fallback component hook
@@ -138,21 +87,11 @@ export const useImageFallback = (product) => {
   const [isUsingFallback, setIsUsingFallback] = React.useState(false);
   const [fallbackUrl, setFallbackUrl] = React.useState(null);
 
-  const handleImageError = React.useCallback(async () => {
-    console.log("🔄 Image load failed, attempting fallback...");
-
-    try {
-      const workingFallback = await getWorkingFallbackImage(
-        product,
-        fallbackAttempt + 1,
-      );
-      setFallbackUrl(workingFallback);
-      setIsUsingFallback(true);
-      setFallbackAttempt((prev) => prev + 1);
-    } catch (error) {
-      console.error("❌ Failed to get fallback image:", error);
-    }
-  }, [product, fallbackAttempt]);
+  const handleImageError = React.useCallback(() => {
+    setFallbackUrl(getFallbackImageUrl(product));
+    setIsUsingFallback(true);
+    setFallbackAttempt((prev) => prev + 1);
+  }, [product]);
 
   const resetFallback = React.useCallback(() => {
     setFallbackAttempt(0);
@@ -169,9 +108,9 @@ export const useImageFallback = (product) => {
   };
 };
 
-export default {
+const imageFallback = {
   getFallbackImageUrl,
-  testImageUrl,
-  getWorkingFallbackImage,
   useImageFallback,
 };
+
+export default imageFallback;
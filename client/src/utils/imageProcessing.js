@@ -0,0 +1,172 @@
+/**
+ * Client-side image processing for post photos
+ * Everything here re-encodes through a canvas, which applies the EXIF
+ * orientation and drops all other metadata (camera details, GPS location).
+ */
+
+const ENCODE_QUALITY = 0.92;
+
+// Canvases can only encode these; anything else is written out as JPEG
+const ENCODABLE_TYPES = ["image/jpeg", "image/png", "image/webp"];
+
+// Files written by this module, so they aren't re-encoded a second time
+const processedFiles = new WeakSet();
+
+/**
+ * Decode an image with its EXIF orientation applied
+ * @param {Blob} blob - Image file
+ * @returns {Promise<ImageBitmap|HTMLImageElement>}
+ */
+export const loadOrientedImage = async (blob) => {
+  if (typeof createImageBitmap === "function") {
+    try {
+      return await createImageBitmap(blob, { imageOrientation: "from-image" });
+    } catch (error) {
+      console.warn("createImageBitmap failed, falling back to <img>:", error);
+    }
+  }
+
+  // Browsers honour EXIF orientation on <img> by default
+  const url = URL.createObjectURL(blob);
+  try {
+    return await new Promise((resolve, reject) => {
+      const image = new Image();
+      image.onload = () => resolve(image);
+      image.onerror = () => reject(new Error("Invalid file: unreadable image"));
+      image.src = url;
+    });
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+};
+
+/**
+ * Size of an image once rotated
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ * @param {number} rotation - Clockwise rotation in degrees (multiple of 90)
+ * @returns {Object} - { width, height }
+ */
+export const getRotatedSize = (image, rotation) => {
+  const width = image.naturalWidth || image.width;
+  const height = image.naturalHeight || image.height;
+  return rotation % 180 === 0
+    ? { width, height }
+    : { width: height, height: width };
+};
+
+/**
+ * Draw an image rotated onto a canvas context sized to its rotated bounds
+ * @param {CanvasRenderingContext2D} context - Target context
+ * @param {ImageBitmap|HTMLImageElement} image - Decoded image
+ * @param {number} rotation - Clockwise rotation in degrees (multiple of 90)
+ * @param {number} scale - Scale applied to the drawn image
+ */
+export const drawRotatedImage = (context, image, rotation, scale = 1) => {
+  const width = (image.naturalWidth || image.width) * scale;
+  const height = (image.naturalHeight || image.height) * scale;
+  const rotated = getRotatedSize(image, rotation);
+
+  context.save();
+  context.translate((rotated.width * scale) / 2, (rotated.height * scale) / 2);
+  context.rotate((rotation * Math.PI) / 180);
+  context.drawImage(image, -width / 2, -height / 2, width, height);
+  context.restore();
+};
+
+const canvasToBlob = (canvas, type) =>
+  new Promise((resolve, reject) => {
+    canvas.toBlob(
+      (blob) =>
+        blob ? resolve(blob) : reject(new Error("Failed to encode image")),
+      type,
+      ENCODE_QUALITY,
+    );
+  });
+
+/**
+ * Re-encode an image with the given edits applied
+ * @param {Blob} source - Original image
+ * @param {Object} options - { name, type, rotation, crop, maxSize }; crop
+ *   is { x, y, width, height } as fractions of the rotated image, maxSize
+ *   caps the longest edge of the output in pixels
+ * @returns {Promise<File>} - Edited image without metadata
+ */
+export const renderEditedImage = async (
+  source,
+  {
+    name = source.name || "image.jpg",
+    type = source.type,
+    rotation = 0,
+    crop,
+    maxSize,
+  } = {},
+) => {
+  const image = await loadOrientedImage(source);
+  const rotated = getRotatedSize(image, rotation);
+
+  const rotatedCanvas = document.createElement("canvas");
+  rotatedCanvas.width = rotated.width;
+  rotatedCanvas.height = rotated.height;
+  drawRotatedImage(rotatedCanvas.getContext("2d"), image, rotation);
+  if (image.close) image.close();
+
+  const area = crop || { x: 0, y: 0, width: 1, height: 1 };
+  const sourceWidth = Math.max(1, Math.round(area.width * rotated.width));
+  const sourceHeight = Math.max(1, Math.round(area.height * rotated.height));
+  const scale = maxSize
+    ? Math.min(1, maxSize / Math.max(sourceWidth, sourceHeight))
+    : 1;
+  const outputType = ENCODABLE_TYPES.includes(type) ? type : "image/jpeg";
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+  canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+  const context = canvas.getContext("2d");
+  if (outputType === "image/jpeg") {
+    // JPEG has no alpha; transparent areas would otherwise turn black
+    context.fillStyle = "#ffffff";
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+  context.drawImage(
+    rotatedCanvas,
+    Math.round(area.x * rotated.width),
+    Math.round(area.y * rotated.height),
+    sourceWidth,
+    sourceHeight,
+    0,
+    0,
+    canvas.width,
+    canvas.height,
+  );
+
+  const blob = await canvasToBlob(canvas, outputType);
+  const file = new File([blob], name, {
+    type: outputType,
+    lastModified: Date.now(),
+  });
+  processedFiles.add(file);
+  return file;
+};
+
+/**
+ * Remove EXIF/GPS and other metadata from a photo before it leaves the
+ * browser, baking its orientation into the pixels
+ * GIFs are passed through: re-encoding would flatten animations and they
+ * don't carry EXIF data.
+ * @param {File} file - Image selected by the user
+ * @returns {Promise<File>}
+ */
+export const stripImageMetadata = async (file) => {
+  if (processedFiles.has(file) || file.type === "image/gif") return file;
+  return renderEditedImage(file);
+};
+
+/**
+ * Create a downscaled JPEG copy of an image
+ * @param {Blob} source - Image to resize
+ * @param {number} maxSize - Longest edge of the copy in pixels
+ * @param {string} name - File name of the copy
+ * @returns {Promise<File>}
+ */
+export const createResizedCopy = (source, maxSize, name) =>
+  renderEditedImage(source, { name, type: "image/jpeg", maxSize });
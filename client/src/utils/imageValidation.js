@@ -0,0 +1,29 @@
+/**
+ * Image upload rules shared by listing forms and chat attachments
+ */
+
+export const IMAGE_TYPES = [
+  "image/jpeg",
+  "image/jpg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+];
+
+export const MAX_IMAGE_SIZE = 20 * 1024 * 1024; // 20MB
+export const MAX_POST_IMAGES = 5;
+
+/**
+ * Validate a single image file
+ * @param {File} file - File chosen by the user
+ * @returns {string|null} - Error message, or null when the file is valid
+ */
+export const validateImageFile = (file) => {
+  if (!IMAGE_TYPES.includes(file.type)) {
+    return `Invalid file type: ${file.name}. Only JPEG, PNG, WebP, and GIF are allowed.`;
+  }
+  if (file.size > MAX_IMAGE_SIZE) {
+    return `File too large: ${file.name}. Maximum size is 20MB.`;
+  }
+  return null;
+};
@@ -0,0 +1,47 @@
+/**
+ * Resized copies of uploaded post images
+ * Each upload gets its own folder holding the original and one file per
+ * variant, so variant paths can be derived from the original's path. Images
+ * uploaded before variants existed don't follow this layout and only have
+ * the original.
+ */
+
+// Longest edge in pixels; originals are capped at ORIGINAL_MAX_SIZE
+export const IMAGE_VARIANTS = {
+  thumb: 320,
+  medium: 960,
+};
+
+export const ORIGINAL_MAX_SIZE = 1920;
+
+const VARIANT_EXTENSION = "jpg";
+const ORIGINAL_PATTERN = /\/original\.[a-z0-9]+$/i;
+
+/**
+ * Build storage paths for a new upload and its variants
+ * @param {string} folder - Upload folder, e.g. `${userId}/${uploadId}`
+ * @param {string} extension - Original file extension
+ * @returns {Object} - { original, thumb, medium }
+ */
+export const buildImagePaths = (folder, extension) =>
+  Object.keys(IMAGE_VARIANTS).reduce(
+    (paths, variant) => ({
+      ...paths,
+      [variant]: `${folder}/${variant}.${VARIANT_EXTENSION}`,
+    }),
+    { original: `${folder}/original.${extension}` },
+  );
+
+/**
+ * Get the variant paths stored next to an original
+ * @param {string} storagePath - Path of the original image
+ * @returns {Object|null} - { thumb, medium }, or null for images uploaded
+ *   without variants
+ */
+export const getVariantPaths = (storagePath) => {
+  if (!storagePath || !ORIGINAL_PATTERN.test(storagePath)) return null;
+
+  const folder = storagePath.replace(ORIGINAL_PATTERN, "");
+  const { original, ...variants } = buildImagePaths(folder, "");
+  return variants;
+};
@@ -0,0 +1,236 @@
+/**
+ * Listing feed query helpers
+ * Keeps the HomePage filters, sort order and pagination in sync with the URL
+ * query string and translates them into `/api/items` request parameters.
+ */
+
+import { isHiddenByReports } from "./reports";
+
+export const LISTINGS_PAGE_SIZE = 12;
+
+export const CATEGORY_OPTIONS = [
+  { value: "phones", label: "Phones & Tablets" },
+  { value: "home-appliances", label: "Home Appliances" },
+  { value: "computers", label: "Computers & Laptops" },
+  { value: "gaming", label: "Gaming Consoles" },
+  { value: "audio", label: "Audio & Headphones" },
+  { value: "other", label: "Other Electronics" },
+];
+
+export const CONDITION_OPTIONS = [
+  { value: "new", label: "New" },
+  { value: "like-new", label: "Like New" },
+  { value: "good", label: "Good" },
+  { value: "fair", label: "Fair" },
+  { value: "poor", label: "Poor" },
+];
+
+export const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "price_asc", label: "Price: Low to High" },
+  { value: "price_desc", label: "Price: High to Low" },
+  { value: "battery_desc", label: "Best Battery" },
+];
+
+export const DEFAULT_SORT = "newest";
+
+// URL query key -> API query key for every supported filter facet
+const FILTER_PARAMS = {
+  q: "search",
+  category: "category",
+  condition: "condition",
+  minPrice: "min_price",
+  maxPrice: "max_price",
+  minBattery: "min_battery",
+  boughtAfter: "bought_after",
+  boughtBefore: "bought_before",
+};
+
+export const EMPTY_LISTING_FILTERS = Object.keys(FILTER_PARAMS).reduce(
+  (acc, key) => ({ ...acc, [key]: "" }),
+  {},
+);
+
+/**
+ * Read the listing query (filters + sort) from URL search params
+ * @param {URLSearchParams} searchParams - Current location search params
+ * @returns {Object} - Filters keyed by URL name plus `sort`
+ */
+export const parseListingQuery = (searchParams) => {
+  const query = { ...EMPTY_LISTING_FILTERS };
+
+  Object.keys(FILTER_PARAMS).forEach((key) => {
+    query[key] = searchParams.get(key) || "";
+  });
+
+  const sort = searchParams.get("sort");
+  query.sort = SORT_OPTIONS.some((option) => option.value === sort)
+    ? sort
+    : DEFAULT_SORT;
+
+  return query;
+};
+
+/**
+ * Build URL search params for a listing query, omitting empty values so
+ * bookmarked and shared links stay short
+ * @param {Object} query - Filters keyed by URL name plus `sort`
+ * @returns {URLSearchParams}
+ */
+export const buildListingSearchParams = (query) => {
+  const params = new URLSearchParams();
+
+  Object.keys(FILTER_PARAMS).forEach((key) => {
+    const value = `${query[key] ?? ""}`.trim();
+    if (value) params.set(key, value);
+  });
+
+  if (query.sort && query.sort !== DEFAULT_SORT) {
+    params.set("sort", query.sort);
+  }
+
+  return params;
+};
+
+/**
+ * Build the `/api/items` endpoint for one page of the listing feed
+ * @param {Object} query - Filters keyed by URL name plus `sort`
+ * @param {number} page - 1-based page number
+ * @param {number} limit - Page size
+ * @returns {string} - Endpoint path with query string
+ */
+export const buildListingEndpoint = (
+  query,
+  page = 1,
+  limit = LISTINGS_PAGE_SIZE,
+) => {
+  const params = new URLSearchParams();
+
+  Object.entries(FILTER_PARAMS).forEach(([key, apiKey]) => {
+    const value = `${query[key] ?? ""}`.trim();
+    if (value) params.set(apiKey, value);
+  });
+
+  params.set("sort", query.sort || DEFAULT_SORT);
+  params.set("page", String(page));
+  params.set("limit", String(limit));
+
+  return `/api/items?${params.toString()}`;
+};
+
+/**
+ * Normalize a listing page response. The API may answer with a bare array
+ * (legacy) or with `{ items, hasMore, total }`.
+ * @param {Array|Object} data - Parsed response body
+ * @param {number} limit - Requested page size
+ * @returns {{items: Array, hasMore: boolean, total: number|null}}
+ */
+export const normalizeListingPage = (data, limit = LISTINGS_PAGE_SIZE) => {
+  if (Array.isArray(data)) {
+    return { items: data, hasMore: data.length >= limit, total: null };
+  }
+
+  const items = data?.items || data?.data || [];
+  const hasMore =
+    typeof data?.hasMore === "boolean"
+      ? data.hasMore
+      : typeof data?.total === "number"
+        ? (data.page || 1) * limit < data.total
+        : items.length >= limit;
+
+  return {
+    items,
+    hasMore,
+    total: typeof data?.total === "number" ? data.total : null,
+  };
+};
+
+/**
+ * Count active filter facets (search text and sort excluded)
+ * @param {Object} query - Filters keyed by URL name
+ * @returns {number}
+ */
+export const countActiveFilters = (query) =>
+  Object.keys(FILTER_PARAMS).filter((key) => key !== "q" && query[key]).length;
+
+const getOptionLabel = (options, value) =>
+  options.find((option) => option.value === value)?.label || value;
+
+/**
+ * Short human-readable summary of a listing query, e.g.
+ * `"iphone" · Phones & Tablets · Battery ≥ 80%`
+ * @param {Object} query - Filters keyed by URL name
+ * @returns {string}
+ */
+export const describeListingQuery = (query) => {
+  const parts = [];
+
+  if (query.q) parts.push(`"${query.q}"`);
+  if (query.category) {
+    parts.push(getOptionLabel(CATEGORY_OPTIONS, query.category));
+  }
+  if (query.condition) {
+    parts.push(getOptionLabel(CONDITION_OPTIONS, query.condition));
+  }
+  if (query.minPrice && query.maxPrice) {
+    parts.push(`$${query.minPrice}–$${query.maxPrice}`);
+  } else if (query.minPrice) {
+    parts.push(`From $${query.minPrice}`);
+  } else if (query.maxPrice) {
+    parts.push(`Up to $${query.maxPrice}`);
+  }
+  if (query.minBattery) parts.push(`Battery ≥ ${query.minBattery}%`);
+  if (query.boughtAfter) parts.push(`Bought after ${query.boughtAfter}`);
+  if (query.boughtBefore) parts.push(`Bought before ${query.boughtBefore}`);
+
+  return parts.join(" · ") || "All listings";
+};
+
+const toNumber = (value) =>
+  value === "" || value === null || value === undefined ? null : Number(value);
+
+/**
+ * Client-side check of an item against a listing query's filters, mirroring
+ * what `/api/items` applies server-side. Used for items that arrive over
+ * realtime rather than through the feed.
+ * @param {Object} item - Item record
+ * @param {Object} query - Filters keyed by URL name
+ * @returns {boolean}
+ */
+export const matchesListingQuery = (item, query) => {
+  // Reserved, sold and unreviewed listings can't be bought, so never match
+  if (!item || (item.status && item.status !== "active")) return false;
+  if (isHiddenByReports(item)) return false;
+
+  const search = `${query.q ?? ""}`.trim().toLowerCase();
+  if (search) {
+    const text = `${item.title || ""} ${item.description || ""}`.toLowerCase();
+    if (!text.includes(search)) return false;
+  }
+
+  if (query.category && item.category !== query.category) return false;
+  if (query.condition && item.condition !== query.condition) return false;
+
+  const price = toNumber(item.price);
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== null && (price === null || price < minPrice)) return false;
+  if (maxPrice !== null && (price === null || price > maxPrice)) return false;
+
+  const battery = toNumber(item.battery_health);
+  const minBattery = toNumber(query.minBattery);
+  if (minBattery !== null && (battery === null || battery < minBattery)) {
+    return false;
+  }
+
+  // ISO dates (YYYY-MM-DD) compare correctly as strings
+  const bought = item.date_bought ? `${item.date_bought}`.slice(0, 10) : "";
+  if (query.boughtAfter && (!bought || bought < query.boughtAfter)) {
+    return false;
+  }
+  if (query.boughtBefore && (!bought || bought > query.boughtBefore)) {
+    return false;
+  }
+
+  return true;
+};
@@ -0,0 +1,177 @@
+import {
+  DEFAULT_SORT,
+  EMPTY_LISTING_FILTERS,
+  buildListingEndpoint,
+  buildListingSearchParams,
+  countActiveFilters,
+  describeListingQuery,
+  matchesListingQuery,
+  normalizeListingPage,
+  parseListingQuery,
+} from "./listingQuery";
+
+describe("parseListingQuery", () => {
+  test("fills every filter and falls back to the default sort", () => {
+    const query = parseListingQuery(new URLSearchParams("category=audio"));
+
+    expect(query).toEqual({
+      ...EMPTY_LISTING_FILTERS,
+      category: "audio",
+      sort: DEFAULT_SORT,
+    });
+  });
+
+  test("ignores unknown sort values", () => {
+    expect(parseListingQuery(new URLSearchParams("sort=cheapest")).sort).toBe(
+      DEFAULT_SORT,
+    );
+    expect(parseListingQuery(new URLSearchParams("sort=price_asc")).sort).toBe(
+      "price_asc",
+    );
+  });
+});
+
+describe("buildListingSearchParams", () => {
+  test("omits empty filters and the default sort", () => {
+    const params = buildListingSearchParams({
+      ...EMPTY_LISTING_FILTERS,
+      q: "  iphone ",
+      minBattery: "80",
+      sort: DEFAULT_SORT,
+    });
+
+    expect(params.toString()).toBe("q=iphone&minBattery=80");
+  });
+
+  test("round-trips through parseListingQuery", () => {
+    const query = {
+      ...EMPTY_LISTING_FILTERS,
+      category: "phones",
+      maxPrice: "500",
+      sort: "price_desc",
+    };
+
+    expect(parseListingQuery(buildListingSearchParams(query))).toEqual(query);
+  });
+});
+
+describe("buildListingEndpoint", () => {
+  test("maps filters to API names and adds paging", () => {
+    const endpoint = buildListingEndpoint(
+      { ...EMPTY_LISTING_FILTERS, q: "ps5", minPrice: "100", sort: "" },
+      3,
+      20,
+    );
+
+    expect(endpoint).toBe(
+      "/api/items?search=ps5&min_price=100&sort=newest&page=3&limit=20",
+    );
+  });
+});
+
+describe("normalizeListingPage", () => {
+  test("treats a full bare array as having more pages", () => {
+    expect(normalizeListingPage([1, 2], 2)).toEqual({
+      items: [1, 2],
+      hasMore: true,
+      total: null,
+    });
+  });
+
+  test("derives hasMore from total when the API doesn't send it", () => {
+    expect(
+      normalizeListingPage({ items: [1, 2], page: 2, total: 4 }, 2),
+    ).toEqual({ items: [1, 2], hasMore: false, total: 4 });
+  });
+});
+
+test("countActiveFilters ignores search text", () => {
+  expect(
+    countActiveFilters({
+      ...EMPTY_LISTING_FILTERS,
+      q: "ipad",
+      category: "phones",
+      minBattery: "70",
+    }),
+  ).toBe(2);
+});
+
+test("describeListingQuery summarises the active filters", () => {
+  expect(describeListingQuery(EMPTY_LISTING_FILTERS)).toBe("All listings");
+  expect(
+    describeListingQuery({
+      ...EMPTY_LISTING_FILTERS,
+      q: "iphone",
+      category: "phones",
+      minPrice: "100",
+      maxPrice: "300",
+    }),
+  ).toBe('"iphone" · Phones & Tablets · $100–$300');
+});
+
+describe("matchesListingQuery", () => {
+  const item = {
+    title: "iPhone 13",
+    description: "Unlocked, 128GB",
+    category: "phones",
+    condition: "good",
+    status: "active",
+    price: 450,
+    battery_health: 88,
+    date_bought: "2023-05-20T00:00:00Z",
+  };
+  const query = (filters) => ({ ...EMPTY_LISTING_FILTERS, ...filters });
+
+  test("matches an item against every filter facet", () => {
+    expect(
+      matchesListingQuery(
+        item,
+        query({
+          q: "UNLOCKED",
+          category: "phones",
+          condition: "good",
+          minPrice: "400",
+          maxPrice: "450",
+          minBattery: "80",
+          boughtAfter: "2023-01-01",
+          boughtBefore: "2023-05-20",
+        }),
+      ),
+    ).toBe(true);
+  });
+
+  test("rejects items outside a facet", () => {
+    expect(matchesListingQuery(item, query({ q: "galaxy" }))).toBe(false);
+    expect(matchesListingQuery(item, query({ category: "audio" }))).toBe(false);
+    expect(matchesListingQuery(item, query({ maxPrice: "449" }))).toBe(false);
+    expect(matchesListingQuery(item, query({ minBattery: "90" }))).toBe(false);
+    expect(
+      matchesListingQuery(item, query({ boughtAfter: "2023-06-01" })),
+    ).toBe(false);
+  });
+
+  test("rejects items missing a filtered value", () => {
+    const bare = { ...item, battery_health: null, date_bought: null };
+
+    expect(matchesListingQuery(bare, query({ minBattery: "0" }))).toBe(false);
+    expect(
+      matchesListingQuery(bare, query({ boughtBefore: "2030-01-01" })),
+    ).toBe(false);
+  });
+
+  test("only matches listings that can still be bought", () => {
+    expect(matchesListingQuery({ ...item, status: "reserved" }, query())).toBe(
+      false,
+    );
+    expect(matchesListingQuery({ ...item, status: "sold" }, query())).toBe(
+      false,
+    );
+    expect(matchesListingQuery({ ...item, status: undefined }, query())).toBe(
+      true,
+    );
+    expect(matchesListingQuery(null, query())).toBe(false);
+    expect(matchesListingQuery({ ...item, is_hidden: true }, query())).toBe(
+      false,
+    );
+  });
+});
@@ -1,43 +1,17 @@
 /**
- * Frontend-only storage for product additional fields
- * This stores battery_health and market_value that users enter during post creation
+ * Legacy frontend-only storage for product additional fields
+ * battery_health and market_value used to be kept only in the seller's
+ * browser. They are now stored with the item; this module only remains to
+ * upload values left behind by older versions of the app.
  */
 
-const STORAGE_KEY = "productAdditionalFields";
-
-/**
- * Store additional fields for a product
- * @param {string} productId - The product ID
- * @param {Object} fields - Additional fields to store (battery_health, market_value)
- */
-export const storeProductFields = (productId, fields) => {
-  try {
-    const existingData = getStoredProductFields();
-    existingData[productId] = {
-      ...existingData[productId],
-      ...fields,
-      timestamp: Date.now(),
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(existingData));
-  } catch (error) {
-    console.error("Error storing product fields:", error);
-  }
-};
+import { queryCache, fetchApi } from "./queryCache";
+import { itemsService } from "../services/itemsService";
 
-/**
- * Get stored additional fields for a product
- * @param {string} productId - The product ID
- * @returns {Object} - Stored fields or empty object
- */
-export const getProductFields = (productId) => {
-  try {
-    const allData = getStoredProductFields();
-    return allData[productId] || {};
-  } catch (error) {
-    console.error("Error getting product fields:", error);
-    return {};
-  }
-};
+const STORAGE_KEY = "productAdditionalFields";
+// Per user: stored entries already found to belong to someone else
+const SKIPPED_KEY_PREFIX = "productAdditionalFieldsSkipped:";
+const MIGRATED_FIELDS = ["battery_health", "market_value"];
 
 /**
  * Get all stored product fields
@@ -61,29 +35,104 @@ export const removeProductFields = (productId) => {
   try {
     const existingData = getStoredProductFields();
     delete existingData[productId];
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(existingData));
+
+    if (Object.keys(existingData).length === 0) {
+      localStorage.removeItem(STORAGE_KEY);
+    } else {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(existingData));
+    }
   } catch (error) {
     console.error("Error removing product fields:", error);
   }
 };
 
+const getSkippedProductIds = (userId) => {
+  try {
+    const stored = localStorage.getItem(`${SKIPPED_KEY_PREFIX}${userId}`);
+    return new Set(stored ? JSON.parse(stored) : []);
+  } catch (error) {
+    console.error("Error parsing skipped product fields:", error);
+    return new Set();
+  }
+};
+
+const setSkippedProductIds = (userId, productIds) => {
+  const key = `${SKIPPED_KEY_PREFIX}${userId}`;
+  try {
+    if (productIds.length === 0) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(productIds));
+    }
+  } catch (error) {
+    console.error("Error saving skipped product fields:", error);
+  }
+};
+
 /**
- * Clean up old entries (older than 30 days)
+ * Upload locally stored fields for the user's own posts and forget them
+ * Values already set on the item win over stale local ones. Entries for
+ * other users' posts are left for them but remembered, so they're only
+ * fetched once per user; entries whose upload fails are kept and retried on
+ * the next sign-in.
+ * @param {string} userId - Signed-in user's ID
+ * @returns {Promise<number>} - Number of posts updated
  */
-export const cleanupOldEntries = () => {
-  try {
-    const allData = getStoredProductFields();
-    const thirtyDaysAgo = Date.now() - 30 * 24 * 60 * 60 * 1000;
+export const migrateLocalProductFields = async (userId) => {
+  const storedFields = getStoredProductFields();
+  const skipped = getSkippedProductIds(userId);
+  let migrated = 0;
+
+  for (const [productId, fields] of Object.entries(storedFields)) {
+    if (skipped.has(productId)) continue;
+
+    const endpoint = `/api/items/${productId}`;
+    let item;
+
+    try {
+      item = await queryCache.fetchQuery(endpoint, ({ signal }) =>
+        fetchApi(endpoint, { signal }),
+      );
+    } catch (error) {
+      // The post is gone, so there's nothing left to attach the values to
+      if (error.status === 404) removeProductFields(productId);
+      continue;
+    }
+
+    if (!item) continue;
+    if (item.user?.id !== userId) {
+      skipped.add(productId);
+      continue;
+    }
 
-    const cleanedData = Object.keys(allData).reduce((acc, productId) => {
-      if (allData[productId].timestamp > thirtyDaysAgo) {
-        acc[productId] = allData[productId];
-      }
+    const changes = MIGRATED_FIELDS.reduce((acc, field) => {
+      const hasItemValue = item[field] !== undefined && item[field] !== null;
+      const hasLocalValue =
+        fields[field] !== undefined && fields[field] !== null;
+      if (!hasItemValue && hasLocalValue) acc[field] = fields[field];
       return acc;
     }, {});
 
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(cleanedData));
-  } catch (error) {
-    console.error("Error cleaning up old entries:", error);
+    if (Object.keys(changes).length === 0) {
+      removeProductFields(productId);
+      continue;
+    }
+
+    const response = await itemsService.updateItem(productId, changes);
+    if (response.success) {
+      removeProductFields(productId);
+      migrated += 1;
+    } else {
+      console.error("Failed to migrate product fields:", response.error);
+    }
   }
+
+  // Forget skipped entries that have since been migrated or removed
+  const remaining = getStoredProductFields();
+  setSkippedProductIds(
+    userId,
+    [...skipped].filter((productId) => productId in remaining),
+  );
+
+  return migrated;
 };
@@ -0,0 +1,297 @@
+/**
+ * Local market-value engine
+ * Estimates what an item is worth from comparable listings already on the
+ * marketplace. Deterministic for a given product, listing set and `now`, and
+ * returns the same shape as `/api/market-value/calculate/:id` so
+ * MarketValueAnalysis and PriceBreakdown can render either.
+ *
+ * Comparable prices are first normalised to a common baseline (good
+ * condition, no wear from battery, diagnostics or age) by undoing their own
+ * adjustments, so a worn listing doesn't drag down the value of a mint one
+ * (and vice versa).
+ */
+
+import {
+  DIAGNOSTIC_TEMPLATES,
+  calculateHardwareScore,
+  getReportTemplateKey,
+} from "./diagnosticTemplates";
+
+export const CONDITION_MULTIPLIERS = {
+  new: 1.15,
+  "like-new": 1.05,
+  good: 1.0,
+  fair: 0.85,
+  poor: 0.65,
+};
+
+const DEFAULT_CONDITION = "good";
+
+// Share of value lost per year of ownership, and the most age can take off
+const YEARLY_DEPRECIATION = 0.15;
+const MIN_AGE_MULTIPLIER = 0.4;
+
+// Title matches are preferred, but a thin set falls back to the category
+const MIN_TITLE_MATCHES = 3;
+const TITLE_SIMILARITY_THRESHOLD = 0.3;
+const MAX_COMPARABLES = 20;
+
+// Spread used for the range when there are too few comparables to measure it
+const DEFAULT_RANGE_SPREAD = 0.15;
+
+// Listings that never reached buyers say nothing about the market
+const EXCLUDED_STATUSES = ["pending", "rejected"];
+
+const MS_PER_YEAR = 1000 * 60 * 60 * 24 * 365.25;
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const toNumber = (value) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : null;
+};
+
+const tokenize = (text = "") =>
+  new Set(
+    text
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1),
+  );
+
+/**
+ * Jaccard similarity between two listing titles
+ * @param {string} a - First title
+ * @param {string} b - Second title
+ * @returns {number} - 0 (nothing shared) to 1 (same words)
+ */
+export const getTitleSimilarity = (a, b) => {
+  const tokensA = tokenize(a);
+  const tokensB = tokenize(b);
+  if (tokensA.size === 0 || tokensB.size === 0) return 0;
+
+  let shared = 0;
+  tokensA.forEach((token) => {
+    if (tokensB.has(token)) shared += 1;
+  });
+  return shared / (tokensA.size + tokensB.size - shared);
+};
+
+const percentile = (sortedValues, p) => {
+  if (sortedValues.length === 0) return null;
+  const index = (sortedValues.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return (
+    sortedValues[lower] +
+    (sortedValues[upper] - sortedValues[lower]) * (index - lower)
+  );
+};
+
+/**
+ * Diagnostic score (0-100) for a product, from its latest report if one is
+ * given, otherwise from the score stored on the item
+ */
+const getDiagnosticScore = (product, diagnosticReport) => {
+  if (diagnosticReport?.hardware_tests) {
+    const template =
+      DIAGNOSTIC_TEMPLATES[getReportTemplateKey(diagnosticReport)];
+    return calculateHardwareScore(template, diagnosticReport.hardware_tests)
+      .score;
+  }
+  return toNumber(product.diagnostic_score ?? product.hardware_score);
+};
+
+/**
+ * Value multipliers for a single product
+ * @param {Object} product - Item
+ * @param {Object} options - { diagnosticReport, now }
+ * @returns {Object} - Individual multipliers, the inputs they came from and
+ *   their product (`total`)
+ */
+export const getValueMultipliers = (
+  product,
+  { diagnosticReport, now } = {},
+) => {
+  const condition = CONDITION_MULTIPLIERS[product.condition]
+    ? product.condition
+    : DEFAULT_CONDITION;
+  const conditionMultiplier = CONDITION_MULTIPLIERS[condition];
+
+  const batteryHealth = toNumber(
+    product.battery_health ?? diagnosticReport?.battery_health,
+  );
+  const batteryMultiplier =
+    batteryHealth !== null
+      ? 0.75 + 0.25 * (Math.min(100, Math.max(0, batteryHealth)) / 100)
+      : 1;
+
+  const diagnosticScore = getDiagnosticScore(product, diagnosticReport);
+  const diagnosticMultiplier =
+    diagnosticScore !== null ? 0.8 + 0.2 * (diagnosticScore / 100) : 1;
+
+  const boughtAt = product.date_bought ? new Date(product.date_bought) : null;
+  const ageYears =
+    boughtAt && !Number.isNaN(boughtAt.getTime())
+      ? Math.max(0, (now - boughtAt.getTime()) / MS_PER_YEAR)
+      : null;
+  const ageMultiplier =
+    ageYears !== null
+      ? Math.max(MIN_AGE_MULTIPLIER, (1 - YEARLY_DEPRECIATION) ** ageYears)
+      : 1;
+
+  return {
+    condition,
+    conditionMultiplier,
+    batteryHealth,
+    batteryMultiplier,
+    diagnosticScore,
+    diagnosticMultiplier,
+    ageYears,
+    ageMultiplier,
+    total:
+      conditionMultiplier *
+      batteryMultiplier *
+      diagnosticMultiplier *
+      ageMultiplier,
+  };
+};
+
+/**
+ * Pick comparable listings for a product: same category, priced, visible to
+ * buyers, ranked by title similarity
+ * @param {Object} product - Item being valued
+ * @param {Array} listings - Candidate listings
+ * @returns {{comparables: Array, titleMatched: boolean}}
+ */
+export const findComparables = (product, listings = []) => {
+  const candidates = listings
+    .filter(
+      (listing) =>
+        listing.id !== product.id &&
+        (!product.category || listing.category === product.category) &&
+        !EXCLUDED_STATUSES.includes(listing.status) &&
+        toNumber(listing.price) > 0,
+    )
+    .map((listing) => ({
+      listing,
+      similarity: getTitleSimilarity(product.title, listing.title),
+    }))
+    // Stable order for equal similarity keeps the result deterministic
+    .sort(
+      (a, b) =>
+        b.similarity - a.similarity ||
+        `${a.listing.id}`.localeCompare(`${b.listing.id}`),
+    );
+
+  const titleMatches = candidates.filter(
+    (candidate) => candidate.similarity >= TITLE_SIMILARITY_THRESHOLD,
+  );
+  const titleMatched = titleMatches.length >= MIN_TITLE_MATCHES;
+
+  return {
+    comparables: (titleMatched ? titleMatches : candidates)
+      .slice(0, MAX_COMPARABLES)
+      .map((candidate) => candidate.listing),
+    titleMatched,
+  };
+};
+
+/**
+ * Estimate a product's market value
+ * @param {Object} product - Item being valued
+ * @param {Array} listings - Other listings to draw comparables from
+ * @param {Object} options - { diagnosticReport, now }
+ * @returns {Object} - { finalValue, baseMarketValue, marketAverage,
+ *   marketRange: { min, max }, conditionAdjustment, confidence, factors,
+ *   comparablesCount, source }
+ */
+export const calculateMarketAnalysis = (
+  product,
+  listings = [],
+  { diagnosticReport, now = Date.now() } = {},
+) => {
+  const multipliers = getValueMultipliers(product, { diagnosticReport, now });
+  const { comparables, titleMatched } = findComparables(product, listings);
+
+  const comparablePrices = comparables.map((listing) =>
+    toNumber(listing.price),
+  );
+  const normalizedPrices = comparables
+    .map(
+      (listing, index) =>
+        comparablePrices[index] / getValueMultipliers(listing, { now }).total,
+    )
+    .sort((a, b) => a - b);
+
+  // With nothing to compare against, the asking price is the only anchor
+  const askingPrice = toNumber(product.price) || 0;
+  const baseMarketValue =
+    normalizedPrices.length > 0
+      ? percentile(normalizedPrices, 0.5)
+      : askingPrice / multipliers.total;
+
+  const finalValue = baseMarketValue * multipliers.total;
+
+  const marketAverage =
+    comparablePrices.length > 0
+      ? comparablePrices.reduce((sum, price) => sum + price, 0) /
+        comparablePrices.length
+      : finalValue;
+
+  const marketRange =
+    normalizedPrices.length >= 2
+      ? {
+          min: percentile(normalizedPrices, 0.25) * multipliers.total,
+          max: percentile(normalizedPrices, 0.75) * multipliers.total,
+        }
+      : {
+          min: finalValue * (1 - DEFAULT_RANGE_SPREAD),
+          max: finalValue * (1 + DEFAULT_RANGE_SPREAD),
+        };
+
+  // Confidence grows with the evidence behind the estimate and drops when
+  // comparables are all over the place
+  let confidence = 30 + Math.min(comparables.length, 5) * 8;
+  if (titleMatched) confidence += 10;
+  if (multipliers.diagnosticScore !== null) confidence += 10;
+  if (multipliers.ageYears !== null) confidence += 5;
+  if (multipliers.batteryHealth !== null) confidence += 5;
+  if (normalizedPrices.length >= 2) {
+    const mean =
+      normalizedPrices.reduce((sum, price) => sum + price, 0) /
+      normalizedPrices.length;
+    const variance =
+      normalizedPrices.reduce((sum, price) => sum + (price - mean) ** 2, 0) /
+      normalizedPrices.length;
+    if (Math.sqrt(variance) / mean > 0.5) confidence -= 15;
+  }
+  confidence = Math.max(10, Math.min(95, confidence));
+
+  return {
+    finalValue: roundCurrency(finalValue),
+    baseMarketValue: roundCurrency(baseMarketValue),
+    marketAverage: roundCurrency(marketAverage),
+    marketRange: {
+      min: roundCurrency(marketRange.min),
+      max: roundCurrency(marketRange.max),
+    },
+    conditionAdjustment: roundCurrency(finalValue - baseMarketValue),
+    confidence,
+    factors: {
+      condition: multipliers.conditionMultiplier,
+      batteryHealth: multipliers.batteryHealth,
+      batteryMultiplier: multipliers.batteryMultiplier,
+      diagnosticScore: multipliers.diagnosticScore,
+      diagnosticMultiplier: multipliers.diagnosticMultiplier,
+      performanceScore: toNumber(diagnosticReport?.performance_score),
+      ageYears:
+        multipliers.ageYears !== null
+          ? Math.round(multipliers.ageYears * 10) / 10
+          : null,
+      ageMultiplier: multipliers.ageMultiplier,
+    },
+    comparablesCount: comparables.length,
+    source: "local",
+  };
+};
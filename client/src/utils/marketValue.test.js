@@ -0,0 +1,116 @@
+import {
+  calculateMarketAnalysis,
+  findComparables,
+  getTitleSimilarity,
+} from "./marketValue";
+
+const NOW = new Date("2025-06-01T00:00:00Z").getTime();
+
+const listing = (id, price, overrides = {}) => ({
+  id,
+  title: "iPhone 13 128GB",
+  category: "phones",
+  condition: "good",
+  status: "active",
+  price,
+  ...overrides,
+});
+
+describe("calculateMarketAnalysis", () => {
+  test("values a baseline product at the median comparable price", () => {
+    const product = listing("p", 999);
+    const comparables = [
+      listing(1, 400),
+      listing(2, 500),
+      listing(3, 600),
+      listing(4, 10, { status: "rejected" }),
+      listing(5, 9000, { category: "computers" }),
+    ];
+
+    const analysis = calculateMarketAnalysis(product, comparables, {
+      now: NOW,
+    });
+
+    expect(analysis).toMatchObject({
+      finalValue: 500,
+      baseMarketValue: 500,
+      marketAverage: 500,
+      marketRange: { min: 450, max: 550 },
+      conditionAdjustment: 0,
+      comparablesCount: 3,
+      source: "local",
+    });
+  });
+
+  test("compares like for like by undoing each listing's own wear", () => {
+    const comparables = [
+      listing(1, 425, { condition: "fair" }),
+      listing(2, 425, { condition: "fair" }),
+      listing(3, 425, { condition: "fair" }),
+    ];
+
+    const analysis = calculateMarketAnalysis(
+      listing("p", 0, { condition: "new" }),
+      comparables,
+      { now: NOW },
+    );
+
+    expect(analysis.baseMarketValue).toBe(500);
+    expect(analysis.finalValue).toBe(575);
+    expect(analysis.conditionAdjustment).toBe(75);
+  });
+
+  test("applies battery and age depreciation", () => {
+    const analysis = calculateMarketAnalysis(
+      listing("p", 0, { battery_health: 60, date_bought: "2024-06-01" }),
+      [listing(1, 500), listing(2, 500), listing(3, 500)],
+      { now: NOW },
+    );
+
+    expect(analysis.factors.batteryMultiplier).toBeCloseTo(0.9);
+    expect(analysis.factors.ageYears).toBe(1);
+    expect(analysis.finalValue).toBeCloseTo(500 * 0.9 * 0.85, 0);
+  });
+
+  test("falls back to the asking price without comparables", () => {
+    const analysis = calculateMarketAnalysis(listing("p", 300), [], {
+      now: NOW,
+    });
+
+    expect(analysis.finalValue).toBe(300);
+    expect(analysis.marketRange).toEqual({ min: 255, max: 345 });
+    expect(analysis.comparablesCount).toBe(0);
+  });
+
+  test("is deterministic for the same inputs", () => {
+    const comparables = [listing(2, 520), listing(1, 480), listing(3, 610)];
+    const run = () =>
+      calculateMarketAnalysis(listing("p", 500), comparables, { now: NOW });
+
+    expect(run()).toEqual(run());
+  });
+});
+
+describe("findComparables", () => {
+  test("prefers title matches once there are enough of them", () => {
+    const listings = [
+      listing(1, 500),
+      listing(2, 500),
+      listing(3, 500),
+      listing(4, 500, { title: "Galaxy S21" }),
+    ];
+
+    const { comparables, titleMatched } = findComparables(
+      listing("p", 0),
+      listings,
+    );
+
+    expect(titleMatched).toBe(true);
+    expect(comparables.map((item) => item.id)).toEqual([1, 2, 3]);
+  });
+});
+
+test("getTitleSimilarity ignores case and punctuation", () => {
+  expect(getTitleSimilarity("iPhone 13, 128GB", "iphone 13 128gb")).toBe(1);
+  expect(getTitleSimilarity("iPhone 13", "Galaxy S21")).toBe(0);
+});
@@ -0,0 +1,247 @@
+/**
+ * Marketplace analytics
+ * Everything here is computed in the browser from data the admin dashboard
+ * already loads: listings, users, the moderation audit log and chat
+ * sessions. Dates are bucketed by day, week or month depending on the
+ * length of the selected range.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const DATE_RANGE_PRESETS = [
+  { id: "7d", label: "Last 7 days", days: 7 },
+  { id: "30d", label: "Last 30 days", days: 30 },
+  { id: "90d", label: "Last 90 days", days: 90 },
+  { id: "365d", label: "Last 12 months", days: 365 },
+];
+
+/**
+ * Start and end of a preset range, ending now
+ * @param {number} days - Range length
+ * @param {number} now - Timestamp the range ends at
+ * @returns {{from: Date, to: Date}}
+ */
+export const getPresetRange = (days, now = Date.now()) => {
+  const from = new Date(now - days * DAY_MS);
+  from.setHours(0, 0, 0, 0);
+  return { from, to: new Date(now) };
+};
+
+/**
+ * Bucket length for a range: daily up to a month, weekly up to four months,
+ * monthly (30 days) beyond that
+ */
+export const getBucketDays = (from, to) => {
+  const days = (to - from) / DAY_MS;
+  if (days <= 31) return 1;
+  if (days <= 120) return 7;
+  return 30;
+};
+
+const toTime = (value) => {
+  const time = value ? new Date(value).getTime() : NaN;
+  return Number.isNaN(time) ? null : time;
+};
+
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+};
+
+// `updated_at` moves with any later edit, so only `sold_at` dates a sale
+const getSoldTime = (item) =>
+  item.status === "sold" ? toTime(item.sold_at) : null;
+
+// Linear interpolation between closest ranks; values must be sorted
+const quantile = (sorted, q) => {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * q;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+};
+
+const median = (values) =>
+  quantile(
+    [...values].sort((a, b) => a - b),
+    0.5,
+  );
+
+const round = (value, decimals = 1) =>
+  value === null ? null : Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Compute every analytics series for a date range
+ * @param {Object} data - { items, users, auditLog, chatSessions }
+ * @param {Object} range - { from: Date, to: Date }
+ * @returns {{buckets: Array, totals: Object, priceByCategory: Array}}
+ *   Each bucket has `date` (bucket start) and one count per series;
+ *   `medianDaysToSell` is null for buckets without sales.
+ */
+export const computeMarketplaceAnalytics = (
+  { items = [], users = [], auditLog = [], chatSessions = [] },
+  { from, to },
+) => {
+  const start = from.getTime();
+  const end = to.getTime();
+  const bucketMs = getBucketDays(from, to) * DAY_MS;
+  const bucketCount = Math.max(Math.ceil((end - start) / bucketMs), 1);
+
+  const buckets = Array.from({ length: bucketCount }, (_, index) => ({
+    date: new Date(start + index * bucketMs).toISOString(),
+    newListings: 0,
+    approvals: 0,
+    rejections: 0,
+    sold: 0,
+    chatsByLastActivity: 0,
+    signups: 0,
+    daysToSell: [],
+  }));
+
+  const bucketFor = (time) =>
+    time === null || time < start || time > end
+      ? null
+      : buckets[
+          Math.min(Math.floor((time - start) / bucketMs), bucketCount - 1)
+        ];
+
+  const allDaysToSell = [];
+  const pricesByCategory = new Map();
+
+  items.forEach((item) => {
+    const createdAt = toTime(item.created_at);
+    const createdBucket = bucketFor(createdAt);
+    if (createdBucket) {
+      createdBucket.newListings += 1;
+
+      const price = toPrice(item.price);
+      if (price !== null) {
+        const category = item.category || "Uncategorized";
+        if (!pricesByCategory.has(category)) {
+          pricesByCategory.set(category, []);
+        }
+        pricesByCategory.get(category).push(price);
+      }
+    }
+
+    const soldAt = getSoldTime(item);
+    const soldBucket = bucketFor(soldAt);
+    if (soldBucket) {
+      soldBucket.sold += 1;
+      if (createdAt !== null && soldAt >= createdAt) {
+        const days = (soldAt - createdAt) / DAY_MS;
+        soldBucket.daysToSell.push(days);
+        allDaysToSell.push(days);
+      }
+    }
+  });
+
+  // Approvals and rejections are only known from the moderation audit log
+  auditLog.forEach((entry) => {
+    const bucket = bucketFor(toTime(entry.created_at));
+    if (!bucket) return;
+    if (entry.action === "approve") bucket.approvals += 1;
+    if (entry.action === "reject") bucket.rejections += 1;
+  });
+
+  users.forEach((user) => {
+    const bucket = bucketFor(toTime(user.created_at));
+    if (bucket) bucket.signups += 1;
+  });
+
+  // Sessions don't keep a history of activity, so each one is counted once,
+  // in the bucket of its latest message
+  chatSessions.forEach((session) => {
+    const bucket = bucketFor(toTime(session.updated_at || session.created_at));
+    if (bucket) bucket.chatsByLastActivity += 1;
+  });
+
+  const series = buckets.map(({ daysToSell, ...bucket }) => ({
+    ...bucket,
+    medianDaysToSell: round(median(daysToSell)),
+  }));
+
+  const sum = (key) => series.reduce((total, bucket) => total + bucket[key], 0);
+
+  const priceByCategory = [...pricesByCategory.entries()]
+    .map(([category, prices]) => {
+      const sorted = [...prices].sort((a, b) => a - b);
+      return {
+        category,
+        count: sorted.length,
+        min: sorted[0],
+        q1: round(quantile(sorted, 0.25), 2),
+        median: round(quantile(sorted, 0.5), 2),
+        q3: round(quantile(sorted, 0.75), 2),
+        max: sorted[sorted.length - 1],
+      };
+    })
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    buckets: series,
+    totals: {
+      newListings: sum("newListings"),
+      approvals: sum("approvals"),
+      rejections: sum("rejections"),
+      sold: sum("sold"),
+      chatsByLastActivity: sum("chatsByLastActivity"),
+      signups: sum("signups"),
+      medianDaysToSell: round(median(allDaysToSell)),
+    },
+    priceByCategory,
+  };
+};
+
+const escapeCsvValue = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRows = (header, rows) =>
+  [header, ...rows].map((row) => row.map(escapeCsvValue).join(",")).join("\n");
+
+/**
+ * CSV export of computed analytics: the time series, then the price
+ * distribution per category, separated by a blank line
+ * @param {Object} analytics - From computeMarketplaceAnalytics
+ * @returns {string}
+ */
+export const buildAnalyticsCsv = ({ buckets, priceByCategory }) =>
+  [
+    toCsvRows(
+      [
+        "Period start",
+        "New listings",
+        "Approvals",
+        "Rejections",
+        "Sold",
+        "Median days to sell",
+        "Chats by last activity",
+        "New signups",
+      ],
+      buckets.map((bucket) => [
+        bucket.date.slice(0, 10),
+        bucket.newListings,
+        bucket.approvals,
+        bucket.rejections,
+        bucket.sold,
+        bucket.medianDaysToSell,
+        bucket.chatsByLastActivity,
+        bucket.signups,
+      ]),
+    ),
+    toCsvRows(
+      ["Category", "Listings", "Min", "Q1", "Median", "Q3", "Max"],
+      priceByCategory.map((row) => [
+        row.category,
+        row.count,
+        row.min,
+        row.q1,
+        row.median,
+        row.q3,
+        row.max,
+      ]),
+    ),
+  ].join("\n\n");
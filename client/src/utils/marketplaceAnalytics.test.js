@@ -0,0 +1,144 @@
+import {
+  buildAnalyticsCsv,
+  computeMarketplaceAnalytics,
+  getBucketDays,
+} from "./marketplaceAnalytics";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const FROM = new Date("2025-06-01T00:00:00Z");
+const TO = new Date("2025-06-08T00:00:00Z");
+const day = (offset, hours = 12) =>
+  new Date(FROM.getTime() + offset * DAY_MS + hours * 3600000).toISOString();
+
+describe("getBucketDays", () => {
+  test("buckets daily up to a month, then weekly, then monthly", () => {
+    const after = (days) => new Date(FROM.getTime() + days * DAY_MS);
+
+    expect(getBucketDays(FROM, after(31))).toBe(1);
+    expect(getBucketDays(FROM, after(32))).toBe(7);
+    expect(getBucketDays(FROM, after(120))).toBe(7);
+    expect(getBucketDays(FROM, after(365))).toBe(30);
+  });
+});
+
+describe("computeMarketplaceAnalytics", () => {
+  const data = {
+    items: [
+      { category: "phones", price: "100", created_at: day(0) },
+      {
+        category: "phones",
+        price: 300,
+        created_at: day(1),
+        status: "sold",
+        sold_at: day(3),
+      },
+      { category: "audio", price: 50, created_at: day(1) },
+      { category: "audio", price: 70, created_at: day(-5) },
+      {
+        category: "audio",
+        price: 90,
+        created_at: day(-9),
+        status: "sold",
+        updated_at: day(2),
+      },
+    ],
+    users: [{ created_at: day(2) }, { created_at: day(20) }],
+    auditLog: [
+      { action: "approve", created_at: day(1) },
+      { action: "reject", created_at: day(1) },
+      { action: "delete", created_at: day(1) },
+    ],
+    chatSessions: [{ created_at: day(-3), updated_at: day(4) }],
+  };
+
+  test("counts each series in the bucket its event falls in", () => {
+    const { buckets, totals } = computeMarketplaceAnalytics(data, {
+      from: FROM,
+      to: TO,
+    });
+
+    expect(buckets).toHaveLength(7);
+    expect(buckets[1]).toMatchObject({
+      date: "2025-06-02T00:00:00.000Z",
+      newListings: 2,
+      approvals: 1,
+      rejections: 1,
+    });
+    expect(buckets[3]).toMatchObject({ sold: 1, medianDaysToSell: 2 });
+    expect(buckets[4].chatsByLastActivity).toBe(1);
+    expect(buckets[0].medianDaysToSell).toBeNull();
+    expect(totals).toEqual({
+      newListings: 3,
+      approvals: 1,
+      rejections: 1,
+      sold: 1,
+      chatsByLastActivity: 1,
+      signups: 1,
+      medianDaysToSell: 2,
+    });
+  });
+
+  test("summarises prices per category for listings in the range", () => {
+    const { priceByCategory } = computeMarketplaceAnalytics(data, {
+      from: FROM,
+      to: TO,
+    });
+
+    expect(priceByCategory).toEqual([
+      {
+        category: "phones",
+        count: 2,
+        min: 100,
+        q1: 150,
+        median: 200,
+        q3: 250,
+        max: 300,
+      },
+      {
+        category: "audio",
+        count: 1,
+        min: 50,
+        q1: 50,
+        median: 50,
+        q3: 50,
+        max: 50,
+      },
+    ]);
+  });
+});
+
+test("buildAnalyticsCsv writes the series and price table", () => {
+  const csv = buildAnalyticsCsv({
+    buckets: [
+      {
+        date: "2025-06-01T00:00:00.000Z",
+        newListings: 2,
+        approvals: 1,
+        rejections: 0,
+        sold: 1,
+        medianDaysToSell: null,
+        chatsByLastActivity: 3,
+        signups: 4,
+      },
+    ],
+    priceByCategory: [
+      {
+        category: 'Phones, "smart"',
+        count: 1,
+        min: 10,
+        q1: 10,
+        median: 10,
+        q3: 10,
+        max: 10,
+      },
+    ],
+  });
+
+  expect(csv.split("\n")).toEqual([
+    "Period start,New listings,Approvals,Rejections,Sold,Median days to sell,Chats by last activity,New signups",
+    "2025-06-01,2,1,0,1,,3,4",
+    "",
+    "Category,Listings,Min,Q1,Median,Q3,Max",
+    '"Phones, ""smart""",1,10,10,10,10,10',
+  ]);
+});
@@ -0,0 +1,107 @@
+/**
+ * Roles and permissions
+ * Roles come from the signed-in user's app_metadata and JWT claims, which
+ * only the server can set; everything in the UI checks permissions rather
+ * than roles so a role can gain or lose abilities in one place. The server enforces the same rules,
+ * these checks only decide what to show.
+ */
+
+export const ROLES = {
+  ADMIN: "admin",
+  MODERATOR: "moderator",
+  VERIFIED_SELLER: "verified_seller",
+  BUYER: "buyer",
+};
+
+export const ROLE_LABELS = {
+  admin: "Admin",
+  moderator: "Moderator",
+  verified_seller: "Verified Seller",
+  buyer: "Buyer",
+};
+
+export const PERMISSIONS = {
+  ACCESS_ADMIN: "admin.access",
+  MODERATE_LISTINGS: "listings.moderate",
+  EDIT_ANY_LISTING: "listings.edit_any",
+  VIEW_AUDIT_LOG: "moderation.audit_log.view",
+  REVIEW_REPORTS: "reports.review",
+  VIEW_ANALYTICS: "analytics.view",
+  MANAGE_SETTINGS: "settings.manage",
+  MANAGE_USERS: "users.manage",
+  DELETE_USERS: "users.delete",
+  VIEW_AS_USER: "users.view_as",
+  VIEW_DEBUG: "debug.view",
+};
+
+const MODERATOR_PERMISSIONS = [
+  PERMISSIONS.ACCESS_ADMIN,
+  PERMISSIONS.MODERATE_LISTINGS,
+  PERMISSIONS.VIEW_AUDIT_LOG,
+  PERMISSIONS.REVIEW_REPORTS,
+];
+
+// Sellers and buyers only have what every signed-in user can do
+export const ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.MODERATOR]: MODERATOR_PERMISSIONS,
+  [ROLES.VERIFIED_SELLER]: [],
+  [ROLES.BUYER]: [],
+};
+
+const KNOWN_ROLES = new Set(Object.values(ROLES));
+
+const toRoleList = (value) =>
+  (Array.isArray(value) ? value : [value]).filter((role) =>
+    KNOWN_ROLES.has(role),
+  );
+
+/**
+ * Read the payload of a JWT without verifying it. Only used to pick up
+ * custom claims; Supabase has already verified the session.
+ * @param {string} token - Access token
+ * @returns {Object|null} - Claims, or null when the token can't be read
+ */
+export const decodeJwtClaims = (token) => {
+  const payload = token?.split(".")[1];
+  if (!payload) return null;
+  try {
+    const base64 = payload.replace(/-/g, "+").replace(/_/g, "/");
+    return JSON.parse(
+      atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, "=")),
+    );
+  } catch (error) {
+    console.error("Error decoding access token claims:", error);
+    return null;
+  }
+};
+
+/**
+ * Roles granted to a user. `app_metadata` can only be written server-side, so
+ * it's trusted; `user_metadata` is editable by the user and is ignored.
+ * Every signed-in user is at least a buyer.
+ * @param {Object} user - Supabase user
+ * @param {Object} claims - Access token claims (see decodeJwtClaims)
+ * @returns {Array<string>}
+ */
+export const getUserRoles = (user, claims = null) => {
+  if (!user) return [];
+
+  const roles = new Set([
+    ROLES.BUYER,
+    ...toRoleList(user.app_metadata?.roles),
+    ...toRoleList(user.app_metadata?.role),
+    ...toRoleList(claims?.user_roles),
+    ...toRoleList(claims?.user_role),
+  ]);
+  return [...roles];
+};
+
+/**
+ * Whether any of the given roles grants a permission
+ * @param {Array<string>} roles - From getUserRoles
+ * @param {string} permission - One of PERMISSIONS
+ * @returns {boolean}
+ */
+export const rolesHavePermission = (roles, permission) =>
+  roles.some((role) => ROLE_PERMISSIONS[role]?.includes(permission));
@@ -0,0 +1,81 @@
+import {
+  PERMISSIONS,
+  ROLES,
+  decodeJwtClaims,
+  getUserRoles,
+  rolesHavePermission,
+} from "./permissions";
+
+const encode = (value) =>
+  btoa(JSON.stringify(value))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+
+describe("getUserRoles", () => {
+  test("has no roles when signed out", () => {
+    expect(getUserRoles(null)).toEqual([]);
+  });
+
+  test("makes every signed-in user a buyer", () => {
+    expect(getUserRoles({ app_metadata: {} })).toEqual([ROLES.BUYER]);
+  });
+
+  test("reads roles from app_metadata and token claims", () => {
+    const roles = getUserRoles(
+      { app_metadata: { roles: ["moderator", "owner"], role: "admin" } },
+      { user_role: "verified_seller" },
+    );
+
+    expect(roles).toEqual(
+      expect.arrayContaining([
+        ROLES.BUYER,
+        ROLES.MODERATOR,
+        ROLES.ADMIN,
+        ROLES.VERIFIED_SELLER,
+      ]),
+    );
+    expect(roles).not.toContain("owner");
+  });
+
+  test("ignores roles the user could have set themselves", () => {
+    expect(
+      getUserRoles({ app_metadata: {}, user_metadata: { role: "admin" } }),
+    ).toEqual([ROLES.BUYER]);
+  });
+});
+
+describe("rolesHavePermission", () => {
+  test("lets moderators moderate but not manage users", () => {
+    const roles = [ROLES.BUYER, ROLES.MODERATOR];
+
+    expect(rolesHavePermission(roles, PERMISSIONS.MODERATE_LISTINGS)).toBe(
+      true,
+    );
+    expect(rolesHavePermission(roles, PERMISSIONS.MANAGE_USERS)).toBe(false);
+  });
+
+  test("gives admins every permission", () => {
+    Object.values(PERMISSIONS).forEach((permission) => {
+      expect(rolesHavePermission([ROLES.ADMIN], permission)).toBe(true);
+    });
+  });
+});
+
+describe("decodeJwtClaims", () => {
+  test("reads the payload of a base64url token", () => {
+    const claims = { sub: "user-1", user_roles: ["moderator"], note: "?>?" };
+    const token = `${encode({ alg: "HS256" })}.${encode(claims)}.signature`;
+
+    expect(decodeJwtClaims(token)).toEqual(claims);
+  });
+
+  test("returns null for unreadable tokens", () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    expect(decodeJwtClaims(undefined)).toBeNull();
+    expect(decodeJwtClaims("header.not-json.signature")).toBeNull();
+
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,260 @@
+/**
+ * Image selection and upload state for the post forms
+ * Files are uploaded straight to storage; only their storage paths are sent
+ * with the item.
+ */
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { MAX_POST_IMAGES, validateImageFile } from "./imageValidation";
+import { getImageUrl } from "./productUtils";
+import {
+  imageUploadService,
+  UPLOAD_STATUS,
+} from "../services/imageUploadService";
+
+let nextEntryId = 0;
+const createEntryId = () => `image-${Date.now()}-${nextEntryId++}`;
+
+/**
+ * Get the storage path of an image already attached to an item
+ * Legacy images without one keep their URL so they survive an edit
+ * @param {Object|string} image - Entry from an item's images array
+ * @returns {string|null}
+ */
+export const getStoragePath = (image) =>
+  typeof image === "string"
+    ? image
+    : image?.storage_path || image?.image_url || image?.publicUrl || null;
+
+/**
+ * Build upload entries for images already attached to an item
+ * @param {Array} images - The item's images array
+ * @returns {Array} - Entries marked as uploaded
+ */
+export const toUploadedEntries = (images = []) =>
+  images
+    .filter((image) => getStoragePath(image))
+    .map((image) => ({
+      id: createEntryId(),
+      name: getStoragePath(image).split("/").pop(),
+      file: null,
+      previewUrl: getImageUrl(image),
+      status: UPLOAD_STATUS.UPLOADED,
+      progress: 100,
+      storagePath: getStoragePath(image),
+      error: null,
+    }));
+
+/**
+ * Release an image entry's preview and delete its upload if it was made by
+ * this form; the item still references its saved images until the update
+ * goes through
+ * @param {Object} image - Image entry
+ * @param {Set<string>} sessionUploads - Paths uploaded by this form
+ */
+const discardUpload = (image, sessionUploads) => {
+  if (image.file) URL.revokeObjectURL(image.previewUrl);
+  if (sessionUploads.has(image.storagePath)) {
+    sessionUploads.delete(image.storagePath);
+    imageUploadService.removePostImages([image.storagePath]);
+  }
+};
+
+/**
+ * Manage the images of a post being created or edited
+ * Uploads are resumable per file: a retried upload skips files that already
+ * made it to storage. The first image is the post's cover photo.
+ * @param {Object} options - { userId, maxImages }
+ * @returns {Object} - { images, setUploadedImages, addFiles, removeImage,
+ *   moveImage, setCoverImage, replaceImageFile, uploadPending, isUploading }
+ */
+export const usePostImageUploads = ({
+  userId,
+  maxImages = MAX_POST_IMAGES,
+} = {}) => {
+  const [images, setImages] = useState([]);
+  const [isUploading, setIsUploading] = useState(false);
+  const imagesRef = useRef(images);
+  // Paths uploaded by this form that aren't attached to a post yet
+  const uploadedThisSessionRef = useRef(new Set());
+
+  useEffect(() => {
+    imagesRef.current = images;
+  }, [images]);
+
+  useEffect(
+    () => () => {
+      imagesRef.current.forEach((image) => {
+        if (image.file) URL.revokeObjectURL(image.previewUrl);
+      });
+    },
+    [],
+  );
+
+  const updateImage = useCallback((id, changes) => {
+    setImages((prev) =>
+      prev.map((image) => (image.id === id ? { ...image, ...changes } : image)),
+    );
+  }, []);
+
+  /**
+   * Replace the list with images already attached to the item being edited
+   */
+  const setUploadedImages = useCallback((itemImages) => {
+    setImages(toUploadedEntries(itemImages));
+  }, []);
+
+  /**
+   * Queue newly selected files
+   * @param {FileList|Array<File>} fileList - Files chosen by the user
+   * @returns {string|null} - Error message for rejected files, if any
+   */
+  const addFiles = useCallback(
+    (fileList) => {
+      const files = Array.from(fileList);
+      if (files.length + imagesRef.current.length > maxImages) {
+        return `Maximum ${maxImages} images allowed`;
+      }
+
+      let error = null;
+      const entries = files
+        .filter((file) => {
+          const validationError = validateImageFile(file);
+          if (validationError) error = validationError;
+          return !validationError;
+        })
+        .map((file) => ({
+          id: createEntryId(),
+          name: file.name,
+          file,
+          previewUrl: URL.createObjectURL(file),
+          status: UPLOAD_STATUS.QUEUED,
+          progress: 0,
+          storagePath: null,
+          error: null,
+        }));
+
+      setImages((prev) => [...prev, ...entries]);
+      return error;
+    },
+    [maxImages],
+  );
+
+  const removeImage = useCallback((id) => {
+    const image = imagesRef.current.find((entry) => entry.id === id);
+    if (!image) return;
+
+    discardUpload(image, uploadedThisSessionRef.current);
+    setImages((prev) => prev.filter((entry) => entry.id !== id));
+  }, []);
+
+  /**
+   * Move an image to a new position
+   * @param {string} id - Image entry ID
+   * @param {number} toIndex - Target position
+   */
+  const moveImage = useCallback((id, toIndex) => {
+    setImages((prev) => {
+      const fromIndex = prev.findIndex((image) => image.id === id);
+      if (fromIndex === -1 || fromIndex === toIndex) return prev;
+
+      const next = [...prev];
+      const [moved] = next.splice(fromIndex, 1);
+      next.splice(Math.min(Math.max(toIndex, 0), next.length), 0, moved);
+      return next;
+    });
+  }, []);
+
+  const setCoverImage = useCallback((id) => moveImage(id, 0), [moveImage]);
+
+  /**
+   * Swap an image for an edited version; it is uploaded again on submit
+   * @param {string} id - Image entry ID
+   * @param {File} file - Edited image
+   */
+  const replaceImageFile = useCallback(
+    (id, file) => {
+      const image = imagesRef.current.find((entry) => entry.id === id);
+      if (!image) return;
+
+      discardUpload(image, uploadedThisSessionRef.current);
+      updateImage(id, {
+        name: file.name,
+        file,
+        previewUrl: URL.createObjectURL(file),
+        status: UPLOAD_STATUS.QUEUED,
+        progress: 0,
+        storagePath: null,
+        error: null,
+      });
+    },
+    [updateImage],
+  );
+
+  /**
+   * Upload every image that isn't in storage yet
+   * @returns {Promise<Object>} - { success, storagePaths, error }; paths are
+   *   in display order and only complete when every upload succeeded
+   */
+  const uploadPending = useCallback(async () => {
+    const current = imagesRef.current;
+    const pending = current.filter((image) => !image.storagePath);
+    const uploadedPaths = new Map(
+      current
+        .filter((image) => image.storagePath)
+        .map((image) => [image.id, image.storagePath]),
+    );
+
+    if (pending.length > 0) {
+      setIsUploading(true);
+      pending.forEach((image) =>
+        updateImage(image.id, {
+          status: UPLOAD_STATUS.QUEUED,
+          progress: 0,
+          error: null,
+        }),
+      );
+
+      const result = await imageUploadService.uploadPostImages(
+        pending,
+        userId,
+        updateImage,
+      );
+      setIsUploading(false);
+
+      result.successfulUploads.forEach(({ file, storagePath }) => {
+        uploadedPaths.set(file.id, storagePath);
+        uploadedThisSessionRef.current.add(storagePath);
+      });
+      result.failedUploads.forEach(({ file, error }) =>
+        updateImage(file.id, { status: UPLOAD_STATUS.FAILED, error }),
+      );
+
+      if (!result.success) {
+        return {
+          success: false,
+          storagePaths: [],
+          error: `${result.summary.failed} of ${result.summary.total} images failed to upload. Submit again to retry them.`,
+        };
+      }
+    }
+
+    return {
+      success: true,
+      storagePaths: current.map((image) => uploadedPaths.get(image.id)),
+      error: null,
+    };
+  }, [userId, updateImage]);
+
+  return {
+    images,
+    setUploadedImages,
+    addFiles,
+    removeImage,
+    moveImage,
+    setCoverImage,
+    replaceImageFile,
+    uploadPending,
+    isUploading,
+  };
+};
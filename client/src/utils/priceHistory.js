@@ -0,0 +1,129 @@
+/**
+ * Price history helpers
+ * Listings keep a `price_history` array of `{ price, changed_at }` entries,
+ * appended to whenever the asking price changes. Category trends are built
+ * from the final prices of sold listings.
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const TREND_WINDOW_DAYS = 90;
+export const TREND_BUCKET_DAYS = 7;
+
+const toPrice = (value) => {
+  const price = parseFloat(value);
+  return Number.isFinite(price) ? price : null;
+};
+
+/**
+ * Price history for a listing, oldest first. Listings created before
+ * history was recorded get a single entry for their current price.
+ * @param {Object} item - Listing
+ * @returns {Array<{price: number, changed_at: string}>}
+ */
+export const getPriceHistory = (item) => {
+  const history = (item?.price_history || [])
+    .map((entry) => ({ ...entry, price: toPrice(entry.price) }))
+    .filter((entry) => entry.price !== null && entry.changed_at)
+    .sort((a, b) => new Date(a.changed_at) - new Date(b.changed_at));
+
+  if (history.length > 0) return history;
+
+  const price = toPrice(item?.price);
+  return price !== null
+    ? [{ price, changed_at: item.created_at || item.posted }]
+    : [];
+};
+
+/**
+ * History to save with an update, or undefined when the price is unchanged
+ * @param {Object} item - Listing as currently stored
+ * @param {number} newPrice - Asking price being saved
+ * @param {string} changedAt - ISO timestamp of the change
+ * @returns {Array|undefined}
+ */
+export const appendPriceChange = (
+  item,
+  newPrice,
+  changedAt = new Date().toISOString(),
+) => {
+  const history = getPriceHistory(item);
+  const price = toPrice(newPrice);
+  const lastPrice = history[history.length - 1]?.price;
+
+  if (price === null || price === lastPrice) return undefined;
+  return [...history, { price, changed_at: changedAt }];
+};
+
+/**
+ * How far the current price sits below the highest earlier price
+ * @param {Object} item - Listing
+ * @returns {{amount: number, percent: number, from: number}|null} - null if
+ *   the price was never dropped
+ */
+export const getPriceDrop = (item) => {
+  const history = getPriceHistory(item);
+  if (history.length < 2) return null;
+
+  const current = history[history.length - 1].price;
+  const highest = Math.max(...history.slice(0, -1).map((entry) => entry.price));
+  if (current >= highest) return null;
+
+  return {
+    amount: highest - current,
+    percent: Math.round(((highest - current) / highest) * 100),
+    from: highest,
+  };
+};
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Rolling sold-price trend for a category: the median sold price per bucket
+ * over the last `windowDays`. Empty buckets are skipped, not zeroed.
+ * @param {Array} listings - Listings in the category
+ * @param {Object} options - { now, windowDays, bucketDays }
+ * @returns {Array<{date: string, value: number, count: number}>}
+ */
+export const buildCategoryTrend = (
+  listings = [],
+  {
+    now = Date.now(),
+    windowDays = TREND_WINDOW_DAYS,
+    bucketDays = TREND_BUCKET_DAYS,
+  } = {},
+) => {
+  const windowStart = now - windowDays * DAY_MS;
+  const buckets = new Map();
+
+  listings.forEach((listing) => {
+    if (listing.status !== "sold") return;
+
+    const price = toPrice(listing.price);
+    const soldAt = new Date(
+      listing.sold_at || listing.updated_at || listing.created_at,
+    ).getTime();
+    if (price === null || Number.isNaN(soldAt)) return;
+    if (soldAt < windowStart || soldAt > now) return;
+
+    const bucket = Math.floor((soldAt - windowStart) / (bucketDays * DAY_MS));
+    if (!buckets.has(bucket)) buckets.set(bucket, []);
+    buckets.get(bucket).push(price);
+  });
+
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([bucket, prices]) => ({
+      date: new Date(
+        Math.min(now, windowStart + (bucket + 1) * bucketDays * DAY_MS),
+      ).toISOString(),
+      value: Math.round(median(prices) * 100) / 100,
+      count: prices.length,
+    }));
+};
@@ -0,0 +1,102 @@
+import {
+  appendPriceChange,
+  buildCategoryTrend,
+  getPriceDrop,
+  getPriceHistory,
+} from "./priceHistory";
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const NOW = new Date("2025-06-01T00:00:00Z").getTime();
+const daysAgo = (days) => new Date(NOW - days * DAY_MS).toISOString();
+
+describe("getPriceHistory", () => {
+  test("sorts entries oldest first and drops unusable ones", () => {
+    const history = getPriceHistory({
+      price: 80,
+      price_history: [
+        { price: "80", changed_at: "2025-03-01" },
+        { price: 100, changed_at: "2025-01-01" },
+        { price: "n/a", changed_at: "2025-02-01" },
+        { price: 90 },
+      ],
+    });
+
+    expect(history).toEqual([
+      { price: 100, changed_at: "2025-01-01" },
+      { price: 80, changed_at: "2025-03-01" },
+    ]);
+  });
+
+  test("falls back to the current price for older listings", () => {
+    expect(getPriceHistory({ price: "120", created_at: "2025-01-01" })).toEqual(
+      [{ price: 120, changed_at: "2025-01-01" }],
+    );
+    expect(getPriceHistory({})).toEqual([]);
+  });
+});
+
+describe("appendPriceChange", () => {
+  const item = { price: 100, created_at: "2025-01-01" };
+
+  test("appends a new price", () => {
+    expect(appendPriceChange(item, "90", "2025-02-01")).toEqual([
+      { price: 100, changed_at: "2025-01-01" },
+      { price: 90, changed_at: "2025-02-01" },
+    ]);
+  });
+
+  test("returns undefined when the price is unchanged or invalid", () => {
+    expect(appendPriceChange(item, "100")).toBeUndefined();
+    expect(appendPriceChange(item, "")).toBeUndefined();
+  });
+});
+
+describe("getPriceDrop", () => {
+  test("measures the drop from the highest earlier price", () => {
+    expect(
+      getPriceDrop({
+        price_history: [
+          { price: 100, changed_at: "2025-01-01" },
+          { price: 120, changed_at: "2025-02-01" },
+          { price: 90, changed_at: "2025-03-01" },
+        ],
+      }),
+    ).toEqual({ amount: 30, percent: 25, from: 120 });
+  });
+
+  test("is null without a drop", () => {
+    expect(getPriceDrop({ price: 100 })).toBeNull();
+    expect(
+      getPriceDrop({
+        price_history: [
+          { price: 90, changed_at: "2025-01-01" },
+          { price: 100, changed_at: "2025-02-01" },
+        ],
+      }),
+    ).toBeNull();
+  });
+});
+
+describe("buildCategoryTrend", () => {
+  test("takes the median sold price per bucket, skipping empty ones", () => {
+    const listings = [
+      { status: "sold", price: 100, sold_at: daysAgo(20) },
+      { status: "sold", price: 300, sold_at: daysAgo(19) },
+      { status: "sold", price: 200, sold_at: daysAgo(18) },
+      { status: "sold", price: 150, sold_at: daysAgo(2) },
+      { status: "active", price: 999, sold_at: daysAgo(2) },
+      { status: "sold", price: 50, sold_at: daysAgo(60) },
+    ];
+
+    const trend = buildCategoryTrend(listings, {
+      now: NOW,
+      windowDays: 28,
+      bucketDays: 7,
+    });
+
+    expect(trend).toEqual([
+      { date: daysAgo(14), value: 200, count: 3 },
+      { date: daysAgo(0), value: 150, count: 1 },
+    ]);
+  });
+});
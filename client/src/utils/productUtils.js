@@ -1,3 +1,72 @@
+import { calculateMarketAnalysis } from "./marketValue";
+import { supabase } from "./supabase";
+import { POST_IMAGES_BUCKET } from "../services/imageUploadService";
+import {
+  getVariantPaths,
+  IMAGE_VARIANTS,
+  ORIGINAL_MAX_SIZE,
+} from "./imageVariants";
+
+/**
+ * Resolve a single item image to a displayable URL
+ * Images are either legacy objects with a URL or storage paths in the post
+ * images bucket (as a plain string or an object's storage_path)
+ * @param {Object|string} image - Image entry from an item's images array
+ * @returns {string|null} - Image URL or null if the entry has no usable source
+ */
+export const getImageUrl = (image) => {
+  if (!image) return null;
+
+  const storagePath = typeof image === "string" ? image : image.storage_path;
+  if (typeof image === "object") {
+    if (image.publicUrl) return image.publicUrl;
+    if (image.image_url) return image.image_url;
+  }
+  if (!storagePath) return null;
+  if (/^(https?:|blob:|data:)/.test(storagePath)) return storagePath;
+
+  return supabase.storage.from(POST_IMAGES_BUCKET).getPublicUrl(storagePath)
+    .data.publicUrl;
+};
+
+/**
+ * Resolve an item image to responsive image attributes
+ * Images uploaded with variants get a srcset and a thumbnail to blur up
+ * from; older images only have their original.
+ * @param {Object|string} image - Image entry from an item's images array
+ * @returns {Object} - { src, srcSet, placeholderSrc }
+ */
+export const getImageSources = (image) => {
+  const src = getImageUrl(image);
+  const variants = getVariantPaths(
+    typeof image === "string" ? image : image?.storage_path,
+  );
+  if (!src || !variants)
+    return { src, srcSet: undefined, placeholderSrc: null };
+
+  const srcSet = [
+    ...Object.entries(IMAGE_VARIANTS).map(
+      ([variant, width]) => `${getImageUrl(variants[variant])} ${width}w`,
+    ),
+    `${src} ${ORIGINAL_MAX_SIZE}w`,
+  ].join(", ");
+
+  return { src, srcSet, placeholderSrc: getImageUrl(variants.thumb) };
+};
+
+/**
+ * Responsive image attributes for a product's cover photo
+ * @param {Object} product - Product or post object
+ * @returns {Object} - { src, srcSet, placeholderSrc }; src is null when the
+ *   product has no image
+ */
+export const getProductImageSources = (product) => {
+  if (product.image_url) {
+    return { src: product.image_url, srcSet: undefined, placeholderSrc: null };
+  }
+  return getImageSources(product.images?.[0]);
+};
+
 /**
  * Get the best image URL for a product/post
  * Handles legacy image_url and new images array format with storage paths
@@ -6,46 +75,20 @@
  */
 export const getProductImageUrl = async (product) => {
   try {
-    console.log("🔍 Getting image URL for product:", {
-      productId: product.id,
-      hasImageUrl: !!product.image_url,
-      hasImages: !!(product.images && product.images.length > 0),
-      imagesCount: product.images?.length || 0,
-    });
-
     // If product has a direct image_url (main image)
     if (product.image_url) {
-      console.log("✅ Using main image_url:", product.image_url);
       return product.image_url;
     }
 
-    // If product has images array, use the first one
+    // Otherwise use the cover photo, which the post forms keep first
     if (product.images && product.images.length > 0) {
       const firstImage = product.images[0];
-      console.log("📸 Processing first image:", {
-        imageId: firstImage.id,
-        hasPublicUrl: !!firstImage.publicUrl,
-        hasImageUrl: !!firstImage.image_url,
-        hasStoragePath: !!firstImage.storage_path,
-      });
-
-      // Priority order: publicUrl > image_url > storage_path
-      if (firstImage.publicUrl) {
-        console.log("✅ Using image.publicUrl:", firstImage.publicUrl);
-        return firstImage.publicUrl;
-      }
-      if (firstImage.image_url) {
-        console.log("✅ Using image.image_url:", firstImage.image_url);
-        return firstImage.image_url;
-      }
-      // If we have storage path, construct a basic URL
-      if (firstImage.storage_path) {
-        console.log("🔗 Using storage_path directly:", firstImage.storage_path);
-        return firstImage.storage_path;
+      const url = getImageUrl(firstImage);
+      if (url) {
+        return url;
       }
     }
 
-    console.log("⚠️ No image URL found for product:", product.id);
     // Fallback to null - let the component handle missing images
     return null;
   } catch (error) {
@@ -55,17 +98,21 @@ export const getProductImageUrl = async (product) => {
 };
 
 /**
- * Get image URLs for multiple storage paths
- * @param {Array} storagePaths - Array of storage paths
- * @returns {Array} - Array of objects with storage_path and publicUrl
+ * Get image URLs for multiple images
+ * @param {Array} images - Storage paths or image entries from an item
+ * @returns {Array} - Objects with storage_path, publicUrl, srcSet and
+ *   thumbnailUrl (the thumbnail variant when there is one)
  */
-export const getImageUrls = (storagePaths) => {
-  return storagePaths.map((path) => {
+export const getImageUrls = (images) => {
+  return images.map((image) => {
+    const { src, srcSet, placeholderSrc } = getImageSources(image);
     return {
-      storage_path: path,
-      publicUrl: path, // Simple fallback - use path directly
-      success: true,
-      error: null,
+      storage_path: typeof image === "string" ? image : image?.storage_path,
+      publicUrl: src,
+      srcSet,
+      thumbnailUrl: placeholderSrc || src,
+      success: !!src,
+      error: src ? null : "Image has no usable source",
     };
   });
 };
@@ -134,50 +181,17 @@ export const calculateBatteryHealth = (product) => {
 
 /**
  * Calculate market value based on product attributes
+ * Uses the same engine as MarketValueAnalysis; without comparable listings
+ * the estimate is anchored on the asking price.
  * @param {Object} product - Product object
+ * @param {Array} listings - Comparable listings, if already loaded
  * @returns {number} - Calculated market value
  */
-export const calculateMarketValue = (product) => {
+export const calculateMarketValue = (product, listings = []) => {
   // If market_value exists in the data, use it
   if (product.market_value !== undefined && product.market_value !== null) {
     return parseFloat(product.market_value);
   }
 
-  const basePrice = parseFloat(product.price) || 0;
-  const category = product.category || "electronics";
-  const condition = product.condition || "good";
-  const batteryHealth = calculateBatteryHealth(product);
-
-  // Base multiplier by category
-  const categoryMultipliers = {
-    electronics: 1.2,
-    clothing: 0.8,
-    home: 1.0,
-    sports: 1.1,
-    books: 0.6,
-    other: 0.9,
-  };
-
-  // Condition multiplier
-  const conditionMultipliers = {
-    new: 1.3,
-    "like-new": 1.2,
-    good: 1.0,
-    fair: 0.8,
-    poor: 0.6,
-  };
-
-  // Battery health multiplier (for electronics)
-  const batteryMultiplier =
-    category === "electronics" ? batteryHealth / 100 : 1.0;
-
-  const categoryMultiplier = categoryMultipliers[category] || 1.0;
-  const conditionMultiplier = conditionMultipliers[condition] || 1.0;
-
-  // Calculate market value
-  const marketValue =
-    basePrice * categoryMultiplier * conditionMultiplier * batteryMultiplier;
-
-  // Round to 2 decimal places
-  return Math.round(marketValue * 100) / 100;
+  return calculateMarketAnalysis(product, listings).finalValue;
 };
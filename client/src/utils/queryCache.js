@@ -0,0 +1,268 @@
+import { useCallback, useEffect, useRef, useSyncExternalStore } from "react";
+import apiClient from "./apiClient";
+
+/**
+ * Shared client-side query cache
+ * Entries are keyed by endpoint (including its query string). Reads are
+ * served stale-while-revalidate, concurrent requests for the same key share
+ * one in-flight promise, and mutations can patch or invalidate every cached
+ * view of an item at once.
+ */
+
+const DEFAULT_STALE_TIME = 30 * 1000;
+const EMPTY_STATE = Object.freeze({
+  data: undefined,
+  error: null,
+  updatedAt: 0,
+  isFetching: false,
+});
+
+const entries = new Map();
+
+const getEntry = (key) => {
+  if (!entries.has(key)) {
+    entries.set(key, {
+      state: EMPTY_STATE,
+      listeners: new Set(),
+      fetcher: null,
+      promise: null,
+      controller: null,
+    });
+  }
+  return entries.get(key);
+};
+
+// Replace the entry state (snapshots must be new objects) and notify
+const setState = (key, changes) => {
+  const entry = getEntry(key);
+  entry.state = { ...entry.state, ...changes };
+  entry.listeners.forEach((listener) => listener());
+};
+
+const matchesKey = (key, filter) =>
+  typeof filter === "function" ? filter(key) : key.startsWith(filter);
+
+const isStale = (entry, staleTime) =>
+  entry.state.data === undefined ||
+  Date.now() - entry.state.updatedAt > staleTime;
+
+/**
+ * Fetch a query through the cache
+ * @param {string} key - Cache key (usually the endpoint)
+ * @param {Function} fetcher - ({ signal, previousData }) => Promise<data>
+ * @param {Object} options - { staleTime, force }
+ * @returns {Promise<any>} - Cached or freshly fetched data
+ */
+const fetchQuery = (key, fetcher, options = {}) => {
+  const { staleTime = DEFAULT_STALE_TIME, force = false } = options;
+  const entry = getEntry(key);
+  if (fetcher) entry.fetcher = fetcher;
+
+  if (entry.promise) return entry.promise;
+  if (!force && !isStale(entry, staleTime)) {
+    return Promise.resolve(entry.state.data);
+  }
+  if (!entry.fetcher) return Promise.resolve(entry.state.data);
+
+  const controller = new AbortController();
+  entry.controller = controller;
+  setState(key, { isFetching: true });
+
+  const promise = entry
+    .fetcher({ signal: controller.signal, previousData: entry.state.data })
+    .then((data) => {
+      if (entry.promise === promise) {
+        setState(key, {
+          data,
+          error: null,
+          updatedAt: Date.now(),
+          isFetching: false,
+        });
+      }
+      return data;
+    })
+    .catch((error) => {
+      if (entry.promise === promise && !controller.signal.aborted) {
+        setState(key, { error, isFetching: false });
+      }
+      throw error;
+    })
+    .finally(() => {
+      if (entry.promise === promise) {
+        entry.promise = null;
+        entry.controller = null;
+      }
+    });
+
+  entry.promise = promise;
+  return promise;
+};
+
+const subscribe = (key, listener) => {
+  const entry = getEntry(key);
+  entry.listeners.add(listener);
+
+  return () => {
+    entry.listeners.delete(listener);
+
+    // Nobody is waiting for this request any more: cancel it
+    if (entry.listeners.size === 0 && entry.promise) {
+      entry.controller?.abort();
+      entry.promise = null;
+      entry.controller = null;
+      setState(key, { isFetching: false });
+    }
+  };
+};
+
+const getQueryData = (key) => entries.get(key)?.state.data;
+
+const setQueryData = (key, updater) => {
+  const previous = getQueryData(key);
+  const data = typeof updater === "function" ? updater(previous) : updater;
+  setState(key, { data, error: null, updatedAt: Date.now() });
+};
+
+/**
+ * Mark matching queries stale and refetch the ones currently on screen
+ * @param {string|Function} filter - Key prefix or predicate
+ */
+const invalidateQueries = (filter) => {
+  entries.forEach((entry, key) => {
+    if (!matchesKey(key, filter)) return;
+
+    entry.state = { ...entry.state, updatedAt: 0 };
+    if (entry.listeners.size > 0) {
+      // Drop any in-flight request so the refetch sees the latest server state
+      entry.controller?.abort();
+      entry.promise = null;
+      fetchQuery(key, null, { force: true }).catch(() => {});
+    }
+  });
+};
+
+/**
+ * Apply `updater` to the cached data of every matching query
+ * Returns a snapshot that can be passed to `restoreQueries` to roll back
+ */
+const updateQueries = (filter, updater) => {
+  const snapshot = [];
+
+  entries.forEach((entry, key) => {
+    if (!matchesKey(key, filter) || entry.state.data === undefined) return;
+
+    snapshot.push([key, entry.state.data]);
+    setState(key, { data: updater(entry.state.data, key) });
+  });
+
+  return snapshot;
+};
+
+const restoreQueries = (snapshot) => {
+  snapshot.forEach(([key, data]) => setState(key, { data }));
+};
+
+/**
+ * Optimistic mutation: apply `updater` to every matching query, run the
+ * request, roll back if it fails, then revalidate either way
+ * @param {string|Function} filter - Key prefix or predicate
+ * @param {Function} updater - (data, key) => optimistic data
+ * @param {Function} performRequest - () => Promise<{ success, ... }>
+ * @returns {Promise<Object>} - The request's response
+ */
+const mutateQueries = async (filter, updater, performRequest) => {
+  const snapshot = updateQueries(filter, updater);
+
+  try {
+    const response = await performRequest();
+    if (!response.success) {
+      restoreQueries(snapshot);
+    }
+    return response;
+  } catch (error) {
+    restoreQueries(snapshot);
+    throw error;
+  } finally {
+    invalidateQueries(filter);
+  }
+};
+
+export const queryCache = {
+  fetchQuery,
+  subscribe,
+  getQueryData,
+  setQueryData,
+  invalidateQueries,
+  updateQueries,
+  restoreQueries,
+  mutateQueries,
+  getState: (key) => entries.get(key)?.state || EMPTY_STATE,
+  clear: () => entries.clear(),
+};
+
+/**
+ * Subscribe a component to a cached query
+ * @param {string|null} key - Cache key, or null to skip the query
+ * @param {Function} fetcher - ({ signal, previousData }) => Promise<data>
+ * @param {Object} options - { staleTime, enabled }
+ * @returns {{data: any, error: Error|null, isLoading: boolean, isFetching: boolean, refetch: Function}}
+ */
+export const useQuery = (key, fetcher, options = {}) => {
+  const { staleTime = DEFAULT_STALE_TIME, enabled = true } = options;
+  const fetcherRef = useRef(fetcher);
+  fetcherRef.current = fetcher;
+
+  const subscribeToKey = useCallback(
+    (listener) => (key ? subscribe(key, listener) : () => {}),
+    [key],
+  );
+  const getSnapshot = useCallback(
+    () => (key ? queryCache.getState(key) : EMPTY_STATE),
+    [key],
+  );
+  const state = useSyncExternalStore(subscribeToKey, getSnapshot);
+
+  const runFetcher = useCallback((context) => fetcherRef.current(context), []);
+
+  useEffect(() => {
+    if (!key || !enabled) return;
+    fetchQuery(key, runFetcher, { staleTime }).catch(() => {});
+  }, [key, enabled, staleTime, runFetcher]);
+
+  const refetch = useCallback(
+    () =>
+      key
+        ? fetchQuery(key, runFetcher, { force: true }).catch(() => {})
+        : Promise.resolve(),
+    [key, runFetcher],
+  );
+
+  return {
+    data: state.data,
+    error: state.error,
+    isLoading: !!key && enabled && state.data === undefined && !state.error,
+    isFetching: state.isFetching,
+    refetch,
+  };
+};
+
+/**
+ * Fetch an endpoint through apiClient, throwing the ApiError on failure
+ */
+export const fetchApi = async (endpoint, { signal } = {}) => {
+  const response = await apiClient.get(endpoint, { signal });
+  if (!response.success) {
+    throw response.apiError;
+  }
+  return response.data;
+};
+
+/**
+ * Cached GET for an API endpoint, keyed by the endpoint itself
+ * @param {string|null} endpoint - Endpoint path with query string
+ * @param {Object} options - { staleTime, enabled }
+ */
+export const useApiQuery = (endpoint, options) =>
+  useQuery(endpoint, ({ signal }) => fetchApi(endpoint, { signal }), options);
+
+export default queryCache;
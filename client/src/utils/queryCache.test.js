@@ -0,0 +1,134 @@
+import { queryCache } from "./queryCache";
+
+jest.mock("./apiClient", () => ({
+  __esModule: true,
+  default: { get: jest.fn() },
+}));
+
+beforeEach(() => {
+  queryCache.clear();
+});
+
+describe("fetchQuery", () => {
+  test("shares one request between concurrent callers", async () => {
+    const fetcher = jest.fn().mockResolvedValue(["a"]);
+
+    const [first, second] = await Promise.all([
+      queryCache.fetchQuery("/api/items", fetcher),
+      queryCache.fetchQuery("/api/items", fetcher),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+  });
+
+  test("serves fresh data from the cache and refetches stale data", async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce("first")
+      .mockResolvedValueOnce("second");
+
+    await queryCache.fetchQuery("/api/items/1", fetcher);
+    expect(await queryCache.fetchQuery("/api/items/1", fetcher)).toBe("first");
+    expect(
+      await queryCache.fetchQuery("/api/items/1", fetcher, { staleTime: -1 }),
+    ).toBe("second");
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  test("keeps the previous data when a refetch fails", async () => {
+    const error = new Error("offline");
+    await queryCache.fetchQuery("/api/items/2", () => Promise.resolve("ok"));
+
+    await expect(
+      queryCache.fetchQuery("/api/items/2", () => Promise.reject(error), {
+        force: true,
+      }),
+    ).rejects.toBe(error);
+    expect(queryCache.getState("/api/items/2")).toMatchObject({
+      data: "ok",
+      error,
+    });
+  });
+});
+
+describe("updateQueries", () => {
+  test("patches every matching query and can be rolled back", () => {
+    queryCache.setQueryData("/api/items", [{ id: 1, price: 10 }]);
+    queryCache.setQueryData("/api/items/1", { id: 1, price: 10 });
+    queryCache.setQueryData("/api/users", [{ id: 1 }]);
+
+    const snapshot = queryCache.updateQueries("/api/items", (data) =>
+      Array.isArray(data)
+        ? data.map((item) => ({ ...item, price: 5 }))
+        : { ...data, price: 5 },
+    );
+
+    expect(snapshot).toHaveLength(2);
+    expect(queryCache.getQueryData("/api/items")[0].price).toBe(5);
+    expect(queryCache.getQueryData("/api/items/1").price).toBe(5);
+    expect(queryCache.getQueryData("/api/users")).toEqual([{ id: 1 }]);
+
+    queryCache.restoreQueries(snapshot);
+    expect(queryCache.getQueryData("/api/items/1").price).toBe(10);
+  });
+});
+
+describe("mutateQueries", () => {
+  test("keeps the optimistic data when the request succeeds", async () => {
+    queryCache.setQueryData("/api/users", [{ id: 1, name: "Old" }]);
+
+    const response = await queryCache.mutateQueries(
+      "/api/users",
+      (data) => data.map((user) => ({ ...user, name: "New" })),
+      () => Promise.resolve({ success: true }),
+    );
+
+    expect(response).toEqual({ success: true });
+    expect(queryCache.getQueryData("/api/users")[0].name).toBe("New");
+    expect(queryCache.getState("/api/users").updatedAt).toBe(0);
+  });
+
+  test("rolls back when the request fails or throws", async () => {
+    const rename = (data) => ({ ...data, name: "New" });
+    queryCache.setQueryData("/api/users/1", { id: 1, name: "Old" });
+
+    await queryCache.mutateQueries("/api/users", rename, () =>
+      Promise.resolve({ success: false, error: "Forbidden" }),
+    );
+    expect(queryCache.getQueryData("/api/users/1").name).toBe("Old");
+
+    const error = new Error("offline");
+    await expect(
+      queryCache.mutateQueries("/api/users", rename, () =>
+        Promise.reject(error),
+      ),
+    ).rejects.toBe(error);
+    expect(queryCache.getQueryData("/api/users/1").name).toBe("Old");
+  });
+});
+
+describe("invalidateQueries", () => {
+  test("refetches matching queries that are on screen", async () => {
+    const fetcher = jest.fn().mockResolvedValue("fresh");
+    await queryCache.fetchQuery("/api/items", fetcher);
+    const unsubscribe = queryCache.subscribe("/api/items", () => {});
+
+    queryCache.invalidateQueries("/api/items");
+    await queryCache.fetchQuery("/api/items");
+
+    expect(fetcher).toHaveBeenCalledTimes(2);
+    unsubscribe();
+  });
+
+  test("only marks unwatched queries stale", async () => {
+    const fetcher = jest.fn().mockResolvedValue("data");
+    await queryCache.fetchQuery("/api/items", fetcher);
+
+    queryCache.invalidateQueries("/api/items");
+    expect(fetcher).toHaveBeenCalledTimes(1);
+
+    await queryCache.fetchQuery("/api/items", fetcher);
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,9 @@
+/**
+ * Whether a listing or message has been hidden because of reports. The
+ * server sets `is_hidden` on a listing once enough different users have open
+ * reports against it, and leaves hidden listings out of the feed; a message
+ * is hidden when a moderator acts on its reports.
+ * @param {Object} target - Listing or message
+ * @returns {boolean}
+ */
+export const isHiddenByReports = (target) => !!target?.is_hidden;
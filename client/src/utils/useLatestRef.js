@@ -0,0 +1,14 @@
+import { useRef } from "react";
+
+/**
+ * Ref that always holds the latest value from the last render
+ * Lets effects call callback props without re-running when a parent passes
+ * a new inline function on every render.
+ * @param {any} value - Usually a callback prop
+ * @returns {{current: any}}
+ */
+export const useLatestRef = (value) => {
+  const ref = useRef(value);
+  ref.current = value;
+  return ref;
+};